@@ -6,12 +6,9 @@ goog.require('ol.ellipsoid.WGS84');
 
 
 // Direct problem
-var directLatitude = new goog.ui.LabelInput();
-directLatitude.render(goog.dom.getElement('direct_latitude'));
-directLatitude.setValue('-2.533070');
-var directLongitude = new goog.ui.LabelInput();
-directLongitude.render(goog.dom.getElement('direct_longitude'));
-directLongitude.setValue('131.620160933');
+var directPosition = new goog.ui.LabelInput();
+directPosition.render(goog.dom.getElement('direct_position'));
+directPosition.setValue('-2.533070 131.620160933');
 var directAzimuth = new goog.ui.LabelInput();
 directAzimuth.render(goog.dom.getElement('direct_azimuth'));
 directAzimuth.setValue('10');
@@ -26,32 +23,32 @@ directResultLongitudeGeographiclib.render(goog.dom.getElement('direct_result_lon
 var directSolveButton = new goog.ui.Button('Solve direct');
 directSolveButton.render(goog.dom.getElement('solve_direct'));
 goog.events.listen(directSolveButton, goog.ui.Component.EventType.ACTION, function() {
-  var directLatitudeValue = Number(directLatitude.getValue());
-  var directLongitudeValue = Number(directLongitude.getValue());
-  var directAzimuthValue = Number(directAzimuth.getValue());
+  var geographiclibInterface = net.sf.geographiclib.Interface.getInstance();
+  var directPositionValue, directAzimuthValue;
+  try {
+    directPositionValue = geographiclibInterface.parseCoordinate(directPosition.getValue());
+    directAzimuthValue = geographiclibInterface.parseAzimuth(directAzimuth.getValue());
+  } catch (e) {
+    directResultLatitudeGeographiclib.setValue(e.message);
+    directResultLongitudeGeographiclib.setValue('');
+    return;
+  }
   var directDistanceValue = Number(directDistance.getValue());
 
   // Geographiclib
-  var geographiclibInterface = net.sf.geographiclib.Interface.getInstance();
-  var geoLibDirect = geographiclibInterface.direct([directLongitudeValue, directLatitudeValue], directDistanceValue, directAzimuthValue);
+  var geoLibDirect = geographiclibInterface.direct(directPositionValue, directDistanceValue, directAzimuthValue);
   directResultLatitudeGeographiclib.setValue(geoLibDirect[1] + '');
   directResultLongitudeGeographiclib.setValue(geoLibDirect[0] + '');
 },true, this);
 
 
 // Inverse problem
-var inverseLatitudeFrom = new goog.ui.LabelInput();
-inverseLatitudeFrom.render(goog.dom.getElement('inverse_latitude_from'));
-inverseLatitudeFrom.setValue('-2.533070');
-var inverseLongitudeFrom = new goog.ui.LabelInput();
-inverseLongitudeFrom.render(goog.dom.getElement('inverse_longitude_from'));
-inverseLongitudeFrom.setValue('139.620160933');
-var inverseLatitudeTo = new goog.ui.LabelInput();
-inverseLatitudeTo.render(goog.dom.getElement('inverse_latitude_to'));
-inverseLatitudeTo.setValue('40.421022');
-var inverseLongitudeTo = new goog.ui.LabelInput();
-inverseLongitudeTo.render(goog.dom.getElement('inverse_longitude_to'));
-inverseLongitudeTo.setValue('-3.666365');
+var inversePositionFrom = new goog.ui.LabelInput();
+inversePositionFrom.render(goog.dom.getElement('inverse_position_from'));
+inversePositionFrom.setValue('-2.533070 139.620160933');
+var inversePositionTo = new goog.ui.LabelInput();
+inversePositionTo.render(goog.dom.getElement('inverse_position_to'));
+inversePositionTo.setValue('40.421022 -3.666365');
 
 var inverseResultFromAzimuthGeographiclib = new goog.ui.LabelInput();
 inverseResultFromAzimuthGeographiclib.render(goog.dom.getElement('inverse_result_from_azimuth_geographiclib'));
@@ -63,14 +60,20 @@ inverseResultDistanceGeographiclib.render(goog.dom.getElement('inverse_result_di
 var inverseSolveButton = new goog.ui.Button('Solve inverse');
 inverseSolveButton.render(goog.dom.getElement('solve_inverse'));
 goog.events.listen(inverseSolveButton, goog.ui.Component.EventType.ACTION, function() {
-  var inverseLatitudeFromValue = Number(inverseLatitudeFrom.getValue());
-  var inverseLongitudeFromValue = Number(inverseLongitudeFrom.getValue());
-  var inverseLatitudeToValue = Number(inverseLatitudeTo.getValue());
-  var inverseLongitudeToValue = Number(inverseLongitudeTo.getValue());
+  var geographiclibInterface = net.sf.geographiclib.Interface.getInstance();
+  var inverseFrom, inverseTo;
+  try {
+    inverseFrom = geographiclibInterface.parseCoordinate(inversePositionFrom.getValue());
+    inverseTo = geographiclibInterface.parseCoordinate(inversePositionTo.getValue());
+  } catch (e) {
+    inverseResultFromAzimuthGeographiclib.setValue(e.message);
+    inverseResultToAzimuthGeographiclib.setValue('');
+    inverseResultDistanceGeographiclib.setValue('');
+    return;
+  }
 
   // Geographiclib
-  var geographiclibInterface = net.sf.geographiclib.Interface.getInstance();
-  var geoLibInverse = geographiclibInterface.inverse([inverseLongitudeFromValue, inverseLatitudeFromValue], [inverseLongitudeToValue, inverseLatitudeToValue]);
+  var geoLibInverse = geographiclibInterface.inverse(inverseFrom, inverseTo);
   inverseResultFromAzimuthGeographiclib.setValue(geoLibInverse.initialBearing + '');
   inverseResultToAzimuthGeographiclib.setValue(geoLibInverse.finalBearing + '');
   inverseResultDistanceGeographiclib.setValue(geoLibInverse.distance + '');
@@ -28,6 +28,14 @@ net.sf.geographiclib.Accumulator.prototype.set = function(s, opt_t) {
 };
 
 
+/**
+ * @return {!net.sf.geographiclib.Accumulator} A copy of this accumulator.
+ */
+net.sf.geographiclib.Accumulator.prototype.clone = function() {
+  return new net.sf.geographiclib.Accumulator(this._s, this._t);
+};
+
+
 /**
  * @param {!number=} opt_y
  * @return {!number}
@@ -1,16 +1,28 @@
 goog.provide('net.sf.geographiclib.Accuracy');
 
+goog.require('goog.asserts');
 goog.require('net.sf.geographiclib.GeoMath');
 
 
 
 /**
+ * The order of the series expansions and the tolerances used when solving
+ * geodesic problems.  Every {@link net.sf.geographiclib.Geodesic} owns one;
+ * the instance returned by getInstance() uses the default order.
  * @constructor
- */
-net.sf.geographiclib.Accuracy = function() {
-  //  this.GEOGRAPHICLIB_GEODESIC_ORDER = 6;
-  this.GEOGRAPHICLIB_GEODESIC_ORDER = 2;
-
+ * @param {!number=} opt_order Order of the series expansions, from
+ *     {@link net.sf.geographiclib.Accuracy.MIN_ORDER} to
+ *     {@link net.sf.geographiclib.Accuracy.MAX_ORDER}.  Defaults to
+ *     {@link net.sf.geographiclib.Accuracy.DEFAULT_ORDER}.
+ */
+net.sf.geographiclib.Accuracy = function(opt_order) {
+  var order = goog.isDef(opt_order) ? opt_order :
+      net.sf.geographiclib.Accuracy.DEFAULT_ORDER;
+  goog.asserts.assert(order == Math.floor(order) &&
+      order >= net.sf.geographiclib.Accuracy.MIN_ORDER &&
+      order <= net.sf.geographiclib.Accuracy.MAX_ORDER,
+      'Series order must be an integer in [3, 8]');
+  this.GEOGRAPHICLIB_GEODESIC_ORDER = order;
   this.nA1_ = this.GEOGRAPHICLIB_GEODESIC_ORDER;
   this.nC1_ = this.GEOGRAPHICLIB_GEODESIC_ORDER;
   this.nC1p_ = this.GEOGRAPHICLIB_GEODESIC_ORDER;
@@ -27,13 +39,46 @@ net.sf.geographiclib.Accuracy = function() {
   this.tiny_ = Math.sqrt(net.sf.geographiclib.GeoMath.min);
   this.tol0_ = net.sf.geographiclib.GeoMath.epsilon;
   this.tol1_ = 200 * this.tol0_;
-  this. tol2_ = Math.sqrt(this.tol0_);
+  this.tol2_ = Math.sqrt(this.tol0_);
   this.tolb_ = this.tol0_ * this.tol2_;
   this.xthresh_ = 1000 * this.tol2_;
 };
 goog.addSingletonGetter(net.sf.geographiclib.Accuracy);
 
 
+/**
+ * Smallest supported order of the series expansions.
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.Accuracy.MIN_ORDER = 3;
+
+
+/**
+ * Largest supported order of the series expansions.
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.Accuracy.MAX_ORDER = 8;
+
+
+/**
+ * Order of the series expansions giving full double precision accuracy for
+ * the terrestrial ellipsoids.
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.Accuracy.DEFAULT_ORDER = 6;
+
+
+/**
+ * @return {!number}
+ */
+net.sf.geographiclib.Accuracy.prototype.order = function() {
+  return this.GEOGRAPHICLIB_GEODESIC_ORDER;
+};
+
+
 /**
  * @return {!number}
  */
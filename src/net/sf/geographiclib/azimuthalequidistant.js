@@ -0,0 +1,128 @@
+goog.provide('net.sf.geographiclib.AzimuthalEquidistant');
+
+goog.require('net.sf.geographiclib.Ellipsoid');
+goog.require('net.sf.geographiclib.GeoMath');
+goog.require('net.sf.geographiclib.Geodesic');
+goog.require('net.sf.geographiclib.GeodesicMask');
+
+
+
+/**
+ * Azimuthal equidistant projection.
+ * <p>
+ * Azimuthal equidistant projection centered at an arbitrary position on the
+ * ellipsoid.  For a point in projected space (<i>x</i>, <i>y</i>), the
+ * geodesic distance from the center position is hypot(<i>x</i>, <i>y</i>)
+ * and the azimuth of the geodesic from the center point is atan2(<i>x</i>,
+ * <i>y</i>).  The Forward and Reverse methods also return the azimuth
+ * <i>azi</i> of the geodesic at (<i>x</i>, <i>y</i>) and reciprocal scale
+ * <i>rk</i> in the azimuthal direction which, together with the basic
+ * properties of the projection, serve to specify completely the local
+ * affine transformation between geographic and projected coordinates.
+ * <p>
+ * The conversions all take place using a {@link
+ * net.sf.geographiclib.Geodesic} object (by default one for the WGS84
+ * ellipsoid), so the projection is exact for all distances, including
+ * those in excess of a quarter meridian.  The reciprocal scale is
+ * <i>m12</i>/<i>s12</i> for the geodesic from the center.
+ * @constructor
+ * @param {!net.sf.geographiclib.Geodesic=} opt_earth the Geodesic object to
+ *     use for geodesic calculations, default one for WGS84.
+ */
+net.sf.geographiclib.AzimuthalEquidistant = function(opt_earth) {
+  this._earth = opt_earth || new net.sf.geographiclib.Geodesic(
+      net.sf.geographiclib.Ellipsoid.WGS84.a,
+      net.sf.geographiclib.Ellipsoid.WGS84.f);
+};
+
+
+/**
+ * Arc lengths (degrees) at or below this are treated as zero when
+ * computing the reciprocal scale.
+ * @private
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.AzimuthalEquidistant.eps_ =
+    0.01 * Math.sqrt(net.sf.geographiclib.GeoMath.min);
+
+
+/**
+ * Forward projection, from geographic to azimuthal equidistant.
+ * <p>
+ * <i>lat0</i> and <i>lat</i> should be in the range [&minus;90&deg;,
+ * 90&deg;].  The scale of the projection is 1 in the "radial" direction,
+ * <i>azi</i> clockwise from true north, and is 1/<i>rk</i> in the direction
+ * perpendicular to this.  A call to Forward followed by a call to Reverse
+ * will return the original (<i>lat</i>, <i>lon</i>) (to within roundoff).
+ *
+ * @param {!number} lat0 latitude of center point of projection (degrees).
+ * @param {!number} lon0 longitude of center point of projection (degrees).
+ * @param {!number} lat latitude of point (degrees).
+ * @param {!number} lon longitude of point (degrees).
+ * @return {!{x: number, y: number, azi: number, rk: number}} The easting
+ *     and northing of the point (meters), the azimuth of the geodesic thru
+ *     the point (degrees) and the reciprocal of the azimuthal scale at the
+ *     point.
+ */
+net.sf.geographiclib.AzimuthalEquidistant.prototype.Forward =
+    function(lat0, lon0, lat, lon) {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var r = this._earth.Inverse(lat0, lon0, lat, lon,
+                              gm.DISTANCE | gm.AZIMUTH | gm.REDUCEDLENGTH);
+  var alp = r.azi1 * net.sf.geographiclib.GeoMath.degree;
+  return {
+    x: r.s12 * (Math.abs(r.azi1) == 180 ? 0 : Math.sin(alp)),
+    y: r.s12 * (Math.abs(r.azi1) == 90 ? 0 : Math.cos(alp)),
+    azi: r.azi2,
+    rk: net.sf.geographiclib.AzimuthalEquidistant.rk_(r)
+  };
+};
+
+
+/**
+ * Reverse projection, from azimuthal equidistant to geographic.
+ * <p>
+ * <i>lat0</i> should be in the range [&minus;90&deg;, 90&deg;].  <i>lat</i>
+ * will be in the range [&minus;90&deg;, 90&deg;] and <i>lon</i> will be in
+ * the range [&minus;180&deg;, 180&deg;).  A call to Reverse followed by a
+ * call to Forward will return the original (<i>x</i>, <i>y</i>) (to
+ * roundoff) only if the geodesic to (<i>x</i>, <i>y</i>) is a shortest
+ * path.
+ *
+ * @param {!number} lat0 latitude of center point of projection (degrees).
+ * @param {!number} lon0 longitude of center point of projection (degrees).
+ * @param {!number} x easting of point (meters).
+ * @param {!number} y northing of point (meters).
+ * @return {!{lat: number, lon: number, azi: number, rk: number}} The
+ *     latitude and longitude of the point (degrees), the azimuth of the
+ *     geodesic thru the point (degrees) and the reciprocal of the azimuthal
+ *     scale at the point.
+ */
+net.sf.geographiclib.AzimuthalEquidistant.prototype.Reverse =
+    function(lat0, lon0, x, y) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var azi0 = Math.atan2(x, y) / GeoMath.degree, s = GeoMath.hypot(x, y);
+  var r = this._earth.Direct(lat0, lon0, azi0, s,
+                             gm.LATITUDE | gm.LONGITUDE | gm.AZIMUTH |
+                             gm.REDUCEDLENGTH);
+  return {
+    lat: r.lat2,
+    lon: r.lon2,
+    azi: r.azi2,
+    rk: net.sf.geographiclib.AzimuthalEquidistant.rk_(r)
+  };
+};
+
+
+/**
+ * The reciprocal azimuthal scale, m12/s12, which is 1 at the center.
+ * @private
+ * @param {!net.sf.geographiclib.GeodesicData} r
+ * @return {!number}
+ */
+net.sf.geographiclib.AzimuthalEquidistant.rk_ = function(r) {
+  return !(r.a12 <= net.sf.geographiclib.AzimuthalEquidistant.eps_) ?
+      r.m12 / r.s12 : 1;
+};
@@ -0,0 +1,197 @@
+goog.provide('net.sf.geographiclib.CassiniSoldner');
+
+goog.require('net.sf.geographiclib.Ellipsoid');
+goog.require('net.sf.geographiclib.GeoMath');
+goog.require('net.sf.geographiclib.Geodesic');
+goog.require('net.sf.geographiclib.GeodesicLine');
+goog.require('net.sf.geographiclib.GeodesicMask');
+
+
+
+/**
+ * Cassini-Soldner projection.
+ * <p>
+ * Cassini-Soldner projection centered at an arbitrary position,
+ * <i>lat0</i>, <i>lon0</i>, on the ellipsoid.  This projection is a
+ * transverse cylindrical equidistant projection.  The projection from
+ * (<i>lat</i>, <i>lon</i>) to easting and northing (<i>x</i>, <i>y</i>) is
+ * defined by geodesics as follows.  Go north along a geodesic a distance
+ * <i>y</i> from the central point; then turn clockwise 90&deg; and go a
+ * distance <i>x</i> along a geodesic.  (Although the initial heading is
+ * north, this changes to south if the pole is crossed.)  This procedure
+ * uniquely defines the reverse projection.  The forward projection is
+ * constructed as follows.  Find the point (<i>lat1</i>, <i>lon1</i>) on the
+ * meridian closest to (<i>lat</i>, <i>lon</i>).  Here we consider the full
+ * meridian so that <i>lon1</i> may be either <i>lon0</i> or <i>lon0</i> +
+ * 180&deg;.  <i>x</i> is the geodesic distance from (<i>lat1</i>,
+ * <i>lon1</i>) to (<i>lat</i>, <i>lon</i>), appropriately signed according
+ * to which side of the central meridian (<i>lat</i>, <i>lon</i>) lies.
+ * <i>y</i> is the shortest distance along the meridian from (<i>lat0</i>,
+ * <i>lon0</i>) to (<i>lat1</i>, <i>lon1</i>), again, appropriately signed
+ * according to the initial heading.  [Note that, in the case of prolate
+ * ellipsoids, the shortest meridional path from (<i>lat0</i>, <i>lon0</i>)
+ * to (<i>lat1</i>, <i>lon1</i>) may not be the shortest path.]  This
+ * procedure uniquely defines the forward projection except for a small
+ * class of points for which there may be two equally short routes for
+ * either leg of the path.
+ * <p>
+ * Because of the properties of geodesics, the (<i>x</i>, <i>y</i>) grid is
+ * orthogonal.  The scale in the easting direction is unity.  The scale,
+ * <i>k</i>, in the northing direction is unity on the central meridian and
+ * increases away from the central meridian.  The projection routines
+ * return <i>azi</i>, the true bearing of the easting direction, and
+ * <i>rk</i> = 1/<i>k</i>, the reciprocal of the scale in the northing
+ * direction.  The reciprocal scale is the geodesic scale <i>M21</i> of the
+ * geodesic from the meridian to the point.
+ * <p>
+ * The conversions all take place using a {@link
+ * net.sf.geographiclib.Geodesic} object (by default one for the WGS84
+ * ellipsoid), so the projection is exact for all distances.  This
+ * projection should only be used for points within about 500 km of the
+ * central meridian; beyond that the scale in the northing direction grows
+ * rapidly.
+ * @constructor
+ * @param {!number} lat0 latitude of center point of projection (degrees).
+ * @param {!number} lon0 longitude of center point of projection (degrees).
+ * @param {!net.sf.geographiclib.Geodesic=} opt_earth the Geodesic object to
+ *     use for geodesic calculations, default one for WGS84.
+ */
+net.sf.geographiclib.CassiniSoldner = function(lat0, lon0, opt_earth) {
+  this._earth = opt_earth || new net.sf.geographiclib.Geodesic(
+      net.sf.geographiclib.Ellipsoid.WGS84.a,
+      net.sf.geographiclib.Ellipsoid.WGS84.f);
+  this.Reset(lat0, lon0);
+};
+
+
+/**
+ * Set the central point of the projection.
+ * <p>
+ * <i>lat0</i> should be in the range [&minus;90&deg;, 90&deg;].
+ *
+ * @param {!number} lat0 latitude of center point of projection (degrees).
+ * @param {!number} lon0 longitude of center point of projection (degrees).
+ */
+net.sf.geographiclib.CassiniSoldner.prototype.Reset = function(lat0, lon0) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  this._meridian = new net.sf.geographiclib.GeodesicLine(
+      this._earth, lat0, lon0, 0,
+      gm.LATITUDE | gm.LONGITUDE | gm.DISTANCE | gm.DISTANCE_IN |
+      gm.AZIMUTH);
+  var phi = lat0 * GeoMath.degree;
+  this._sbet0 = (1 - this._earth._f) * Math.sin(phi);
+  this._cbet0 = Math.abs(lat0) == 90 ? 0 : Math.cos(phi);
+  var t = GeoMath.hypot(this._sbet0, this._cbet0);
+  this._sbet0 /= t;
+  this._cbet0 /= t;
+};
+
+
+/**
+ * Forward projection, from geographic to Cassini-Soldner.
+ * <p>
+ * <i>lat</i> should be in the range [&minus;90&deg;, 90&deg;].  A call to
+ * Forward followed by a call to Reverse will return the original
+ * (<i>lat</i>, <i>lon</i>) (to within roundoff), except for points on the
+ * meridian 90&deg; away from the central meridian.
+ *
+ * @param {!number} lat latitude of point (degrees).
+ * @param {!number} lon longitude of point (degrees).
+ * @return {!{x: number, y: number, azi: number, rk: number}} The easting
+ *     and northing of the point (meters), the azimuth of the easting
+ *     (x) direction at the point (degrees) and the reciprocal of the
+ *     scale in the northing (y) direction.
+ */
+net.sf.geographiclib.CassiniSoldner.prototype.Forward = function(lat, lon) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var dlon = GeoMath.angDiff(this.LongitudeOrigin(), lon);
+  var r = this._earth.Inverse(lat, -Math.abs(dlon), lat, Math.abs(dlon),
+                              gm.DISTANCE | gm.AZIMUTH);
+  var sig12 = r.a12 * 0.5, s12 = r.s12 * 0.5,
+      azi1 = r.azi1, azi2 = r.azi2;
+  if (s12 == 0) {
+    var da = GeoMath.angDiff(azi1, azi2) / 2;
+    if (Math.abs(dlon) <= 90) {
+      azi1 = 90 - da;
+      azi2 = 90 + da;
+    } else {
+      azi1 = -90 - da;
+      azi2 = -90 + da;
+    }
+  }
+  if (dlon < 0) {
+    azi2 = azi1;
+    s12 = -s12;
+    sig12 = -sig12;
+  }
+  var azi = GeoMath.angNormalize(azi2);
+  var perp = new net.sf.geographiclib.GeodesicLine(
+      this._earth, lat, dlon, azi, gm.GEODESICSCALE);
+  var rk = perp.GenPosition(true, -sig12, gm.GEODESICSCALE).M21;
+  // The point on the central meridian closest to (lat, lon) is where perp
+  // crosses it at a right angle; its reduced latitude is the complement of
+  // the equatorial azimuth of perp.
+  var
+      sbet1 = lat >= 0 ? perp._calp0 : -perp._calp0,
+      cbet1 = Math.abs(dlon) <= 90 ? Math.abs(perp._salp0) :
+        -Math.abs(perp._salp0),
+      sbet01 = sbet1 * this._cbet0 - cbet1 * this._sbet0,
+      cbet01 = cbet1 * this._cbet0 + sbet1 * this._sbet0,
+      sig01 = Math.atan2(sbet01, cbet01) / GeoMath.degree;
+  return {
+    x: s12,
+    y: this._meridian.GenPosition(true, sig01, gm.DISTANCE).s12,
+    azi: azi,
+    rk: rk
+  };
+};
+
+
+/**
+ * Reverse projection, from Cassini-Soldner to geographic.
+ * <p>
+ * A call to Reverse followed by a call to Forward will return the original
+ * (<i>x</i>, <i>y</i>) (to within roundoff), provided that <i>x</i> and
+ * <i>y</i> are sufficiently small not to "wrap around" the earth.  The
+ * value of <i>lon</i> returned is in the range [&minus;180&deg;,
+ * 180&deg;).
+ *
+ * @param {!number} x easting of point (meters).
+ * @param {!number} y northing of point (meters).
+ * @return {!{lat: number, lon: number, azi: number, rk: number}} The
+ *     latitude and longitude of the point (degrees), the azimuth of the
+ *     easting (x) direction at the point (degrees) and the reciprocal of
+ *     the scale in the northing (y) direction.
+ */
+net.sf.geographiclib.CassiniSoldner.prototype.Reverse = function(x, y) {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var p = this._meridian.Position(y, gm.STANDARD);
+  var r = this._earth.Direct(p.lat2, p.lon2, p.azi2 + 90, x,
+                             gm.STANDARD | gm.GEODESICSCALE);
+  return {
+    lat: r.lat2,
+    lon: r.lon2,
+    azi: r.azi2,
+    rk: r.M12
+  };
+};
+
+
+/**
+ * @return {!number} the latitude of the center point of the projection
+ *     (degrees).
+ */
+net.sf.geographiclib.CassiniSoldner.prototype.LatitudeOrigin = function() {
+  return this._meridian._lat1;
+};
+
+
+/**
+ * @return {!number} the longitude of the center point of the projection
+ *     (degrees).
+ */
+net.sf.geographiclib.CassiniSoldner.prototype.LongitudeOrigin = function() {
+  return this._meridian._lon1;
+};
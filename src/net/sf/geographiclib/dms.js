@@ -0,0 +1,585 @@
+goog.provide('net.sf.geographiclib.DMS');
+
+
+
+/**
+ * Convert between angles in degrees and strings of degrees, minutes and
+ * seconds.
+ * <p>
+ * {@link net.sf.geographiclib.DMS.Decode} accepts strings such as
+ * 40&deg;26'46"N, 40d26m46s, 40:26:46.3 W, N40.446 or &minus;40.446.  The
+ * components are ended by the indicators d (or &deg; and its look-alikes),
+ * ' (or m) and " (or s) or are separated by colons; the last component may
+ * have a fractional part and may omit its indicator.  Blanks may follow an
+ * indicator and separate a hemisphere designator N, S, E or W from the
+ * number it leads or trails.  Several pieces may be summed, e.g.
+ * 4d0'9"+3', and NaN and inf are accepted.  Implementation taken from
+ * <ul>
+ * <li>
+ *   C. F. F. Karney,
+ *   <a href="https://geographiclib.sourceforge.io/">GeographicLib</a>,
+ *   DMS class.
+ * </ul>
+ * {@link net.sf.geographiclib.DMS.Encode} formats an angle with its trailing
+ * component in degrees, minutes or seconds to a given number of decimal
+ * places.
+ * <p>
+ * Malformed strings cause an Error to be thrown with a message describing
+ * the problem.
+ * @constructor
+ */
+net.sf.geographiclib.DMS = function() {
+};
+
+
+/**
+ * No hemisphere designator; format as a plain angle.
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.DMS.NONE = 0;
+
+
+/**
+ * A N/S designator; format as a latitude.
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.DMS.LATITUDE = 1;
+
+
+/**
+ * An E/W designator; format as a longitude.
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.DMS.LONGITUDE = 2;
+
+
+/**
+ * Format as an azimuth in [0&deg;, 360&deg;).
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.DMS.AZIMUTH = 3;
+
+
+/**
+ * The trailing component is degrees.
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.DMS.DEGREE = 0;
+
+
+/**
+ * The trailing component is minutes.
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.DMS.MINUTE = 1;
+
+
+/**
+ * The trailing component is seconds.
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.DMS.SECOND = 2;
+
+
+/**
+ * @private
+ * @const
+ * @type {!string}
+ */
+net.sf.geographiclib.DMS.hemispheres_ = 'SNWE';
+
+
+/**
+ * @private
+ * @const
+ * @type {!string}
+ */
+net.sf.geographiclib.DMS.signs_ = '-+';
+
+
+/**
+ * @private
+ * @const
+ * @type {!string}
+ */
+net.sf.geographiclib.DMS.digits_ = '0123456789';
+
+
+/**
+ * @private
+ * @const
+ * @type {!string}
+ */
+net.sf.geographiclib.DMS.dmsindicators_ = 'D\'":';
+
+
+/**
+ * The indicators used by Encode.
+ * @private
+ * @const
+ * @type {!string}
+ */
+net.sf.geographiclib.DMS.dmsindicatorsu_ = '\u00b0\'"';
+
+
+/**
+ * @private
+ * @const
+ * @type {!Array.<!string>}
+ */
+net.sf.geographiclib.DMS.components_ = ['degrees', 'minutes', 'seconds'];
+
+
+/**
+ * Substitutions applied to the string before it is decoded, mapping the
+ * many variants of the symbols onto d ' " + and - and removing the
+ * blanks allowed around the indicators and hemisphere designators.
+ * @private
+ * @const
+ * @type {!Array.<!Array>}
+ */
+net.sf.geographiclib.DMS.replacements_ = [
+  // degree symbol, alt symbol, sup zero, ring above, compose function, GRiD
+  // symbol for degree, grave accent
+  [/[\u00b0\u00ba\u2070\u02da\u2218*`]/g, 'd'],
+  // primes, accents, single quotes and modifier letters
+  [/[\u2032\u2035\u00b4\u2018\u2019\u201b\u02b9\u02ca\u02cb]/g, '\''],
+  // double primes, double acute accent, double quotes
+  [/[\u2033\u2036\u02dd\u201c\u201d\u201f\u02ba]/g, '"'],
+  [/[\u2795\u2064]/g, '+'],   // heavy plus, invisible plus
+  // dash, non-breaking hyphen, en dash, em dash, minus sign, heavy minus
+  [/[\u2010\u2011\u2013\u2014\u2212\u2796]/g, '-'],
+  // non-breaking, figure, thin, hair, invisible and narrow spaces,
+  // invisible separator
+  [/[\u00a0\u2007\u2009\u200a\u200b\u202f\u2063]/g, ''],
+  [/''/g, '"'],
+  // m and s as minutes and seconds indicators, e.g., 40d26m46s
+  [/(\d)m/gi, '$1\''],
+  [/('\s*[\d.]+)s/gi, '$1"'],
+  // blanks following an indicator or around a hemisphere designator
+  [/([d'":])\s+/gi, '$1'],
+  [/^([NSEW])\s+/i, '$1'],
+  [/\s+([NSEW])$/i, '$1']
+];
+
+
+/**
+ * @private
+ * @param {!string} s
+ * @param {!string} c
+ * @return {!number}
+ */
+net.sf.geographiclib.DMS.lookup_ = function(s, c) {
+  return s.indexOf(c.toUpperCase());
+};
+
+
+/**
+ * @private
+ * @param {!string} s
+ * @param {!number} n
+ * @return {!string}
+ */
+net.sf.geographiclib.DMS.zerofill_ = function(s, n) {
+  return '0000'.substr(0, Math.max(0, Math.min(4, n - s.length))) + s;
+};
+
+
+/**
+ * Decode a DMS string.
+ *
+ * @param {!string} dms the string.
+ * @return {!{val: number, ind: number}} The decoded value <i>val</i>
+ *     (degrees) and the hemisphere designator <i>ind</i>, one of
+ *     DMS.NONE, DMS.LATITUDE or DMS.LONGITUDE.
+ */
+net.sf.geographiclib.DMS.Decode = function(dms) {
+  var DMS = net.sf.geographiclib.DMS;
+  var dmsa = dms.trim(), i, v = 0, ind1 = DMS.NONE, p, pb;
+  for (i = 0; i < DMS.replacements_.length; ++i)
+    dmsa = dmsa.replace(DMS.replacements_[i][0], DMS.replacements_[i][1]);
+  var end = dmsa.length;
+  // p is pointer to the next piece that needs decoding
+  for (p = 0, i = 0; p < end; p = pb, ++i) {
+    var pa = p;
+    // Skip over initial hemisphere letter (for i == 0)
+    if (i == 0 && DMS.lookup_(DMS.hemispheres_, dmsa.charAt(pa)) >= 0)
+      ++pa;
+    // Skip over initial sign (checking for it if i == 0)
+    if (i > 0 || (pa < end && DMS.lookup_(DMS.signs_, dmsa.charAt(pa)) >= 0))
+      ++pa;
+    // Find next sign
+    var mi = dmsa.indexOf('-', pa), pi = dmsa.indexOf('+', pa);
+    if (mi < 0) mi = end;
+    if (pi < 0) pi = end;
+    pb = Math.min(mi, pi);
+    var vals = DMS.internalDecode_(dmsa.substring(p, pb));
+    v += vals.val;
+    if (ind1 == DMS.NONE)
+      ind1 = vals.ind;
+    else if (!(vals.ind == DMS.NONE || ind1 == vals.ind))
+      throw new Error('Incompatible hemisphere specifiers in ' +
+                      dmsa.substring(0, pb));
+  }
+  if (i == 0)
+    throw new Error('Empty or incomplete DMS string ' + dmsa);
+  return {val: v, ind: ind1};
+};
+
+
+/**
+ * Decode a single piece of a DMS string, one without internal signs.
+ * @private
+ * @param {!string} dmsa
+ * @return {!{val: number, ind: number}}
+ */
+net.sf.geographiclib.DMS.internalDecode_ = function(dmsa) {
+  var DMS = net.sf.geographiclib.DMS;
+  var vals = DMS.parsePiece_(dmsa);
+  if (!goog.isString(vals))
+    return vals;
+  var val = DMS.numMatch_(dmsa);
+  if (val == 0)
+    throw new Error(vals);
+  return {val: val, ind: DMS.NONE};
+};
+
+
+/**
+ * Parse a single piece of a DMS string as for internalDecode_.
+ * @private
+ * @param {!string} dmsa
+ * @return {!(string|{val: number, ind: number})} The decoded value and
+ *     hemisphere designator, or an error message if the piece is malformed.
+ */
+net.sf.geographiclib.DMS.parsePiece_ = function(dmsa) {
+  var DMS = net.sf.geographiclib.DMS;
+  var sign = 1, beg = 0, end = dmsa.length, ind1 = DMS.NONE, k;
+  if (end > beg &&
+      (k = DMS.lookup_(DMS.hemispheres_, dmsa.charAt(beg))) >= 0) {
+    ind1 = (k & 2) ? DMS.LONGITUDE : DMS.LATITUDE;
+    sign = (k & 1) ? 1 : -1;
+    ++beg;
+  }
+  if (end > beg &&
+      (k = DMS.lookup_(DMS.hemispheres_, dmsa.charAt(end - 1))) >= 0) {
+    if (ind1 != DMS.NONE) {
+      if (dmsa.charAt(beg - 1).toUpperCase() ==
+          dmsa.charAt(end - 1).toUpperCase())
+        return 'Repeated hemisphere indicators ' +
+            dmsa.charAt(beg - 1) + ' in ' +
+            dmsa.substring(beg - 1, end);
+      return 'Contradictory hemisphere indicators ' +
+          dmsa.charAt(beg - 1) + ' and ' + dmsa.charAt(end - 1) +
+          ' in ' + dmsa.substring(beg - 1, end);
+    }
+    ind1 = (k & 2) ? DMS.LONGITUDE : DMS.LATITUDE;
+    sign = (k & 1) ? 1 : -1;
+    --end;
+  }
+  if (end > beg && (k = DMS.lookup_(DMS.signs_, dmsa.charAt(beg))) >= 0) {
+    sign *= k ? 1 : -1;
+    ++beg;
+  }
+  if (end == beg) {
+    return 'Empty or incomplete DMS string ' + dmsa;
+  }
+  var
+      str = dmsa.substring(beg, end),
+      ipieces = [0, 0, 0],
+      fpieces = [0, 0, 0],
+      npiece = 0,
+      icurrent = 0,
+      fcurrent = 0,
+      ncurrent = 0,
+      p = beg,
+      pointseen = false,
+      digcount = 0,
+      intcount = 0,
+      x;
+  while (p < end) {
+    x = dmsa.charAt(p++);
+    if ((k = DMS.lookup_(DMS.digits_, x)) >= 0) {
+      ++ncurrent;
+      if (digcount > 0)
+        ++digcount;         // Count of decimal digits
+      else {
+        icurrent = 10 * icurrent + k;
+        ++intcount;
+      }
+    } else if (x == '.') {
+      if (pointseen) {
+        return 'Multiple decimal points in ' + str;
+      }
+      pointseen = true;
+      digcount = 1;
+    } else if ((k = DMS.lookup_(DMS.dmsindicators_, x)) >= 0) {
+      if (k >= 3) {
+        if (p == end) {
+          return 'Illegal for colon to appear at the end of ' + str;
+        }
+        k = npiece;
+      }
+      if (k == npiece - 1) {
+        return 'Repeated ' + DMS.components_[k] +
+            ' component in ' + str;
+      } else if (k < npiece) {
+        return DMS.components_[k] + ' component follows ' +
+            DMS.components_[npiece - 1] + ' component in ' + str;
+      }
+      if (ncurrent == 0) {
+        return 'Missing numbers in ' + DMS.components_[k] +
+            ' component of ' + str;
+      }
+      if (digcount > 0) {
+        fcurrent = parseFloat(dmsa.substr(p - intcount - digcount - 1,
+                                          intcount + digcount));
+        icurrent = 0;
+      }
+      ipieces[k] = icurrent;
+      fpieces[k] = icurrent + fcurrent;
+      if (p < end) {
+        npiece = k + 1;
+        icurrent = fcurrent = 0;
+        ncurrent = digcount = intcount = 0;
+      }
+    } else if (DMS.lookup_(DMS.signs_, x) >= 0) {
+      return 'Internal sign in DMS string ' + str;
+    } else {
+      return 'Illegal character ' + x + ' in DMS string ' + str;
+    }
+  }
+  if (DMS.lookup_(DMS.dmsindicators_, dmsa.charAt(p - 1)) < 0) {
+    if (npiece >= 3) {
+      return 'Extra text following seconds in DMS string ' + str;
+    }
+    if (ncurrent == 0) {
+      return 'Missing numbers in trailing component of ' + str;
+    }
+    if (digcount > 0) {
+      fcurrent = parseFloat(dmsa.substr(p - intcount - digcount,
+                                        intcount + digcount));
+      icurrent = 0;
+    }
+    ipieces[npiece] = icurrent;
+    fpieces[npiece] = icurrent + fcurrent;
+  }
+  if (pointseen && digcount == 0) {
+    return 'Decimal point in non-terminal component of ' + str;
+  }
+  // Note that we accept 59.999999... even though it rounds to 60.
+  if (ipieces[1] >= 60 || fpieces[1] > 60) {
+    return 'Minutes ' + fpieces[1] + ' not in range [0,60)';
+  }
+  if (ipieces[2] >= 60 || fpieces[2] > 60) {
+    return 'Seconds ' + fpieces[2] + ' not in range [0,60)';
+  }
+  // Assume check on range of result is made by calling routine (which
+  // might be able to offer a better diagnostic).
+  return {
+    val: sign *
+        (fpieces[2] ?
+         (60 * (60 * fpieces[0] + fpieces[1]) + fpieces[2]) / 3600 :
+         (fpieces[1] ? (60 * fpieces[0] + fpieces[1]) / 60 : fpieces[0])),
+    ind: ind1
+  };
+};
+
+
+/**
+ * Match NaN and inf in their various spellings.
+ * @private
+ * @param {!string} s
+ * @return {!number} NaN or &plusmn;inf if <i>s</i> matches, else 0.
+ */
+net.sf.geographiclib.DMS.numMatch_ = function(s) {
+  if (s.length < 3)
+    return 0;
+  var
+      t = s.toUpperCase().replace(/0+$/, ''),
+      sign = t.charAt(0) == '-' ? -1 : 1,
+      p0 = t.charAt(0) == '-' || t.charAt(0) == '+' ? 1 : 0;
+  // Strip off sign and trailing 0s
+  t = t.substr(p0);
+  if (t.length < 3)
+    return 0;
+  if (t == 'NAN' || t == '1.#QNAN' || t == '1.#SNAN' || t == '1.#IND' ||
+      t == '1.#R')
+    return Number.NaN;
+  else if (t == 'INF' || t == '1.#INF')
+    return sign * Number.POSITIVE_INFINITY;
+  return 0;
+};
+
+
+/**
+ * Decode two DMS strings as a latitude and longitude.  The hemisphere
+ * designators determine which is which; in their absence the first is
+ * taken to be the latitude unless <i>opt_longfirst</i> is true.
+ *
+ * @param {!string} stra the first string.
+ * @param {!string} strb the second string.
+ * @param {!boolean=} opt_longfirst if true assume that the longitude is
+ *     given first in the absence of hemisphere designators; default false.
+ * @return {!{lat: number, lon: number}} The latitude and longitude
+ *     (degrees).
+ */
+net.sf.geographiclib.DMS.DecodeLatLon = function(stra, strb, opt_longfirst) {
+  var DMS = net.sf.geographiclib.DMS;
+  var
+      longfirst = goog.isDef(opt_longfirst) ? opt_longfirst : false,
+      valsa = DMS.Decode(stra),
+      valsb = DMS.Decode(strb),
+      ia = valsa.ind,
+      ib = valsb.ind;
+  if (ia == DMS.NONE && ib == DMS.NONE) {
+    // Default to lat, long unless longfirst
+    ia = longfirst ? DMS.LONGITUDE : DMS.LATITUDE;
+    ib = longfirst ? DMS.LATITUDE : DMS.LONGITUDE;
+  } else if (ia == DMS.NONE)
+    ia = DMS.LATITUDE + DMS.LONGITUDE - ib;
+  else if (ib == DMS.NONE)
+    ib = DMS.LATITUDE + DMS.LONGITUDE - ia;
+  if (ia == ib)
+    throw new Error('Both ' + stra + ' and ' + strb + ' interpreted as ' +
+                    (ia == DMS.LATITUDE ? 'latitudes' : 'longitudes'));
+  var
+      lat = ia == DMS.LATITUDE ? valsa.val : valsb.val,
+      lon = ia == DMS.LATITUDE ? valsb.val : valsa.val;
+  if (Math.abs(lat) > 90)
+    throw new Error('Latitude ' + lat + ' not in [-90,90]');
+  return {lat: lat, lon: lon};
+};
+
+
+/**
+ * Decode a DMS string as an arc length.
+ *
+ * @param {!string} angstr the string, which must not include a hemisphere
+ *     designator.
+ * @return {!number} the arc length (degrees).
+ */
+net.sf.geographiclib.DMS.DecodeAngle = function(angstr) {
+  var DMS = net.sf.geographiclib.DMS;
+  var vals = DMS.Decode(angstr);
+  if (vals.ind != DMS.NONE)
+    throw new Error('Arc angle ' + angstr + ' includes a hemisphere N/E/W/S');
+  return vals.val;
+};
+
+
+/**
+ * Decode a DMS string as an azimuth.
+ *
+ * @param {!string} azistr the string, which may include an E/W hemisphere
+ *     designator.
+ * @return {!number} the azimuth (degrees).
+ */
+net.sf.geographiclib.DMS.DecodeAzimuth = function(azistr) {
+  var DMS = net.sf.geographiclib.DMS;
+  var vals = DMS.Decode(azistr);
+  if (vals.ind == DMS.LATITUDE)
+    throw new Error('Azimuth ' + azistr + ' has a latitude hemisphere N/S');
+  return vals.val;
+};
+
+
+/**
+ * Convert an angle to a DMS string using &deg;, ' and ".  The result is
+ * <ul>
+ * <li>
+ *   for DMS.NONE, signed with no leading zeros on the degrees, e.g.
+ *   &minus;8&deg;03';
+ * <li>
+ *   for DMS.LATITUDE, unsigned with a trailing N or S and the degrees
+ *   padded to 2 digits, e.g. 08&deg;03'S;
+ * <li>
+ *   for DMS.LONGITUDE, unsigned with a trailing E or W and the degrees
+ *   padded to 3 digits, e.g. 008&deg;03'W;
+ * <li>
+ *   for DMS.AZIMUTH, reduced to [0&deg;, 360&deg;) with the degrees padded
+ *   to 3 digits, e.g. 351&deg;57'.
+ * </ul>
+ *
+ * @param {!number} angle the angle (degrees).
+ * @param {!number} trailing the trailing component, DMS.DEGREE, DMS.MINUTE
+ *     or DMS.SECOND, which is given as a decimal number if necessary.
+ * @param {!number} prec the number of digits after the decimal point in the
+ *     trailing component.
+ * @param {!number=} opt_ind the format, DMS.NONE (the default),
+ *     DMS.LATITUDE, DMS.LONGITUDE or DMS.AZIMUTH.
+ * @return {!string} the formatted angle.
+ */
+net.sf.geographiclib.DMS.Encode = function(angle, trailing, prec, opt_ind) {
+  var DMS = net.sf.geographiclib.DMS;
+  var ind = goog.isDef(opt_ind) ? opt_ind : DMS.NONE, scale = 1, i;
+  // Assume check on range of input angle has been made by calling routine
+  // (which might be able to offer a better diagnostic).
+  if (!isFinite(angle))
+    return angle < 0 ? '-inf' : (angle > 0 ? 'inf' : 'nan');
+  // 15 - 2 * trailing = ceiling(log10(2^53/90/60^trailing)).
+  // This suffices to give full real precision for numbers in [-90,90]
+  prec = Math.min(15 - 2 * trailing, prec);
+  for (i = 0; i < trailing; ++i)
+    scale *= 60;
+  for (i = 0; i < prec; ++i)
+    scale *= 10;
+  if (ind == DMS.AZIMUTH)
+    angle -= Math.floor(angle / 360) * 360;
+  var sign = angle < 0 ? -1 : 1;
+  angle *= sign;
+  // Break off integer part to preserve precision in manipulation of
+  // fractional part.
+  var
+      idegree = Math.floor(angle),
+      fdegree = (angle - idegree) * scale + 0.5,
+      f = Math.floor(fdegree);
+  // Implement the "round ties to even" rule (scale is even unless it is 1,
+  // in which case the last digit is the units digit of the degrees)
+  fdegree = ((f == fdegree && ((scale == 1 ? idegree + f : f) & 1)) ?
+             f - 1 : f) / scale;
+  if (fdegree >= 1) {
+    idegree += 1;
+    fdegree -= 1;
+  }
+  var pieces = [fdegree, 0, 0];
+  for (i = 1; i <= trailing; ++i) {
+    var ip = Math.floor(pieces[i - 1]);
+    pieces[i] = (pieces[i - 1] - ip) * 60;
+    pieces[i - 1] = ip;
+  }
+  pieces[0] += idegree;
+  var
+      s = ind == DMS.NONE && sign < 0 ? '-' : '',
+      // Width of the decimal places of the trailing component
+      fwidth = prec + (prec ? 1 : 0);
+  if (trailing == DMS.DEGREE)
+    s += DMS.zerofill_(pieces[0].toFixed(prec),
+                       ind == DMS.NONE ? 0 :
+                       1 + Math.min(ind, 2) + fwidth) +
+        DMS.dmsindicatorsu_.charAt(0);
+  else {
+    s += DMS.zerofill_(pieces[0].toFixed(0),
+                       ind == DMS.NONE ? 0 : 1 + Math.min(ind, 2)) +
+        DMS.dmsindicatorsu_.charAt(0);
+    if (trailing == DMS.MINUTE)
+      s += DMS.zerofill_(pieces[1].toFixed(prec), 2 + fwidth) +
+          DMS.dmsindicatorsu_.charAt(1);
+    else
+      s += DMS.zerofill_(pieces[1].toFixed(0), 2) +
+          DMS.dmsindicatorsu_.charAt(1) +
+          DMS.zerofill_(pieces[2].toFixed(prec), 2 + fwidth) +
+          DMS.dmsindicatorsu_.charAt(2);
+  }
+  if (ind != DMS.NONE && ind != DMS.AZIMUTH)
+    s += DMS.hemispheres_.charAt((ind == DMS.LATITUDE ? 0 : 2) +
+                                 (sign < 0 ? 0 : 1));
+  return s;
+};
@@ -0,0 +1,125 @@
+goog.provide('net.sf.geographiclib.Ellipsoid');
+
+goog.require('goog.asserts');
+
+
+
+/**
+ * An ellipsoid of revolution given by its equatorial radius and flattening.
+ * A handful of common reference ellipsoids are registered by name and can be
+ * looked up with {@link net.sf.geographiclib.Ellipsoid.get}.
+ * @constructor
+ * @param {!number} a Equatorial radius (meters).
+ * @param {!number} f Flattening of the ellipsoid, or its reciprocal when
+ *     greater than 1.  Negative values give prolate ellipsoids and 0 gives a
+ *     sphere.
+ */
+net.sf.geographiclib.Ellipsoid = function(a, f) {
+  goog.asserts.assert(isFinite(a) && a > 0,
+                      'Major radius is not positive');
+  /**
+   * @const
+   * @type {!number}
+   */
+  this.a = a;
+  /**
+   * @const
+   * @type {!number}
+   */
+  this.f = f <= 1 ? f : 1 / f;
+  goog.asserts.assert(isFinite(this.f) && this.f < 1,
+                      'Minor radius is not positive');
+};
+
+
+/**
+ * Registered ellipsoids keyed by upper case name.
+ * @private
+ * @type {!Object.<string, !net.sf.geographiclib.Ellipsoid>}
+ */
+net.sf.geographiclib.Ellipsoid.registry_ = {};
+
+
+/**
+ * Register an ellipsoid under a name.  Names are case insensitive and an
+ * existing entry with the same name is replaced.
+ * @param {!string} name
+ * @param {!net.sf.geographiclib.Ellipsoid} ellipsoid
+ */
+net.sf.geographiclib.Ellipsoid.register = function(name, ellipsoid) {
+  net.sf.geographiclib.Ellipsoid.registry_[name.toUpperCase()] = ellipsoid;
+};
+
+
+/**
+ * Remove a registered ellipsoid.
+ * @param {!string} name Case insensitive name.
+ */
+net.sf.geographiclib.Ellipsoid.unregister = function(name) {
+  delete net.sf.geographiclib.Ellipsoid.registry_[name.toUpperCase()];
+};
+
+
+/**
+ * Look up a registered ellipsoid.
+ * @param {!string} name Case insensitive name, e.g. 'GRS80'.
+ * @return {!net.sf.geographiclib.Ellipsoid}
+ * @throws {Error} if no ellipsoid is registered under the name.
+ */
+net.sf.geographiclib.Ellipsoid.get = function(name) {
+  var ellipsoid = net.sf.geographiclib.Ellipsoid.registry_[name.toUpperCase()];
+  if (!ellipsoid)
+    throw new Error('Unknown ellipsoid: ' + name);
+  return ellipsoid;
+};
+
+
+/**
+ * @return {!Array.<string>} Names of the registered ellipsoids.
+ */
+net.sf.geographiclib.Ellipsoid.getNames = function() {
+  var names = [];
+  for (var name in net.sf.geographiclib.Ellipsoid.registry_)
+    names.push(name);
+  return names;
+};
+
+
+/**
+ * @const
+ * @type {!net.sf.geographiclib.Ellipsoid}
+ */
+net.sf.geographiclib.Ellipsoid.WGS84 =
+    new net.sf.geographiclib.Ellipsoid(6378137, 298.257223563);
+
+
+(function() {
+  var Ellipsoid = net.sf.geographiclib.Ellipsoid;
+  Ellipsoid.register('WGS84', Ellipsoid.WGS84);
+  Ellipsoid.register('WGS72', new Ellipsoid(6378135, 298.26));
+  Ellipsoid.register('GRS80', new Ellipsoid(6378137, 298.257222101));
+  Ellipsoid.register('GRS67', new Ellipsoid(6378160, 298.247167427));
+  Ellipsoid.register('IERS2003', new Ellipsoid(6378136.6, 298.25642));
+  Ellipsoid.register('Bessel1841', new Ellipsoid(6377397.155, 299.1528128));
+  // The Tokyo datum is defined on the Bessel 1841 ellipsoid.
+  Ellipsoid.register('Tokyo', Ellipsoid.get('Bessel1841'));
+  Ellipsoid.register('Clarke1866', new Ellipsoid(6378206.4, 294.9786982));
+  Ellipsoid.register('Clarke1880', new Ellipsoid(6378249.145, 293.465));
+  Ellipsoid.register('Airy1830', new Ellipsoid(6377563.396, 299.3249646));
+  Ellipsoid.register('AiryModified',
+                     new Ellipsoid(6377340.189, 299.3249646));
+  Ellipsoid.register('International1924', new Ellipsoid(6378388, 297));
+  Ellipsoid.register('Krassovsky1940', new Ellipsoid(6378245, 298.3));
+  Ellipsoid.register('Everest1830', new Ellipsoid(6377276.345, 300.8017));
+  // Other bodies, from the IAU Working Group on Cartographic Coordinates and
+  // Rotational Elements.
+  Ellipsoid.register('Mercury', new Ellipsoid(2439400, 0));
+  Ellipsoid.register('Venus', new Ellipsoid(6051800, 0));
+  Ellipsoid.register('Moon', new Ellipsoid(1737400, 0));
+  Ellipsoid.register('Mars',
+                     new Ellipsoid(3396190, (3396190 - 3376200) / 3396190));
+  Ellipsoid.register('Jupiter',
+                     new Ellipsoid(71492000, (71492000 - 66854000) / 71492000));
+  Ellipsoid.register('Saturn',
+                     new Ellipsoid(60268000, (60268000 - 54364000) / 60268000));
+})();
@@ -0,0 +1,1022 @@
+goog.provide('net.sf.geographiclib.EllipticFunction');
+
+goog.require('net.sf.geographiclib.GeoMath');
+
+
+
+/**
+ * Elliptic integrals and functions.
+ * <p>
+ * This provides the complete and incomplete elliptic integrals of the first,
+ * second and third kinds, the Jacobi elliptic functions and their inverses,
+ * as needed for exact geodesics and projections on ellipsoids with arbitrary
+ * flattening.  The integrals are evaluated in terms of Carlson's symmetric
+ * integrals, see
+ * <ul>
+ * <li>B. C. Carlson,
+ *   <a href="http://dx.doi.org/10.1007/BF02198293">Computation of real or
+ *   complex elliptic integrals</a>, Numerical Algorithms <b>10</b>, 13&ndash;26
+ *   (1995).
+ * <li>B. C. Carlson, <a href="http://dlmf.nist.gov/19">Elliptic
+ *   Integrals</a>, Chapter 19 of the NIST Handbook of Mathematical
+ *   Functions (2010).
+ * </ul>
+ * <p>
+ * The integrals are defined in terms of the modulus squared
+ * <i>k</i><sup>2</sup> and the characteristic <i>&alpha;</i><sup>2</sup> with
+ * <ul>
+ * <li><i>F</i>(<i>&phi;</i>, <i>k</i>) = &int; 1 / sqrt(1 &minus;
+ *   <i>k</i><sup>2</sup> sin<sup>2</sup><i>&theta;</i>) d<i>&theta;</i>,
+ * <li><i>E</i>(<i>&phi;</i>, <i>k</i>) = &int; sqrt(1 &minus;
+ *   <i>k</i><sup>2</sup> sin<sup>2</sup><i>&theta;</i>) d<i>&theta;</i>,
+ * <li><i>D</i>(<i>&phi;</i>, <i>k</i>) = &int; sin<sup>2</sup><i>&theta;</i>
+ *   / sqrt(1 &minus; <i>k</i><sup>2</sup> sin<sup>2</sup><i>&theta;</i>)
+ *   d<i>&theta;</i>,
+ * <li><i>&Pi;</i>(<i>&phi;</i>, <i>&alpha;</i><sup>2</sup>, <i>k</i>) =
+ *   &int; 1 / ((1 &minus; <i>&alpha;</i><sup>2</sup>
+ *   sin<sup>2</sup><i>&theta;</i>) sqrt(1 &minus; <i>k</i><sup>2</sup>
+ *   sin<sup>2</sup><i>&theta;</i>)) d<i>&theta;</i>,
+ * <li><i>G</i>(<i>&phi;</i>, <i>&alpha;</i><sup>2</sup>, <i>k</i>) = &int;
+ *   sqrt(1 &minus; <i>k</i><sup>2</sup> sin<sup>2</sup><i>&theta;</i>) /
+ *   (1 &minus; <i>&alpha;</i><sup>2</sup> sin<sup>2</sup><i>&theta;</i>)
+ *   d<i>&theta;</i>,
+ * <li><i>H</i>(<i>&phi;</i>, <i>&alpha;</i><sup>2</sup>, <i>k</i>) = &int;
+ *   cos<sup>2</sup><i>&theta;</i> / ((1 &minus; <i>&alpha;</i><sup>2</sup>
+ *   sin<sup>2</sup><i>&theta;</i>) sqrt(1 &minus; <i>k</i><sup>2</sup>
+ *   sin<sup>2</sup><i>&theta;</i>)) d<i>&theta;</i>,
+ * </ul>
+ * the integrals being taken from 0 to <i>&phi;</i>.  The complete integrals
+ * are the values at <i>&phi;</i> = &pi;/2.  The Jacobi elliptic functions
+ * are sn(<i>x</i>, <i>k</i>) = sin<i>&phi;</i>, cn(<i>x</i>, <i>k</i>) =
+ * cos<i>&phi;</i> and dn(<i>x</i>, <i>k</i>) = sqrt(1 &minus;
+ * <i>k</i><sup>2</sup> sin<sup>2</sup><i>&phi;</i>) where <i>&phi;</i> =
+ * am(<i>x</i>, <i>k</i>) is the inverse of <i>x</i> = <i>F</i>(<i>&phi;</i>,
+ * <i>k</i>).  <i>k</i><sup>2</sup> and <i>&alpha;</i><sup>2</sup> may be
+ * negative, which is how they arise for geodesics on oblate ellipsoids.
+ * @constructor
+ * @param {!number} k2 the square of the modulus <i>k</i><sup>2</sup>;
+ *     <i>k</i><sup>2</sup> must lie in (&minus;&infin;, 1].
+ * @param {!number=} opt_alpha2 the parameter <i>&alpha;</i><sup>2</sup>
+ *     (default 0); <i>&alpha;</i><sup>2</sup> must lie in (&minus;&infin;, 1].
+ * @param {!number=} opt_kp2 the complementary modulus squared
+ *     <i>k'</i><sup>2</sup> = 1 &minus; <i>k</i><sup>2</sup>, given
+ *     explicitly to avoid loss of accuracy when <i>k</i><sup>2</sup> is
+ *     close to 1.
+ * @param {!number=} opt_alphap2 the complementary parameter
+ *     <i>&alpha;'</i><sup>2</sup> = 1 &minus; <i>&alpha;</i><sup>2</sup>.
+ */
+net.sf.geographiclib.EllipticFunction =
+    function(k2, opt_alpha2, opt_kp2, opt_alphap2) {
+  this.Reset(k2, opt_alpha2, opt_kp2, opt_alphap2);
+};
+
+
+/**
+ * Reset the modulus and parameter.
+ * @param {!number} k2 the square of the modulus.
+ * @param {!number=} opt_alpha2 the parameter (default 0).
+ * @param {!number=} opt_kp2 the complementary modulus squared (default 1
+ *     &minus; <i>k2</i>).
+ * @param {!number=} opt_alphap2 the complementary parameter (default 1
+ *     &minus; <i>alpha2</i>).
+ */
+net.sf.geographiclib.EllipticFunction.prototype.Reset =
+    function(k2, opt_alpha2, opt_kp2, opt_alphap2) {
+  var EllipticFunction = net.sf.geographiclib.EllipticFunction;
+  var alpha2 = goog.isDef(opt_alpha2) ? opt_alpha2 : 0;
+  this._k2 = k2;
+  this._kp2 = goog.isDef(opt_kp2) ? opt_kp2 : 1 - k2;
+  this._alpha2 = alpha2;
+  this._alphap2 = goog.isDef(opt_alphap2) ? opt_alphap2 : 1 - alpha2;
+  this._eps = this._k2 /
+      net.sf.geographiclib.GeoMath.sq(Math.sqrt(this._kp2) + 1);
+  if (this._k2 != 0) {
+    // Complete elliptic integral K(k), Carlson eq. 4.1
+    this._Kc = this._kp2 != 0 ? EllipticFunction.RF(this._kp2, 1) :
+        Number.POSITIVE_INFINITY;
+    // Complete elliptic integral E(k), Carlson eq. 4.2
+    this._Ec = this._kp2 != 0 ? 2 * EllipticFunction.RG(this._kp2, 1) : 1;
+    // D(k) = (K(k) - E(k))/k^2, Carlson eq.4.3
+    this._Dc = this._kp2 != 0 ? EllipticFunction.RD(0, this._kp2, 1) / 3 :
+        Number.POSITIVE_INFINITY;
+    // K(k) - E(k) without the cancellation
+    this._KEc = this._kp2 != 0 ? this._k2 * this._Dc :
+        Number.POSITIVE_INFINITY;
+  } else {
+    this._Kc = this._Ec = Math.PI / 2;
+    this._Dc = this._Kc / 2;
+    this._KEc = 0;
+  }
+  if (this._alpha2 != 0) {
+    var rj = (this._kp2 != 0 && this._alphap2 != 0) ?
+        EllipticFunction.RJ(0, this._kp2, 1, this._alphap2) :
+        Number.POSITIVE_INFINITY,
+        // Only use rc if kp2 = 0.
+        rc = this._kp2 != 0 ? 0 :
+        (this._alphap2 != 0 ? EllipticFunction.RC(1, this._alphap2) :
+         Number.POSITIVE_INFINITY);
+    // Pi(alpha^2, k)
+    this._Pic = this._kp2 != 0 ? this._Kc + this._alpha2 * rj / 3 :
+        Number.POSITIVE_INFINITY;
+    // G(alpha^2, k)
+    this._Gc = this._kp2 != 0 ?
+        this._Kc + (this._alpha2 - this._k2) * rj / 3 : rc;
+    // H(alpha^2, k)
+    this._Hc = this._kp2 != 0 ?
+        this._Kc - (this._alphap2 != 0 ? this._alphap2 * rj : 0) / 3 : rc;
+  } else {
+    this._Pic = this._Kc;
+    this._Gc = this._Ec;
+    // Hc = Kc - Dc but this involves large cancellations if k2 is close to
+    // 1.  So write (for alpha2 = 0)
+    //   Hc = int(cos(phi)^2/sqrt(1-k2*sin(phi)^2),phi,0,pi/2)
+    //      = 1/kp * D(i*k/kp)
+    // and use D(k) = RD(0, kp2, 1) / 3, so
+    //   Hc = kp2 * RD(0, 1, kp2) / 3.
+    // For k2 = 1 and alpha2 = 0, we have Hc = int(cos(phi),...) = 1.
+    this._Hc = this._kp2 != 0 ?
+        this._kp2 * EllipticFunction.RD(0, 1, this._kp2) / 3 : 1;
+  }
+};
+
+
+/**
+ * @return {!number} the square of the modulus <i>k</i><sup>2</sup>.
+ */
+net.sf.geographiclib.EllipticFunction.prototype.k2 = function() {
+  return this._k2;
+};
+
+
+/**
+ * @return {!number} the square of the complementary modulus
+ *     <i>k'</i><sup>2</sup>.
+ */
+net.sf.geographiclib.EllipticFunction.prototype.kp2 = function() {
+  return this._kp2;
+};
+
+
+/**
+ * @return {!number} the parameter <i>&alpha;</i><sup>2</sup>.
+ */
+net.sf.geographiclib.EllipticFunction.prototype.alpha2 = function() {
+  return this._alpha2;
+};
+
+
+/**
+ * @return {!number} the complementary parameter
+ *     <i>&alpha;'</i><sup>2</sup>.
+ */
+net.sf.geographiclib.EllipticFunction.prototype.alphap2 = function() {
+  return this._alphap2;
+};
+
+
+/**
+ * The complete integral of the first kind <i>K</i>(<i>k</i>).
+ * @return {!number}
+ */
+net.sf.geographiclib.EllipticFunction.prototype.K = function() {
+  return this._Kc;
+};
+
+
+/**
+ * The integral of the first kind.  With no arguments this returns the
+ * complete integral <i>K</i>(<i>k</i>); otherwise it returns the incomplete
+ * integral <i>F</i>(<i>&phi;</i>, <i>k</i>) in terms of the Jacobi elliptic
+ * functions sn, cn and dn of <i>&phi;</i>.  This is the inverse of
+ * {@link net.sf.geographiclib.EllipticFunction#am}.
+ * @param {!number=} opt_sn sin(<i>&phi;</i>).
+ * @param {!number=} opt_cn cos(<i>&phi;</i>).
+ * @param {!number=} opt_dn sqrt(1 &minus; <i>k</i><sup>2</sup>
+ *     sin<sup>2</sup><i>&phi;</i>).
+ * @return {!number}
+ */
+net.sf.geographiclib.EllipticFunction.prototype.F =
+    function(opt_sn, opt_cn, opt_dn) {
+  if (!goog.isDef(opt_sn))
+    return this._Kc;
+  var sn = opt_sn, cn = /** @type {number} */ (opt_cn),
+      dn = /** @type {number} */ (opt_dn);
+  var
+      cn2 = cn * cn, dn2 = dn * dn,
+      // Carlson, eq. 4.5 and http://dlmf.nist.gov/19.25.E5
+      fi = cn2 != 0 ? Math.abs(sn) *
+      net.sf.geographiclib.EllipticFunction.RF(cn2, dn2, 1) :
+      this._Kc;
+  // Enforce usual trig-like symmetries
+  if (cn < 0)
+    fi = 2 * this._Kc - fi;
+  return sn < 0 ? -fi : fi;
+};
+
+
+/**
+ * The integral of the second kind.  With no arguments this returns the
+ * complete integral <i>E</i>(<i>k</i>); otherwise it returns the incomplete
+ * integral <i>E</i>(<i>&phi;</i>, <i>k</i>) in terms of the Jacobi elliptic
+ * functions sn, cn and dn of <i>&phi;</i>.
+ * @param {!number=} opt_sn sin(<i>&phi;</i>).
+ * @param {!number=} opt_cn cos(<i>&phi;</i>).
+ * @param {!number=} opt_dn sqrt(1 &minus; <i>k</i><sup>2</sup>
+ *     sin<sup>2</sup><i>&phi;</i>).
+ * @return {!number}
+ */
+net.sf.geographiclib.EllipticFunction.prototype.E =
+    function(opt_sn, opt_cn, opt_dn) {
+  if (!goog.isDef(opt_sn))
+    return this._Ec;
+  var EllipticFunction = net.sf.geographiclib.EllipticFunction;
+  var sn = opt_sn, cn = /** @type {number} */ (opt_cn),
+      dn = /** @type {number} */ (opt_dn);
+  var
+      cn2 = cn * cn, dn2 = dn * dn, sn2 = sn * sn,
+      ei = cn2 != 0 ?
+      Math.abs(sn) * (this._k2 <= 0 ?
+      // Carlson, eq. 4.6 and http://dlmf.nist.gov/19.25.E9
+      EllipticFunction.RF(cn2, dn2, 1) -
+      this._k2 * sn2 * EllipticFunction.RD(cn2, dn2, 1) / 3 :
+      (this._kp2 >= 0 ?
+      // http://dlmf.nist.gov/19.25.E10
+      this._kp2 * EllipticFunction.RF(cn2, dn2, 1) +
+      this._k2 * this._kp2 * sn2 * EllipticFunction.RD(cn2, 1, dn2) / 3 +
+      this._k2 * Math.abs(cn) / dn :
+      // http://dlmf.nist.gov/19.25.E11
+      -this._kp2 * sn2 * EllipticFunction.RD(dn2, 1, cn2) / 3 +
+      dn / Math.abs(cn))) :
+      this._Ec;
+  // Enforce usual trig-like symmetries
+  if (cn < 0)
+    ei = 2 * this._Ec - ei;
+  return sn < 0 ? -ei : ei;
+};
+
+
+/**
+ * The difference <i>K</i>(<i>k</i>) &minus; <i>E</i>(<i>k</i>) of the
+ * complete integrals, computed without cancellation.
+ * @return {!number}
+ */
+net.sf.geographiclib.EllipticFunction.prototype.KE = function() {
+  return this._KEc;
+};
+
+
+/**
+ * Jahnke's integral.  With no arguments this returns the complete integral
+ * <i>D</i>(<i>k</i>) = (<i>K</i>(<i>k</i>) &minus; <i>E</i>(<i>k</i>)) /
+ * <i>k</i><sup>2</sup>; otherwise it returns the incomplete integral
+ * <i>D</i>(<i>&phi;</i>, <i>k</i>) in terms of sn, cn and dn of
+ * <i>&phi;</i>.
+ * @param {!number=} opt_sn sin(<i>&phi;</i>).
+ * @param {!number=} opt_cn cos(<i>&phi;</i>).
+ * @param {!number=} opt_dn sqrt(1 &minus; <i>k</i><sup>2</sup>
+ *     sin<sup>2</sup><i>&phi;</i>).
+ * @return {!number}
+ */
+net.sf.geographiclib.EllipticFunction.prototype.D =
+    function(opt_sn, opt_cn, opt_dn) {
+  if (!goog.isDef(opt_sn))
+    return this._Dc;
+  var sn = opt_sn, cn = /** @type {number} */ (opt_cn),
+      dn = /** @type {number} */ (opt_dn);
+  var
+      cn2 = cn * cn, dn2 = dn * dn, sn2 = sn * sn,
+      di = cn2 != 0 ? Math.abs(sn) * sn2 *
+      net.sf.geographiclib.EllipticFunction.RD(cn2, dn2, 1) / 3 :
+      this._Dc;
+  // Enforce usual trig-like symmetries
+  if (cn < 0)
+    di = 2 * this._Dc - di;
+  return sn < 0 ? -di : di;
+};
+
+
+/**
+ * Legendre's integral of the third kind expressed in terms of cos.  With no
+ * arguments this returns the complete integral
+ * <i>H</i>(<i>&alpha;</i><sup>2</sup>, <i>k</i>); otherwise it returns the
+ * incomplete integral <i>H</i>(<i>&phi;</i>, <i>&alpha;</i><sup>2</sup>,
+ * <i>k</i>) in terms of sn, cn and dn of <i>&phi;</i>.
+ * @param {!number=} opt_sn sin(<i>&phi;</i>).
+ * @param {!number=} opt_cn cos(<i>&phi;</i>).
+ * @param {!number=} opt_dn sqrt(1 &minus; <i>k</i><sup>2</sup>
+ *     sin<sup>2</sup><i>&phi;</i>).
+ * @return {!number}
+ */
+net.sf.geographiclib.EllipticFunction.prototype.H =
+    function(opt_sn, opt_cn, opt_dn) {
+  if (!goog.isDef(opt_sn))
+    return this._Hc;
+  var EllipticFunction = net.sf.geographiclib.EllipticFunction;
+  var sn = opt_sn, cn = /** @type {number} */ (opt_cn),
+      dn = /** @type {number} */ (opt_dn);
+  var
+      cn2 = cn * cn, dn2 = dn * dn, sn2 = sn * sn,
+      // WARNING: large cancellation if k2 = 1, alpha2 = 0, and phi near pi/2
+      hi = cn2 != 0 ?
+      Math.abs(sn) * (EllipticFunction.RF(cn2, dn2, 1) -
+      this._alphap2 * sn2 *
+      EllipticFunction.RJ(cn2, dn2, 1, cn2 + this._alphap2 * sn2) / 3) :
+      this._Hc;
+  // Enforce usual trig-like symmetries
+  if (cn < 0)
+    hi = 2 * this._Hc - hi;
+  return sn < 0 ? -hi : hi;
+};
+
+
+/**
+ * The integral of the third kind.  With no arguments this returns the
+ * complete integral <i>&Pi;</i>(<i>&alpha;</i><sup>2</sup>, <i>k</i>);
+ * otherwise it returns the incomplete integral <i>&Pi;</i>(<i>&phi;</i>,
+ * <i>&alpha;</i><sup>2</sup>, <i>k</i>) = &int; 1 / ((1 &minus;
+ * <i>&alpha;</i><sup>2</sup> sin<sup>2</sup><i>&theta;</i>) sqrt(1 &minus;
+ * <i>k</i><sup>2</sup> sin<sup>2</sup><i>&theta;</i>)) d<i>&theta;</i> in
+ * terms of sn, cn and dn of <i>&phi;</i>.
+ * @param {!number=} opt_sn sin(<i>&phi;</i>).
+ * @param {!number=} opt_cn cos(<i>&phi;</i>).
+ * @param {!number=} opt_dn sqrt(1 &minus; <i>k</i><sup>2</sup>
+ *     sin<sup>2</sup><i>&phi;</i>).
+ * @return {!number}
+ */
+net.sf.geographiclib.EllipticFunction.prototype.Pi =
+    function(opt_sn, opt_cn, opt_dn) {
+  if (!goog.isDef(opt_sn))
+    return this._Pic;
+  var EllipticFunction = net.sf.geographiclib.EllipticFunction;
+  var sn = opt_sn, cn = /** @type {number} */ (opt_cn),
+      dn = /** @type {number} */ (opt_dn);
+  var
+      cn2 = cn * cn, dn2 = dn * dn, sn2 = sn * sn,
+      // http://dlmf.nist.gov/19.25.E14
+      pii = cn2 != 0 ?
+      Math.abs(sn) * (EllipticFunction.RF(cn2, dn2, 1) +
+      this._alpha2 * sn2 *
+      EllipticFunction.RJ(cn2, dn2, 1, cn2 + this._alphap2 * sn2) / 3) :
+      this._Pic;
+  // Enforce usual trig-like symmetries
+  if (cn < 0)
+    pii = 2 * this._Pic - pii;
+  return sn < 0 ? -pii : pii;
+};
+
+
+/**
+ * Legendre's integral of the third kind expressed in terms of sin<sup>2</sup>
+ * and the modulus, <i>G</i>(<i>&phi;</i>, <i>&alpha;</i><sup>2</sup>,
+ * <i>k</i>) = &int; sqrt(1 &minus; <i>k</i><sup>2</sup>
+ * sin<sup>2</sup><i>&theta;</i>) / (1 &minus; <i>&alpha;</i><sup>2</sup>
+ * sin<sup>2</sup><i>&theta;</i>) d<i>&theta;</i>.  With no arguments this
+ * returns the complete integral <i>G</i>(<i>&alpha;</i><sup>2</sup>,
+ * <i>k</i>).
+ * @param {!number=} opt_sn sin(<i>&phi;</i>).
+ * @param {!number=} opt_cn cos(<i>&phi;</i>).
+ * @param {!number=} opt_dn sqrt(1 &minus; <i>k</i><sup>2</sup>
+ *     sin<sup>2</sup><i>&phi;</i>).
+ * @return {!number}
+ */
+net.sf.geographiclib.EllipticFunction.prototype.G =
+    function(opt_sn, opt_cn, opt_dn) {
+  if (!goog.isDef(opt_sn))
+    return this._Gc;
+  var EllipticFunction = net.sf.geographiclib.EllipticFunction;
+  var sn = opt_sn, cn = /** @type {number} */ (opt_cn),
+      dn = /** @type {number} */ (opt_dn);
+  var
+      cn2 = cn * cn, dn2 = dn * dn, sn2 = sn * sn,
+      gi = cn2 != 0 ?
+      Math.abs(sn) * (EllipticFunction.RF(cn2, dn2, 1) +
+      (this._alpha2 - this._k2) * sn2 *
+      EllipticFunction.RJ(cn2, dn2, 1, cn2 + this._alphap2 * sn2) / 3) :
+      this._Gc;
+  // Enforce usual trig-like symmetries
+  if (cn < 0)
+    gi = 2 * this._Gc - gi;
+  return sn < 0 ? -gi : gi;
+};
+
+
+/**
+ * The &Delta; amplitude function.
+ * @param {!number} sn sin(<i>&phi;</i>).
+ * @param {!number} cn cos(<i>&phi;</i>).
+ * @return {!number} sqrt(1 &minus; <i>k</i><sup>2</sup>
+ *     sin<sup>2</sup><i>&phi;</i>).
+ */
+net.sf.geographiclib.EllipticFunction.prototype.Delta = function(sn, cn) {
+  return Math.sqrt(this._k2 < 0 ? 1 - this._k2 * sn * sn :
+                   this._kp2 + this._k2 * cn * cn);
+};
+
+
+/**
+ * The periodic part of the integral of the second kind,
+ * <i>E</i>(<i>&phi;</i>, <i>k</i>) &pi; / (2 <i>E</i>(<i>k</i>)) &minus;
+ * <i>&phi;</i>.
+ * @param {!number} sn sin(<i>&phi;</i>).
+ * @param {!number} cn cos(<i>&phi;</i>).
+ * @param {!number} dn sqrt(1 &minus; <i>k</i><sup>2</sup>
+ *     sin<sup>2</sup><i>&phi;</i>).
+ * @return {!number}
+ */
+net.sf.geographiclib.EllipticFunction.prototype.deltaE =
+    function(sn, cn, dn) {
+  // Function is periodic with period pi
+  if (cn < 0) {
+    cn = -cn;
+    sn = -sn;
+  }
+  return this.E(sn, cn, dn) * (Math.PI / 2) / this._Ec - Math.atan2(sn, cn);
+};
+
+
+/**
+ * The periodic part of Jahnke's integral, <i>D</i>(<i>&phi;</i>, <i>k</i>)
+ * &pi; / (2 <i>D</i>(<i>k</i>)) &minus; <i>&phi;</i>.
+ * @param {!number} sn sin(<i>&phi;</i>).
+ * @param {!number} cn cos(<i>&phi;</i>).
+ * @param {!number} dn sqrt(1 &minus; <i>k</i><sup>2</sup>
+ *     sin<sup>2</sup><i>&phi;</i>).
+ * @return {!number}
+ */
+net.sf.geographiclib.EllipticFunction.prototype.deltaD =
+    function(sn, cn, dn) {
+  // Function is periodic with period pi
+  if (cn < 0) {
+    cn = -cn;
+    sn = -sn;
+  }
+  return this.D(sn, cn, dn) * (Math.PI / 2) / this._Dc - Math.atan2(sn, cn);
+};
+
+
+/**
+ * The periodic part of Legendre's integral of the third kind,
+ * <i>H</i>(<i>&phi;</i>, <i>&alpha;</i><sup>2</sup>, <i>k</i>) &pi; / (2
+ * <i>H</i>(<i>&alpha;</i><sup>2</sup>, <i>k</i>)) &minus; <i>&phi;</i>.
+ * @param {!number} sn sin(<i>&phi;</i>).
+ * @param {!number} cn cos(<i>&phi;</i>).
+ * @param {!number} dn sqrt(1 &minus; <i>k</i><sup>2</sup>
+ *     sin<sup>2</sup><i>&phi;</i>).
+ * @return {!number}
+ */
+net.sf.geographiclib.EllipticFunction.prototype.deltaH =
+    function(sn, cn, dn) {
+  // Function is periodic with period pi
+  if (cn < 0) {
+    cn = -cn;
+    sn = -sn;
+  }
+  return this.H(sn, cn, dn) * (Math.PI / 2) / this._Hc - Math.atan2(sn, cn);
+};
+
+
+/**
+ * The periodic part of the integral of the first kind,
+ * <i>F</i>(<i>&phi;</i>, <i>k</i>) &pi; / (2 <i>K</i>(<i>k</i>)) &minus;
+ * <i>&phi;</i>.
+ * @param {!number} sn sin(<i>&phi;</i>).
+ * @param {!number} cn cos(<i>&phi;</i>).
+ * @param {!number} dn sqrt(1 &minus; <i>k</i><sup>2</sup>
+ *     sin<sup>2</sup><i>&phi;</i>).
+ * @return {!number}
+ */
+net.sf.geographiclib.EllipticFunction.prototype.deltaF =
+    function(sn, cn, dn) {
+  // Function is periodic with period pi
+  if (cn < 0) {
+    cn = -cn;
+    sn = -sn;
+  }
+  return this.F(sn, cn, dn) * (Math.PI / 2) / this._Kc - Math.atan2(sn, cn);
+};
+
+
+/**
+ * The periodic part of the integral of the third kind,
+ * <i>&Pi;</i>(<i>&phi;</i>, <i>&alpha;</i><sup>2</sup>, <i>k</i>) &pi; / (2
+ * <i>&Pi;</i>(<i>&alpha;</i><sup>2</sup>, <i>k</i>)) &minus; <i>&phi;</i>.
+ * @param {!number} sn sin(<i>&phi;</i>).
+ * @param {!number} cn cos(<i>&phi;</i>).
+ * @param {!number} dn sqrt(1 &minus; <i>k</i><sup>2</sup>
+ *     sin<sup>2</sup><i>&phi;</i>).
+ * @return {!number}
+ */
+net.sf.geographiclib.EllipticFunction.prototype.deltaPi =
+    function(sn, cn, dn) {
+  // Function is periodic with period pi
+  if (cn < 0) {
+    cn = -cn;
+    sn = -sn;
+  }
+  return this.Pi(sn, cn, dn) * (Math.PI / 2) / this._Pic -
+      Math.atan2(sn, cn);
+};
+
+
+/**
+ * The periodic part of Legendre's integral <i>G</i>,
+ * <i>G</i>(<i>&phi;</i>, <i>&alpha;</i><sup>2</sup>, <i>k</i>) &pi; / (2
+ * <i>G</i>(<i>&alpha;</i><sup>2</sup>, <i>k</i>)) &minus; <i>&phi;</i>.
+ * @param {!number} sn sin(<i>&phi;</i>).
+ * @param {!number} cn cos(<i>&phi;</i>).
+ * @param {!number} dn sqrt(1 &minus; <i>k</i><sup>2</sup>
+ *     sin<sup>2</sup><i>&phi;</i>).
+ * @return {!number}
+ */
+net.sf.geographiclib.EllipticFunction.prototype.deltaG =
+    function(sn, cn, dn) {
+  // Function is periodic with period pi
+  if (cn < 0) {
+    cn = -cn;
+    sn = -sn;
+  }
+  return this.G(sn, cn, dn) * (Math.PI / 2) / this._Gc - Math.atan2(sn, cn);
+};
+
+
+/**
+ * Evaluate an incomplete integral given the amplitude <i>&phi;</i>.  For
+ * |<i>&phi;</i>| &ge; &pi; the secular part is added to the periodic part
+ * so that the result is accurate for large <i>&phi;</i>.
+ * @private
+ * @param {!number} phi the amplitude (radians).
+ * @param {function(this:net.sf.geographiclib.EllipticFunction, number,
+ *     number, number): number} integral
+ * @param {function(this:net.sf.geographiclib.EllipticFunction, number,
+ *     number, number): number} delta the periodic part of <i>integral</i>.
+ * @param {!number} complete the complete integral.
+ * @return {!number}
+ */
+net.sf.geographiclib.EllipticFunction.prototype.phiIntegral_ =
+    function(phi, integral, delta, complete) {
+  var
+      sn = Math.sin(phi),
+      cn = Math.cos(phi),
+      dn = this.Delta(sn, cn);
+  return Math.abs(phi) < Math.PI ? integral.call(this, sn, cn, dn) :
+      (delta.call(this, sn, cn, dn) + phi) * complete / (Math.PI / 2);
+};
+
+
+/**
+ * The incomplete integral of the first kind in terms of the amplitude.
+ * @param {!number} phi (radians).
+ * @return {!number} <i>F</i>(<i>&phi;</i>, <i>k</i>).
+ */
+net.sf.geographiclib.EllipticFunction.prototype.Fphi = function(phi) {
+  return this.phiIntegral_(phi, this.F, this.deltaF, this._Kc);
+};
+
+
+/**
+ * The incomplete integral of the second kind in terms of the amplitude.
+ * @param {!number} phi (radians).
+ * @return {!number} <i>E</i>(<i>&phi;</i>, <i>k</i>).
+ */
+net.sf.geographiclib.EllipticFunction.prototype.Ephi = function(phi) {
+  return this.phiIntegral_(phi, this.E, this.deltaE, this._Ec);
+};
+
+
+/**
+ * Jahnke's incomplete integral in terms of the amplitude.
+ * @param {!number} phi (radians).
+ * @return {!number} <i>D</i>(<i>&phi;</i>, <i>k</i>).
+ */
+net.sf.geographiclib.EllipticFunction.prototype.Dphi = function(phi) {
+  return this.phiIntegral_(phi, this.D, this.deltaD, this._Dc);
+};
+
+
+/**
+ * The incomplete integral of the third kind in terms of the amplitude.
+ * @param {!number} phi (radians).
+ * @return {!number} <i>&Pi;</i>(<i>&phi;</i>, <i>&alpha;</i><sup>2</sup>,
+ *     <i>k</i>).
+ */
+net.sf.geographiclib.EllipticFunction.prototype.Piphi = function(phi) {
+  return this.phiIntegral_(phi, this.Pi, this.deltaPi, this._Pic);
+};
+
+
+/**
+ * Legendre's incomplete integral <i>G</i> in terms of the amplitude.
+ * @param {!number} phi (radians).
+ * @return {!number} <i>G</i>(<i>&phi;</i>, <i>&alpha;</i><sup>2</sup>,
+ *     <i>k</i>).
+ */
+net.sf.geographiclib.EllipticFunction.prototype.Gphi = function(phi) {
+  return this.phiIntegral_(phi, this.G, this.deltaG, this._Gc);
+};
+
+
+/**
+ * Legendre's incomplete integral <i>H</i> in terms of the amplitude.
+ * @param {!number} phi (radians).
+ * @return {!number} <i>H</i>(<i>&phi;</i>, <i>&alpha;</i><sup>2</sup>,
+ *     <i>k</i>).
+ */
+net.sf.geographiclib.EllipticFunction.prototype.Hphi = function(phi) {
+  return this.phiIntegral_(phi, this.H, this.deltaH, this._Hc);
+};
+
+
+/**
+ * The Jacobi elliptic functions, computed with Bulirsch's sncndn routine,
+ * R. Bulirsch, <a href="http://dx.doi.org/10.1007/BF01397975">Numerical
+ * calculation of elliptic integrals and elliptic functions</a>, Numerische
+ * Mathematik <b>7</b>, 78&ndash;90 (1965).
+ * @param {!number} x the argument.
+ * @return {!{sn:!number, cn:!number, dn:!number}} sn(<i>x</i>, <i>k</i>),
+ *     cn(<i>x</i>, <i>k</i>) and dn(<i>x</i>, <i>k</i>).
+ */
+net.sf.geographiclib.EllipticFunction.prototype.sncndn = function(x) {
+  var tolJAC = Math.sqrt(net.sf.geographiclib.GeoMath.epsilon * 0.01);
+  var sn, cn, dn;
+  if (this._kp2 != 0) {
+    var mc = this._kp2, d = 0;
+    if (this._kp2 < 0) {
+      d = 1 - mc;
+      mc /= -d;
+      d = Math.sqrt(d);
+      x *= d;
+    }
+    var c = 0, m = [], n = [], l = 0, a, b;
+    for (a = 1; l < net.sf.geographiclib.EllipticFunction.num_; ++l) {
+      // This converges quadratically.  Max 5 trips
+      m[l] = a;
+      n[l] = mc = Math.sqrt(mc);
+      c = (a + mc) / 2;
+      if (!(Math.abs(a - mc) > tolJAC * a)) {
+        ++l;
+        break;
+      }
+      mc *= a;
+      a = c;
+    }
+    x *= c;
+    sn = Math.sin(x);
+    cn = Math.cos(x);
+    dn = 1;
+    if (sn != 0) {
+      a = cn / sn;
+      c *= a;
+      while (l--) {
+        b = m[l];
+        a *= c;
+        c *= dn;
+        dn = (n[l] + a) / (b + a);
+        a = c / b;
+      }
+      a = 1 / Math.sqrt(c * c + 1);
+      sn = sn < 0 ? -a : a;
+      cn = c * sn;
+      if (this._kp2 < 0) {
+        var t = cn;
+        cn = dn;
+        dn = t;
+        sn /= d;
+      }
+    }
+  } else {
+    sn = Math.tanh(x);
+    dn = cn = 1 / Math.cosh(x);
+  }
+  return {sn: sn, cn: cn, dn: dn};
+};
+
+
+/**
+ * The Jacobi amplitude, the inverse of the incomplete integral of the first
+ * kind.
+ * @param {!number} x the argument.
+ * @return {!number} am(<i>x</i>, <i>k</i>) = <i>&phi;</i> where
+ *     <i>F</i>(<i>&phi;</i>, <i>k</i>) = <i>x</i> (radians).
+ */
+net.sf.geographiclib.EllipticFunction.prototype.am = function(x) {
+  var r = this.sncndn(x),
+      phi = Math.atan2(r.sn, r.cn);
+  if (isFinite(this._Kc)) {
+    // atan2 only gives phi mod 2*pi; restore the multiple of 2*pi using the
+    // linear approximation pi * x / (2 * K).
+    phi += 2 * Math.PI *
+        Math.round((Math.PI * x / (2 * this._Kc) - phi) / (2 * Math.PI));
+  }
+  return phi;
+};
+
+
+/**
+ * The inverse of the incomplete integral of the second kind.
+ * @param {!number} x the value of <i>E</i>(<i>&phi;</i>, <i>k</i>).
+ * @return {!number} <i>&phi;</i> (radians).
+ */
+net.sf.geographiclib.EllipticFunction.prototype.Einv = function(x) {
+  var tolJAC = Math.sqrt(net.sf.geographiclib.GeoMath.epsilon * 0.01);
+  var n = Math.floor(x / (2 * this._Ec) + 0.5);
+  x -= 2 * this._Ec * n;        // x now in [-ec, ec)
+  // Linear approximation
+  var phi = Math.PI * x / (2 * this._Ec); // phi in [-pi/2, pi/2)
+  // First order correction
+  phi -= this._eps * Math.sin(2 * phi) / 2;
+  for (var i = 0; i < net.sf.geographiclib.EllipticFunction.num_; ++i) {
+    var
+        sn = Math.sin(phi),
+        cn = Math.cos(phi),
+        dn = this.Delta(sn, cn),
+        err = (this.E(sn, cn, dn) - x) / dn;
+    phi = phi - err;
+    if (!(Math.abs(err) > tolJAC))
+      break;
+  }
+  return n * Math.PI + phi;
+};
+
+
+/**
+ * The periodic part of the inverse of the integral of the second kind,
+ * <i>&phi;</i> &minus; <i>&tau;</i> where <i>E</i>(<i>&phi;</i>, <i>k</i>)
+ * = 2 <i>E</i>(<i>k</i>) <i>&tau;</i> / &pi;.
+ * @param {!number} stau sin(<i>&tau;</i>).
+ * @param {!number} ctau cos(<i>&tau;</i>).
+ * @return {!number}
+ */
+net.sf.geographiclib.EllipticFunction.prototype.deltaEinv =
+    function(stau, ctau) {
+  // Function is periodic with period pi
+  if (ctau < 0) {
+    ctau = -ctau;
+    stau = -stau;
+  }
+  var tau = Math.atan2(stau, ctau);
+  return this.Einv(tau * this._Ec / (Math.PI / 2)) - tau;
+};
+
+
+/**
+ * Maximum number of Newton iterations in the inverse functions.
+ * @private
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.EllipticFunction.num_ = 13;
+
+
+/**
+ * Symmetric integral of the first kind <i>R</i><sub><i>F</i></sub>.  If
+ * <i>z</i> is omitted, this returns the complete integral
+ * <i>R</i><sub><i>F</i></sub>(0, <i>x</i>, <i>y</i>).
+ * @param {!number} x
+ * @param {!number} y
+ * @param {!number=} opt_z
+ * @return {!number}
+ */
+net.sf.geographiclib.EllipticFunction.RF = function(x, y, opt_z) {
+  var tolRF = Math.pow(3 * net.sf.geographiclib.GeoMath.epsilon * 0.01, 1 / 8);
+  var xn, yn, t;
+  if (!goog.isDef(opt_z)) {
+    // Carlson, eqs 2.36 - 2.38
+    var tolRG0 = 2.7 * Math.sqrt(net.sf.geographiclib.GeoMath.epsilon * 0.01);
+    xn = Math.sqrt(x);
+    yn = Math.sqrt(y);
+    if (xn < yn) {
+      t = xn;
+      xn = yn;
+      yn = t;
+    }
+    while (Math.abs(xn - yn) > tolRG0 * xn) {
+      // Max 4 trips
+      t = (xn + yn) / 2;
+      yn = Math.sqrt(xn * yn);
+      xn = t;
+    }
+    return Math.PI / (xn + yn);
+  }
+  var z = opt_z;
+  // Carlson, eqs 2.2 - 2.7
+  var
+      A0 = (x + y + z) / 3,
+      An = A0,
+      Q = Math.max(Math.max(Math.abs(A0 - x), Math.abs(A0 - y)),
+                   Math.abs(A0 - z)) / tolRF,
+      x0 = x,
+      y0 = y,
+      z0 = z,
+      mul = 1;
+  while (Q >= mul * Math.abs(An)) {
+    // Max 6 trips
+    var lam = Math.sqrt(x0) * Math.sqrt(y0) + Math.sqrt(y0) * Math.sqrt(z0) +
+        Math.sqrt(z0) * Math.sqrt(x0);
+    An = (An + lam) / 4;
+    x0 = (x0 + lam) / 4;
+    y0 = (y0 + lam) / 4;
+    z0 = (z0 + lam) / 4;
+    mul *= 4;
+  }
+  var
+      X = (A0 - x) / (mul * An),
+      Y = (A0 - y) / (mul * An),
+      Z = -(X + Y),
+      E2 = X * Y - Z * Z,
+      E3 = X * Y * Z;
+  // http://dlmf.nist.gov/19.36.E1
+  // Polynomial is
+  // (1 - E2/10 + E3/14 + E2^2/24 - 3*E2*E3/44
+  //    - 5*E2^3/208 + 3*E3^2/104 + E2^2*E3/16)
+  // convert to Horner form...
+  return (E3 * (6930 * E3 + E2 * (15015 * E2 - 16380) + 17160) +
+          E2 * ((10010 - 5775 * E2) * E2 - 24024) + 240240) /
+      (240240 * Math.sqrt(An));
+};
+
+
+/**
+ * Degenerate symmetric integral <i>R</i><sub><i>C</i></sub>(<i>x</i>,
+ * <i>y</i>) = <i>R</i><sub><i>F</i></sub>(<i>x</i>, <i>y</i>, <i>y</i>).
+ * @param {!number} x
+ * @param {!number} y
+ * @return {!number}
+ */
+net.sf.geographiclib.EllipticFunction.RC = function(x, y) {
+  // Defined only for y != 0 and x >= 0.
+  return (!(x >= y) ?           // x < y  and catch nans
+      // http://dlmf.nist.gov/19.2.E18
+      Math.atan(Math.sqrt((y - x) / x)) / Math.sqrt(y - x) :
+      (x == y ? 1 / Math.sqrt(y) :
+      net.sf.geographiclib.GeoMath.asinh(y > 0 ?
+      // http://dlmf.nist.gov/19.2.E19
+      // atanh(sqrt((x - y) / x))
+      Math.sqrt((x - y) / y) :
+      // http://dlmf.nist.gov/19.2.E20
+      // atanh(sqrt(x / (x - y)))
+      Math.sqrt(-x / y)) / Math.sqrt(x - y)));
+};
+
+
+/**
+ * Symmetric integral of the second kind <i>R</i><sub><i>G</i></sub>.  If
+ * <i>z</i> is omitted, this returns the complete integral
+ * <i>R</i><sub><i>G</i></sub>(0, <i>x</i>, <i>y</i>).
+ * @param {!number} x
+ * @param {!number} y
+ * @param {!number=} opt_z
+ * @return {!number}
+ */
+net.sf.geographiclib.EllipticFunction.RG = function(x, y, opt_z) {
+  var EllipticFunction = net.sf.geographiclib.EllipticFunction;
+  if (goog.isDef(opt_z)) {
+    var z = opt_z;
+    return (x == 0 ? EllipticFunction.RG(y, z) :
+        (y == 0 ? EllipticFunction.RG(z, x) :
+        (z == 0 ? EllipticFunction.RG(x, y) :
+        // Carlson, eq 1.7
+        (z * EllipticFunction.RF(x, y, z) -
+         (x - z) * (y - z) * EllipticFunction.RD(x, y, z) / 3 +
+         Math.sqrt(x * y / z)) / 2)));
+  }
+  // Carlson, eqs 2.36 - 2.39
+  var tolRG0 = 2.7 * Math.sqrt(net.sf.geographiclib.GeoMath.epsilon * 0.01);
+  var
+      x0 = Math.sqrt(Math.max(x, y)),
+      y0 = Math.sqrt(Math.min(x, y)),
+      xn = x0,
+      yn = y0,
+      s = 0,
+      mul = 0.25;
+  while (Math.abs(xn - yn) > tolRG0 * xn) {
+    // Max 4 trips
+    var t = (xn + yn) / 2;
+    yn = Math.sqrt(xn * yn);
+    xn = t;
+    mul *= 2;
+    t = xn - yn;
+    s += mul * t * t;
+  }
+  return (net.sf.geographiclib.GeoMath.sq((x0 + y0) / 2) - s) * Math.PI /
+      (2 * (xn + yn));
+};
+
+
+/**
+ * Symmetric integral of the third kind <i>R</i><sub><i>J</i></sub>(<i>x</i>,
+ * <i>y</i>, <i>z</i>, <i>p</i>).
+ * @param {!number} x
+ * @param {!number} y
+ * @param {!number} z
+ * @param {!number} p
+ * @return {!number}
+ */
+net.sf.geographiclib.EllipticFunction.RJ = function(x, y, z, p) {
+  // Carlson, eqs 2.17 - 2.25
+  var tolRD = Math.pow(0.2 * (net.sf.geographiclib.GeoMath.epsilon * 0.01),
+                       1 / 8);
+  var
+      A0 = (x + y + z + 2 * p) / 5,
+      An = A0,
+      delta = (p - x) * (p - y) * (p - z),
+      Q = Math.max(Math.max(Math.abs(A0 - x), Math.abs(A0 - y)),
+                   Math.max(Math.abs(A0 - z), Math.abs(A0 - p))) / tolRD,
+      x0 = x,
+      y0 = y,
+      z0 = z,
+      p0 = p,
+      mul = 1,
+      mul3 = 1,
+      s = 0;
+  while (Q >= mul * Math.abs(An)) {
+    // Max 7 trips
+    var
+        lam = Math.sqrt(x0) * Math.sqrt(y0) + Math.sqrt(y0) * Math.sqrt(z0) +
+        Math.sqrt(z0) * Math.sqrt(x0),
+        d0 = (Math.sqrt(p0) + Math.sqrt(x0)) * (Math.sqrt(p0) + Math.sqrt(y0)) *
+        (Math.sqrt(p0) + Math.sqrt(z0)),
+        e0 = delta / (mul3 * net.sf.geographiclib.GeoMath.sq(d0));
+    s += net.sf.geographiclib.EllipticFunction.RC(1, 1 + e0) / (mul * d0);
+    An = (An + lam) / 4;
+    x0 = (x0 + lam) / 4;
+    y0 = (y0 + lam) / 4;
+    z0 = (z0 + lam) / 4;
+    p0 = (p0 + lam) / 4;
+    mul *= 4;
+    mul3 *= 64;
+  }
+  var
+      X = (A0 - x) / (mul * An),
+      Y = (A0 - y) / (mul * An),
+      Z = (A0 - z) / (mul * An),
+      P = -(X + Y + Z) / 2,
+      E2 = X * Y + X * Z + Y * Z - 3 * P * P,
+      E3 = X * Y * Z + 2 * P * (E2 + 2 * P * P),
+      E4 = (2 * X * Y * Z + P * (E2 + 3 * P * P)) * P,
+      E5 = X * Y * Z * P * P;
+  // http://dlmf.nist.gov/19.36.E2
+  // Polynomial is
+  // (1 - 3*E2/14 + E3/6 + 9*E2^2/88 - 3*E4/22 - 9*E2*E3/52 + 3*E5/26
+  //    - E2^3/16 + 3*E3^2/40 + 3*E2*E4/20 + 45*E2^2*E3/272
+  //    - 9*(E3*E4+E2*E5)/68)
+  return ((471240 - 540540 * E2) * E5 +
+          (612612 * E2 - 540540 * E3 - 556920) * E4 +
+          E3 * (306306 * E3 + E2 * (675675 * E2 - 706860) + 680680) +
+          E2 * ((417690 - 255255 * E2) * E2 - 875160) + 4084080) /
+      (4084080 * mul * An * Math.sqrt(An)) + 6 * s;
+};
+
+
+/**
+ * Degenerate symmetric integral of the third kind
+ * <i>R</i><sub><i>D</i></sub>(<i>x</i>, <i>y</i>, <i>z</i>) =
+ * <i>R</i><sub><i>J</i></sub>(<i>x</i>, <i>y</i>, <i>z</i>, <i>z</i>).
+ * @param {!number} x
+ * @param {!number} y
+ * @param {!number} z
+ * @return {!number}
+ */
+net.sf.geographiclib.EllipticFunction.RD = function(x, y, z) {
+  // Carlson, eqs 2.28 - 2.34
+  var tolRD = Math.pow(0.2 * (net.sf.geographiclib.GeoMath.epsilon * 0.01),
+                       1 / 8);
+  var
+      A0 = (x + y + 3 * z) / 5,
+      An = A0,
+      Q = Math.max(Math.max(Math.abs(A0 - x), Math.abs(A0 - y)),
+                   Math.abs(A0 - z)) / tolRD,
+      x0 = x,
+      y0 = y,
+      z0 = z,
+      mul = 1,
+      s = 0;
+  while (Q >= mul * Math.abs(An)) {
+    // Max 7 trips
+    var lam = Math.sqrt(x0) * Math.sqrt(y0) + Math.sqrt(y0) * Math.sqrt(z0) +
+        Math.sqrt(z0) * Math.sqrt(x0);
+    s += 1 / (mul * Math.sqrt(z0) * (z0 + lam));
+    An = (An + lam) / 4;
+    x0 = (x0 + lam) / 4;
+    y0 = (y0 + lam) / 4;
+    z0 = (z0 + lam) / 4;
+    mul *= 4;
+  }
+  var
+      X = (A0 - x) / (mul * An),
+      Y = (A0 - y) / (mul * An),
+      Z = -(X + Y) / 3,
+      E2 = X * Y - 6 * Z * Z,
+      E3 = (3 * X * Y - 8 * Z * Z) * Z,
+      E4 = 3 * (X * Y - Z * Z) * Z * Z,
+      E5 = X * Y * Z * Z * Z;
+  // http://dlmf.nist.gov/19.36.E2
+  // Polynomial is
+  // (1 - 3*E2/14 + E3/6 + 9*E2^2/88 - 3*E4/22 - 9*E2*E3/52 + 3*E5/26
+  //    - E2^3/16 + 3*E3^2/40 + 3*E2*E4/20 + 45*E2^2*E3/272
+  //    - 9*(E3*E4+E2*E5)/68)
+  return ((471240 - 540540 * E2) * E5 +
+          (612612 * E2 - 540540 * E3 - 556920) * E4 +
+          E3 * (306306 * E3 + E2 * (675675 * E2 - 706860) + 680680) +
+          E2 * ((417690 - 255255 * E2) * E2 - 875160) + 4084080) /
+      (4084080 * mul * An * Math.sqrt(An)) + 3 * s;
+};
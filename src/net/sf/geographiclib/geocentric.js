@@ -0,0 +1,290 @@
+goog.provide('net.sf.geographiclib.Geocentric');
+
+goog.require('goog.asserts');
+goog.require('net.sf.geographiclib.Ellipsoid');
+goog.require('net.sf.geographiclib.GeoMath');
+
+
+
+/**
+ * Geocentric coordinates.
+ * <p>
+ * Convert between geodetic coordinates latitude = <i>lat</i>, longitude =
+ * <i>lon</i>, height = <i>h</i> (measured vertically from the surface of the
+ * ellipsoid) to geocentric coordinates (<i>X</i>, <i>Y</i>, <i>Z</i>).  The
+ * origin of geocentric coordinates is at the center of the earth.  The
+ * <i>Z</i> axis goes thru the north pole, <i>lat</i> = 90&deg;.  The
+ * <i>X</i> axis goes thru <i>lat</i> = 0, <i>lon</i> = 0.  Geocentric
+ * coordinates are also known as earth centered, earth fixed (ECEF)
+ * coordinates.
+ * <p>
+ * The conversion from geographic to geocentric coordinates is
+ * straightforward.  For the reverse transformation we use
+ * <ul>
+ * <li>
+ *   H. Vermeille,
+ *   <a href="https://doi.org/10.1007/s00190-002-0273-6">Direct
+ *   transformation from geocentric coordinates to geodetic coordinates</a>,
+ *   J. Geodesy 76, 451&ndash;454 (2002).
+ * </ul>
+ * Several changes have been made to ensure that the method returns accurate
+ * results for all finite inputs (even if <i>h</i> is infinite).  The changes
+ * are described in Appendix B of
+ * <ul>
+ * <li>
+ *   C. F. F. Karney,
+ *   <a href="https://arxiv.org/abs/1102.1215v1">Geodesics on an ellipsoid of
+ *   revolution</a>, Feb. 2011.
+ * </ul>
+ * Vermeille similarly updated his method in
+ * <ul>
+ * <li>
+ *   H. Vermeille, An analytical method to transform geocentric into
+ *   geodetic coordinates, J. Geodesy 85, 105&ndash;117 (2011).
+ * </ul>
+ * The errors in these routines are close to round-off.  Specifically, for
+ * points within 5000 km of the surface of the ellipsoid (either inside or
+ * outside the ellipsoid), the error is bounded by 7 nm (7 nanometers) for
+ * the WGS84 ellipsoid.
+ * <p>
+ * The Forward and Reverse functions optionally return the rotation matrix
+ * <i>M</i> which expresses the vectors in the local east, north, up
+ * coordinate system at the point as vectors in geocentric coordinates.  It
+ * is stored in row-major order as an array of 9 numbers, so that a
+ * velocity <i>v</i> in local coordinates has the geocentric components
+ * <i>V</i><sub><i>i</i></sub> = &sum;<sub><i>j</i></sub>
+ * <i>M</i>[3<i>i</i> + <i>j</i>] <i>v</i><sub><i>j</i></sub>; the
+ * transpose of <i>M</i> performs the inverse transformation.
+ * @constructor
+ * @param {!number} a Equatorial radius (meters).
+ * @param {!number} f Flattening (or its reciprocal when greater than 1).
+ *     Negative flattening gives a prolate ellipsoid.
+ */
+net.sf.geographiclib.Geocentric = function(a, f) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  this._a = a;
+  this._f = f <= 1 ? f : 1 / f;
+  this._e2 = this._f * (2 - this._f);
+  this._e2m = GeoMath.sq(1 - this._f);          // 1 - _e2
+  this._e2a = Math.abs(this._e2);
+  this._e4a = GeoMath.sq(this._e2);
+  this._maxrad = 2 * this._a / GeoMath.epsilon;
+  goog.asserts.assert(isFinite(this._a) && this._a > 0,
+                      'Major radius is not positive');
+  goog.asserts.assert(isFinite(this._f) && this._f < 1,
+                      'Minor radius is not positive');
+};
+
+
+/**
+ * Convert from geodetic to geocentric coordinates.
+ * <p>
+ * <i>lat</i> should be in the range [&minus;90&deg;, 90&deg;].
+ *
+ * @param {!number} lat latitude of point (degrees).
+ * @param {!number} lon longitude of point (degrees).
+ * @param {!number} h height of point above the ellipsoid (meters).
+ * @param {!boolean=} opt_rotation if true also return the rotation matrix
+ *     <i>M</i> (default false).
+ * @return {!{X: number, Y: number, Z: number, M: (Array.<number>|undefined)}}
+ *     The geocentric coordinates (meters) and, if requested, the rotation
+ *     matrix from local to geocentric coordinates.
+ */
+net.sf.geographiclib.Geocentric.prototype.Forward =
+    function(lat, lon, h, opt_rotation) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  var
+      phi = lat * GeoMath.degree,
+      lam = lon * GeoMath.degree,
+      sphi = Math.sin(phi),
+      // Make the cardinal directions exact
+      cphi = Math.abs(lat) == 90 ? 0 : Math.cos(phi),
+      slam = lon % 180 == 0 ? 0 : Math.sin(lam),
+      clam = lon % 180 == 90 || lon % 180 == -90 ? 0 : Math.cos(lam),
+      n = this._a / Math.sqrt(1 - this._e2 * GeoMath.sq(sphi)),
+      r = (n + h) * cphi,
+      vals = {
+        X: r * clam,
+        Y: r * slam,
+        Z: (this._e2m * n + h) * sphi
+      };
+  if (opt_rotation)
+    vals.M = net.sf.geographiclib.Geocentric.rotation_(sphi, cphi,
+                                                        slam, clam);
+  return vals;
+};
+
+
+/**
+ * Convert from geocentric to geodetic coordinates.
+ * <p>
+ * In general there are multiple solutions and the result which minimizes
+ * |<i>h</i>| is returned, i.e., (<i>lat</i>, <i>lon</i>) corresponds to the
+ * closest point on the ellipsoid.  If there are still multiple solutions
+ * with different latitudes (applies only if <i>Z</i> = 0), then the solution
+ * with <i>lat</i> > 0 is returned.  If there are still multiple solutions
+ * with different longitudes (applies only if <i>X</i> = <i>Y</i> = 0) then
+ * <i>lon</i> = 0 is returned.  The value of <i>h</i> returned satisfies
+ * <i>h</i> &ge; &minus;<i>a</i> (1 &minus; <i>e</i><sup>2</sup>) /
+ * sqrt(1 &minus; <i>e</i><sup>2</sup> sin<sup>2</sup><i>lat</i>).  The
+ * value of <i>lon</i> returned is in the range [&minus;180&deg;,
+ * 180&deg;].
+ *
+ * @param {!number} X geocentric coordinate (meters).
+ * @param {!number} Y geocentric coordinate (meters).
+ * @param {!number} Z geocentric coordinate (meters).
+ * @param {!boolean=} opt_rotation if true also return the rotation matrix
+ *     <i>M</i> (default false).
+ * @return {!{lat: number, lon: number, h: number,
+ *     M: (Array.<number>|undefined)}} The latitude and longitude (degrees),
+ *     the height (meters) and, if requested, the rotation matrix from local
+ *     to geocentric coordinates.
+ */
+net.sf.geographiclib.Geocentric.prototype.Reverse =
+    function(X, Y, Z, opt_rotation) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  var
+      R = GeoMath.hypot(X, Y),
+      slam = R != 0 ? Y / R : 0,
+      clam = R != 0 ? X / R : 1,
+      h = GeoMath.hypot(R, Z),      // Distance to center of earth
+      sphi, cphi, H;
+  if (h > this._maxrad) {
+    // We really far away (> 12 million light years); treat the earth as a
+    // point and h, above, is an acceptable approximation to the height.
+    // This avoids overflow, e.g., in the computation of disc below.  It's
+    // possible that h has overflowed to inf; but that's OK.
+    //
+    // Treat the case X, Y finite, but R overflows to +inf by scaling by 2.
+    R = GeoMath.hypot(X / 2, Y / 2);
+    slam = R != 0 ? (Y / 2) / R : 0;
+    clam = R != 0 ? (X / 2) / R : 1;
+    H = GeoMath.hypot(Z / 2, R);
+    sphi = (Z / 2) / H;
+    cphi = R / H;
+  } else if (this._e4a == 0) {
+    // Treat the spherical case.  Dealing with underflow in the general case
+    // with _e2 = 0 is difficult.  Origin maps to N pole same as with
+    // ellipsoid.
+    H = GeoMath.hypot(h == 0 ? 1 : Z, R);
+    sphi = (h == 0 ? 1 : Z) / H;
+    cphi = R / H;
+    h -= this._a;
+  } else {
+    // Treat prolate spheroids by swapping R and Z here and by switching
+    // the arguments to phi = atan2(...) at the end.
+    var
+        p = GeoMath.sq(R / this._a),
+        q = this._e2m * GeoMath.sq(Z / this._a),
+        r = (p + q - this._e4a) / 6;
+    if (this._f < 0) {
+      var t = p; p = q; q = t;
+    }
+    if (!(this._e4a * q == 0 && r <= 0)) {
+      var
+          // Avoid possible division by zero when r = 0 by multiplying
+          // equations for s and t by r^3 and r, resp.
+          S = this._e4a * p * q / 4, // S = r^3 * s
+          r2 = GeoMath.sq(r),
+          r3 = r * r2,
+          disc = S * (2 * r3 + S),
+          u = r;
+      if (disc >= 0) {
+        var T3 = S + r3;
+        // Pick the sign on the sqrt to maximize abs(T3).  This minimizes
+        // loss of precision due to cancellation.  The result is unchanged
+        // because of the way the T is used in definition of u.
+        T3 += T3 < 0 ? -Math.sqrt(disc) : Math.sqrt(disc); // T3 = (r * t)^3
+        // N.B. cbrt always returns the real root.  cbrt(-8) = -2.
+        var T = GeoMath.cbrt(T3);    // T = r * t
+        // T can be zero; but then r2 / T -> 0.
+        u += T + (T != 0 ? r2 / T : 0);
+      } else {
+        // T is complex, but the way u is defined the result is real.
+        var ang = Math.atan2(Math.sqrt(-disc), -(S + r3));
+        // There are three possible cube roots.  We choose the root which
+        // avoids cancellation.  Note that disc < 0 implies that r < 0.
+        u += 2 * r * Math.cos(ang / 3);
+      }
+      var
+          v = Math.sqrt(GeoMath.sq(u) + this._e4a * q), // guaranteed positive
+          // Avoid loss of accuracy when u < 0.  Underflow doesn't occur in
+          // e4 * q / (v - u) because u ~ e^4 when q is small and u < 0.
+          uv = u < 0 ? this._e4a * q / (v - u) : u + v, // u+v, guaranteed > 0
+          // Need to guard against w going negative due to roundoff in uv - q.
+          w = Math.max(0, this._e2a * (uv - q) / (2 * v)),
+          // Rearrange expression for k to avoid loss of accuracy due to
+          // subtraction.  Division by 0 not possible because uv > 0, w >= 0.
+          k = uv / (Math.sqrt(uv + GeoMath.sq(w)) + w),
+          k1 = this._f >= 0 ? k : k - this._e2,
+          k2 = this._f >= 0 ? k + this._e2 : k,
+          d = k1 * R / k2;
+      H = GeoMath.hypot(Z / k1, R / k2);
+      sphi = (Z / k1) / H;
+      cphi = (R / k2) / H;
+      h = (1 - this._e2m / k1) * GeoMath.hypot(d, Z);
+    } else {                  // e4 * q == 0 && r <= 0
+      // This leads to k = 0 (oblate, equatorial plane) and k + e^2 = 0
+      // (prolate, rotation axis) and the generation of 0/0 in the general
+      // formulas for phi and h.  using the general formula and division by 0
+      // in formula for h.  So handle this case by taking the limits:
+      // f > 0: z -> 0, k      ->   e2 * sqrt(q)/sqrt(e4 - p)
+      // f < 0: R -> 0, k + e2 -> - e2 * sqrt(q)/sqrt(e4 - p)
+      var
+          zz = Math.sqrt((this._f >= 0 ? this._e4a - p : p) / this._e2m),
+          xx = Math.sqrt(this._f < 0 ? this._e4a - p : p);
+      H = GeoMath.hypot(zz, xx);
+      sphi = zz / H;
+      cphi = xx / H;
+      if (Z < 0) sphi = -sphi; // for tiny negative Z (not for prolate)
+      h = -this._a * (this._f >= 0 ? this._e2m : 1) * H / this._e2a;
+    }
+  }
+  var vals = {
+    lat: Math.atan2(sphi, cphi) / GeoMath.degree,
+    lon: Math.atan2(slam, clam) / GeoMath.degree,
+    h: h
+  };
+  if (opt_rotation)
+    vals.M = net.sf.geographiclib.Geocentric.rotation_(sphi, cphi,
+                                                        slam, clam);
+  return vals;
+};
+
+
+/**
+ * The rotation matrix from local east, north, up to geocentric coordinates.
+ * @private
+ * @param {!number} sphi
+ * @param {!number} cphi
+ * @param {!number} slam
+ * @param {!number} clam
+ * @return {!Array.<number>}
+ */
+net.sf.geographiclib.Geocentric.rotation_ = function(sphi, cphi, slam, clam) {
+  // This rotation matrix is given by the following quaternion operations
+  // qrot(lam, [0,0,1]) * qrot(phi, [0,-1,0]) * [1,1,1,1]/2
+  // or
+  // qrot(pi/2 + lam, [0,0,1]) * qrot(-pi/2 + phi , [-1,0,0])
+  // where
+  // qrot(t,v) = [cos(t/2), sin(t/2)*v[1], sin(t/2)*v[2], sin(t/2)*v[3]]
+  //
+  // The columns are the local east, north and up axes in geocentric
+  // coordinates.
+  return [
+    -slam, -clam * sphi, clam * cphi,
+    clam, -slam * sphi, slam * cphi,
+    0, cphi, sphi
+  ];
+};
+
+
+/**
+ * A Geocentric object for the WGS84 ellipsoid.
+ * @const
+ * @type {!net.sf.geographiclib.Geocentric}
+ */
+net.sf.geographiclib.Geocentric.WGS84 =
+    new net.sf.geographiclib.Geocentric(
+        net.sf.geographiclib.Ellipsoid.WGS84.a,
+        net.sf.geographiclib.Ellipsoid.WGS84.f);
@@ -0,0 +1,512 @@
+goog.provide('net.sf.geographiclib.GeoCoords');
+
+goog.require('net.sf.geographiclib.DMS');
+goog.require('net.sf.geographiclib.GeoMath');
+goog.require('net.sf.geographiclib.MGRS');
+goog.require('net.sf.geographiclib.UTMUPS');
+
+
+
+/**
+ * Conversion between geographic coordinates.
+ * <p>
+ * This class stores a geographic position which may be set via the
+ * constructor or Reset via
+ * <ul>
+ * <li>
+ *   latitude and longitude, e.g. "33.3 44.4" or "33d18'N 44d24'E" (see
+ *   {@link net.sf.geographiclib.DMS.DecodeLatLon});
+ * <li>
+ *   UTM or UPS coordinates, e.g. "38n 444000 3688000" or
+ *   "444000 3688000 38n" (see {@link
+ *   net.sf.geographiclib.UTMUPS.DecodeZone});
+ * <li>
+ *   an MGRS reference, e.g. "38SMB4488" (see {@link
+ *   net.sf.geographiclib.MGRS.Reverse}).
+ * </ul>
+ * The components may be separated by blanks or commas.  The position may be
+ * read back as a latitude and longitude, as UTM or UPS coordinates in the
+ * standard zone or in an alternate zone, or as formatted strings.  The
+ * representations are truncated (MGRS) or rounded (the others) to the
+ * requested precision, so converting one back gives the stored position to
+ * within that precision.  All the grids are on the WGS84 ellipsoid.
+ * <p>
+ * Malformed strings and coordinates out of range cause an Error to be
+ * thrown with a message describing the problem.
+ * @constructor
+ * @param {!string=} opt_s the position; if it is omitted the position is
+ *     invalid, i.e., all its coordinates are NaN.
+ * @param {!boolean=} opt_centerp if true (the default) an MGRS reference
+ *     gives the center of its square, else the lower left corner.
+ * @param {!boolean=} opt_longfirst if true assume that the longitude is
+ *     given first in the absence of hemisphere designators (default false).
+ */
+net.sf.geographiclib.GeoCoords = function(opt_s, opt_centerp, opt_longfirst) {
+  this._lat = this._long = Number.NaN;
+  this._easting = this._northing = Number.NaN;
+  this._gamma = this._k = Number.NaN;
+  this._northp = false;
+  this._zone = net.sf.geographiclib.UTMUPS.INVALID;
+  this.copyToAlt_();
+  if (goog.isDef(opt_s))
+    this.Reset(opt_s, opt_centerp, opt_longfirst);
+};
+
+
+/**
+ * Reset the position from a string.
+ *
+ * @param {!string} s the position, with one component (MGRS), two
+ *     (latitude and longitude) or three (UTM/UPS zone and hemisphere
+ *     followed or preceded by the easting and northing).
+ * @param {!boolean=} opt_centerp if true (the default) an MGRS reference
+ *     gives the center of its square, else the lower left corner.
+ * @param {!boolean=} opt_longfirst if true assume that the longitude is
+ *     given first in the absence of hemisphere designators (default false).
+ */
+net.sf.geographiclib.GeoCoords.prototype.Reset =
+    function(s, opt_centerp, opt_longfirst) {
+  var UTMUPS = net.sf.geographiclib.UTMUPS;
+  var t = s.replace(/^[\s,]+|[\s,]+$/g, '');
+  var sa = t.length > 0 ? t.split(/[\s,]+/) : [];
+  if (sa.length == 1) {
+    var m = net.sf.geographiclib.MGRS.Reverse(sa[0], opt_centerp);
+    this.setUTMUPS_(m.zone, m.northp, m.x, m.y);
+  } else if (sa.length == 2) {
+    var ll = net.sf.geographiclib.DMS.DecodeLatLon(sa[0], sa[1],
+                                                   opt_longfirst);
+    this.ResetLatLon(ll.lat, ll.lon);
+  } else if (sa.length == 3) {
+    var zoneind, coordind;
+    if (/[a-z]$/i.test(sa[0])) {
+      zoneind = 0;
+      coordind = 1;
+    } else if (/[a-z]$/i.test(sa[2])) {
+      zoneind = 2;
+      coordind = 0;
+    } else
+      throw new Error('Neither ' + sa[0] + ' nor ' + sa[2] +
+                      ' of the form UTM/UPS Zone + Hemisphere' +
+                      ' (ex: 38n, 09s, n)');
+    var z = UTMUPS.DecodeZone(sa[zoneind]);
+    if (z === null)
+      throw new Error('Illegal UTM/UPS zone ' + sa[zoneind]);
+    var
+        easting = net.sf.geographiclib.GeoCoords.val_(sa[coordind]),
+        northing = net.sf.geographiclib.GeoCoords.val_(sa[coordind + 1]);
+    this.ResetUTMUPS(z.zone, z.northp, easting, northing);
+  } else
+    throw new Error('Coordinate requires 1, 2, or 3 elements');
+};
+
+
+/**
+ * Reset the position from a latitude and longitude.
+ * <p>
+ * <i>lat</i> should be in the range [&minus;90&deg;, 90&deg;] and
+ * <i>lon</i> in the range [&minus;540&deg;, 540&deg;); an Error is thrown
+ * otherwise.
+ *
+ * @param {!number} lat latitude (degrees).
+ * @param {!number} lon longitude (degrees).
+ * @param {!number=} opt_zone if specified, force the UTM/UPS representation
+ *     to use a specified zone using the rules given in {@link
+ *     net.sf.geographiclib.UTMUPS.StandardZone}.
+ */
+net.sf.geographiclib.GeoCoords.prototype.ResetLatLon =
+    function(lat, lon, opt_zone) {
+  if (Math.abs(lat) > 90)
+    throw new Error('Latitude ' + lat + ' not in [-90,90]');
+  if (!(lon >= -540 && lon < 540))
+    throw new Error('Longitude ' + lon + ' not in [-540,540)');
+  this._lat = lat;
+  this._long = net.sf.geographiclib.GeoMath.angNormalize(lon);
+  var r = net.sf.geographiclib.UTMUPS.Forward(this._lat, this._long,
+                                              opt_zone);
+  this._zone = r.zone;
+  this._northp = r.northp;
+  this._easting = r.x;
+  this._northing = r.y;
+  this._gamma = r.gamma;
+  this._k = r.k;
+  this.copyToAlt_();
+};
+
+
+/**
+ * Reset the position from UTM or UPS coordinates.
+ *
+ * @param {!number} zone the UTM zone (0 means UPS).
+ * @param {!boolean} northp hemisphere (true means north, false means south).
+ * @param {!number} easting (meters).
+ * @param {!number} northing (meters).
+ */
+net.sf.geographiclib.GeoCoords.prototype.ResetUTMUPS =
+    function(zone, northp, easting, northing) {
+  var UTMUPS = net.sf.geographiclib.UTMUPS;
+  if (!(zone >= UTMUPS.MINZONE && zone <= UTMUPS.MAXZONE))
+    throw new Error('Zone ' + zone + ' not in [0,60]');
+  if (!UTMUPS.CheckCoords(zone != UTMUPS.UPS, northp, easting, northing))
+    throw new Error('Easting ' + easting + ' or northing ' + northing +
+                    ' out of legal range for ' +
+                    (zone != UTMUPS.UPS ? 'UTM' : 'UPS') + ' ' +
+                    (northp ? 'N' : 'S') + ' hemisphere');
+  this.setUTMUPS_(zone, northp, easting, northing);
+  this.fixHemisphere_();
+};
+
+
+/**
+ * @private
+ * @param {!number} zone
+ * @param {!boolean} northp
+ * @param {!number} easting
+ * @param {!number} northing
+ */
+net.sf.geographiclib.GeoCoords.prototype.setUTMUPS_ =
+    function(zone, northp, easting, northing) {
+  var r = net.sf.geographiclib.UTMUPS.Reverse(zone, northp, easting,
+                                              northing);
+  this._zone = zone;
+  this._northp = northp;
+  this._easting = easting;
+  this._northing = northing;
+  this._lat = r.lat;
+  this._long = r.lon;
+  this._gamma = r.gamma;
+  this._k = r.k;
+  this.copyToAlt_();
+};
+
+
+/**
+ * Make the hemisphere consistent with the latitude by moving UTM northings
+ * across the equator.
+ * @private
+ */
+net.sf.geographiclib.GeoCoords.prototype.fixHemisphere_ = function() {
+  if (this._lat == 0 || (this._northp && this._lat >= 0) ||
+      (!this._northp && this._lat < 0) || isNaN(this._lat))
+    // Allow either hemisphere for equator
+    return;
+  if (this._zone == net.sf.geographiclib.UTMUPS.UPS)
+    throw new Error('Hemisphere mixup');
+  this._northing += (this._northp ? 1 : -1) * 10000000;
+  this._northp = !this._northp;
+  this.copyToAlt_();
+};
+
+
+/**
+ * @private
+ */
+net.sf.geographiclib.GeoCoords.prototype.copyToAlt_ = function() {
+  this._alt_easting = this._easting;
+  this._alt_northing = this._northing;
+  this._alt_gamma = this._gamma;
+  this._alt_k = this._k;
+  this._alt_zone = this._zone;
+};
+
+
+/**
+ * Parse a number, allowing nan.
+ * @private
+ * @param {!string} s
+ * @return {!number}
+ */
+net.sf.geographiclib.GeoCoords.val_ = function(s) {
+  var x = Number(s);
+  if (isNaN(x) && !/^[-+]?nan$/i.test(s))
+    throw new Error('Cannot decode ' + s + ' as a number');
+  return x;
+};
+
+
+/**
+ * @return {!number} latitude (degrees).
+ */
+net.sf.geographiclib.GeoCoords.prototype.Latitude = function() {
+  return this._lat;
+};
+
+
+/**
+ * @return {!number} longitude (degrees).
+ */
+net.sf.geographiclib.GeoCoords.prototype.Longitude = function() {
+  return this._long;
+};
+
+
+/**
+ * @return {!number} easting (meters).
+ */
+net.sf.geographiclib.GeoCoords.prototype.Easting = function() {
+  return this._easting;
+};
+
+
+/**
+ * @return {!number} northing (meters).
+ */
+net.sf.geographiclib.GeoCoords.prototype.Northing = function() {
+  return this._northing;
+};
+
+
+/**
+ * @return {!number} meridian convergence (degrees) for the UTM/UPS
+ *     projection.
+ */
+net.sf.geographiclib.GeoCoords.prototype.Convergence = function() {
+  return this._gamma;
+};
+
+
+/**
+ * @return {!number} scale for the UTM/UPS projection.
+ */
+net.sf.geographiclib.GeoCoords.prototype.Scale = function() {
+  return this._k;
+};
+
+
+/**
+ * @return {!boolean} hemisphere (true means north, false means south).
+ */
+net.sf.geographiclib.GeoCoords.prototype.Northp = function() {
+  return this._northp;
+};
+
+
+/**
+ * @return {!string} hemisphere letter, N or S.
+ */
+net.sf.geographiclib.GeoCoords.prototype.Hemisphere = function() {
+  return this._northp ? 'N' : 'S';
+};
+
+
+/**
+ * @return {!number} the zone corresponding to the input (0 means UPS).
+ */
+net.sf.geographiclib.GeoCoords.prototype.Zone = function() {
+  return this._zone;
+};
+
+
+/**
+ * Specify the alternate zone used by the Alt methods.  This has no effect
+ * on the rest of the object.
+ *
+ * @param {!number=} opt_zone the alternate zone using the rules of {@link
+ *     net.sf.geographiclib.UTMUPS.StandardZone}, or UTMUPS.MATCH to use the
+ *     zone of the input (default UTMUPS.STANDARD).
+ */
+net.sf.geographiclib.GeoCoords.prototype.SetAltZone = function(opt_zone) {
+  var UTMUPS = net.sf.geographiclib.UTMUPS;
+  var zone = goog.isDef(opt_zone) ? opt_zone : UTMUPS.STANDARD;
+  if (zone != UTMUPS.MATCH)
+    zone = UTMUPS.StandardZone(this._lat, this._long, zone);
+  if (zone == UTMUPS.MATCH || zone == this._zone) {
+    this.copyToAlt_();
+    return;
+  }
+  var r = UTMUPS.Forward(this._lat, this._long, zone);
+  this._alt_zone = r.zone;
+  this._alt_easting = r.x;
+  this._alt_northing = r.y;
+  this._alt_gamma = r.gamma;
+  this._alt_k = r.k;
+};
+
+
+/**
+ * @return {!number} the current alternate zone (0 means UPS).
+ */
+net.sf.geographiclib.GeoCoords.prototype.AltZone = function() {
+  return this._alt_zone;
+};
+
+
+/**
+ * @return {!number} easting (meters) for the alternate zone.
+ */
+net.sf.geographiclib.GeoCoords.prototype.AltEasting = function() {
+  return this._alt_easting;
+};
+
+
+/**
+ * @return {!number} northing (meters) for the alternate zone.
+ */
+net.sf.geographiclib.GeoCoords.prototype.AltNorthing = function() {
+  return this._alt_northing;
+};
+
+
+/**
+ * @return {!number} meridian convergence (degrees) for the alternate zone.
+ */
+net.sf.geographiclib.GeoCoords.prototype.AltConvergence = function() {
+  return this._alt_gamma;
+};
+
+
+/**
+ * @return {!number} scale for the alternate zone.
+ */
+net.sf.geographiclib.GeoCoords.prototype.AltScale = function() {
+  return this._alt_k;
+};
+
+
+/**
+ * String representation with latitude and longitude as signed decimal
+ * degrees.
+ *
+ * @param {!number=} opt_prec precision (relative to about 1 m), default 0,
+ *     which gives 5 decimal places.
+ * @param {!boolean=} opt_longfirst if true give the longitude first
+ *     (default false).
+ * @return {!string}
+ */
+net.sf.geographiclib.GeoCoords.prototype.GeoRepresentation =
+    function(opt_prec, opt_longfirst) {
+  var prec = Math.max(0, Math.min(9, goog.isDef(opt_prec) ? opt_prec : 0) +
+                      5);
+  var
+      a = (opt_longfirst ? this._long : this._lat).toFixed(prec),
+      b = (opt_longfirst ? this._lat : this._long).toFixed(prec);
+  return a + ' ' + b;
+};
+
+
+/**
+ * String representation with latitude and longitude as degrees, minutes
+ * and seconds and hemisphere designators.
+ *
+ * @param {!number=} opt_prec precision (relative to about 1 m), default 0,
+ *     which gives seconds to 1 decimal place.
+ * @param {!boolean=} opt_longfirst if true give the longitude first
+ *     (default false).
+ * @return {!string}
+ */
+net.sf.geographiclib.GeoCoords.prototype.DMSRepresentation =
+    function(opt_prec, opt_longfirst) {
+  var DMS = net.sf.geographiclib.DMS;
+  var
+      prec = Math.max(0, Math.min(10, goog.isDef(opt_prec) ? opt_prec : 0) +
+                      5),
+      // prec is the number of decimal places in the degrees: 0 and 1 give
+      // degrees, 2 and 3 minutes, and the rest seconds.
+      trailing = prec < 2 ? DMS.DEGREE : (prec < 4 ? DMS.MINUTE : DMS.SECOND),
+      places = prec - 2 * trailing,
+      lat = DMS.Encode(this._lat, trailing, places, DMS.LATITUDE),
+      lon = DMS.Encode(this._long, trailing, places, DMS.LONGITUDE);
+  return opt_longfirst ? lon + ' ' + lat : lat + ' ' + lon;
+};
+
+
+/**
+ * MGRS string.
+ *
+ * @param {!number=} opt_prec precision relative to 1 m, default 0; the
+ *     MGRS precision is 5 + <i>prec</i>, which is clamped to [&minus;1, 11].
+ * @return {!string}
+ */
+net.sf.geographiclib.GeoCoords.prototype.MGRSRepresentation =
+    function(opt_prec) {
+  return net.sf.geographiclib.MGRS.Forward(
+      this._zone, this._northp, this._easting, this._northing,
+      net.sf.geographiclib.GeoCoords.mgrsPrec_(opt_prec), this._lat);
+};
+
+
+/**
+ * MGRS string for the alternate zone.
+ *
+ * @param {!number=} opt_prec precision relative to 1 m, default 0.
+ * @return {!string}
+ */
+net.sf.geographiclib.GeoCoords.prototype.AltMGRSRepresentation =
+    function(opt_prec) {
+  return net.sf.geographiclib.MGRS.Forward(
+      this._alt_zone, this._northp, this._alt_easting, this._alt_northing,
+      net.sf.geographiclib.GeoCoords.mgrsPrec_(opt_prec), this._lat);
+};
+
+
+/**
+ * UTM/UPS string, e.g. "38n 444000 3688000".
+ *
+ * @param {!number=} opt_prec precision relative to 1 m, in [&minus;5, 9],
+ *     default 0.
+ * @param {!boolean=} opt_abbrev if true (the default) use the abbreviated
+ *     forms n and s for the hemisphere.
+ * @return {!string}
+ */
+net.sf.geographiclib.GeoCoords.prototype.UTMUPSRepresentation =
+    function(opt_prec, opt_abbrev) {
+  return net.sf.geographiclib.GeoCoords.utmupsString_(
+      this._zone, this._northp, this._easting, this._northing, opt_prec,
+      opt_abbrev);
+};
+
+
+/**
+ * UTM/UPS string for the alternate zone.
+ *
+ * @param {!number=} opt_prec precision relative to 1 m, in [&minus;5, 9],
+ *     default 0.
+ * @param {!boolean=} opt_abbrev if true (the default) use the abbreviated
+ *     forms n and s for the hemisphere.
+ * @return {!string}
+ */
+net.sf.geographiclib.GeoCoords.prototype.AltUTMUPSRepresentation =
+    function(opt_prec, opt_abbrev) {
+  return net.sf.geographiclib.GeoCoords.utmupsString_(
+      this._alt_zone, this._northp, this._alt_easting, this._alt_northing,
+      opt_prec, opt_abbrev);
+};
+
+
+/**
+ * @private
+ * @param {!number=} opt_prec
+ * @return {!number}
+ */
+net.sf.geographiclib.GeoCoords.mgrsPrec_ = function(opt_prec) {
+  // Max precision is um
+  return Math.max(-1, Math.min(6, goog.isDef(opt_prec) ? opt_prec : 0) + 5);
+};
+
+
+/**
+ * @private
+ * @param {!number} zone
+ * @param {!boolean} northp
+ * @param {!number} easting
+ * @param {!number} northing
+ * @param {!number=} opt_prec
+ * @param {!boolean=} opt_abbrev
+ * @return {!string}
+ */
+net.sf.geographiclib.GeoCoords.utmupsString_ =
+    function(zone, northp, easting, northing, opt_prec, opt_abbrev) {
+  var
+      prec = Math.max(-5, Math.min(9, goog.isDef(opt_prec) ? opt_prec : 0)),
+      scale = prec < 0 ? Math.pow(10, -prec) : 1,
+      str = function(x) {
+        if (!isFinite(x))
+          return 'nan';
+        var s = (x / scale).toFixed(Math.max(0, prec));
+        // Restore the trailing zeros dropped by a negative precision
+        if (prec < 0 && Number(s) != 0)
+          s += '00000'.substr(0, -prec);
+        return s;
+      };
+  return net.sf.geographiclib.UTMUPS.EncodeZone(zone, northp, opt_abbrev) +
+      ' ' + str(easting) + ' ' + str(northing);
+};
@@ -3,6 +3,9 @@ goog.provide('net.sf.geographiclib.Geodesic');
 goog.require('goog.asserts');
 goog.require('net.sf.geographiclib.Accuracy');
 goog.require('net.sf.geographiclib.GeoMath');
+goog.require('net.sf.geographiclib.GeodesicCoeff');
+goog.require('net.sf.geographiclib.GeodesicData');
+goog.require('net.sf.geographiclib.GeodesicLine');
 goog.require('net.sf.geographiclib.GeodesicMask');
 
 
@@ -93,27 +96,31 @@ goog.require('net.sf.geographiclib.GeodesicMask');
  * </ul>
  * <p>
  * The results of the geodesic calculations are bundled up into a {@link
- * GeodesicData} object which includes the input parameters and all the
- * computed results, i.e., <i>lat1</i>, <i>lon1</i>, <i>azi1</i>, <i>lat2</i>,
- * <i>lon2</i>, <i>azi2</i>, <i>s12</i>, <i>a12</i>, <i>m12</i>, <i>M12</i>,
- * <i>M21</i>, <i>S12</i>.
+ * net.sf.geographiclib.GeodesicData} object which includes the input
+ * parameters and all the computed results, i.e., <i>lat1</i>, <i>lon1</i>,
+ * <i>azi1</i>, <i>lat2</i>, <i>lon2</i>, <i>azi2</i>, <i>s12</i>, <i>a12</i>,
+ * <i>m12</i>, <i>M12</i>, <i>M21</i>, <i>S12</i>.
  * <p>
- * The functions  Direct,
- * {@link ArcDirect}, and
- * {@link Inverse} include an
+ * The functions {@link net.sf.geographiclib.Geodesic#Direct},
+ * {@link net.sf.geographiclib.Geodesic#ArcDirect}, and
+ * {@link net.sf.geographiclib.Geodesic#Inverse} include an
  * optional final argument <i>outmask</i> which allows you specify which
  * results should be computed and returned.  If you omit <i>outmask</i>, then
  * the "standard" geodesic results are computed (latitudes, longitudes,
  * azimuths, and distance).  <i>outmask</i> is bitor'ed combination of {@link
- * GeodesicMask} values.  For example, if you wish just to compute the distance
- * between two points you would call, e.g.,
+ * net.sf.geographiclib.GeodesicMask} values.  For example, if you wish just to
+ * compute the distance between two points you would call, e.g.,
  * <pre>
- * {@code
- *  GeodesicData g = Geodesic.WGS84.Inverse(lat1, lon1, lat2, lon2,
- *                      GeodesicMask.DISTANCE); }</pre>
+ *  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+ *  var g = geod.Inverse(lat1, lon1, lat2, lon2, gm.DISTANCE);</pre>
  * <p>
- * Additional functionality is provided by the {@link GeodesicLine} class,
- * which allows a sequence of points along a geodesic to be computed.
+ * Additional functionality is provided by the {@link
+ * net.sf.geographiclib.GeodesicLine} class,
+ * which allows a sequence of points along a geodesic to be computed.  Lines
+ * ending at a given point are returned by {@link
+ * net.sf.geographiclib.Geodesic#InverseLine}, {@link
+ * net.sf.geographiclib.Geodesic#DirectLine} and {@link
+ * net.sf.geographiclib.Geodesic#ArcDirectLine}.
  * <p>
  * The shortest distance returned by the solution of the inverse problem is
  * (obviously) uniquely defined.  However, in a few special cases there are
@@ -163,6 +170,7 @@ goog.require('net.sf.geographiclib.GeodesicMask');
  *     0.05     10 um
  *     0.1     1.5 mm
  *     0.2     300 mm </pre>
+ * For other flattenings, use {@link net.sf.geographiclib.GeodesicExact}.
  * <p>
  * The algorithms are described in
  * <ul>
@@ -175,11 +183,20 @@ goog.require('net.sf.geographiclib.GeodesicMask');
  *   addenda: <a href="http://geographiclib.sf.net/geod-addenda.html">
  *   geod-addenda.html</a>.
  * </ul>
+ * <p>
+ * The series are truncated at order 6 by default, which gives full double
+ * precision for the terrestrial ellipsoids.  An order from 3 to 8 may be
+ * given instead; lower orders are faster but less accurate, while order 8
+ * reduces the truncation error for ellipsoids with larger flattening.
  * @constructor
- * @param {!number} a
- * @param {!number} f
+ * @param {!number} a Equatorial radius (meters).
+ * @param {!number} f Flattening (or its reciprocal when greater than 1).
+ * @param {!number=} opt_order Order of the series expansions (default 6).
  */
-net.sf.geographiclib.Geodesic = function(a, f) {
+net.sf.geographiclib.Geodesic = function(a, f, opt_order) {
+  this._accuracy = goog.isDef(opt_order) ?
+      new net.sf.geographiclib.Accuracy(opt_order) :
+      net.sf.geographiclib.Accuracy.getInstance();
   this._a = a;
   this._f = f <= 1 ? f : 1 / f;
   this._f1 = 1 - this._f;
@@ -205,22 +222,30 @@ net.sf.geographiclib.Geodesic = function(a, f) {
   // sig12 = etol2.  Here 0.1 is a safety factor (error decreased by 100)
   // and max(0.001, abs(f)) stops etol2 getting too large in the nearly
   // spherical case.
-  this._etol2 = 0.1 * net.sf.geographiclib.Accuracy.getInstance().tol2() /
+  this._etol2 = 0.1 * this._accuracy.tol2() /
       Math.sqrt(Math.max(0.001, Math.abs(this._f)) *
                   Math.min(1.0, 1 - this._f / 2) / 2);
   goog.asserts.assert(isFinite(this._a) && this._a > 0,
                       'Major radius is not positive');
   goog.asserts.assert(isFinite(this._b) && this._b > 0,
                       'Minor radius is not positive');
-  this._A3x = new Array(net.sf.geographiclib.Accuracy.getInstance().na3x());
-  this._C3x = new Array(net.sf.geographiclib.Accuracy.getInstance().nc3x());
-  this._C4x = new Array(net.sf.geographiclib.Accuracy.getInstance().nc4x());
+  this._A3x = new Array(this._accuracy.na3x());
+  this._C3x = new Array(this._accuracy.nc3x());
+  this._C4x = new Array(this._accuracy.nc4x());
   this.A3coeff();
   this.C3coeff();
   this.C4coeff();
 };
 
 
+/**
+ * @return {!number} the order of the series expansions used by this object.
+ */
+net.sf.geographiclib.Geodesic.prototype.Order = function() {
+  return this._accuracy.order();
+};
+
+
 /**
  * @param {!boolean} sinp
  * @param {!number} sinx
@@ -297,12 +322,15 @@ net.sf.geographiclib.Geodesic.Astroid = function(x, y) {
 
 /**
  * @param {!number} eps
+ * @param {!number} nA1 Order of the expansion.
  * @return {!number}
  */
-net.sf.geographiclib.Geodesic.A1m1f = function(eps) {
+net.sf.geographiclib.Geodesic.A1m1f = function(eps, nA1) {
+  var coeff = net.sf.geographiclib.GeodesicCoeff.A1m1[nA1];
   var
-      eps2 = net.sf.geographiclib.GeoMath.sq(eps),
-      t = eps2 * (eps2 * (eps2 + 4) + 64) / 256;
+      p = Math.floor(nA1 / 2),
+      t = net.sf.geographiclib.GeoMath.polyval(
+          p, coeff, 0, net.sf.geographiclib.GeoMath.sq(eps)) / coeff[p + 1];
   return (t + eps) / (1 - eps);
 };
 
@@ -310,78 +338,71 @@ net.sf.geographiclib.Geodesic.A1m1f = function(eps) {
 /**
  * @param {!number} eps
  * @param {!Array.<!number>} c
+ * @param {!number} nC1 Order of the expansion.
  */
-net.sf.geographiclib.Geodesic.C1f = function(eps, c) {
-  var
-      eps2 = net.sf.geographiclib.GeoMath.sq(eps),
-      d = eps;
-  c[1] = d * ((6 - eps2) * eps2 - 16) / 32;
-  d *= eps;
-  c[2] = d * ((64 - 9 * eps2) * eps2 - 128) / 2048;
-  d *= eps;
-  c[3] = d * (9 * eps2 - 16) / 768;
-  d *= eps;
-  c[4] = d * (3 * eps2 - 5) / 512;
-  d *= eps;
-  c[5] = -7 * d / 1280;
-  d *= eps;
-  c[6] = -7 * d / 2048;
+net.sf.geographiclib.Geodesic.C1f = function(eps, c, nC1) {
+  net.sf.geographiclib.Geodesic.evalSeries_(
+      net.sf.geographiclib.GeodesicCoeff.C1[nC1], nC1, eps, c);
 };
 
 
 /**
  * @param {!number} eps
  * @param {!Array.<!number>} c
+ * @param {!number} nC1p Order of the expansion.
  */
-net.sf.geographiclib.Geodesic.C1pf = function(eps, c) {
-  var
-      eps2 = net.sf.geographiclib.GeoMath.sq(eps),
-      d = eps;
-  c[1] = d * (eps2 * (205 * eps2 - 432) + 768) / 1536;
-  d *= eps;
-  c[2] = d * (eps2 * (4005 * eps2 - 4736) + 3840) / 12288;
-  d *= eps;
-  c[3] = d * (116 - 225 * eps2) / 384;
-  d *= eps;
-  c[4] = d * (2695 - 7173 * eps2) / 7680;
-  d *= eps;
-  c[5] = 3467 * d / 7680;
-  d *= eps;
-  c[6] = 38081 * d / 61440;
+net.sf.geographiclib.Geodesic.C1pf = function(eps, c, nC1p) {
+  net.sf.geographiclib.Geodesic.evalSeries_(
+      net.sf.geographiclib.GeodesicCoeff.C1p[nC1p], nC1p, eps, c);
 };
 
 
 /**
  * @param {!number} eps
+ * @param {!number} nA2 Order of the expansion.
  * @return {!number}
  */
-net.sf.geographiclib.Geodesic.A2m1f = function(eps) {
+net.sf.geographiclib.Geodesic.A2m1f = function(eps, nA2) {
+  var coeff = net.sf.geographiclib.GeodesicCoeff.A2m1[nA2];
   var
-      eps2 = net.sf.geographiclib.GeoMath.sq(eps),
-      t = eps2 * (eps2 * (25 * eps2 + 36) + 64) / 256;
+      p = Math.floor(nA2 / 2),
+      t = net.sf.geographiclib.GeoMath.polyval(
+          p, coeff, 0, net.sf.geographiclib.GeoMath.sq(eps)) / coeff[p + 1];
   return t * (1 - eps) - eps;
 };
 
 
 /**
+ * @param {!number} eps
+ * @param {!Array.<!number>} c
+ * @param {!number} nC2 Order of the expansion.
+ */
+net.sf.geographiclib.Geodesic.C2f = function(eps, c, nC2) {
+  net.sf.geographiclib.Geodesic.evalSeries_(
+      net.sf.geographiclib.GeodesicCoeff.C2[nC2], nC2, eps, c);
+};
+
+
+/**
+ * Fill c[1..n] with the coefficients eps^l * P_l(eps^2) of a Fourier series
+ * whose polynomials P_l are stored in coeff.
+ * @private
+ * @param {!Array.<!number>} coeff
+ * @param {!number} n
  * @param {!number} eps
  * @param {!Array.<!number>} c
  */
-net.sf.geographiclib.Geodesic.C2f = function(eps, c) {
+net.sf.geographiclib.Geodesic.evalSeries_ = function(coeff, n, eps, c) {
   var
       eps2 = net.sf.geographiclib.GeoMath.sq(eps),
       d = eps;
-  c[1] = d * (eps2 * (eps2 + 2) + 16) / 32;
-  d *= eps;
-  c[2] = d * (eps2 * (35 * eps2 + 64) + 384) / 2048;
-  d *= eps;
-  c[3] = d * (15 * eps2 + 80) / 768;
-  d *= eps;
-  c[4] = d * (7 * eps2 + 35) / 512;
-  d *= eps;
-  c[5] = 63 * d / 1280;
-  d *= eps;
-  c[6] = 77 * d / 2048;
+  for (var l = 1, o = 0; l <= n; ++l) {
+    var m = Math.floor((n - l) / 2);
+    c[l] = d * net.sf.geographiclib.GeoMath.polyval(m, coeff, o, eps2) /
+        coeff[o + m + 1];
+    o += m + 2;
+    d *= eps;
+  }
 };
 
 
@@ -389,13 +410,14 @@ net.sf.geographiclib.Geodesic.C2f = function(eps, c) {
  * Fill A3 coefficients
  */
 net.sf.geographiclib.Geodesic.prototype.A3coeff = function() {
-  var _n = this._n;
-  this._A3x[0] = 1;
-  this._A3x[1] = (_n - 1) / 2;
-  this._A3x[2] = (_n * (3 * _n - 1) - 2) / 8;
-  this._A3x[3] = ((-_n - 3) * _n - 1) / 16;
-  this._A3x[4] = (-2 * _n - 3) / 64;
-  this._A3x[5] = -3 / 128;
+  var nA3 = this._accuracy.na3(),
+      coeff = net.sf.geographiclib.GeodesicCoeff.A3[nA3];
+  for (var j = 0, o = 0; j < nA3; ++j) {
+    var m = Math.min(nA3 - j - 1, j);
+    this._A3x[j] = net.sf.geographiclib.GeoMath.polyval(
+        m, coeff, o, this._n) / coeff[o + m + 1];
+    o += m + 2;
+  }
 };
 
 
@@ -403,22 +425,16 @@ net.sf.geographiclib.Geodesic.prototype.A3coeff = function() {
  * Fill C3 coefficients
  */
 net.sf.geographiclib.Geodesic.prototype.C3coeff = function() {
-  var _n = this._n;
-  this._C3x[0] = (1 - _n) / 4;
-  this._C3x[1] = (1 - _n * _n) / 8;
-  this._C3x[2] = ((3 - _n) * _n + 3) / 64;
-  this._C3x[3] = (2 * _n + 5) / 128;
-  this._C3x[4] = 3 / 128;
-  this._C3x[5] = ((_n - 3) * _n + 2) / 32;
-  this._C3x[6] = ((-3 * _n - 2) * _n + 3) / 64;
-  this._C3x[7] = (_n + 3) / 128;
-  this._C3x[8] = 5 / 256;
-  this._C3x[9] = (_n * (5 * _n - 9) + 5) / 192;
-  this._C3x[10] = (9 - 10 * _n) / 384;
-  this._C3x[11] = 7 / 512;
-  this._C3x[12] = (7 - 14 * _n) / 512;
-  this._C3x[13] = 7 / 512;
-  this._C3x[14] = 21 / 2560;
+  var nC3 = this._accuracy.nc3(),
+      coeff = net.sf.geographiclib.GeodesicCoeff.C3[nC3];
+  for (var l = 1, o = 0, k = 0; l < nC3; ++l) {
+    for (var j = l; j < nC3; ++j) {
+      var m = Math.min(nC3 - j - 1, j);
+      this._C3x[k++] = net.sf.geographiclib.GeoMath.polyval(
+          m, coeff, o, this._n) / coeff[o + m + 1];
+      o += m + 2;
+    }
+  }
 };
 
 
@@ -426,31 +442,16 @@ net.sf.geographiclib.Geodesic.prototype.C3coeff = function() {
  * Fill C4 coefficients
  */
 net.sf.geographiclib.Geodesic.prototype.C4coeff = function() {
-  var _n = this._n;
-  this._C4x[0] = (_n * (_n * (_n * (_n * (100 * _n + 208) + 572) +
-                              3432) - 12012) + 30030) / 45045;
-  this._C4x[1] = (_n * (_n * (_n * (64 * _n + 624) - 4576) + 6864) -
-                  3003) / 15015;
-  this._C4x[2] = (_n * ((14144 - 10656 * _n) * _n - 4576) - 858) / 45045;
-  this._C4x[3] = ((-224 * _n - 4784) * _n + 1573) / 45045;
-  this._C4x[4] = (1088 * _n + 156) / 45045;
-  this._C4x[5] = 97 / 15015.0;
-  this._C4x[6] = (_n * (_n * ((-64 * _n - 624) * _n + 4576) - 6864) +
-      3003) / 135135;
-  this._C4x[7] = (_n * (_n * (5952 * _n - 11648) + 9152) - 2574) / 135135;
-  this._C4x[8] = (_n * (5792 * _n + 1040) - 1287) / 135135;
-  this._C4x[9] = (468 - 2944 * _n) / 135135;
-  this._C4x[10] = 1 / 9009.0;
-  this._C4x[11] = (_n * ((4160 - 1440 * _n) * _n - 4576) + 1716) / 225225;
-  this._C4x[12] = ((4992 - 8448 * _n) * _n - 1144) / 225225;
-  this._C4x[13] = (1856 * _n - 936) / 225225;
-  this._C4x[14] = 8 / 10725.0;
-  this._C4x[15] = (_n * (3584 * _n - 3328) + 1144) / 315315;
-  this._C4x[16] = (1024 * _n - 208) / 105105;
-  this._C4x[17] = -136 / 63063.0;
-  this._C4x[18] = (832 - 2560 * _n) / 405405;
-  this._C4x[19] = -128 / 135135.0;
-  this._C4x[20] = 128 / 99099.0;
+  var nC4 = this._accuracy.nc4(),
+      coeff = net.sf.geographiclib.GeodesicCoeff.C4[nC4];
+  for (var l = 0, o = 0, k = 0; l < nC4; ++l) {
+    for (var j = l; j < nC4; ++j) {
+      var m = nC4 - j - 1;
+      this._C4x[k++] = net.sf.geographiclib.GeoMath.polyval(
+          m, coeff, o, this._n) / coeff[o + m + 1];
+      o += m + 2;
+    }
+  }
 };
 
 
@@ -460,7 +461,7 @@ net.sf.geographiclib.Geodesic.prototype.C4coeff = function() {
  */
 net.sf.geographiclib.Geodesic.prototype.A3f = function(eps) {
   var v = 0;
-  for (var i = net.sf.geographiclib.Accuracy.getInstance().na3x(); i;)
+  for (var i = this._accuracy.na3x(); i;)
     v = eps * v + this._A3x[--i];
   return v;
 };
@@ -471,15 +472,15 @@ net.sf.geographiclib.Geodesic.prototype.A3f = function(eps) {
  * @param {!Array.<!number>} c
  */
 net.sf.geographiclib.Geodesic.prototype.C3f = function(eps, c) {
-  for (var j = net.sf.geographiclib.Accuracy.getInstance().nc3x(),
-       k = net.sf.geographiclib.Accuracy.getInstance().nc3() - 1; k;) {
+  for (var j = this._accuracy.nc3x(),
+       k = this._accuracy.nc3() - 1; k;) {
     var t = 0;
-    for (var i = net.sf.geographiclib.Accuracy.getInstance().nc3() - k; i; --i)
+    for (var i = this._accuracy.nc3() - k; i; --i)
       t = eps * t + this._C3x[--j];
     c[k--] = t;
   }
   var mult = 1;
-  for (k = 1; k < net.sf.geographiclib.Accuracy.getInstance().nc3();) {
+  for (k = 1; k < this._accuracy.nc3();) {
     mult *= eps;
     c[k++] *= mult;
   }
@@ -491,16 +492,15 @@ net.sf.geographiclib.Geodesic.prototype.C3f = function(eps, c) {
  * @param {!Array.<!number>} c
  */
 net.sf.geographiclib.Geodesic.prototype.C4f = function(eps, c) {
-  for (var j = net.sf.geographiclib.Accuracy.getInstance().nc4x(),
-       k = net.sf.geographiclib.Accuracy.getInstance().nc4(); k;) {
+  for (var j = this._accuracy.nc4x(),
+       k = this._accuracy.nc4(); k;) {
     var t = 0;
-    for (var i = net.sf.geographiclib.Accuracy.getInstance().
-         nc4() - k + 1; i; --i)
+    for (var i = this._accuracy.nc4() - k + 1; i; --i)
       t = eps * t + this._C4x[--j];
     c[--k] = t;
   }
   var mult = 1;
-  for (k = 1; k < net.sf.geographiclib.Accuracy.getInstance().nc4();) {
+  for (k = 1; k < this._accuracy.nc4();) {
     mult *= eps;
     c[k++] *= mult;
   }
@@ -539,23 +539,23 @@ net.sf.geographiclib.Geodesic.prototype.Lengths = function(eps, sig12,
     M12: 0,
     M21: 0
   };
-  net.sf.geographiclib.Geodesic.C1f(eps, C1a);
-  net.sf.geographiclib.Geodesic.C2f(eps, C2a);
+  net.sf.geographiclib.Geodesic.C1f(eps, C1a, this._accuracy.nc1());
+  net.sf.geographiclib.Geodesic.C2f(eps, C2a, this._accuracy.nc2());
   var
-      A1m1 = net.sf.geographiclib.Geodesic.A1m1f(eps),
+      A1m1 = net.sf.geographiclib.Geodesic.A1m1f(eps, this._accuracy.na1()),
       AB1 = (1 + A1m1) * (net.sf.geographiclib.Geodesic.SinCosSeries(
       true, ssig2, csig2, C1a,
-      net.sf.geographiclib.Accuracy.getInstance().nc1()) -
+      this._accuracy.nc1()) -
                       net.sf.geographiclib.Geodesic.SinCosSeries(
                         true, ssig1, csig1, C1a,
-                        net.sf.geographiclib.Accuracy.getInstance().nc1())),
-      A2m1 = net.sf.geographiclib.Geodesic.A2m1f(eps),
+                        this._accuracy.nc1())),
+      A2m1 = net.sf.geographiclib.Geodesic.A2m1f(eps, this._accuracy.na2()),
       AB2 = (1 + A2m1) * (net.sf.geographiclib.Geodesic.SinCosSeries(
                         true, ssig2, csig2, C2a,
-                        net.sf.geographiclib.Accuracy.getInstance().nc2()) -
+                        this._accuracy.nc2()) -
                       net.sf.geographiclib.Geodesic.SinCosSeries(
                         true, ssig1, csig1, C2a,
-                        net.sf.geographiclib.Accuracy.getInstance().nc2()));
+                        this._accuracy.nc2()));
   vals.m0 = A1m1 - A2m1;
   var J12 = vals.m0 * sig12 + (AB1 - AB2);
   vals.m12b = dn2 * (csig1 * ssig2) - dn1 * (ssig1 * csig2) -
@@ -667,16 +667,15 @@ net.sf.geographiclib.Geodesic.prototype.InverseStart =
       lamscale = betscale / cbet1;
       y = (lam12 - Math.PI) / lamscale;
     }
-    if (y > -net.sf.geographiclib.Accuracy.getInstance().tol1() &&
-        x > -1 - net.sf.geographiclib.Accuracy.getInstance().xthresh()) {
+    if (y > -this._accuracy.tol1() &&
+        x > -1 - this._accuracy.xthresh()) {
       if (this._f >= 0) {
         vals.salp1 = Math.min(1, -x);
         vals.calp1 = -Math.sqrt(1 -
                                 net.sf.geographiclib.GeoMath.sq(vals.salp1));
       } else {
         vals.calp1 = Math.max(x >
-                              -net.sf.geographiclib.Accuracy.getInstance().
-                              tol1() ? 0 : -1, x);
+                              -this._accuracy.tol1() ? 0 : -1, x);
         vals.salp1 = Math.sqrt(1 -
                                net.sf.geographiclib.GeoMath.sq(vals.calp1));
       }
@@ -748,7 +747,7 @@ net.sf.geographiclib.Geodesic.prototype.Lambda12 =
     dlam12: 0
   };
   if (sbet1 == 0 && calp1 == 0)
-    calp1 = -net.sf.geographiclib.Accuracy.getInstance().tiny();
+    calp1 = -this._accuracy.tiny();
   var
       salp0 = salp1 * cbet1,
       calp0 = net.sf.geographiclib.GeoMath.hypot(calp1, salp1 * sbet1);
@@ -783,10 +782,10 @@ net.sf.geographiclib.Geodesic.prototype.Lambda12 =
   this.C3f(vals.eps, C3a);
   B312 = (net.sf.geographiclib.Geodesic.SinCosSeries(
       true, vals.ssig2, vals.csig2, C3a,
-      net.sf.geographiclib.Accuracy.getInstance().nc3() - 1) -
+      this._accuracy.nc3() - 1) -
       net.sf.geographiclib.Geodesic.SinCosSeries(
               true, vals.ssig1, vals.csig1, C3a,
-              net.sf.geographiclib.Accuracy.getInstance().nc3() - 1));
+              this._accuracy.nc3() - 1));
   h0 = -this._f * this.A3f(vals.eps);
   vals.domg12 = salp0 * h0 * (vals.sig12 + B312);
   vals.lam12 = omg12 + vals.domg12;
@@ -858,14 +857,14 @@ net.sf.geographiclib.Geodesic.prototype.GenInverse =
   phi = lat1 * net.sf.geographiclib.GeoMath.degree;
   sbet1 = this._f1 * Math.sin(phi);
   cbet1 = lat1 == -90 ?
-          net.sf.geographiclib.Accuracy.getInstance().tiny() : Math.cos(phi);
+          this._accuracy.tiny() : Math.cos(phi);
   var t = net.sf.geographiclib.GeoMath.hypot(sbet1, cbet1);
   sbet1 /= t;
   cbet1 /= t;
   phi = lat2 * net.sf.geographiclib.GeoMath.degree;
   sbet2 = this._f1 * Math.sin(phi);
   cbet2 = Math.abs(lat2) == 90 ?
-          net.sf.geographiclib.Accuracy.getInstance().tiny() : Math.cos(phi);
+          this._accuracy.tiny() : Math.cos(phi);
   t = net.sf.geographiclib.GeoMath.hypot(sbet2, cbet2);
   sbet2 /= t;
   cbet2 /= t;
@@ -885,9 +884,9 @@ net.sf.geographiclib.Geodesic.prototype.GenInverse =
       clam12 = Math.cos(lam12);
   var sig12 = 0, calp1 = 0, salp1 = 0, calp2 = 0, salp2 = 0;
   var
-      C1a = new Array(net.sf.geographiclib.Accuracy.getInstance().nc1() + 1),
-      C2a = new Array(net.sf.geographiclib.Accuracy.getInstance().nc2() + 1),
-      C3a = new Array(net.sf.geographiclib.Accuracy.getInstance().nc3());
+      C1a = new Array(this._accuracy.nc1() + 1),
+      C2a = new Array(this._accuracy.nc2() + 1),
+      C3a = new Array(this._accuracy.nc3());
   var meridian = lat1 == -90 || slam12 == 0;
   if (meridian) {
     calp1 = clam12;
@@ -955,18 +954,17 @@ net.sf.geographiclib.Geodesic.prototype.GenInverse =
     } else {
       var ssig1 = 0, csig1 = 0, ssig2 = 0, csig2 = 0, eps = 0;
       var numit = 0;
-      var salp1a = net.sf.geographiclib.Accuracy.getInstance().tiny(),
+      var salp1a = this._accuracy.tiny(),
           calp1a = 1,
-          salp1b = net.sf.geographiclib.Accuracy.getInstance().tiny(),
+          salp1b = this._accuracy.tiny(),
           calp1b = -1;
       for (var tripn = false, tripb = false;
-           numit < net.sf.geographiclib.Accuracy.getInstance().maxit2();
+           numit < this._accuracy.maxit2();
            ++numit) {
         var dv;
         nvals = this.Lambda12(sbet1, cbet1, dn1, sbet2, cbet2, dn2,
                               salp1, calp1, numit <
-                              net.sf.geographiclib.Accuracy.
-                              getInstance().maxit1(),
+                              this._accuracy.maxit1(),
                               C1a, C2a, C3a);
         var v = nvals.lam12 - lam12;
         salp2 = nvals.salp2;
@@ -980,21 +978,21 @@ net.sf.geographiclib.Geodesic.prototype.GenInverse =
         omg12 = nvals.domg12;
         dv = nvals.dlam12;
         if (tripb || !(Math.abs(v) >= (tripn ? 8 : 2) *
-                       net.sf.geographiclib.Accuracy.getInstance().tol0()))
+                       this._accuracy.tol0()))
           break;
         if (v > 0 && (numit <
-                      net.sf.geographiclib.Accuracy.getInstance().maxit1() ||
+                      this._accuracy.maxit1() ||
                       calp1 / salp1 > calp1b / salp1b)) {
           salp1b = salp1;
           calp1b = calp1;
         } else if (v < 0 && (numit <
-            net.sf.geographiclib.Accuracy.getInstance().maxit1() ||
+            this._accuracy.maxit1() ||
                     calp1 / salp1 < calp1a / salp1a)) {
           salp1a = salp1;
           calp1a = calp1;
         }
         if (numit <
-            net.sf.geographiclib.Accuracy.getInstance().maxit1() &&
+            this._accuracy.maxit1() &&
             dv > 0) {
           var
               dalp1 = -v / dv;
@@ -1009,7 +1007,7 @@ net.sf.geographiclib.Geodesic.prototype.GenInverse =
             salp1 /= t;
             calp1 /= t;
             tripn = Math.abs(v) <= 16 *
-                net.sf.geographiclib.Accuracy.getInstance().tol0();
+                this._accuracy.tol0();
             continue;
           }
         }
@@ -1020,9 +1018,9 @@ net.sf.geographiclib.Geodesic.prototype.GenInverse =
         calp1 /= t;
         tripn = false;
         tripb = (Math.abs(salp1a - salp1) + (calp1a - calp1) <
-                 net.sf.geographiclib.Accuracy.getInstance().tolb() ||
+                 this._accuracy.tolb() ||
                  Math.abs(salp1 - salp1b) + (calp1 - calp1b) <
-                 net.sf.geographiclib.Accuracy.getInstance().tolb());
+                 this._accuracy.tolb());
       }
       nvals = this.Lengths(eps, sig12,
           ssig1, csig1, dn1, ssig2, csig2, dn2,
@@ -1073,15 +1071,15 @@ net.sf.geographiclib.Geodesic.prototype.GenInverse =
       ssig2 /= t;
       csig2 /= t;
       var C4a =
-          new Array(net.sf.geographiclib.Accuracy.getInstance().nc4());
+          new Array(this._accuracy.nc4());
       this.C4f(eps, C4a);
       var
           B41 = net.sf.geographiclib.Geodesic.SinCosSeries(
           false, ssig1, csig1, C4a,
-          net.sf.geographiclib.Accuracy.getInstance().nc4()),
+          this._accuracy.nc4()),
           B42 = net.sf.geographiclib.Geodesic.SinCosSeries(
           false, ssig2, csig2, C4a,
-          net.sf.geographiclib.Accuracy.getInstance().nc4());
+          this._accuracy.nc4());
       vals.S12 = A4 * (B42 - B41);
     } else
       vals.S12 = 0;
@@ -1100,7 +1098,7 @@ net.sf.geographiclib.Geodesic.prototype.GenInverse =
           salp12 = salp2 * calp1 - calp2 * salp1,
           calp12 = calp2 * calp1 + salp2 * salp1;
       if (salp12 == 0 && calp12 < 0) {
-        salp12 = net.sf.geographiclib.Accuracy.getInstance().tiny() * calp1;
+        salp12 = this._accuracy.tiny() * calp1;
         calp12 = -1;
       }
       alp12 = Math.atan2(salp12, calp12);
@@ -1137,3 +1135,376 @@ net.sf.geographiclib.Geodesic.prototype.GenInverse =
   }
   return vals;
 };
+
+
+/**
+ * Solve the inverse geodesic problem.
+ * <p>
+ * <i>lat1</i> and <i>lat2</i> should be in the range [&minus;90&deg;,
+ * 90&deg;]; <i>lon1</i> and <i>lon2</i> should be in the range
+ * [&minus;540&deg;, 540&deg;).  The values of <i>azi1</i> and <i>azi2</i>
+ * returned are in the range [&minus;180&deg;, 180&deg;).
+ *
+ * @param {!number} lat1 latitude of point 1 (degrees).
+ * @param {!number} lon1 longitude of point 1 (degrees).
+ * @param {!number} lat2 latitude of point 2 (degrees).
+ * @param {!number} lon2 longitude of point 2 (degrees).
+ * @param {!number=} opt_outmask a bitor'ed combination of {@link
+ *     net.sf.geographiclib.GeodesicMask} values specifying which results
+ *     should be returned (default STANDARD).
+ * @return {!net.sf.geographiclib.GeodesicData}
+ */
+net.sf.geographiclib.Geodesic.prototype.Inverse =
+    function(lat1, lon1, lat2, lon2, opt_outmask) {
+  var outmask = goog.isDef(opt_outmask) ? opt_outmask :
+      net.sf.geographiclib.GeodesicMask.getInstance().STANDARD;
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var vals = this.GenInverse(lat1, lon1, lat2, lon2, outmask);
+  var r = new net.sf.geographiclib.GeodesicData();
+  outmask &= gm.OUT_ALL;
+  r.lat1 = lat1;
+  r.lon1 = net.sf.geographiclib.GeoMath.angNormalize(lon1);
+  r.lat2 = lat2;
+  r.lon2 = net.sf.geographiclib.GeoMath.angNormalize(lon2);
+  r.a12 = vals.a12;
+  if (outmask & gm.DISTANCE)
+    r.s12 = vals.s12;
+  if (outmask & gm.AZIMUTH) {
+    r.azi1 = vals.azi1;
+    r.azi2 = vals.azi2;
+  }
+  if (outmask & gm.REDUCEDLENGTH)
+    r.m12 = vals.m12;
+  if (outmask & gm.GEODESICSCALE) {
+    r.M12 = vals.M12;
+    r.M21 = vals.M21;
+  }
+  if (outmask & gm.AREA)
+    r.S12 = vals.S12;
+  return r;
+};
+
+
+/**
+ * Solve the direct geodesic problem where the length of the geodesic is
+ * specified in terms of distance.
+ * <p>
+ * <i>lat1</i> should be in the range [&minus;90&deg;, 90&deg;];
+ * <i>lon1</i> and <i>azi1</i> should be in the range [&minus;540&deg;,
+ * 540&deg;).  The values of <i>lon2</i> and <i>azi2</i> returned are in the
+ * range [&minus;180&deg;, 180&deg;).  If either point is at a pole, the
+ * azimuth is defined by keeping the longitude fixed, writing <i>lat</i> =
+ * &plusmn;(90&deg; &minus; &epsilon;), and taking the limit &epsilon; &rarr;
+ * 0+.
+ *
+ * @param {!number} lat1 latitude of point 1 (degrees).
+ * @param {!number} lon1 longitude of point 1 (degrees).
+ * @param {!number} azi1 azimuth at point 1 (degrees).
+ * @param {!number} s12 distance between point 1 and point 2 (meters); it can
+ *     be negative.
+ * @param {!number=} opt_outmask a bitor'ed combination of {@link
+ *     net.sf.geographiclib.GeodesicMask} values specifying which results
+ *     should be returned (default STANDARD).
+ * @return {!net.sf.geographiclib.GeodesicData}
+ */
+net.sf.geographiclib.Geodesic.prototype.Direct =
+    function(lat1, lon1, azi1, s12, opt_outmask) {
+  return this.GenDirect(lat1, lon1, azi1, false, s12, goog.isDef(opt_outmask) ?
+      opt_outmask : net.sf.geographiclib.GeodesicMask.getInstance().STANDARD);
+};
+
+
+/**
+ * Solve the direct geodesic problem where the length of the geodesic is
+ * specified in terms of arc length.
+ * <p>
+ * <i>lat1</i> should be in the range [&minus;90&deg;, 90&deg;];
+ * <i>lon1</i> and <i>azi1</i> should be in the range [&minus;540&deg;,
+ * 540&deg;).  The values of <i>lon2</i> and <i>azi2</i> returned are in the
+ * range [&minus;180&deg;, 180&deg;).
+ *
+ * @param {!number} lat1 latitude of point 1 (degrees).
+ * @param {!number} lon1 longitude of point 1 (degrees).
+ * @param {!number} azi1 azimuth at point 1 (degrees).
+ * @param {!number} a12 arc length between point 1 and point 2 (degrees); it
+ *     can be negative.
+ * @param {!number=} opt_outmask a bitor'ed combination of {@link
+ *     net.sf.geographiclib.GeodesicMask} values specifying which results
+ *     should be returned (default STANDARD).
+ * @return {!net.sf.geographiclib.GeodesicData}
+ */
+net.sf.geographiclib.Geodesic.prototype.ArcDirect =
+    function(lat1, lon1, azi1, a12, opt_outmask) {
+  return this.GenDirect(lat1, lon1, azi1, true, a12, goog.isDef(opt_outmask) ?
+      opt_outmask : net.sf.geographiclib.GeodesicMask.getInstance().STANDARD);
+};
+
+
+/**
+ * The general direct geodesic problem.  {@link
+ * net.sf.geographiclib.Geodesic#Direct} and {@link
+ * net.sf.geographiclib.Geodesic#ArcDirect} are defined in terms of this
+ * function.
+ * <p>
+ * The {@link net.sf.geographiclib.GeodesicMask} values possible for
+ * <i>outmask</i> are LATITUDE, LONGITUDE, AZIMUTH, DISTANCE, REDUCEDLENGTH,
+ * GEODESICSCALE, AREA and ALL.
+ *
+ * @param {!number} lat1 latitude of point 1 (degrees).
+ * @param {!number} lon1 longitude of point 1 (degrees).
+ * @param {!number} azi1 azimuth at point 1 (degrees).
+ * @param {!boolean} arcmode boolean flag determining the meaning of the
+ *     <i>s12_a12</i>.
+ * @param {!number} s12_a12 if <i>arcmode</i> is false, this is the distance
+ *     between point 1 and point 2 (meters); otherwise it is the arc length
+ *     between point 1 and point 2 (degrees); it can be negative.
+ * @param {!number} outmask a bitor'ed combination of {@link
+ *     net.sf.geographiclib.GeodesicMask} values specifying which results
+ *     should be returned.
+ * @return {!net.sf.geographiclib.GeodesicData}
+ */
+net.sf.geographiclib.Geodesic.prototype.GenDirect =
+    function(lat1, lon1, azi1, arcmode, s12_a12, outmask) {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var line = new net.sf.geographiclib.GeodesicLine(
+      this, lat1, lon1, azi1,
+      outmask | (arcmode ? gm.NONE : gm.DISTANCE_IN));
+  return arcmode ? line.ArcPosition(s12_a12, outmask) :
+      line.Position(s12_a12, outmask);
+};
+
+
+/**
+ * Define a {@link net.sf.geographiclib.GeodesicLine} in terms of the inverse
+ * geodesic problem.
+ * <p>
+ * This function sets point 3 of the GeodesicLine to correspond to point 2 of
+ * the inverse geodesic problem.  <i>lat1</i> and <i>lat2</i> should be in the
+ * range [&minus;90&deg;, 90&deg;]; <i>lon1</i> and <i>lon2</i> should be in
+ * the range [&minus;540&deg;, 540&deg;).
+ *
+ * @param {!number} lat1 latitude of point 1 (degrees).
+ * @param {!number} lon1 longitude of point 1 (degrees).
+ * @param {!number} lat2 latitude of point 2 (degrees).
+ * @param {!number} lon2 longitude of point 2 (degrees).
+ * @param {!number=} opt_caps a bitor'ed combination of {@link
+ *     net.sf.geographiclib.GeodesicMask} values specifying the capabilities
+ *     the GeodesicLine object should possess (default ALL).
+ * @return {!net.sf.geographiclib.GeodesicLine}
+ */
+net.sf.geographiclib.Geodesic.prototype.InverseLine =
+    function(lat1, lon1, lat2, lon2, opt_caps) {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var caps = goog.isDef(opt_caps) ? opt_caps : gm.ALL;
+  var vals = this.GenInverse(lat1, lon1, lat2, lon2, gm.AZIMUTH);
+  // Ensure that a12 can be converted to a distance
+  if (caps & gm.DISTANCE_IN & gm.OUT_ALL)
+    caps |= gm.DISTANCE;
+  var line = new net.sf.geographiclib.GeodesicLine(
+      this, lat1, lon1, vals.azi1, caps);
+  line.SetArc(vals.a12);
+  return line;
+};
+
+
+/**
+ * Define a {@link net.sf.geographiclib.GeodesicLine} in terms of the direct
+ * geodesic problem specified in terms of distance.
+ * <p>
+ * This function sets point 3 of the GeodesicLine to correspond to point 2 of
+ * the direct geodesic problem.
+ *
+ * @param {!number} lat1 latitude of point 1 (degrees).
+ * @param {!number} lon1 longitude of point 1 (degrees).
+ * @param {!number} azi1 azimuth at point 1 (degrees).
+ * @param {!number} s12 distance between point 1 and point 2 (meters); it can
+ *     be negative.
+ * @param {!number=} opt_caps a bitor'ed combination of {@link
+ *     net.sf.geographiclib.GeodesicMask} values specifying the capabilities
+ *     the GeodesicLine object should possess (default ALL).
+ * @return {!net.sf.geographiclib.GeodesicLine}
+ */
+net.sf.geographiclib.Geodesic.prototype.DirectLine =
+    function(lat1, lon1, azi1, s12, opt_caps) {
+  return this.GenDirectLine(lat1, lon1, azi1, false, s12, goog.isDef(opt_caps) ?
+      opt_caps : net.sf.geographiclib.GeodesicMask.getInstance().ALL);
+};
+
+
+/**
+ * Define a {@link net.sf.geographiclib.GeodesicLine} in terms of the direct
+ * geodesic problem specified in terms of arc length.
+ * <p>
+ * This function sets point 3 of the GeodesicLine to correspond to point 2 of
+ * the direct geodesic problem.
+ *
+ * @param {!number} lat1 latitude of point 1 (degrees).
+ * @param {!number} lon1 longitude of point 1 (degrees).
+ * @param {!number} azi1 azimuth at point 1 (degrees).
+ * @param {!number} a12 arc length between point 1 and point 2 (degrees); it
+ *     can be negative.
+ * @param {!number=} opt_caps a bitor'ed combination of {@link
+ *     net.sf.geographiclib.GeodesicMask} values specifying the capabilities
+ *     the GeodesicLine object should possess (default ALL).
+ * @return {!net.sf.geographiclib.GeodesicLine}
+ */
+net.sf.geographiclib.Geodesic.prototype.ArcDirectLine =
+    function(lat1, lon1, azi1, a12, opt_caps) {
+  return this.GenDirectLine(lat1, lon1, azi1, true, a12, goog.isDef(opt_caps) ?
+      opt_caps : net.sf.geographiclib.GeodesicMask.getInstance().ALL);
+};
+
+
+/**
+ * Define a {@link net.sf.geographiclib.GeodesicLine} in terms of the direct
+ * geodesic problem specified in terms of either distance or arc length.
+ * {@link net.sf.geographiclib.Geodesic#DirectLine} and {@link
+ * net.sf.geographiclib.Geodesic#ArcDirectLine} are defined in terms of this
+ * function.
+ *
+ * @param {!number} lat1 latitude of point 1 (degrees).
+ * @param {!number} lon1 longitude of point 1 (degrees).
+ * @param {!number} azi1 azimuth at point 1 (degrees).
+ * @param {!boolean} arcmode boolean flag determining the meaning of the
+ *     <i>s12_a12</i>.
+ * @param {!number} s12_a12 if <i>arcmode</i> is false, this is the distance
+ *     between point 1 and point 2 (meters); otherwise it is the arc length
+ *     between point 1 and point 2 (degrees); it can be negative.
+ * @param {!number} caps a bitor'ed combination of {@link
+ *     net.sf.geographiclib.GeodesicMask} values specifying the capabilities
+ *     the GeodesicLine object should possess.
+ * @return {!net.sf.geographiclib.GeodesicLine}
+ */
+net.sf.geographiclib.Geodesic.prototype.GenDirectLine =
+    function(lat1, lon1, azi1, arcmode, s12_a12, caps) {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  // Automatically supply DISTANCE_IN if necessary
+  if (!arcmode)
+    caps |= gm.DISTANCE_IN;
+  var line = new net.sf.geographiclib.GeodesicLine(
+      this, lat1, lon1, azi1, caps);
+  line.GenSetDistance(arcmode, s12_a12);
+  return line;
+};
+
+
+/**
+ * Find the point on a geodesic closest to a given point, i.e., the foot of
+ * the perpendicular geodesic from the point.
+ * <p>
+ * The search starts from the projection of the point onto the line on the
+ * auxiliary sphere, rather than from point 1, so the foot found does not
+ * depend on where point 1 lies on the line, except as noted below.  The foot
+ * is then refined by Newton's method.  At each step the geodesic from the
+ * current estimate of the foot to the point is computed and the estimate is
+ * moved along the line by <i>R</i> atan2(<i>m12</i> cos&theta;,
+ * <i>R</i> <i>M12</i>), where &theta; is the angle between the line and
+ * this geodesic and <i>R</i> is the authalic radius.  This converges
+ * quadratically, so the result is accurate to round-off.  If Newton's
+ * method fails to converge, NaNs are returned for all the results.
+ * <p>
+ * A geodesic on an ellipsoid does not close, so it passes the point once
+ * per circuit, at a slightly different distance each time.  The foot
+ * returned is the one on the circuit centered on point 1 (or, if
+ * <i>opt_segment</i> is set, on the middle of the segment).
+ * <p>
+ * If <i>opt_segment</i> is true and the foot lies beyond either end of the
+ * segment from point 1 to point 3 of the line, the nearer end point of the
+ * segment is returned instead.
+ *
+ * @param {!net.sf.geographiclib.GeodesicLine} line the geodesic; it must have
+ *     the DISTANCE_IN capability.
+ * @param {!number} lat latitude of the point (degrees).
+ * @param {!number} lon longitude of the point (degrees).
+ * @param {!boolean=} opt_segment if true restrict the result to the segment
+ *     from point 1 to point 3 of the line, which must have been set (default
+ *     false).
+ * @return {!{lat: number, lon: number, azi: number, along: number,
+ *     cross: number}} The closest point on the line (degrees), the azimuth
+ *     of the line there (degrees), the distance along the line from point 1
+ *     to the closest point (the along-track distance, meters), and the
+ *     distance from the closest point to the given point, positive if the
+ *     point lies to the right of the line and negative if it lies to the
+ *     left (the cross-track distance, meters).
+ */
+net.sf.geographiclib.Geodesic.prototype.ClosestPoint =
+    function(line, lat, lon, opt_segment) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  goog.asserts.assert(line.Capabilities(gm.DISTANCE_IN),
+      'line must have the DISTANCE_IN capability');
+  var sx = line.Distance();
+  goog.asserts.assert(!opt_segment || isFinite(sx), 'point 3 must be set');
+  var
+      lineout = gm.LATITUDE | gm.LONGITUDE | gm.AZIMUTH,
+      s = opt_segment ? sx / 2 : 0,
+      p = line.Position(s, lineout),
+      r = this.Inverse(p.lat2, p.lon2, lat, lon, gm.AZIMUTH),
+      theta = GeoMath.angDiff(p.azi2, r.azi1);
+  // Start from the projection of the point onto the line on the auxiliary
+  // sphere; this selects the nearer of the two feet on this circuit
+  s += Math.sqrt(this._c2) *
+      Math.atan2(Math.sin(r.a12 * GeoMath.degree) *
+                 Math.cos(theta * GeoMath.degree),
+                 Math.cos(r.a12 * GeoMath.degree));
+  var foot = this.closestPointNewton_(line, lat, lon, s);
+  if (!foot)
+    return {lat: Number.NaN, lon: Number.NaN, azi: Number.NaN,
+            along: Number.NaN, cross: Number.NaN};
+  s = foot.s;
+  p = foot.p;
+  r = foot.r;
+  if (opt_segment && !(s >= 0 && s <= sx)) {
+    s = s < 0 ? 0 : sx;
+    p = line.Position(s, lineout);
+    r = this.Inverse(p.lat2, p.lon2, lat, lon, gm.DISTANCE | gm.AZIMUTH);
+  }
+  theta = GeoMath.angDiff(p.azi2, r.azi1);
+  return {
+    lat: p.lat2,
+    lon: p.lon2,
+    azi: p.azi2,
+    along: s,
+    cross: theta < 0 ? -r.s12 : r.s12
+  };
+};
+
+
+/**
+ * Refine an estimate of the foot of the perpendicular from a point to a
+ * geodesic by Newton's method.
+ * @private
+ * @param {!net.sf.geographiclib.GeodesicLine} line the geodesic.
+ * @param {!number} lat latitude of the point (degrees).
+ * @param {!number} lon longitude of the point (degrees).
+ * @param {!number} s the starting distance along the line (meters).
+ * @return {?{s: number, p: net.sf.geographiclib.GeodesicData,
+ *     r: net.sf.geographiclib.GeodesicData}} The distance along the line to
+ *     the foot, the position of the foot and the geodesic from the foot to
+ *     the point, or null if the method fails to converge.
+ */
+net.sf.geographiclib.Geodesic.prototype.closestPointNewton_ =
+    function(line, lat, lon, s) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var
+      lineout = gm.LATITUDE | gm.LONGITUDE | gm.AZIMUTH,
+      invout = gm.DISTANCE | gm.AZIMUTH | gm.REDUCEDLENGTH |
+          gm.GEODESICSCALE,
+      rR = Math.sqrt(this._c2),
+      tol = 0.01 * Math.sqrt(GeoMath.epsilon) * this._a;
+  for (var numit = 0, trip = 0; numit < this._accuracy.maxit2(); ++numit) {
+    var p = line.Position(s, lineout),
+        r = this.Inverse(p.lat2, p.lon2, lat, lon, invout);
+    if (trip)
+      return {s: s, p: p, r: r};
+    var theta = GeoMath.angDiff(p.azi2, r.azi1),
+        ds = rR * Math.atan2(r.m12 * Math.cos(theta * GeoMath.degree),
+                             rR * r.M12);
+    s += ds;
+    // Once converged to within tol, take one more step to reach round-off
+    if (!(Math.abs(ds) >= tol))
+      ++trip;
+  }
+  return null;
+};
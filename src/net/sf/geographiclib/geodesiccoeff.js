@@ -0,0 +1,205 @@
+goog.provide('net.sf.geographiclib.GeodesicCoeff');
+
+
+
+/**
+ * Coefficients of the series expansions used by
+ * {@link net.sf.geographiclib.Geodesic}, from C. F. F. Karney, Algorithms for
+ * geodesics, J. Geodesy 87, 43-55 (2013).
+ * <p>
+ * Each table is keyed by the order of the expansion (3 to 8).  A table is a
+ * flat list of polynomials; every polynomial is stored highest power first
+ * and is followed by the common denominator of its coefficients, in the form
+ * expected by {@link net.sf.geographiclib.GeoMath.polyval}.
+ * @constructor
+ */
+net.sf.geographiclib.GeodesicCoeff = function() {
+};
+
+
+/**
+ * (1 - eps) * A1 - 1, polynomial in eps2 of order nA1 / 2.
+ * @const
+ * @type {!Object.<number, !Array.<!number>>}
+ */
+net.sf.geographiclib.GeodesicCoeff.A1m1 = {
+  3: [1, 0, 4],
+  4: [1, 16, 0, 64],
+  5: [1, 16, 0, 64],
+  6: [1, 4, 64, 0, 256],
+  7: [1, 4, 64, 0, 256],
+  8: [25, 64, 256, 4096, 0, 16384]
+};
+
+
+/**
+ * C1[l] / eps^l, polynomials in eps2 of order (nC1 - l) / 2 for
+ * l = 1 .. nC1.
+ * @const
+ * @type {!Object.<number, !Array.<!number>>}
+ */
+net.sf.geographiclib.GeodesicCoeff.C1 = {
+  3: [3, -8, 16, -1, 16, -1, 48],
+  4: [3, -8, 16, 1, -2, 32, -1, 48, -5, 512],
+  5: [-1, 6, -16, 32, 1, -2, 32, 9, -16, 768, -5, 512, -7, 1280],
+  6: [-1, 6, -16, 32, -9, 64, -128, 2048, 9, -16, 768, 3, -5, 512, -7, 1280,
+    -7, 2048],
+  7: [19, -64, 384, -1024, 2048, -9, 64, -128, 2048, -9, 72, -128, 6144, 3,
+    -5, 512, 35, -56, 10240, -7, 2048, -33, 14336],
+  8: [19, -64, 384, -1024, 2048, 7, -18, 128, -256, 4096, -9, 72, -128, 6144,
+    -11, 96, -160, 16384, 35, -56, 10240, 9, -14, 4096, -33, 14336, -429,
+    262144]
+};
+
+
+/**
+ * C1'[l] / eps^l, polynomials in eps2 of order (nC1p - l) / 2 for
+ * l = 1 .. nC1p.
+ * @const
+ * @type {!Object.<number, !Array.<!number>>}
+ */
+net.sf.geographiclib.GeodesicCoeff.C1p = {
+  3: [-9, 16, 32, 5, 16, 29, 96],
+  4: [-9, 16, 32, -37, 30, 96, 29, 96, 539, 1536],
+  5: [205, -432, 768, 1536, -37, 30, 96, -225, 116, 384, 539, 1536, 3467, 7680],
+  6: [205, -432, 768, 1536, 4005, -4736, 3840, 12288, -225, 116, 384, -7173,
+    2695, 7680, 3467, 7680, 38081, 61440],
+  7: [-4879, 9840, -20736, 36864, 73728, 4005, -4736, 3840, 12288, 8703,
+    -7200, 3712, 12288, -7173, 2695, 7680, -141115, 41604, 92160, 38081,
+    61440, 459485, 516096],
+  8: [-4879, 9840, -20736, 36864, 73728, -86171, 120150, -142080, 115200,
+    368640, 8703, -7200, 3712, 12288, 1082857, -688608, 258720, 737280,
+    -141115, 41604, 92160, -2200311, 533134, 860160, 459485, 516096,
+    109167851, 82575360]
+};
+
+
+/**
+ * A2 / (1 - eps) - 1, polynomial in eps2 of order nA2 / 2.
+ * @const
+ * @type {!Object.<number, !Array.<!number>>}
+ */
+net.sf.geographiclib.GeodesicCoeff.A2m1 = {
+  3: [1, 0, 4],
+  4: [9, 16, 0, 64],
+  5: [9, 16, 0, 64],
+  6: [25, 36, 64, 0, 256],
+  7: [25, 36, 64, 0, 256],
+  8: [1225, 1600, 2304, 4096, 0, 16384]
+};
+
+
+/**
+ * C2[l] / eps^l, polynomials in eps2 of order (nC2 - l) / 2 for
+ * l = 1 .. nC2.
+ * @const
+ * @type {!Object.<number, !Array.<!number>>}
+ */
+net.sf.geographiclib.GeodesicCoeff.C2 = {
+  3: [1, 8, 16, 3, 16, 5, 48],
+  4: [1, 8, 16, 1, 6, 32, 5, 48, 35, 512],
+  5: [1, 2, 16, 32, 1, 6, 32, 15, 80, 768, 35, 512, 63, 1280],
+  6: [1, 2, 16, 32, 35, 64, 384, 2048, 15, 80, 768, 7, 35, 512, 63, 1280, 77,
+    2048],
+  7: [41, 64, 128, 1024, 2048, 35, 64, 384, 2048, 69, 120, 640, 6144, 7, 35,
+    512, 105, 504, 10240, 77, 2048, 429, 14336],
+  8: [41, 64, 128, 1024, 2048, 47, 70, 128, 768, 4096, 69, 120, 640, 6144,
+    133, 224, 1120, 16384, 105, 504, 10240, 33, 154, 4096, 429, 14336, 6435,
+    262144]
+};
+
+
+/**
+ * A3, coefficient of eps^j as a polynomial in n of order
+ * min(nA3 - j - 1, j) for j = 0 .. nA3 - 1.
+ * @const
+ * @type {!Object.<number, !Array.<!number>>}
+ */
+net.sf.geographiclib.GeodesicCoeff.A3 = {
+  3: [1, 1, 1, -1, 2, -1, 4],
+  4: [1, 1, 1, -1, 2, -1, -2, 8, -1, 16],
+  5: [1, 1, 1, -1, 2, 3, -1, -2, 8, -3, -1, 16, -3, 64],
+  6: [1, 1, 1, -1, 2, 3, -1, -2, 8, -1, -3, -1, 16, -2, -3, 64, -3, 128],
+  7: [1, 1, 1, -1, 2, 3, -1, -2, 8, 5, -1, -3, -1, 16, -10, -2, -3, 64, -5,
+    -3, 128, -5, 256],
+  8: [1, 1, 1, -1, 2, 3, -1, -2, 8, 5, -1, -3, -1, 16, -5, -20, -4, -6, 128,
+    -5, -10, -6, 256, -15, -20, 1024, -25, 2048]
+};
+
+
+/**
+ * C3[l], coefficient of eps^j as a polynomial in n of order
+ * min(nC3 - j - 1, j) for l = 1 .. nC3 - 1 and j = l .. nC3 - 1.
+ * @const
+ * @type {!Object.<number, !Array.<!number>>}
+ */
+net.sf.geographiclib.GeodesicCoeff.C3 = {
+  3: [-1, 1, 4, 1, 8, 1, 16],
+  4: [-1, 1, 4, 0, 1, 8, 3, 64, -3, 2, 32, 3, 64, 5, 192],
+  5: [-1, 1, 4, -1, 0, 1, 8, 3, 3, 64, 5, 128, 1, -3, 2, 32, -2, 3, 64, 3,
+    128, -9, 5, 192, 3, 128, 7, 512],
+  6: [-1, 1, 4, -1, 0, 1, 8, -1, 3, 3, 64, 2, 5, 128, 3, 128, 1, -3, 2, 32,
+    -3, -2, 3, 64, 1, 3, 128, 5, 256, 5, -9, 5, 192, -10, 9, 384, 7, 512, -14,
+    7, 512, 7, 512, 21, 2560],
+  7: [-1, 1, 4, -1, 0, 1, 8, -5, -1, 3, 3, 64, 2, 2, 5, 128, 11, 12, 512, 21,
+    1024, 1, -3, 2, 32, 2, -3, -2, 3, 64, -9, 2, 6, 256, 1, 5, 256, 27, 2048,
+    -1, 5, -9, 5, 192, -6, -10, 9, 384, -4, 21, 1536, 3, 256, 10, -14, 7, 512,
+    -10, 7, 512, 9, 1024, -45, 21, 2560, 9, 1024, 11, 2048],
+  8: [-1, 1, 4, -1, 0, 1, 8, -5, -1, 3, 3, 64, -2, 2, 2, 5, 128, 3, 11, 12,
+    512, 10, 21, 1024, 243, 16384, 1, -3, 2, 32, 2, -3, -2, 3, 64, -6, -9, 2,
+    6, 256, -2, 1, 5, 256, 69, 108, 8192, 187, 16384, -1, 5, -9, 5, 192, 10,
+    -6, -10, 9, 384, -77, -8, 42, 3072, -1, 12, 1024, 139, 16384, -7, 20, -28,
+    14, 1024, -7, -40, 28, 2048, -43, 72, 8192, 127, 16384, 75, -90, 42, 5120,
+    -15, 9, 1024, 99, 16384, -99, 44, 8192, 99, 16384, 429, 114688]
+};
+
+
+/**
+ * C4[l], coefficient of eps^j as a polynomial in n of order
+ * nC4 - j - 1 for l = 0 .. nC4 - 1 and j = l .. nC4 - 1.
+ * @const
+ * @type {!Object.<number, !Array.<!number>>}
+ */
+net.sf.geographiclib.GeodesicCoeff.C4 = {
+  3: [8, -28, 70, 105, 16, -7, 35, -2, 105, -16, 7, 315, -2, 105, 4, 525],
+  4: [4, 24, -84, 210, 315, -32, 48, -21, 105, -32, -6, 315, 11, 315, 32, -48,
+    21, 945, 64, -18, 945, -1, 105, -32, 12, 1575, -8, 1575, 8, 2205],
+  5: [16, 44, 264, -924, 2310, 3465, 48, -352, 528, -231, 1155, 1088, -352,
+    -66, 3465, -368, 121, 3465, 4, 1155, -48, 352, -528, 231, 10395, -896,
+    704, -198, 10395, 80, -99, 10395, 4, 1155, 320, -352, 132, 17325, 384,
+    -88, 17325, -8, 1925, -256, 88, 24255, -16, 8085, 64, 31185],
+  6: [100, 208, 572, 3432, -12012, 30030, 45045, 64, 624, -4576, 6864, -3003,
+    15015, -10656, 14144, -4576, -858, 45045, -224, -4784, 1573, 45045, 1088,
+    156, 45045, 97, 15015, -64, -624, 4576, -6864, 3003, 135135, 5952, -11648,
+    9152, -2574, 135135, 5792, 1040, -1287, 135135, -2944, 468, 135135, 1,
+    9009, -1440, 4160, -4576, 1716, 225225, -8448, 4992, -1144, 225225, 1856,
+    -936, 225225, 8, 10725, 3584, -3328, 1144, 315315, 1024, -208, 105105,
+    -136, 63063, -2560, 832, 405405, -128, 135135, 128, 99099],
+  7: [56, 100, 208, 572, 3432, -12012, 30030, 45045, 16, 64, 624, -4576, 6864,
+    -3003, 15015, 1664, -10656, 14144, -4576, -858, 45045, 10736, -224, -4784,
+    1573, 45045, -4480, 1088, 156, 45045, -464, 291, 45045, 10, 9009, -16,
+    -64, -624, 4576, -6864, 3003, 135135, -768, 5952, -11648, 9152, -2574,
+    135135, -10704, 5792, 1040, -1287, 135135, 3840, -2944, 468, 135135, 112,
+    15, 135135, 10, 9009, 128, -1440, 4160, -4576, 1716, 225225, 6784, -8448,
+    4992, -1144, 225225, 1664, 1856, -936, 225225, -1664, 168, 225225, -4,
+    25025, -1792, 3584, -3328, 1144, 315315, -2048, 1024, -208, 105105, 1792,
+    -680, 315315, 64, 315315, 3072, -2560, 832, 405405, 2048, -384, 405405,
+    -512, 405405, -2048, 640, 495495, -256, 495495, 512, 585585],
+  8: [588, 952, 1700, 3536, 9724, 58344, -204204, 510510, 765765, 96, 272,
+    1088, 10608, -77792, 116688, -51051, 255255, 3232, 28288, -181152, 240448,
+    -77792, -14586, 765765, -154048, 182512, -3808, -81328, 26741, 765765,
+    12480, -76160, 18496, 2652, 765765, 20960, -7888, 4947, 765765, 4192, 850,
+    765765, 193, 85085, -96, -272, -1088, -10608, 77792, -116688, 51051,
+    2297295, -1344, -13056, 101184, -198016, 155584, -43758, 2297295, 103744,
+    -181968, 98464, 17680, -21879, 2297295, 52608, 65280, -50048, 7956,
+    2297295, -39840, 1904, 255, 2297295, -1472, 510, 459459, 349, 2297295,
+    160, 2176, -24480, 70720, -77792, 29172, 3828825, -41472, 115328, -143616,
+    84864, -19448, 3828825, -126528, 28288, 31552, -15912, 3828825, 64256,
+    -28288, 2856, 3828825, -928, -612, 3828825, 464, 1276275, 7168, -30464,
+    60928, -56576, 19448, 5360355, 35840, -34816, 17408, -3536, 1786785,
+    -2560, 30464, -11560, 5360355, -16384, 1088, 5360355, -16, 97461, -32256,
+    52224, -43520, 14144, 6891885, -77824, 34816, -6528, 6891885, 26624,
+    -8704, 6891885, 128, 2297295, 45056, -34816, 10880, 8423415, 24576, -4352,
+    8423415, -6784, 8423415, -28672, 8704, 9954945, -1024, 3318315, 1024,
+    1640925]
+};
@@ -0,0 +1,90 @@
+goog.provide('net.sf.geographiclib.GeodesicData');
+
+
+
+/**
+ * The results of geodesic calculations.
+ * <p>
+ * This is used to return the results for a geodesic between point 1
+ * (<i>lat1</i>, <i>lon1</i>) and point 2 (<i>lat2</i>, <i>lon2</i>).  Fields
+ * that have not been set will be filled with NaN.  The returned GeodesicData
+ * objects always include the parameters provided to {@link
+ * net.sf.geographiclib.Geodesic#Direct} and {@link
+ * net.sf.geographiclib.Geodesic#Inverse} and it always includes the field
+ * <i>a12</i>.
+ * @constructor
+ */
+net.sf.geographiclib.GeodesicData = function() {
+  /**
+   * latitude of point 1 (degrees).
+   * @type {!number}
+   */
+  this.lat1 = Number.NaN;
+
+  /**
+   * longitude of point 1 (degrees).
+   * @type {!number}
+   */
+  this.lon1 = Number.NaN;
+
+  /**
+   * azimuth at point 1 (degrees).
+   * @type {!number}
+   */
+  this.azi1 = Number.NaN;
+
+  /**
+   * latitude of point 2 (degrees).
+   * @type {!number}
+   */
+  this.lat2 = Number.NaN;
+
+  /**
+   * longitude of point 2 (degrees).
+   * @type {!number}
+   */
+  this.lon2 = Number.NaN;
+
+  /**
+   * azimuth at point 2 (degrees).
+   * @type {!number}
+   */
+  this.azi2 = Number.NaN;
+
+  /**
+   * distance between point 1 and point 2 (meters).
+   * @type {!number}
+   */
+  this.s12 = Number.NaN;
+
+  /**
+   * arc length on the auxiliary sphere between point 1 and point 2
+   * (degrees).
+   * @type {!number}
+   */
+  this.a12 = Number.NaN;
+
+  /**
+   * reduced length of geodesic (meters).
+   * @type {!number}
+   */
+  this.m12 = Number.NaN;
+
+  /**
+   * geodesic scale of point 2 relative to point 1 (dimensionless).
+   * @type {!number}
+   */
+  this.M12 = Number.NaN;
+
+  /**
+   * geodesic scale of point 1 relative to point 2 (dimensionless).
+   * @type {!number}
+   */
+  this.M21 = Number.NaN;
+
+  /**
+   * area under the geodesic (meters<sup>2</sup>).
+   * @type {!number}
+   */
+  this.S12 = Number.NaN;
+};
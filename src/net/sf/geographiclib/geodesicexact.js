@@ -0,0 +1,1048 @@
+goog.provide('net.sf.geographiclib.GeodesicExact');
+
+goog.require('goog.asserts');
+goog.require('net.sf.geographiclib.Accuracy');
+goog.require('net.sf.geographiclib.EllipticFunction');
+goog.require('net.sf.geographiclib.GeoMath');
+goog.require('net.sf.geographiclib.Geodesic');
+goog.require('net.sf.geographiclib.GeodesicData');
+goog.require('net.sf.geographiclib.GeodesicLineExact');
+goog.require('net.sf.geographiclib.GeodesicMask');
+
+
+
+/**
+ * Exact geodesic calculations.
+ * <p>
+ * The equations for geodesics on an ellipsoid can be expressed in terms of
+ * incomplete elliptic integrals.  The {@link net.sf.geographiclib.Geodesic}
+ * class expands these integrals in series in the flattening, which is only
+ * accurate for |<i>f</i>| &lt; 0.02.  This class instead evaluates the
+ * integrals with {@link net.sf.geographiclib.EllipticFunction}, which gives
+ * results accurate to round off for any flattening, including prolate
+ * ellipsoids (<i>f</i> &lt; 0), at the cost of being about twice as slow.
+ * <p>
+ * The area is computed from a cosine series whose coefficients are found by
+ * a discrete sine transform of the area integrand.  The number of terms is
+ * chosen in the constructor so that the series converges for the most
+ * eccentric geodesic on the ellipsoid.
+ * <p>
+ * The interface is the same as {@link net.sf.geographiclib.Geodesic}, with
+ * the same {@link net.sf.geographiclib.GeodesicMask} semantics for
+ * <i>outmask</i> and <i>caps</i>, and the lines returned are {@link
+ * net.sf.geographiclib.GeodesicLineExact} objects.
+ * <p>
+ * The algorithms are described in
+ * <ul>
+ * <li>C. F. F. Karney,
+ *   <a href="http://dx.doi.org/10.1007/s00190-012-0578-z">
+ *   Algorithms for geodesics</a>,
+ *   J. Geodesy <b>87</b>, 43&ndash;55 (2013), Sec. 6 and 7.
+ * </ul>
+ * @constructor
+ * @param {!number} a Equatorial radius (meters).
+ * @param {!number} f Flattening (or its reciprocal when greater than 1).
+ */
+net.sf.geographiclib.GeodesicExact = function(a, f) {
+  this._accuracy = net.sf.geographiclib.Accuracy.getInstance();
+  this._a = a;
+  this._f = f <= 1 ? f : 1 / f;
+  this._f1 = 1 - this._f;
+  this._e2 = this._f * (2 - this._f);
+  this._ep2 = this._e2 / net.sf.geographiclib.GeoMath.sq(this._f1);
+  this._n = this._f / (2 - this._f);
+  this._b = this._a * this._f1;
+  this._c2 = (net.sf.geographiclib.GeoMath.sq(this._a) +
+              net.sf.geographiclib.GeoMath.sq(this._b) *
+              (this._e2 == 0 ? 1 :
+               (this._e2 > 0 ?
+                net.sf.geographiclib.GeoMath.atanh(Math.sqrt(this._e2)) :
+                Math.atan(Math.sqrt(-this._e2))) /
+               Math.sqrt(Math.abs(this._e2)))) / 2;
+  // authalic radius squared
+  // The sig12 threshold for "really short", see Geodesic.
+  this._etol2 = 0.1 * this._accuracy.tol2() /
+      Math.sqrt(Math.max(0.001, Math.abs(this._f)) *
+                  Math.min(1.0, 1 - this._f / 2) / 2);
+  goog.asserts.assert(isFinite(this._a) && this._a > 0,
+                      'Major radius is not positive');
+  goog.asserts.assert(isFinite(this._b) && this._b > 0,
+                      'Minor radius is not positive');
+  // Quantities needed by the area integrand which only depend on ep2.
+  var X = this._ep2;
+  this._tX = net.sf.geographiclib.GeodesicExact.t_(X);
+  this._tdX = net.sf.geographiclib.GeodesicExact.td_(X);
+  this._sX = Math.sqrt(Math.abs(X));
+  this._sX1 = Math.sqrt(1 + X);
+  this._sXX1 = this._sX * this._sX1;
+  this._asinhsX = X > 0 ? net.sf.geographiclib.GeoMath.asinh(this._sX) :
+      Math.asin(this._sX);
+  // Double the number of terms in the area series until the trailing half
+  // of the coefficients is negligible for the geodesic with the largest
+  // value of k2, i.e., one that crosses the equator at right angles.
+  var eps = net.sf.geographiclib.GeoMath.epsilon;
+  for (this._nC4 = 8; ; this._nC4 *= 2) {
+    var C4a = new Array(this._nC4);
+    this.C4f(this._ep2, C4a);
+    var tail = 0;
+    for (var l = this._nC4 / 2; l < this._nC4; ++l)
+      tail = Math.max(tail, Math.abs(C4a[l]));
+    if (!(tail > 4 * eps * Math.abs(C4a[0])) ||
+        this._nC4 >= net.sf.geographiclib.GeodesicExact.maxC4_)
+      break;
+  }
+};
+
+
+/**
+ * The maximum number of terms in the area series.
+ * @private
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.GeodesicExact.maxC4_ = 1 << 12;
+
+
+/**
+ * asinh(sqrt(<i>x</i>))/sqrt(<i>x</i>), continued to negative <i>x</i>.
+ * @private
+ * @param {!number} x
+ * @return {!number}
+ */
+net.sf.geographiclib.GeodesicExact.asinhsqrt_ = function(x) {
+  return x == 0 ? 1 :
+      (x > 0 ? net.sf.geographiclib.GeoMath.asinh(Math.sqrt(x)) / Math.sqrt(x) :
+       Math.asin(Math.sqrt(-x)) / Math.sqrt(-x));
+};
+
+
+/**
+ * The function <i>t</i>(<i>x</i>) of Karney (2013), Eq. (60), less 1.
+ * @private
+ * @param {!number} x
+ * @return {!number}
+ */
+net.sf.geographiclib.GeodesicExact.t_ = function(x) {
+  // Group terms to minimize roundoff
+  return x + (Math.sqrt(1 + x) *
+              net.sf.geographiclib.GeodesicExact.asinhsqrt_(x) - 1);
+};
+
+
+/**
+ * The derivative of <i>t</i>(<i>x</i>).
+ * @private
+ * @param {!number} x
+ * @return {!number}
+ */
+net.sf.geographiclib.GeodesicExact.td_ = function(x) {
+  return x == 0 ? 4 / 3 :
+      // Group terms to minimize roundoff
+      1 + (1 - net.sf.geographiclib.GeodesicExact.asinhsqrt_(x) /
+           Math.sqrt(1 + x)) / (2 * x);
+};
+
+
+/**
+ * The divided difference (<i>t</i>(<i>e'</i><sup>2</sup>) &minus;
+ * <i>t</i>(<i>y</i>)) / (<i>e'</i><sup>2</sup> &minus; <i>y</i>), written
+ * to avoid cancellation when <i>y</i> is close to <i>e'</i><sup>2</sup>.
+ * @private
+ * @param {!number} y
+ * @return {!number}
+ */
+net.sf.geographiclib.GeodesicExact.prototype.DtX_ = function(y) {
+  var X = this._ep2;
+  if (X == y)
+    return this._tdX;
+  if (X * y <= 0)
+    return (this._tX - net.sf.geographiclib.GeodesicExact.t_(y)) / (X - y);
+  var
+      sy = Math.sqrt(Math.abs(y)), sy1 = Math.sqrt(1 + y),
+      z = (X - y) / (this._sX * sy1 + sy * this._sX1),
+      d1 = 2 * this._sX * sy,
+      d2 = 2 * (X * sy * sy1 + y * this._sXX1);
+  return X > 0 ?
+      (1 + (net.sf.geographiclib.GeoMath.asinh(z) / z) / d1 -
+       (this._asinhsX + net.sf.geographiclib.GeoMath.asinh(sy)) / d2) :
+      (1 - (Math.asin(z) / z) / d1 - (this._asinhsX + Math.asin(sy)) / d2);
+};
+
+
+/**
+ * Compute the coefficients of the area series
+ * <i>I</i><sub>4</sub>(<i>&sigma;</i>) = &sum;<sub><i>l</i></sub>
+ * <i>C</i><sub>4<i>l</i></sub> cos((2<i>l</i> + 1) <i>&sigma;</i>).
+ * <i>I</i><sub>4</sub> is the integral from &pi;/2 to <i>&sigma;</i> of
+ * &minus;<i>D</i><sub><i>t</i></sub>(<i>k</i><sup>2</sup>
+ * sin<sup>2</sup><i>&sigma;</i>) sin<i>&sigma;</i> / 2, Karney (2013),
+ * Eq. (59); the coefficients are found by a discrete sine transform of the
+ * integrand.
+ * @param {!number} k2
+ * @param {!Array.<!number>} c receives c.length coefficients.
+ */
+net.sf.geographiclib.GeodesicExact.prototype.C4f = function(k2, c) {
+  var n = c.length, m = 8 * n, l, j;
+  // sin(pi * i / (4 * n)) for i in [0, 8 * n)
+  var sines = new Array(m);
+  for (j = 0; j < m; ++j)
+    sines[j] = Math.sin(Math.PI * j / (4 * n));
+  // The integrand sampled at sig = (2 * j + 1) * pi / (4 * n)
+  var f = new Array(n);
+  for (j = 0; j < n; ++j) {
+    var ssig = sines[2 * j + 1];
+    f[j] = this.DtX_(k2 * ssig * ssig) * ssig / 2;
+  }
+  for (l = 0; l < n; ++l) {
+    var s = 0;
+    for (j = 0; j < n; ++j)
+      s += f[j] * sines[((2 * l + 1) * (2 * j + 1)) % m];
+    c[l] = 2 * s / (n * (2 * l + 1));
+  }
+};
+
+
+/**
+ * @param {!net.sf.geographiclib.EllipticFunction} E
+ * @param {!number} sig12
+ * @param {!number} ssig1
+ * @param {!number} csig1
+ * @param {!number} dn1
+ * @param {!number} ssig2
+ * @param {!number} csig2
+ * @param {!number} dn2
+ * @param {!number} cbet1
+ * @param {!number} cbet2
+ * @param {!boolean} scalep
+ * @return {!{
+ * m0:!number,
+ * m12b:!number,
+ * s12b:!number,
+ * M12:!number,
+ * M21:!number}}
+ */
+net.sf.geographiclib.GeodesicExact.prototype.Lengths = function(E, sig12,
+    ssig1, csig1, dn1, ssig2, csig2, dn2,
+    cbet1, cbet2, scalep) {
+  var vals = {
+    m0: 0,
+    m12b: 0,
+    s12b: 0,
+    M12: 0,
+    M21: 0
+  };
+  vals.m0 = -E.k2() * E.D() / (Math.PI / 2);
+  var J12 = vals.m0 *
+      (sig12 + E.deltaD(ssig2, csig2, dn2) - E.deltaD(ssig1, csig1, dn1));
+  vals.m12b = dn2 * (csig1 * ssig2) - dn1 * (ssig1 * csig2) -
+      csig1 * csig2 * J12;
+  vals.s12b = E.E() / (Math.PI / 2) *
+      (sig12 + E.deltaE(ssig2, csig2, dn2) - E.deltaE(ssig1, csig1, dn1));
+  if (scalep) {
+    var csig12 = csig1 * csig2 + ssig1 * ssig2;
+    var t = this._ep2 * (cbet1 - cbet2) * (cbet1 + cbet2) / (dn1 + dn2);
+    vals.M12 = csig12 + (t * ssig2 - csig2 * J12) * ssig1 / dn1;
+    vals.M21 = csig12 - (t * ssig1 - csig1 * J12) * ssig2 / dn2;
+  }
+  return vals;
+};
+
+
+/**
+ * @param {!net.sf.geographiclib.EllipticFunction} E
+ * @param {!number} sbet1
+ * @param {!number} cbet1
+ * @param {!number} dn1
+ * @param {!number} sbet2
+ * @param {!number} cbet2
+ * @param {!number} dn2
+ * @param {!number} lam12
+ * @return {!{
+ * dnm:!number,
+ * salp1:!number,
+ * calp1:!number,
+ * salp2:!number,
+ * calp2:!number,
+ * sig12:!number
+ * }}
+ */
+net.sf.geographiclib.GeodesicExact.prototype.InverseStart =
+    function(E, sbet1, cbet1, dn1,
+    sbet2, cbet2, dn2, lam12) {
+  var
+      vals = {
+        dnm: 0,
+        salp1: 0,
+        calp1: 0,
+        salp2: 0,
+        calp2: 0,
+        sig12: 0
+      },
+      sbet12 = sbet2 * cbet1 - cbet2 * sbet1,
+      cbet12 = cbet2 * cbet1 + sbet2 * sbet1;
+  vals.sig12 = -1;
+  var sbet12a = sbet2 * cbet1;
+  sbet12a += cbet2 * sbet1;
+  var shortline = cbet12 >= 0 && sbet12 < 0.5 && cbet2 * lam12 < 0.5;
+  var omg12 = lam12;
+  if (shortline) {
+    var sbetm2 = net.sf.geographiclib.GeoMath.sq(sbet1 + sbet2);
+    sbetm2 /= sbetm2 + net.sf.geographiclib.GeoMath.sq(cbet1 + cbet2);
+    vals.dnm = Math.sqrt(1 + this._ep2 * sbetm2);
+    omg12 /= this._f1 * vals.dnm;
+  }
+  var somg12 = Math.sin(omg12),
+      comg12 = Math.cos(omg12);
+  vals.salp1 = cbet2 * somg12;
+  vals.calp1 = comg12 >= 0 ?
+      sbet12 + cbet2 * sbet1 *
+      net.sf.geographiclib.GeoMath.sq(somg12) / (1 + comg12) :
+      sbet12a - cbet2 * sbet1 *
+      net.sf.geographiclib.GeoMath.sq(somg12) / (1 - comg12);
+  var
+      ssig12 = net.sf.geographiclib.GeoMath.hypot(vals.salp1, vals.calp1),
+      csig12 = sbet1 * sbet2 + cbet1 * cbet2 * comg12;
+  if (shortline && ssig12 < this._etol2) {
+    vals.salp2 = cbet1 * somg12;
+    vals.calp2 = sbet12 - cbet1 * sbet2 *
+        (comg12 >= 0 ? net.sf.geographiclib.GeoMath.sq(somg12) /
+        (1 + comg12) : 1 - comg12);
+    var t = net.sf.geographiclib.GeoMath.hypot(vals.salp2, vals.calp2);
+    vals.salp2 /= t;
+    vals.calp2 /= t;
+    vals.sig12 = Math.atan2(ssig12, csig12);
+  } else if (Math.abs(this._n) > 0.1 ||
+             csig12 >= 0 ||
+             ssig12 >= 6 * Math.abs(this._n) * Math.PI *
+             net.sf.geographiclib.GeoMath.sq(cbet1)) {
+  } else {
+    var y = 0, lamscale = 0, betscale = 0;
+    var x = 0;
+    if (this._f >= 0) {
+      var k2 = net.sf.geographiclib.GeoMath.sq(sbet1) * this._ep2;
+      E.Reset(-k2, -this._ep2, 1 + k2, 1 + this._ep2);
+      lamscale = this._e2 / this._f1 * cbet1 * 2 * E.H();
+      betscale = lamscale * cbet1;
+      x = (lam12 - Math.PI) / lamscale;
+      y = sbet12a / betscale;
+    } else {
+      var
+          cbet12a = cbet2 * cbet1 - sbet2 * sbet1,
+          bet12a = Math.atan2(sbet12a, cbet12a);
+      var m12b = 0, m0 = 0;
+      var nvals = this.Lengths(E, Math.PI + bet12a,
+          sbet1, -cbet1, dn1, sbet2, cbet2, dn2,
+          cbet1, cbet2, false);
+      m12b = nvals.m12b;
+      m0 = nvals.m0;
+      x = -1 + m12b / (cbet1 * cbet2 * m0 * Math.PI);
+      betscale = x < -0.01 ? sbet12a / x : -this._f *
+          net.sf.geographiclib.GeoMath.sq(cbet1) * Math.PI;
+      lamscale = betscale / cbet1;
+      y = (lam12 - Math.PI) / lamscale;
+    }
+    if (y > -this._accuracy.tol1() &&
+        x > -1 - this._accuracy.xthresh()) {
+      if (this._f >= 0) {
+        vals.salp1 = Math.min(1, -x);
+        vals.calp1 = -Math.sqrt(1 -
+                                net.sf.geographiclib.GeoMath.sq(vals.salp1));
+      } else {
+        vals.calp1 = Math.max(x >
+                              -this._accuracy.tol1() ? 0 : -1, x);
+        vals.salp1 = Math.sqrt(1 -
+                               net.sf.geographiclib.GeoMath.sq(vals.calp1));
+      }
+    } else {
+      var k = net.sf.geographiclib.Geodesic.Astroid(x, y);
+      var omg12a = lamscale *
+          (this._f >= 0 ? -x * k / (1 + k) : -y * (1 + k) / k);
+      somg12 = Math.sin(omg12a);
+      comg12 = -Math.cos(omg12a);
+      vals.salp1 = cbet2 * somg12;
+      vals.calp1 = sbet12a - cbet2 * sbet1 *
+          net.sf.geographiclib.GeoMath.sq(somg12) / (1 - comg12);
+    }
+  }
+  if (vals.salp1 > 0) {
+    var t = net.sf.geographiclib.GeoMath.hypot(vals.salp1, vals.calp1);
+    vals.salp1 /= t;
+    vals.calp1 /= t;
+  } else {
+    vals.salp1 = 1;
+    vals.calp1 = 0;
+  }
+  return vals;
+};
+
+
+/**
+ * @param {!net.sf.geographiclib.EllipticFunction} E
+ * @param {!number} sbet1
+ * @param {!number} cbet1
+ * @param {!number} dn1
+ * @param {!number} sbet2
+ * @param {!number} cbet2
+ * @param {!number} dn2
+ * @param {!number} salp1
+ * @param {!number} calp1
+ * @param {!boolean} diffp
+ * @return {!{
+ * ssig1:!number,
+ * csig1:!number,
+ * salp2:!number,
+ * calp2:!number,
+ * ssig2:!number,
+ * csig2:!number,
+ * sig12:!number,
+ * domg12:!number,
+ * lam12:!number,
+ * dlam12:!number
+ * }}
+ */
+net.sf.geographiclib.GeodesicExact.prototype.Lambda12 =
+    function(E, sbet1, cbet1, dn1, sbet2, cbet2, dn2,
+    salp1, calp1, diffp) {
+  var vals = {
+    ssig1: 0,
+    csig1: 0,
+    salp2: 0,
+    calp2: 0,
+    ssig2: 0,
+    csig2: 0,
+    sig12: 0,
+    domg12: 0,
+    lam12: 0,
+    dlam12: 0
+  };
+  if (sbet1 == 0 && calp1 == 0)
+    calp1 = -this._accuracy.tiny();
+  var
+      salp0 = salp1 * cbet1,
+      calp0 = net.sf.geographiclib.GeoMath.hypot(calp1, salp1 * sbet1);
+  var somg1 = 0, comg1 = 0, somg2 = 0, comg2 = 0, omg12 = 0;
+  vals.ssig1 = sbet1;
+  somg1 = salp0 * sbet1;
+  vals.csig1 = comg1 = calp1 * cbet1;
+  var t = net.sf.geographiclib.GeoMath.hypot(vals.ssig1, vals.csig1);
+  vals.ssig1 /= t;
+  vals.csig1 /= t;
+  vals.salp2 = cbet2 != cbet1 ? salp0 / cbet2 : salp1;
+  vals.calp2 = cbet2 != cbet1 || Math.abs(sbet2) != -sbet1 ?
+      Math.sqrt(net.sf.geographiclib.GeoMath.sq(
+      calp1 * cbet1) + (cbet1 < -sbet1 ?
+      (cbet2 - cbet1) * (cbet1 + cbet2) :
+      (sbet1 - sbet2) * (sbet1 + sbet2))) / cbet2 : Math.abs(calp1);
+  vals.ssig2 = sbet2;
+  somg2 = salp0 * sbet2;
+  vals.csig2 = comg2 = vals.calp2 * cbet2;
+  t = net.sf.geographiclib.GeoMath.hypot(vals.ssig2, vals.csig2);
+  vals.ssig2 /= t;
+  vals.csig2 /= t;
+  vals.sig12 = Math.atan2(Math.max(vals.csig1 * vals.ssig2 -
+                                   vals.ssig1 * vals.csig2, 0),
+                          vals.csig1 * vals.csig2 + vals.ssig1 * vals.ssig2);
+  omg12 = Math.atan2(Math.max(
+      comg1 * somg2 - somg1 * comg2, 0),
+      comg1 * comg2 + somg1 * somg2);
+  // chi is the longitude on the auxiliary sphere scaled so that the
+  // remaining correction is given by the elliptic integral H.
+  var
+      cchi1 = this._f1 * dn1 * comg1,
+      cchi2 = this._f1 * dn2 * comg2,
+      chi12 = Math.atan2(Math.max(cchi1 * somg2 - somg1 * cchi2, 0),
+                         cchi1 * cchi2 + somg1 * somg2);
+  var k2 = net.sf.geographiclib.GeoMath.sq(calp0) * this._ep2;
+  E.Reset(-k2, -this._ep2, 1 + k2, 1 + this._ep2);
+  vals.lam12 = chi12 -
+      this._e2 / this._f1 * salp0 * E.H() / (Math.PI / 2) *
+      (vals.sig12 + E.deltaH(vals.ssig2, vals.csig2, dn2) -
+       E.deltaH(vals.ssig1, vals.csig1, dn1));
+  vals.domg12 = vals.lam12 - omg12;
+  if (diffp) {
+    if (vals.calp2 == 0)
+      vals.dlam12 = -2 * this._f1 * dn1 / sbet1;
+    else {
+      var nvals = this.Lengths(E, vals.sig12,
+                               vals.ssig1, vals.csig1, dn1,
+                               vals.ssig2, vals.csig2, dn2,
+                               cbet1, cbet2, false);
+      vals.dlam12 = nvals.m12b;
+      vals.dlam12 *= this._f1 / (vals.calp2 * cbet2);
+    }
+  }
+  return vals;
+};
+
+
+/**
+ * @param {!number} lat1
+ * @param {!number} lon1
+ * @param {!number} lat2
+ * @param {!number} lon2
+ * @param {!number} outmask
+ * @return {!{
+ * M12:!number,
+ * M21:!number,
+ * a12:!number,
+ * s12:!number,
+ * m12:!number,
+ * S12:!number,
+ * azi1:!number,
+ * azi2:!number
+ * }}
+ */
+net.sf.geographiclib.GeodesicExact.prototype.GenInverse =
+    function(lat1, lon1, lat2, lon2, outmask) {
+  var vals = {
+    M12: 0,
+    M21: 0,
+    a12: 0,
+    s12: 0,
+    m12: 0,
+    S12: 0,
+    azi1: 0,
+    azi2: 0
+  };
+  outmask &= net.sf.geographiclib.GeodesicMask.getInstance().OUT_ALL;
+  var lon12 = net.sf.geographiclib.GeoMath.angDiff(
+      net.sf.geographiclib.GeoMath.angNormalize(lon1),
+      net.sf.geographiclib.GeoMath.angNormalize(lon2));
+  lon12 = net.sf.geographiclib.Geodesic.AngRound(lon12);
+  var lonsign = lon12 >= 0 ? 1 : -1;
+  lon12 *= lonsign;
+  lat1 = net.sf.geographiclib.Geodesic.AngRound(lat1);
+  lat2 = net.sf.geographiclib.Geodesic.AngRound(lat2);
+  var swapp = Math.abs(lat1) >= Math.abs(lat2) ? 1 : -1;
+  if (swapp < 0) {
+    lonsign *= -1;
+    var t = lat1;
+    lat1 = lat2;
+    lat2 = t;
+  }
+  var latsign = lat1 < 0 ? 1 : -1;
+  lat1 *= latsign;
+  lat2 *= latsign;
+  var phi = 0, sbet1 = 0, cbet1 = 0, sbet2 = 0, cbet2 = 0, s12x = 0, m12x = 0;
+  phi = lat1 * net.sf.geographiclib.GeoMath.degree;
+  sbet1 = this._f1 * Math.sin(phi);
+  cbet1 = lat1 == -90 ?
+          this._accuracy.tiny() : Math.cos(phi);
+  var t = net.sf.geographiclib.GeoMath.hypot(sbet1, cbet1);
+  sbet1 /= t;
+  cbet1 /= t;
+  phi = lat2 * net.sf.geographiclib.GeoMath.degree;
+  sbet2 = this._f1 * Math.sin(phi);
+  cbet2 = Math.abs(lat2) == 90 ?
+          this._accuracy.tiny() : Math.cos(phi);
+  t = net.sf.geographiclib.GeoMath.hypot(sbet2, cbet2);
+  sbet2 /= t;
+  cbet2 /= t;
+  if (cbet1 < -sbet1) {
+    if (cbet2 == cbet1)
+      sbet2 = sbet2 < 0 ? sbet1 : -sbet1;
+  } else {
+    if (Math.abs(sbet2) == -sbet1)
+      cbet2 = cbet1;
+  }
+  var
+      dn1 = Math.sqrt(1 + this._ep2 * net.sf.geographiclib.GeoMath.sq(sbet1)),
+      dn2 = Math.sqrt(1 + this._ep2 * net.sf.geographiclib.GeoMath.sq(sbet2));
+  var
+      lam12 = lon12 * net.sf.geographiclib.GeoMath.degree,
+      slam12 = lon12 == 180 ? 0 : Math.sin(lam12),
+      clam12 = Math.cos(lam12);
+  var sig12 = 0, calp1 = 0, salp1 = 0, calp2 = 0, salp2 = 0;
+  // Initialize for the meridian.
+  var E = new net.sf.geographiclib.EllipticFunction(-this._ep2);
+  var meridian = lat1 == -90 || slam12 == 0;
+  if (meridian) {
+    calp1 = clam12;
+    salp1 = slam12;
+    calp2 = 1;
+    salp2 = 0;
+    var
+        ssig1 = sbet1,
+        csig1 = calp1 * cbet1,
+        ssig2 = sbet2,
+        csig2 = calp2 * cbet2;
+    sig12 = Math.atan2(Math.max(csig1 * ssig2 - ssig1 * csig2, 0),
+                       csig1 * csig2 + ssig1 * ssig2);
+    var nvalsx = this.Lengths(E, sig12,
+                              ssig1, csig1, dn1, ssig2, csig2, dn2,
+                              cbet1, cbet2,
+                              (outmask & net.sf.geographiclib.GeodesicMask.
+                               getInstance().GEODESICSCALE) != 0);
+    s12x = nvalsx.s12b;
+    m12x = nvalsx.m12b;
+    if ((outmask & net.sf.geographiclib.GeodesicMask.
+         getInstance().GEODESICSCALE) != 0) {
+      vals.M12 = nvalsx.M12;
+      vals.M21 = nvalsx.M21;
+    }
+    if (sig12 < 1 || m12x >= 0) {
+      m12x *= this._b;
+      s12x *= this._b;
+      vals.a12 = sig12 / net.sf.geographiclib.GeoMath.degree;
+    } else
+      meridian = false;
+  }
+  var omg12 = 0;
+  if (!meridian &&
+      sbet1 == 0 &&
+      (this._f <= 0 || lam12 <= Math.PI - this._f * Math.PI)) {
+    calp1 = calp2 = 0;
+    salp1 = salp2 = 1;
+    s12x = this._a * lam12;
+    sig12 = omg12 = lam12 / this._f1;
+    m12x = this._b * Math.sin(sig12);
+    if (outmask & net.sf.geographiclib.GeodesicMask.
+        getInstance().GEODESICSCALE)
+      vals.M12 = vals.M21 = Math.cos(sig12);
+    vals.a12 = lon12 / this._f1;
+  } else if (!meridian) {
+    var nvals = this.InverseStart(E, sbet1, cbet1, dn1, sbet2, cbet2, dn2,
+                                  lam12);
+    sig12 = nvals.sig12;
+    salp1 = nvals.salp1;
+    calp1 = nvals.calp1;
+    if (sig12 >= 0) {
+      salp2 = nvals.salp2;
+      calp2 = nvals.calp2;
+      var dnm = nvals.dnm;
+      s12x = sig12 * this._b * dnm;
+      m12x = net.sf.geographiclib.GeoMath.sq(dnm) *
+          this._b * Math.sin(sig12 / dnm);
+      if (outmask & net.sf.geographiclib.GeodesicMask.
+          getInstance().GEODESICSCALE)
+        vals.M12 = vals.M21 = Math.cos(sig12 / dnm);
+      vals.a12 = sig12 / net.sf.geographiclib.GeoMath.degree;
+      omg12 = lam12 / (this._f1 * dnm);
+    } else {
+      var ssig1 = 0, csig1 = 0, ssig2 = 0, csig2 = 0;
+      var numit = 0;
+      var salp1a = this._accuracy.tiny(),
+          calp1a = 1,
+          salp1b = this._accuracy.tiny(),
+          calp1b = -1;
+      for (var tripn = false, tripb = false;
+           numit < this._accuracy.maxit2();
+           ++numit) {
+        var dv;
+        nvals = this.Lambda12(E, sbet1, cbet1, dn1, sbet2, cbet2, dn2,
+                              salp1, calp1, numit <
+                              this._accuracy.maxit1());
+        var v = nvals.lam12 - lam12;
+        salp2 = nvals.salp2;
+        calp2 = nvals.calp2;
+        sig12 = nvals.sig12;
+        ssig1 = nvals.ssig1;
+        csig1 = nvals.csig1;
+        ssig2 = nvals.ssig2;
+        csig2 = nvals.csig2;
+        omg12 = nvals.domg12;
+        dv = nvals.dlam12;
+        if (tripb || !(Math.abs(v) >= (tripn ? 8 : 2) *
+                       this._accuracy.tol0()))
+          break;
+        if (v > 0 && (numit <
+                      this._accuracy.maxit1() ||
+                      calp1 / salp1 > calp1b / salp1b)) {
+          salp1b = salp1;
+          calp1b = calp1;
+        } else if (v < 0 && (numit <
+            this._accuracy.maxit1() ||
+                    calp1 / salp1 < calp1a / salp1a)) {
+          salp1a = salp1;
+          calp1a = calp1;
+        }
+        if (numit <
+            this._accuracy.maxit1() &&
+            dv > 0) {
+          var
+              dalp1 = -v / dv;
+          var
+              sdalp1 = Math.sin(dalp1),
+              cdalp1 = Math.cos(dalp1),
+              nsalp1 = salp1 * cdalp1 + calp1 * sdalp1;
+          if (nsalp1 > 0 && Math.abs(dalp1) < Math.PI) {
+            calp1 = calp1 * cdalp1 - salp1 * sdalp1;
+            salp1 = Math.max(0, nsalp1);
+            t = net.sf.geographiclib.GeoMath.hypot(salp1, calp1);
+            salp1 /= t;
+            calp1 /= t;
+            tripn = Math.abs(v) <= 16 *
+                this._accuracy.tol0();
+            continue;
+          }
+        }
+        salp1 = (salp1a + salp1b) / 2;
+        calp1 = (calp1a + calp1b) / 2;
+        t = net.sf.geographiclib.GeoMath.hypot(salp1, calp1);
+        salp1 /= t;
+        calp1 /= t;
+        tripn = false;
+        tripb = (Math.abs(salp1a - salp1) + (calp1a - calp1) <
+                 this._accuracy.tolb() ||
+                 Math.abs(salp1 - salp1b) + (calp1 - calp1b) <
+                 this._accuracy.tolb());
+      }
+      nvals = this.Lengths(E, sig12,
+          ssig1, csig1, dn1, ssig2, csig2, dn2,
+          cbet1, cbet2,
+                           (outmask & net.sf.geographiclib.GeodesicMask.
+                            getInstance().GEODESICSCALE) != 0);
+      s12x = nvals.s12b;
+      m12x = nvals.m12b;
+      if ((outmask & net.sf.geographiclib.GeodesicMask.
+           getInstance().GEODESICSCALE) != 0) {
+        vals.M12 = nvals.M12;
+        vals.M21 = nvals.M21;
+      }
+      m12x *= this._b;
+      s12x *= this._b;
+      vals.a12 = sig12 / net.sf.geographiclib.GeoMath.degree;
+      omg12 = lam12 - omg12;
+    }
+  }
+  if (outmask &
+          net.sf.geographiclib.GeodesicMask.getInstance().DISTANCE)
+    vals.s12 = 0 + s12x;
+  if (outmask &
+      net.sf.geographiclib.GeodesicMask.
+      getInstance().REDUCEDLENGTH)
+    vals.m12 = 0 + m12x;
+  if (outmask &
+          net.sf.geographiclib.GeodesicMask.getInstance().AREA) {
+    var
+        salp0 = salp1 * cbet1,
+        calp0 = net.sf.geographiclib.GeoMath.hypot(calp1, salp1 * sbet1);
+    var alp12;
+    if (calp0 != 0 && salp0 != 0) {
+      var
+          ssig1 = sbet1,
+          csig1 = calp1 * cbet1,
+          ssig2 = sbet2,
+          csig2 = calp2 * cbet2,
+          k2 = net.sf.geographiclib.GeoMath.sq(calp0) * this._ep2;
+      var A4 = net.sf.geographiclib.GeoMath.sq(this._a) *
+          calp0 * salp0 * this._e2;
+      t = net.sf.geographiclib.GeoMath.hypot(ssig1, csig1);
+      ssig1 /= t;
+      csig1 /= t;
+      t = net.sf.geographiclib.GeoMath.hypot(ssig2, csig2);
+      ssig2 /= t;
+      csig2 /= t;
+      var C4a = new Array(this._nC4);
+      this.C4f(k2, C4a);
+      var
+          B41 = net.sf.geographiclib.Geodesic.SinCosSeries(
+          false, ssig1, csig1, C4a, this._nC4),
+          B42 = net.sf.geographiclib.Geodesic.SinCosSeries(
+          false, ssig2, csig2, C4a, this._nC4);
+      vals.S12 = A4 * (B42 - B41);
+    } else
+      vals.S12 = 0;
+    if (!meridian &&
+        omg12 < 0.75 * Math.PI &&
+        sbet2 - sbet1 < 1.75) {
+      var
+          somg12 = Math.sin(omg12),
+          domg12 = 1 + Math.cos(omg12),
+          dbet1 = 1 + cbet1,
+          dbet2 = 1 + cbet2;
+      alp12 = 2 * Math.atan2(somg12 * (sbet1 * dbet2 + sbet2 * dbet1),
+                             domg12 * (sbet1 * sbet2 + dbet1 * dbet2));
+    } else {
+      var
+          salp12 = salp2 * calp1 - calp2 * salp1,
+          calp12 = calp2 * calp1 + salp2 * salp1;
+      if (salp12 == 0 && calp12 < 0) {
+        salp12 = this._accuracy.tiny() * calp1;
+        calp12 = -1;
+      }
+      alp12 = Math.atan2(salp12, calp12);
+    }
+    vals.S12 += this._c2 * alp12;
+    vals.S12 *= swapp * lonsign * latsign;
+    vals.S12 += 0;
+  }
+  if (swapp < 0) {
+    t = salp1;
+    salp1 = salp2;
+    salp2 = t;
+    t = calp1;
+    calp1 = calp2;
+    calp2 = t;
+    if (outmask &
+        net.sf.geographiclib.GeodesicMask.
+        getInstance().GEODESICSCALE) {
+      t = vals.M12;
+      vals.M12 = vals.M21;
+      vals.M21 = t;
+    }
+  }
+  salp1 *= swapp * lonsign;
+  calp1 *= swapp * latsign;
+  salp2 *= swapp * lonsign;
+  calp2 *= swapp * latsign;
+  if (outmask &
+          net.sf.geographiclib.GeodesicMask.getInstance().AZIMUTH) {
+    vals.azi1 = 0 - Math.atan2(-salp1, calp1) /
+        net.sf.geographiclib.GeoMath.degree;
+    vals.azi2 = 0 - Math.atan2(-salp2, calp2) /
+        net.sf.geographiclib.GeoMath.degree;
+  }
+  return vals;
+};
+
+
+/**
+ * Solve the inverse geodesic problem.
+ * <p>
+ * <i>lat1</i> and <i>lat2</i> should be in the range [&minus;90&deg;,
+ * 90&deg;]; <i>lon1</i> and <i>lon2</i> should be in the range
+ * [&minus;540&deg;, 540&deg;).  The values of <i>azi1</i> and <i>azi2</i>
+ * returned are in the range [&minus;180&deg;, 180&deg;).
+ *
+ * @param {!number} lat1 latitude of point 1 (degrees).
+ * @param {!number} lon1 longitude of point 1 (degrees).
+ * @param {!number} lat2 latitude of point 2 (degrees).
+ * @param {!number} lon2 longitude of point 2 (degrees).
+ * @param {!number=} opt_outmask a bitor'ed combination of {@link
+ *     net.sf.geographiclib.GeodesicMask} values specifying which results
+ *     should be returned (default STANDARD).
+ * @return {!net.sf.geographiclib.GeodesicData}
+ */
+net.sf.geographiclib.GeodesicExact.prototype.Inverse =
+    function(lat1, lon1, lat2, lon2, opt_outmask) {
+  var outmask = goog.isDef(opt_outmask) ? opt_outmask :
+      net.sf.geographiclib.GeodesicMask.getInstance().STANDARD;
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var vals = this.GenInverse(lat1, lon1, lat2, lon2, outmask);
+  var r = new net.sf.geographiclib.GeodesicData();
+  outmask &= gm.OUT_ALL;
+  r.lat1 = lat1;
+  r.lon1 = net.sf.geographiclib.GeoMath.angNormalize(lon1);
+  r.lat2 = lat2;
+  r.lon2 = net.sf.geographiclib.GeoMath.angNormalize(lon2);
+  r.a12 = vals.a12;
+  if (outmask & gm.DISTANCE)
+    r.s12 = vals.s12;
+  if (outmask & gm.AZIMUTH) {
+    r.azi1 = vals.azi1;
+    r.azi2 = vals.azi2;
+  }
+  if (outmask & gm.REDUCEDLENGTH)
+    r.m12 = vals.m12;
+  if (outmask & gm.GEODESICSCALE) {
+    r.M12 = vals.M12;
+    r.M21 = vals.M21;
+  }
+  if (outmask & gm.AREA)
+    r.S12 = vals.S12;
+  return r;
+};
+
+
+/**
+ * Solve the direct geodesic problem where the length of the geodesic is
+ * specified in terms of distance.
+ * <p>
+ * <i>lat1</i> should be in the range [&minus;90&deg;, 90&deg;];
+ * <i>lon1</i> and <i>azi1</i> should be in the range [&minus;540&deg;,
+ * 540&deg;).  The values of <i>lon2</i> and <i>azi2</i> returned are in the
+ * range [&minus;180&deg;, 180&deg;).  If either point is at a pole, the
+ * azimuth is defined by keeping the longitude fixed, writing <i>lat</i> =
+ * &plusmn;(90&deg; &minus; &epsilon;), and taking the limit &epsilon; &rarr;
+ * 0+.
+ *
+ * @param {!number} lat1 latitude of point 1 (degrees).
+ * @param {!number} lon1 longitude of point 1 (degrees).
+ * @param {!number} azi1 azimuth at point 1 (degrees).
+ * @param {!number} s12 distance between point 1 and point 2 (meters); it can
+ *     be negative.
+ * @param {!number=} opt_outmask a bitor'ed combination of {@link
+ *     net.sf.geographiclib.GeodesicMask} values specifying which results
+ *     should be returned (default STANDARD).
+ * @return {!net.sf.geographiclib.GeodesicData}
+ */
+net.sf.geographiclib.GeodesicExact.prototype.Direct =
+    function(lat1, lon1, azi1, s12, opt_outmask) {
+  return this.GenDirect(lat1, lon1, azi1, false, s12, goog.isDef(opt_outmask) ?
+      opt_outmask : net.sf.geographiclib.GeodesicMask.getInstance().STANDARD);
+};
+
+
+/**
+ * Solve the direct geodesic problem where the length of the geodesic is
+ * specified in terms of arc length.
+ * <p>
+ * <i>lat1</i> should be in the range [&minus;90&deg;, 90&deg;];
+ * <i>lon1</i> and <i>azi1</i> should be in the range [&minus;540&deg;,
+ * 540&deg;).  The values of <i>lon2</i> and <i>azi2</i> returned are in the
+ * range [&minus;180&deg;, 180&deg;).
+ *
+ * @param {!number} lat1 latitude of point 1 (degrees).
+ * @param {!number} lon1 longitude of point 1 (degrees).
+ * @param {!number} azi1 azimuth at point 1 (degrees).
+ * @param {!number} a12 arc length between point 1 and point 2 (degrees); it
+ *     can be negative.
+ * @param {!number=} opt_outmask a bitor'ed combination of {@link
+ *     net.sf.geographiclib.GeodesicMask} values specifying which results
+ *     should be returned (default STANDARD).
+ * @return {!net.sf.geographiclib.GeodesicData}
+ */
+net.sf.geographiclib.GeodesicExact.prototype.ArcDirect =
+    function(lat1, lon1, azi1, a12, opt_outmask) {
+  return this.GenDirect(lat1, lon1, azi1, true, a12, goog.isDef(opt_outmask) ?
+      opt_outmask : net.sf.geographiclib.GeodesicMask.getInstance().STANDARD);
+};
+
+
+/**
+ * The general direct geodesic problem.  {@link
+ * net.sf.geographiclib.GeodesicExact#Direct} and {@link
+ * net.sf.geographiclib.GeodesicExact#ArcDirect} are defined in terms of this
+ * function.
+ * <p>
+ * The {@link net.sf.geographiclib.GeodesicMask} values possible for
+ * <i>outmask</i> are LATITUDE, LONGITUDE, AZIMUTH, DISTANCE, REDUCEDLENGTH,
+ * GEODESICSCALE, AREA and ALL.
+ *
+ * @param {!number} lat1 latitude of point 1 (degrees).
+ * @param {!number} lon1 longitude of point 1 (degrees).
+ * @param {!number} azi1 azimuth at point 1 (degrees).
+ * @param {!boolean} arcmode boolean flag determining the meaning of the
+ *     <i>s12_a12</i>.
+ * @param {!number} s12_a12 if <i>arcmode</i> is false, this is the distance
+ *     between point 1 and point 2 (meters); otherwise it is the arc length
+ *     between point 1 and point 2 (degrees); it can be negative.
+ * @param {!number} outmask a bitor'ed combination of {@link
+ *     net.sf.geographiclib.GeodesicMask} values specifying which results
+ *     should be returned.
+ * @return {!net.sf.geographiclib.GeodesicData}
+ */
+net.sf.geographiclib.GeodesicExact.prototype.GenDirect =
+    function(lat1, lon1, azi1, arcmode, s12_a12, outmask) {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var line = new net.sf.geographiclib.GeodesicLineExact(
+      this, lat1, lon1, azi1,
+      outmask | (arcmode ? gm.NONE : gm.DISTANCE_IN));
+  return arcmode ? line.ArcPosition(s12_a12, outmask) :
+      line.Position(s12_a12, outmask);
+};
+
+
+/**
+ * Define a {@link net.sf.geographiclib.GeodesicLineExact} in terms of
+ * the inverse geodesic problem.
+ * <p>
+ * This function sets point 3 of the line to correspond to point 2 of
+ * the inverse geodesic problem.  <i>lat1</i> and <i>lat2</i> should be in the
+ * range [&minus;90&deg;, 90&deg;]; <i>lon1</i> and <i>lon2</i> should be in
+ * the range [&minus;540&deg;, 540&deg;).
+ *
+ * @param {!number} lat1 latitude of point 1 (degrees).
+ * @param {!number} lon1 longitude of point 1 (degrees).
+ * @param {!number} lat2 latitude of point 2 (degrees).
+ * @param {!number} lon2 longitude of point 2 (degrees).
+ * @param {!number=} opt_caps a bitor'ed combination of {@link
+ *     net.sf.geographiclib.GeodesicMask} values specifying the capabilities
+ *     the line should possess (default ALL).
+ * @return {!net.sf.geographiclib.GeodesicLineExact}
+ */
+net.sf.geographiclib.GeodesicExact.prototype.InverseLine =
+    function(lat1, lon1, lat2, lon2, opt_caps) {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var caps = goog.isDef(opt_caps) ? opt_caps : gm.ALL;
+  var vals = this.GenInverse(lat1, lon1, lat2, lon2, gm.AZIMUTH);
+  // Ensure that a12 can be converted to a distance
+  if (caps & gm.DISTANCE_IN & gm.OUT_ALL)
+    caps |= gm.DISTANCE;
+  var line = new net.sf.geographiclib.GeodesicLineExact(
+      this, lat1, lon1, vals.azi1, caps);
+  line.SetArc(vals.a12);
+  return line;
+};
+
+
+/**
+ * Define a {@link net.sf.geographiclib.GeodesicLineExact} in terms of
+ * the direct geodesic problem specified in terms of distance.
+ * <p>
+ * This function sets point 3 of the line to correspond to point 2 of
+ * the direct geodesic problem.
+ *
+ * @param {!number} lat1 latitude of point 1 (degrees).
+ * @param {!number} lon1 longitude of point 1 (degrees).
+ * @param {!number} azi1 azimuth at point 1 (degrees).
+ * @param {!number} s12 distance between point 1 and point 2 (meters); it can
+ *     be negative.
+ * @param {!number=} opt_caps a bitor'ed combination of {@link
+ *     net.sf.geographiclib.GeodesicMask} values specifying the capabilities
+ *     the line should possess (default ALL).
+ * @return {!net.sf.geographiclib.GeodesicLineExact}
+ */
+net.sf.geographiclib.GeodesicExact.prototype.DirectLine =
+    function(lat1, lon1, azi1, s12, opt_caps) {
+  return this.GenDirectLine(lat1, lon1, azi1, false, s12, goog.isDef(opt_caps) ?
+      opt_caps : net.sf.geographiclib.GeodesicMask.getInstance().ALL);
+};
+
+
+/**
+ * Define a {@link net.sf.geographiclib.GeodesicLineExact} in terms of
+ * the direct geodesic problem specified in terms of arc length.
+ * <p>
+ * This function sets point 3 of the line to correspond to point 2 of
+ * the direct geodesic problem.
+ *
+ * @param {!number} lat1 latitude of point 1 (degrees).
+ * @param {!number} lon1 longitude of point 1 (degrees).
+ * @param {!number} azi1 azimuth at point 1 (degrees).
+ * @param {!number} a12 arc length between point 1 and point 2 (degrees); it
+ *     can be negative.
+ * @param {!number=} opt_caps a bitor'ed combination of {@link
+ *     net.sf.geographiclib.GeodesicMask} values specifying the capabilities
+ *     the line should possess (default ALL).
+ * @return {!net.sf.geographiclib.GeodesicLineExact}
+ */
+net.sf.geographiclib.GeodesicExact.prototype.ArcDirectLine =
+    function(lat1, lon1, azi1, a12, opt_caps) {
+  return this.GenDirectLine(lat1, lon1, azi1, true, a12, goog.isDef(opt_caps) ?
+      opt_caps : net.sf.geographiclib.GeodesicMask.getInstance().ALL);
+};
+
+
+/**
+ * Define a {@link net.sf.geographiclib.GeodesicLineExact} in terms of
+ * the direct geodesic problem specified in terms of either distance or
+ * arc length.  {@link net.sf.geographiclib.GeodesicExact#DirectLine} and
+ * {@link net.sf.geographiclib.GeodesicExact#ArcDirectLine} are defined in
+ * terms of this function.
+ *
+ * @param {!number} lat1 latitude of point 1 (degrees).
+ * @param {!number} lon1 longitude of point 1 (degrees).
+ * @param {!number} azi1 azimuth at point 1 (degrees).
+ * @param {!boolean} arcmode boolean flag determining the meaning of the
+ *     <i>s12_a12</i>.
+ * @param {!number} s12_a12 if <i>arcmode</i> is false, this is the distance
+ *     between point 1 and point 2 (meters); otherwise it is the arc length
+ *     between point 1 and point 2 (degrees); it can be negative.
+ * @param {!number} caps a bitor'ed combination of {@link
+ *     net.sf.geographiclib.GeodesicMask} values specifying the capabilities
+ *     the line should possess.
+ * @return {!net.sf.geographiclib.GeodesicLineExact}
+ */
+net.sf.geographiclib.GeodesicExact.prototype.GenDirectLine =
+    function(lat1, lon1, azi1, arcmode, s12_a12, caps) {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  // Automatically supply DISTANCE_IN if necessary
+  if (!arcmode)
+    caps |= gm.DISTANCE_IN;
+  var line = new net.sf.geographiclib.GeodesicLineExact(
+      this, lat1, lon1, azi1, caps);
+  line.GenSetDistance(arcmode, s12_a12);
+  return line;
+};
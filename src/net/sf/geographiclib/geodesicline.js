@@ -1,9 +1,10 @@
 goog.provide('net.sf.geographiclib.GeodesicLine');
 
-goog.require('net.sf.geographiclib.Accuracy');
 goog.require('net.sf.geographiclib.GeoMath');
-goog.require('net.sf.geographiclib.Geodesic');
+goog.require('net.sf.geographiclib.GeodesicData');
 goog.require('net.sf.geographiclib.GeodesicMask');
+// net.sf.geographiclib.Geodesic requires this file in order to build lines
+// for its direct methods, so it cannot be required back here.
 
 
 
@@ -17,7 +18,8 @@ goog.require('net.sf.geographiclib.GeodesicMask');
  */
 net.sf.geographiclib.GeodesicLine = function(geod, lat1, lon1, azi1, caps) {
   var gm = net.sf.geographiclib.GeodesicMask.getInstance();
-  var ac = net.sf.geographiclib.Accuracy.getInstance();
+  var ac = geod._accuracy;
+  this._accuracy = ac;
   this._a = geod._a;
   this._f = geod._f;
   this._b = geod._b;
@@ -59,9 +61,9 @@ net.sf.geographiclib.GeodesicLine = function(geod, lat1, lon1, azi1, caps) {
   this._k2 = net.sf.geographiclib.GeoMath.sq(this._calp0) * geod._ep2;
   var eps = this._k2 / (2 * (1 + Math.sqrt(1 + this._k2)) + this._k2);
   if (this._caps & gm.CAP_C1) {
-    this._A1m1 = net.sf.geographiclib.Geodesic.A1m1f(eps);
+    this._A1m1 = net.sf.geographiclib.Geodesic.A1m1f(eps, ac.na1());
     this._C1a = new Array(ac.nc1() + 1);
-    net.sf.geographiclib.Geodesic.C1f(eps, this._C1a);
+    net.sf.geographiclib.Geodesic.C1f(eps, this._C1a, ac.nc1());
     this._B11 = net.sf.geographiclib.Geodesic.SinCosSeries(
         true, this._ssig1, this._csig1,
         this._C1a, ac.nc1());
@@ -72,12 +74,12 @@ net.sf.geographiclib.GeodesicLine = function(geod, lat1, lon1, azi1, caps) {
   }
   if (this._caps & gm.CAP_C1p) {
     this._C1pa = new Array(ac.nc1p() + 1),
-    net.sf.geographiclib.Geodesic.C1pf(eps, this._C1pa);
+    net.sf.geographiclib.Geodesic.C1pf(eps, this._C1pa, ac.nc1p());
   }
   if (this._caps & gm.CAP_C2) {
-    this._A2m1 = net.sf.geographiclib.Geodesic.A2m1f(eps);
+    this._A2m1 = net.sf.geographiclib.Geodesic.A2m1f(eps, ac.na2());
     this._C2a = new Array(ac.nc2() + 1);
-    net.sf.geographiclib.Geodesic.C2f(eps, this._C2a);
+    net.sf.geographiclib.Geodesic.C2f(eps, this._C2a, ac.nc2());
     this._B21 = net.sf.geographiclib.Geodesic.SinCosSeries(
         true, this._ssig1, this._csig1,
         this._C2a, ac.nc2());
@@ -99,6 +101,7 @@ net.sf.geographiclib.GeodesicLine = function(geod, lat1, lon1, azi1, caps) {
         false, this._ssig1, this._csig1,
         this._C4a, ac.nc4());
   }
+  this._a13 = this._s13 = Number.NaN;
 };
 
 
@@ -114,15 +117,16 @@ net.sf.geographiclib.GeodesicLine = function(geod, lat1, lon1, azi1, caps) {
  * azi2:!number,
  * m12:!number,
  * M12:!number,
- * M21:!number
+ * M21:!number,
+ * S12:!number
  * }}
  */
 net.sf.geographiclib.GeodesicLine.prototype.GenPosition =
     function(arcmode, s12_a12, outmask) {
   var gm = net.sf.geographiclib.GeodesicMask.getInstance();
-  var ac = net.sf.geographiclib.Accuracy.getInstance();
+  var ac = this._accuracy;
   var vals = {a12: 0, s12: 0, lon2: 0, lat2: 0,
-    azi2: 0, m12: 0, M12: 0, M21: 0};
+    azi2: 0, m12: 0, M12: 0, M21: 0, S12: 0};
   outmask &= this._caps & gm.OUT_ALL;
   if (!(arcmode || (this._caps & gm.DISTANCE_IN & gm.OUT_ALL))) {
     vals.a12 = Number.NaN;
@@ -244,3 +248,168 @@ net.sf.geographiclib.GeodesicLine.prototype.GenPosition =
       net.sf.geographiclib.GeoMath.degree;
   return vals;
 };
+
+
+/**
+ * Compute the position of point 2 which is a distance <i>s12</i> (meters)
+ * from point 1.
+ * <p>
+ * The returned GeodesicData always includes lat1, lon1, azi1, s12 and a12.
+ * The line must have been constructed with the DISTANCE_IN capability,
+ * otherwise a12 and the requested results are NaN.
+ *
+ * @param {!number} s12 distance between point 1 and point 2 (meters); it can
+ *     be negative.
+ * @param {!number=} opt_outmask a bitor'ed combination of {@link
+ *     net.sf.geographiclib.GeodesicMask} values specifying which results
+ *     should be returned (default STANDARD).
+ * @return {!net.sf.geographiclib.GeodesicData}
+ */
+net.sf.geographiclib.GeodesicLine.prototype.Position =
+    function(s12, opt_outmask) {
+  return this.genPositionData_(false, s12, goog.isDef(opt_outmask) ?
+      opt_outmask : net.sf.geographiclib.GeodesicMask.getInstance().STANDARD);
+};
+
+
+/**
+ * Compute the position of point 2 which is an arc length <i>a12</i>
+ * (degrees) from point 1.
+ * <p>
+ * The returned GeodesicData always includes lat1, lon1, azi1 and a12.
+ *
+ * @param {!number} a12 arc length between point 1 and point 2 (degrees); it
+ *     can be negative.
+ * @param {!number=} opt_outmask a bitor'ed combination of {@link
+ *     net.sf.geographiclib.GeodesicMask} values specifying which results
+ *     should be returned (default STANDARD).
+ * @return {!net.sf.geographiclib.GeodesicData}
+ */
+net.sf.geographiclib.GeodesicLine.prototype.ArcPosition =
+    function(a12, opt_outmask) {
+  return this.genPositionData_(true, a12, goog.isDef(opt_outmask) ?
+      opt_outmask : net.sf.geographiclib.GeodesicMask.getInstance().STANDARD);
+};
+
+
+/**
+ * @private
+ * @param {!boolean} arcmode
+ * @param {!number} s12_a12
+ * @param {!number} outmask
+ * @return {!net.sf.geographiclib.GeodesicData}
+ */
+net.sf.geographiclib.GeodesicLine.prototype.genPositionData_ =
+    function(arcmode, s12_a12, outmask) {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var vals = this.GenPosition(arcmode, s12_a12, outmask);
+  var r = new net.sf.geographiclib.GeodesicData();
+  outmask &= this._caps & gm.OUT_ALL;
+  r.lat1 = this._lat1;
+  r.lon1 = this._lon1;
+  r.azi1 = this._azi1;
+  if (!arcmode && !this.Capabilities(gm.DISTANCE_IN)) {
+    r.s12 = s12_a12;
+    return r;
+  }
+  if (outmask & gm.LATITUDE)
+    r.lat2 = vals.lat2;
+  if (outmask & gm.LONGITUDE)
+    r.lon2 = vals.lon2;
+  if (outmask & gm.AZIMUTH)
+    r.azi2 = vals.azi2;
+  if (arcmode) {
+    r.a12 = s12_a12;
+    if (outmask & gm.DISTANCE)
+      r.s12 = vals.s12;
+  } else {
+    r.s12 = s12_a12;
+    r.a12 = vals.a12;
+  }
+  if (outmask & gm.REDUCEDLENGTH)
+    r.m12 = vals.m12;
+  if (outmask & gm.GEODESICSCALE) {
+    r.M12 = vals.M12;
+    r.M21 = vals.M21;
+  }
+  if (outmask & gm.AREA)
+    r.S12 = vals.S12;
+  return r;
+};
+
+
+/**
+ * Specify position of point 3 in terms of either distance or arc length.
+ * <p>
+ * Setting the distance requires the DISTANCE_IN capability and setting the
+ * arc length leaves <i>s13</i> as NaN unless the line has the DISTANCE
+ * capability.
+ *
+ * @param {!boolean} arcmode boolean flag determining the meaning of
+ *     <i>s13_a13</i>.
+ * @param {!number} s13_a13 if <i>arcmode</i> is false, this is the distance
+ *     from point 1 to point 3 (meters); otherwise it is the arc length from
+ *     point 1 to point 3 (degrees); it can be negative.
+ */
+net.sf.geographiclib.GeodesicLine.prototype.GenSetDistance =
+    function(arcmode, s13_a13) {
+  if (arcmode)
+    this.SetArc(s13_a13);
+  else
+    this.SetDistance(s13_a13);
+};
+
+
+/**
+ * Specify position of point 3 in terms of distance.
+ * @param {!number} s13 the distance from point 1 to point 3 (meters); it can
+ *     be negative.
+ */
+net.sf.geographiclib.GeodesicLine.prototype.SetDistance = function(s13) {
+  this._s13 = s13;
+  this._a13 = this.GenPosition(false, s13, 0).a12;
+};
+
+
+/**
+ * Specify position of point 3 in terms of arc length.
+ * @param {!number} a13 the arc length from point 1 to point 3 (degrees); it
+ *     can be negative.
+ */
+net.sf.geographiclib.GeodesicLine.prototype.SetArc = function(a13) {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  this._a13 = a13;
+  this._s13 = this.Capabilities(gm.DISTANCE) ?
+      this.GenPosition(true, a13, gm.DISTANCE).s12 : Number.NaN;
+};
+
+
+/**
+ * @return {!number} the distance to point 3 (meters), NaN if it has not been
+ *     set.
+ */
+net.sf.geographiclib.GeodesicLine.prototype.Distance = function() {
+  return this._s13;
+};
+
+
+/**
+ * @return {!number} the arc length to point 3 (degrees), NaN if it has not
+ *     been set.
+ */
+net.sf.geographiclib.GeodesicLine.prototype.Arc = function() {
+  return this._a13;
+};
+
+
+/**
+ * @param {!number} testcaps a bitor'ed combination of {@link
+ *     net.sf.geographiclib.GeodesicMask} values.
+ * @return {!boolean} true if the line has all the capabilities in
+ *     <i>testcaps</i>.
+ */
+net.sf.geographiclib.GeodesicLine.prototype.Capabilities =
+    function(testcaps) {
+  testcaps &= net.sf.geographiclib.GeodesicMask.getInstance().OUT_ALL;
+  return (this._caps & testcaps) == testcaps;
+};
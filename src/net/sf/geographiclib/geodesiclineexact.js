@@ -0,0 +1,235 @@
+goog.provide('net.sf.geographiclib.GeodesicLineExact');
+
+goog.require('net.sf.geographiclib.EllipticFunction');
+goog.require('net.sf.geographiclib.GeoMath');
+goog.require('net.sf.geographiclib.Geodesic');
+goog.require('net.sf.geographiclib.GeodesicLine');
+goog.require('net.sf.geographiclib.GeodesicMask');
+
+
+
+/**
+ * A geodesic line computed with {@link net.sf.geographiclib.GeodesicExact}.
+ * <p>
+ * This has the same interface as {@link net.sf.geographiclib.GeodesicLine};
+ * only the evaluation of the distance, longitude, reduced length and area
+ * integrals differs.  Lines are normally obtained from the Line methods of
+ * {@link net.sf.geographiclib.GeodesicExact}.
+ * @constructor
+ * @extends {net.sf.geographiclib.GeodesicLine}
+ * @param {!net.sf.geographiclib.GeodesicExact} geod
+ * @param {!number} lat1
+ * @param {!number} lon1
+ * @param {!number} azi1
+ * @param {!number} caps
+ */
+net.sf.geographiclib.GeodesicLineExact =
+    function(geod, lat1, lon1, azi1, caps) {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var ac = geod._accuracy;
+  this._accuracy = ac;
+  this._a = geod._a;
+  this._f = geod._f;
+  this._b = geod._b;
+  this._c2 = geod._c2;
+  this._f1 = geod._f1;
+  this._e2 = geod._e2;
+  this._caps = !caps ? gm.ALL : (caps |
+      gm.LATITUDE |
+      gm.AZIMUTH);
+  azi1 = net.sf.geographiclib.Geodesic.AngRound(
+      net.sf.geographiclib.GeoMath.angNormalize(azi1));
+  lon1 = net.sf.geographiclib.GeoMath.angNormalize(lon1);
+  this._lat1 = lat1;
+  this._lon1 = lon1;
+  this._azi1 = azi1;
+  var alp1 = azi1 * net.sf.geographiclib.GeoMath.degree;
+  this._salp1 = azi1 == -180 ? 0 : Math.sin(alp1);
+  this._calp1 = Math.abs(azi1) == 90 ? 0 : Math.cos(alp1);
+  var cbet1, sbet1, phi;
+  phi = lat1 * net.sf.geographiclib.GeoMath.degree;
+  sbet1 = this._f1 * Math.sin(phi);
+  cbet1 = Math.abs(lat1) == 90 ?
+      ac.tiny() :
+      Math.cos(phi);
+  var t = net.sf.geographiclib.GeoMath.hypot(sbet1, cbet1);
+  sbet1 /= t;
+  cbet1 /= t;
+  this._dn1 = Math.sqrt(1 + geod._ep2 *
+                        net.sf.geographiclib.GeoMath.sq(sbet1));
+  this._salp0 = this._salp1 * cbet1;
+  this._calp0 = net.sf.geographiclib.GeoMath.hypot(
+      this._calp1, this._salp1 * sbet1);
+  this._ssig1 = sbet1;
+  this._somg1 = this._salp0 * sbet1;
+  this._csig1 = this._comg1 =
+      sbet1 != 0 || this._calp1 != 0 ? cbet1 * this._calp1 : 1;
+  // Without normalization, since only the ratio with somg1 matters.
+  this._cchi1 = this._f1 * this._dn1 * this._comg1;
+  t = net.sf.geographiclib.GeoMath.hypot(this._ssig1, this._csig1);
+  this._ssig1 /= t;
+  this._csig1 /= t;
+  this._k2 = net.sf.geographiclib.GeoMath.sq(this._calp0) * geod._ep2;
+  this._E = new net.sf.geographiclib.EllipticFunction(
+      -this._k2, -geod._ep2, 1 + this._k2, 1 + geod._ep2);
+  if (this._caps & gm.CAP_C1) {
+    this._E0 = this._E.E() / (Math.PI / 2);
+    this._E1 = this._E.deltaE(this._ssig1, this._csig1, this._dn1);
+    var s = Math.sin(this._E1),
+        c = Math.cos(this._E1);
+    // tau1 = sig1 + B11
+    this._stau1 = this._ssig1 * c + this._csig1 * s;
+    this._ctau1 = this._csig1 * c - this._ssig1 * s;
+  }
+  if (this._caps & gm.CAP_C2) {
+    this._D0 = this._E.D() / (Math.PI / 2);
+    this._D1 = this._E.deltaD(this._ssig1, this._csig1, this._dn1);
+  }
+  if (this._caps & gm.CAP_C3) {
+    this._H0 = this._E.H() / (Math.PI / 2);
+    this._H1 = this._E.deltaH(this._ssig1, this._csig1, this._dn1);
+  }
+  if (this._caps & gm.CAP_C4) {
+    this._nC4 = geod._nC4;
+    this._C4a = new Array(this._nC4);
+    geod.C4f(this._k2, this._C4a);
+    this._A4 = net.sf.geographiclib.GeoMath.sq(this._a) *
+        this._calp0 * this._salp0 * geod._e2;
+    this._B41 = net.sf.geographiclib.Geodesic.SinCosSeries(
+        false, this._ssig1, this._csig1,
+        this._C4a, this._nC4);
+  }
+  this._a13 = this._s13 = Number.NaN;
+};
+goog.inherits(net.sf.geographiclib.GeodesicLineExact,
+              net.sf.geographiclib.GeodesicLine);
+
+
+/**
+ * @override
+ * @param {!boolean} arcmode
+ * @param {!number} s12_a12
+ * @param {!number} outmask
+ * @return {!{
+ * a12:!number,
+ * s12:!number,
+ * lon2:!number,
+ * lat2:!number,
+ * azi2:!number,
+ * m12:!number,
+ * M12:!number,
+ * M21:!number,
+ * S12:!number
+ * }}
+ */
+net.sf.geographiclib.GeodesicLineExact.prototype.GenPosition =
+    function(arcmode, s12_a12, outmask) {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var ac = this._accuracy;
+  var vals = {a12: 0, s12: 0, lon2: 0, lat2: 0,
+    azi2: 0, m12: 0, M12: 0, M21: 0, S12: 0};
+  outmask &= this._caps & gm.OUT_ALL;
+  if (!(arcmode || (this._caps & gm.DISTANCE_IN & gm.OUT_ALL))) {
+    vals.a12 = Number.NaN;
+    return vals;
+  }
+  var sig12, ssig12, csig12, E2 = 0,
+      AB1 = 0;
+  if (arcmode) {
+    sig12 = s12_a12 * net.sf.geographiclib.GeoMath.degree;
+    var s12a = Math.abs(s12_a12);
+    s12a -= 180 * Math.floor(s12a / 180);
+    ssig12 = s12a == 0 ? 0 : Math.sin(sig12);
+    csig12 = s12a == 90 ? 0 : Math.cos(sig12);
+  } else {
+    // tau1 is just (s1 / b) * (pi/2) / E
+    var
+        tau12 = s12_a12 / (this._b * this._E0),
+        s = Math.sin(tau12),
+        c = Math.cos(tau12);
+    // tau2 = tau1 + tau12
+    E2 = -this._E.deltaEinv(this._stau1 * c + this._ctau1 * s,
+                            this._ctau1 * c - this._stau1 * s);
+    sig12 = tau12 - (E2 - this._E1);
+    ssig12 = Math.sin(sig12);
+    csig12 = Math.cos(sig12);
+  }
+  var lam12, lon12;
+  var ssig2, csig2, sbet2, cbet2, somg2, comg2, salp2, calp2;
+  ssig2 = this._ssig1 * csig12 + this._csig1 * ssig12;
+  csig2 = this._csig1 * csig12 - this._ssig1 * ssig12;
+  var dn2 = this._E.Delta(ssig2, csig2);
+  if (outmask & (gm.DISTANCE | gm.REDUCEDLENGTH | gm.GEODESICSCALE)) {
+    if (arcmode)
+      E2 = this._E.deltaE(ssig2, csig2, dn2);
+    AB1 = this._E0 * (E2 - this._E1);
+  }
+  sbet2 = this._calp0 * ssig2;
+  cbet2 = net.sf.geographiclib.GeoMath.hypot(
+      this._salp0, this._calp0 * csig2);
+  if (cbet2 == 0)
+    cbet2 = csig2 = ac.tiny();
+  somg2 = this._salp0 * ssig2;
+  comg2 = csig2;
+  salp2 = this._salp0;
+  calp2 = this._calp0 * csig2;
+  if (outmask & gm.DISTANCE)
+    vals.s12 = arcmode ? this._b * (this._E0 * sig12 + AB1) : s12_a12;
+  if (outmask & gm.LONGITUDE) {
+    var
+        cchi2 = this._f1 * dn2 * comg2,
+        chi12 = Math.atan2(somg2 * this._cchi1 - cchi2 * this._somg1,
+                           cchi2 * this._cchi1 + somg2 * this._somg1);
+    lam12 = chi12 - this._e2 / this._f1 * this._salp0 * this._H0 *
+        (sig12 + (this._E.deltaH(ssig2, csig2, dn2) - this._H1));
+    lon12 = lam12 / net.sf.geographiclib.GeoMath.degree;
+    lon12 = net.sf.geographiclib.GeoMath.angNormalize2(lon12);
+    vals.lon2 = net.sf.geographiclib.GeoMath.angNormalize(
+        this._lon1 + lon12);
+  }
+  if (outmask & gm.LATITUDE)
+    vals.lat2 = Math.atan2(sbet2, this._f1 * cbet2) /
+        net.sf.geographiclib.GeoMath.degree;
+  if (outmask & gm.AZIMUTH)
+    vals.azi2 = 0 - Math.atan2(-salp2, calp2) /
+        net.sf.geographiclib.GeoMath.degree;
+  if (outmask & (gm.REDUCEDLENGTH | gm.GEODESICSCALE)) {
+    var J12 = this._k2 * this._D0 *
+        (sig12 + (this._E.deltaD(ssig2, csig2, dn2) - this._D1));
+    if (outmask & gm.REDUCEDLENGTH)
+      vals.m12 = this._b * ((dn2 * (this._csig1 * ssig2) -
+          this._dn1 * (this._ssig1 * csig2)) - this._csig1 * csig2 * J12);
+    if (outmask & gm.GEODESICSCALE) {
+      var t = this._k2 * (ssig2 - this._ssig1) * (ssig2 + this._ssig1) /
+          (this._dn1 + dn2);
+      vals.M12 = csig12 + (t * ssig2 - csig2 * J12) * this._ssig1 / this._dn1;
+      vals.M21 = csig12 - (t * this._ssig1 - this._csig1 * J12) * ssig2 / dn2;
+    }
+  }
+  if (outmask & gm.AREA) {
+    var
+        B42 = net.sf.geographiclib.Geodesic.SinCosSeries(
+        false, ssig2, csig2, this._C4a, this._nC4);
+    var salp12, calp12;
+    if (this._calp0 == 0 || this._salp0 == 0) {
+      salp12 = salp2 * this._calp1 - calp2 * this._salp1;
+      calp12 = calp2 * this._calp1 + salp2 * this._salp1;
+      if (salp12 == 0 && calp12 < 0) {
+        salp12 = ac.tiny() * this._calp1;
+        calp12 = -1;
+      }
+    } else {
+      salp12 = this._calp0 * this._salp0 *
+          (csig12 <= 0 ? this._csig1 * (1 - csig12) + ssig12 * this._ssig1 :
+          ssig12 * (this._csig1 * ssig12 / (1 + csig12) + this._ssig1));
+      calp12 = net.sf.geographiclib.GeoMath.sq(this._salp0) +
+          net.sf.geographiclib.GeoMath.sq(this._calp0) *
+          this._csig1 * csig2;
+    }
+    vals.S12 = this._c2 * Math.atan2(salp12, calp12) +
+        this._A4 * (B42 - this._B41);
+  }
+  vals.a12 = arcmode ? s12_a12 : sig12 /
+      net.sf.geographiclib.GeoMath.degree;
+  return vals;
+};
@@ -23,6 +23,8 @@ net.sf.geographiclib.GeodesicMask = function() {
   this.REDUCEDLENGTH = 1 << 12 | this.CAP_C1 | this.CAP_C2;
   this.GEODESICSCALE = 1 << 13 | this.CAP_C1 | this.CAP_C2;
   this.AREA = 1 << 14 | this.CAP_C4;
+  this.STANDARD = this.LATITUDE | this.LONGITUDE |
+      this.AZIMUTH | this.DISTANCE;
   this.ALL = this.OUT_ALL | this.CAP_ALL;
 };
 goog.addSingletonGetter(net.sf.geographiclib.GeodesicMask);
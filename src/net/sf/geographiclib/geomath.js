@@ -101,6 +101,92 @@ net.sf.geographiclib.GeoMath.atanh = function(x) {
 };
 
 
+/**
+ * The inverse hyperbolic sine function.  This is defined in terms of
+ * GeoMath.log1p(<i>x</i>) in order to maintain accuracy near <i>x</i> = 0.
+ * In addition, the odd parity of the function is enforced.
+ *
+ * @param {!number} x
+ * @return {!number}
+ */
+net.sf.geographiclib.GeoMath.asinh = function(x) {
+  var y = Math.abs(x);
+  y = net.sf.geographiclib.GeoMath.log1p(
+      y * (1 + y / (net.sf.geographiclib.GeoMath.hypot(1, y) + 1)));
+  return x < 0 ? -y : y;
+};
+
+
+/**
+ * <i>e</i> atanh(<i>e</i> <i>x</i>), continued to prolate ellipsoids where
+ * it becomes &minus;<i>e</i> atan(<i>e</i> <i>x</i>).
+ *
+ * @param {!number} x
+ * @param {!number} es the signed eccentricity, sign(<i>e</i><sup>2</sup>)
+ *     sqrt(|<i>e</i><sup>2</sup>|).
+ * @return {!number}
+ */
+net.sf.geographiclib.GeoMath.eatanhe = function(x, es) {
+  return es > 0 ? es * net.sf.geographiclib.GeoMath.atanh(es * x) :
+      -es * Math.atan(es * x);
+};
+
+
+/**
+ * tan&chi; in terms of tan&phi;, where &chi; is the conformal latitude
+ * corresponding to the geographic latitude &phi;.  See Eq. (7) of
+ * C. F. F. Karney,
+ * <a href="http://dx.doi.org/10.1007/s00190-011-0445-3">Transverse Mercator
+ * with an accuracy of a few nanometers</a>, J. Geodesy <b>85</b>,
+ * 475&ndash;485 (2011).
+ *
+ * @param {!number} tau tan&phi;.
+ * @param {!number} es the signed eccentricity.
+ * @return {!number} tan&chi;.
+ */
+net.sf.geographiclib.GeoMath.taupf = function(tau, es) {
+  if (!isFinite(tau))
+    return tau;
+  var
+      tau1 = net.sf.geographiclib.GeoMath.hypot(1, tau),
+      sig = Math.sinh(net.sf.geographiclib.GeoMath.eatanhe(tau / tau1, es));
+  return net.sf.geographiclib.GeoMath.hypot(1, sig) * tau - sig * tau1;
+};
+
+
+/**
+ * tan&phi; in terms of tan&chi;, the inverse of {@link
+ * net.sf.geographiclib.GeoMath.taupf}, found by Newton's method.
+ *
+ * @param {!number} taup tan&chi;.
+ * @param {!number} es the signed eccentricity.
+ * @return {!number} tan&phi;.
+ */
+net.sf.geographiclib.GeoMath.tauf = function(taup, es) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  var
+      numit = 5,
+      tol = Math.sqrt(GeoMath.epsilon) / 10,
+      taumax = 2 / Math.sqrt(GeoMath.epsilon),
+      e2m = 1 - es * Math.abs(es),
+      tau = Math.abs(taup) > 70 ? taup * Math.exp(GeoMath.eatanhe(1, es)) :
+          taup / e2m,
+      stol = tol * Math.max(1, Math.abs(taup));
+  if (!(Math.abs(tau) < taumax))
+    return tau;                 // handles +/-inf and nan
+  for (var i = 0; i < numit; ++i) {
+    var
+        taupa = GeoMath.taupf(tau, es),
+        dtau = (taup - taupa) * (1 + e2m * tau * tau) /
+            (e2m * GeoMath.hypot(1, tau) * GeoMath.hypot(1, taupa));
+    tau += dtau;
+    if (!(Math.abs(dtau) >= stol))
+      break;
+  }
+  return tau;
+};
+
+
 /**
  * The cube root function.  In Java version 1.5 and later, Math.cbrt can be
  * used.
@@ -135,6 +221,24 @@ net.sf.geographiclib.GeoMath.sum = function(u, v) {
 };
 
 
+/**
+ * Evaluate a polynomial.  The <i>n</i> + 1 coefficients are taken from
+ * <i>p</i> starting at index <i>s</i>, highest power first.  A negative
+ * <i>n</i> gives 0.
+ *
+ * @param {!number} n The order of the polynomial.
+ * @param {!Array.<!number>} p The coefficients.
+ * @param {!number} s The index of the first coefficient.
+ * @param {!number} x The variable.
+ * @return {!number}
+ */
+net.sf.geographiclib.GeoMath.polyval = function(n, p, s, x) {
+  var y = n < 0 ? 0 : p[s++];
+  while (--n >= 0) y = y * x + p[s++];
+  return y;
+};
+
+
 /**
  * Normalize an angle (restricted input range).
  * @param {!number} x
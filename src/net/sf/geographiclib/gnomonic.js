@@ -0,0 +1,172 @@
+goog.provide('net.sf.geographiclib.Gnomonic');
+
+goog.require('net.sf.geographiclib.Ellipsoid');
+goog.require('net.sf.geographiclib.GeoMath');
+goog.require('net.sf.geographiclib.Geodesic');
+goog.require('net.sf.geographiclib.GeodesicLine');
+goog.require('net.sf.geographiclib.GeodesicMask');
+
+
+
+/**
+ * Gnomonic projection.
+ * <p>
+ * Gnomonic projection centered at an arbitrary position <i>C</i> on the
+ * ellipsoid.  This projection is derived in Section 8 of
+ * <ul>
+ * <li>
+ *   C. F. F. Karney,
+ *   <a href="https://doi.org/10.1007/s00190-012-0578-z">Algorithms for
+ *   geodesics</a>, J. Geodesy 87, 43&ndash;55 (2013).
+ * </ul>
+ * The projection of <i>P</i> is defined as follows: compute the geodesic
+ * line from <i>C</i> to <i>P</i>; compute the reduced length <i>m12</i>,
+ * geodesic scale <i>M12</i>, and &rho; = <i>m12</i>/<i>M12</i>; finally
+ * <i>x</i> = &rho; sin <i>azi1</i>; <i>y</i> = &rho; cos <i>azi1</i>,
+ * where <i>azi1</i> is the azimuth of the geodesic at <i>C</i>.  The
+ * Forward and Reverse methods also return the azimuth <i>azi</i> of the
+ * geodesic at <i>P</i> and reciprocal scale <i>rk</i> in the azimuthal
+ * direction.  The scale in the radial direction is 1/<i>rk</i><sup>2</sup>.
+ * <p>
+ * For a sphere, &rho; reduces to <i>a</i> tan(<i>s12</i>/<i>a</i>), where
+ * <i>s12</i> is the length of the geodesic from <i>C</i> to <i>P</i>, and
+ * the gnomonic projection has the property that all geodesics appear as
+ * straight lines.  For an ellipsoid, this property holds only for geodesics
+ * intersecting the center.  However geodesic segments close to the center
+ * are approximately straight; the deviation from straightness is of order
+ * <i>f</i> (<i>r</i>/<i>a</i>)<sup>3</sup> where <i>r</i> is the distance
+ * of the segment from the center.  This makes the projection a good
+ * starting point for iterative solutions of problems such as the
+ * intersection of two geodesics or the point on a geodesic closest to a
+ * given point.
+ * <p>
+ * The conversions all take place using a {@link
+ * net.sf.geographiclib.Geodesic} object (by default one for the WGS84
+ * ellipsoid).  The projection is only defined for points whose geodesic
+ * scale <i>M12</i> from the center is positive, i.e., roughly within a
+ * quarter meridian of the center.
+ * @constructor
+ * @param {!net.sf.geographiclib.Geodesic=} opt_earth the Geodesic object to
+ *     use for geodesic calculations, default one for WGS84.
+ */
+net.sf.geographiclib.Gnomonic = function(opt_earth) {
+  this._earth = opt_earth || new net.sf.geographiclib.Geodesic(
+      net.sf.geographiclib.Ellipsoid.WGS84.a,
+      net.sf.geographiclib.Ellipsoid.WGS84.f);
+  this._a = this._earth._a;
+};
+
+
+/**
+ * The tolerance for the Newton iteration in Reverse, relative to the
+ * equatorial radius.
+ * @private
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.Gnomonic.eps_ =
+    0.01 * Math.sqrt(net.sf.geographiclib.GeoMath.epsilon);
+
+
+/**
+ * The maximum number of iterations in Reverse.
+ * @private
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.Gnomonic.numit_ = 10;
+
+
+/**
+ * Forward projection, from geographic to gnomonic.
+ * <p>
+ * <i>lat0</i> and <i>lat</i> should be in the range [&minus;90&deg;,
+ * 90&deg;].  The scale of the projection is 1/<i>rk</i><sup>2</sup> in the
+ * "radial" direction, <i>azi</i> clockwise from true north, and is
+ * 1/<i>rk</i> in the direction perpendicular to this.  If the point lies
+ * "over the horizon", i.e., if <i>rk</i> &le; 0, then NaNs are returned
+ * for <i>x</i> and <i>y</i> (the correct values are returned for
+ * <i>azi</i> and <i>rk</i>).  A call to Forward followed by a call to
+ * Reverse will return the original (<i>lat</i>, <i>lon</i>) (to within
+ * roundoff) provided the point is not over the horizon.
+ *
+ * @param {!number} lat0 latitude of center point of projection (degrees).
+ * @param {!number} lon0 longitude of center point of projection (degrees).
+ * @param {!number} lat latitude of point (degrees).
+ * @param {!number} lon longitude of point (degrees).
+ * @return {!{x: number, y: number, azi: number, rk: number}} The easting
+ *     and northing of the point (meters), the azimuth of the geodesic thru
+ *     the point (degrees) and the reciprocal of the azimuthal scale at the
+ *     point.
+ */
+net.sf.geographiclib.Gnomonic.prototype.Forward =
+    function(lat0, lon0, lat, lon) {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var r = this._earth.Inverse(lat0, lon0, lat, lon,
+                              gm.AZIMUTH | gm.REDUCEDLENGTH |
+                              gm.GEODESICSCALE);
+  var vals = {x: Number.NaN, y: Number.NaN, azi: r.azi2, rk: r.M12};
+  if (r.M12 > 0) {
+    var rho = r.m12 / r.M12,
+        alp = r.azi1 * net.sf.geographiclib.GeoMath.degree;
+    vals.x = rho * (Math.abs(r.azi1) == 180 ? 0 : Math.sin(alp));
+    vals.y = rho * (Math.abs(r.azi1) == 90 ? 0 : Math.cos(alp));
+  }
+  return vals;
+};
+
+
+/**
+ * Reverse projection, from gnomonic to geographic.
+ * <p>
+ * <i>lat0</i> should be in the range [&minus;90&deg;, 90&deg;].  <i>lat</i>
+ * will be in the range [&minus;90&deg;, 90&deg;] and <i>lon</i> will be in
+ * the range [&minus;180&deg;, 180&deg;).  The geodesic is found by Newton's
+ * method; if this fails to converge (this only happens for points
+ * corresponding to a geodesic scale close to zero), NaNs are returned for
+ * all the results.
+ *
+ * @param {!number} lat0 latitude of center point of projection (degrees).
+ * @param {!number} lon0 longitude of center point of projection (degrees).
+ * @param {!number} x easting of point (meters).
+ * @param {!number} y northing of point (meters).
+ * @return {!{lat: number, lon: number, azi: number, rk: number}} The
+ *     latitude and longitude of the point (degrees), the azimuth of the
+ *     geodesic thru the point (degrees) and the reciprocal of the azimuthal
+ *     scale at the point.
+ */
+net.sf.geographiclib.Gnomonic.prototype.Reverse =
+    function(lat0, lon0, x, y) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var
+      azi0 = Math.atan2(x, y) / GeoMath.degree,
+      rho = GeoMath.hypot(x, y),
+      s = this._a * Math.atan(rho / this._a),
+      little = rho <= this._a;
+  if (!little)
+    rho = 1 / rho;
+  var line = new net.sf.geographiclib.GeodesicLine(
+      this._earth, lat0, lon0, azi0,
+      gm.LATITUDE | gm.LONGITUDE | gm.AZIMUTH | gm.DISTANCE_IN |
+      gm.REDUCEDLENGTH | gm.GEODESICSCALE);
+  var outmask = gm.LATITUDE | gm.LONGITUDE | gm.AZIMUTH |
+      gm.REDUCEDLENGTH | gm.GEODESICSCALE;
+  for (var count = net.sf.geographiclib.Gnomonic.numit_, trip = 0, r;
+       count--;) {
+    r = line.Position(s, outmask);
+    if (trip)
+      break;
+    // If little, solve rho(s) = rho with drho(s)/ds = 1/M^2
+    // else solve 1/rho(s) = 1/rho with d(1/rho(s))/ds = -1/m^2
+    var ds = little ? (r.m12 - rho * r.M12) * r.M12 :
+        (rho * r.m12 - r.M12) * r.m12;
+    s -= ds;
+    // Reversed test to allow escape with NaNs
+    if (!(Math.abs(ds) >= net.sf.geographiclib.Gnomonic.eps_ * this._a))
+      ++trip;
+  }
+  return trip ?
+      {lat: r.lat2, lon: r.lon2, azi: r.azi2, rk: r.M12} :
+      {lat: Number.NaN, lon: Number.NaN, azi: Number.NaN, rk: Number.NaN};
+};
@@ -1,17 +1,44 @@
 goog.provide('net.sf.geographiclib.Interface');
 
 goog.require('goog.asserts');
+goog.require('net.sf.geographiclib.AzimuthalEquidistant');
+goog.require('net.sf.geographiclib.CassiniSoldner');
+goog.require('net.sf.geographiclib.DMS');
+goog.require('net.sf.geographiclib.Ellipsoid');
+goog.require('net.sf.geographiclib.GeoCoords');
 goog.require('net.sf.geographiclib.GeoMath');
+goog.require('net.sf.geographiclib.Geocentric');
 goog.require('net.sf.geographiclib.Geodesic');
 goog.require('net.sf.geographiclib.GeodesicLine');
 goog.require('net.sf.geographiclib.GeodesicMask');
+goog.require('net.sf.geographiclib.Gnomonic');
+goog.require('net.sf.geographiclib.Intersect');
+goog.require('net.sf.geographiclib.LocalCartesian');
+goog.require('net.sf.geographiclib.MGRS');
+goog.require('net.sf.geographiclib.PolygonArea');
+goog.require('net.sf.geographiclib.Rhumb');
+goog.require('net.sf.geographiclib.UTMUPS');
 goog.require('ol.Coordinate');
-goog.require('ol.ellipsoid.WGS84');
+goog.require('ol.geom.LineString');
+goog.require('ol.geom.MultiLineString');
+goog.require('ol.geom.MultiPolygon');
+goog.require('ol.geom.Polygon');
 
 
 
 /**
+ * Geodesic calculations on OpenLayers coordinates.  The ellipsoid is WGS84
+ * unless another one is given, either directly or by its name in the
+ * {@link net.sf.geographiclib.Ellipsoid} registry:
+ * <pre>
+ *   var grs80 = new net.sf.geographiclib.Interface('GRS80');
+ *   var mars = new net.sf.geographiclib.Interface(
+ *       new net.sf.geographiclib.Ellipsoid(3396190, 169.894447));
+ * </pre>
+ * getInstance() returns a shared WGS84 instance.
  * @constructor
+ * @param {(net.sf.geographiclib.Ellipsoid|string)=} opt_ellipsoid Ellipsoid
+ *     or registered ellipsoid name, defaults to WGS84.
  * @license 
 Copyright (c) 2008-2014, Charles Karney
 
@@ -35,14 +62,92 @@ WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
 OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
 DEALINGS IN THE SOFTWARE.
  */
-net.sf.geographiclib.Interface = function() {
-  this.geodesic_ = new net.sf.geographiclib.Geodesic(
-      ol.ellipsoid.WGS84.a,
-      ol.ellipsoid.WGS84.flattening);
+net.sf.geographiclib.Interface = function(opt_ellipsoid) {
+  var ellipsoid = goog.isString(opt_ellipsoid) ?
+      net.sf.geographiclib.Ellipsoid.get(opt_ellipsoid) :
+      opt_ellipsoid || net.sf.geographiclib.Ellipsoid.WGS84;
+  /**
+   * @private
+   * @type {!net.sf.geographiclib.Ellipsoid}
+   */
+  this.ellipsoid_ = ellipsoid;
+  /**
+   * @private
+   * @type {!net.sf.geographiclib.Geodesic}
+   */
+  this.geodesic_ = new net.sf.geographiclib.Geodesic(ellipsoid.a, ellipsoid.f);
+  /**
+   * @private
+   * @type {!net.sf.geographiclib.Rhumb}
+   */
+  this.rhumb_ = new net.sf.geographiclib.Rhumb(ellipsoid.a, ellipsoid.f);
+  /**
+   * @private
+   * @type {!net.sf.geographiclib.Geocentric}
+   */
+  this.geocentric_ =
+      new net.sf.geographiclib.Geocentric(ellipsoid.a, ellipsoid.f);
+  /**
+   * @private
+   * @type {!net.sf.geographiclib.AzimuthalEquidistant}
+   */
+  this.azimuthalEquidistant_ =
+      new net.sf.geographiclib.AzimuthalEquidistant(this.geodesic_);
+  /**
+   * @private
+   * @type {!net.sf.geographiclib.Gnomonic}
+   */
+  this.gnomonic_ = new net.sf.geographiclib.Gnomonic(this.geodesic_);
+  /**
+   * @private
+   * @type {!net.sf.geographiclib.Intersect}
+   */
+  this.intersect_ = new net.sf.geographiclib.Intersect(this.geodesic_);
 };
 goog.addSingletonGetter(net.sf.geographiclib.Interface);
 
 
+/**
+ * @return {!net.sf.geographiclib.Ellipsoid} The ellipsoid.
+ */
+net.sf.geographiclib.Interface.prototype.getEllipsoid = function() {
+  return this.ellipsoid_;
+};
+
+
+/**
+ * @return {!net.sf.geographiclib.Geodesic} The geodesic calculator.
+ */
+net.sf.geographiclib.Interface.prototype.getGeodesic = function() {
+  return this.geodesic_;
+};
+
+
+/**
+ * @return {!net.sf.geographiclib.Rhumb} The rhumb line calculator.
+ */
+net.sf.geographiclib.Interface.prototype.getRhumb = function() {
+  return this.rhumb_;
+};
+
+
+/**
+ * @return {!net.sf.geographiclib.Intersect} The geodesic intersection
+ *     solver.
+ */
+net.sf.geographiclib.Interface.prototype.getIntersect = function() {
+  return this.intersect_;
+};
+
+
+/**
+ * @return {!net.sf.geographiclib.Geocentric} The geocentric converter.
+ */
+net.sf.geographiclib.Interface.prototype.getGeocentric = function() {
+  return this.geocentric_;
+};
+
+
 /**
  * @param {!ol.Coordinate} c1 Coordinate 1.
  * @param {!ol.Coordinate} c2 Coordinate 2.
@@ -76,9 +181,43 @@ net.sf.geographiclib.Interface.prototype.direct =
   var gm = net.sf.geographiclib.GeodesicMask.getInstance();
   var outmask = goog.isDef(opt_outmask) ? opt_outmask :
       gm.LATITUDE | gm.LONGITUDE | gm.AZIMUTH;
-  var genDirectResult = this.genDirect_(c[1], c[0], bearing, false,
-      distance, outmask);
-  return [genDirectResult.lon2, genDirectResult.lat2];
+  var directResult = this.geodesic_.Direct(c[1], c[0], bearing, distance,
+      outmask);
+  return [directResult.lon2, directResult.lat2];
+};
+
+
+/**
+ * Distance and constant bearing along the rhumb line joining two points.
+ * @param {!ol.Coordinate} c1 Coordinate 1.
+ * @param {!ol.Coordinate} c2 Coordinate 2.
+ * @return {!{distance: number, bearing: number}}
+ */
+net.sf.geographiclib.Interface.prototype.rhumbInverse = function(c1, c2) {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var inverseResult = this.rhumb_.Inverse(c1[1], c1[0], c2[1], c2[0],
+      gm.DISTANCE | gm.AZIMUTH);
+  return {
+    distance: inverseResult.s12,
+    bearing: inverseResult.azi1
+  };
+};
+
+
+/**
+ * The point reached by following a constant bearing for a given distance.
+ * The longitude is NaN if the rhumb line passes over a pole.
+ * @param {!ol.Coordinate} c
+ * @param {!number} distance
+ * @param {!number} bearing
+ * @return {!ol.Coordinate}
+ */
+net.sf.geographiclib.Interface.prototype.rhumbDirect =
+    function(c, distance, bearing) {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var directResult = this.rhumb_.Direct(c[1], c[0], bearing, distance,
+      gm.LATITUDE | gm.LONGITUDE);
+  return [directResult.lon2, directResult.lat2];
 };
 
 
@@ -110,9 +249,8 @@ net.sf.geographiclib.Interface.prototype.circle =
   for (var i = 0; i <= k; ++i) {
     var azi1a = azi1 + (k - i) * 360 / k;
     if (azi1a >= 180) azi1a -= 360;
-    vals =
-        this.genDirect_(lat1, lon1, azi1a,
-        false, s12, gm.LATITUDE | gm.LONGITUDE);
+    vals = this.geodesic_.Direct(lat1, lon1, azi1a, s12,
+                                 gm.LATITUDE | gm.LONGITUDE);
     points[i] = {
       lat: vals.lat2,
       lon: vals.lon2
@@ -122,35 +260,6 @@ net.sf.geographiclib.Interface.prototype.circle =
 };
 
 
-/**
- * @private
- * @param {!number} lat1
- * @param {!number} lon1
- * @param {!number} azi1
- * @param {!boolean} arcmode
- * @param {!number} s12_a12
- * @param {!number} outmask
- * @return {!{
- * a12:!number,
- * s12:!number,
- * lon2:!number,
- * lat2:!number,
- * azi2:!number,
- * m12:!number,
- * M12:!number,
- * M21:!number
- * }}
- */
-net.sf.geographiclib.Interface.prototype.genDirect_ =
-    function(lat1, lon1, azi1, arcmode, s12_a12, outmask) {
-  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
-  var line = new net.sf.geographiclib.GeodesicLine(
-      this.geodesic_, lat1, lon1, azi1,
-      outmask | (arcmode ? gm.NONE : gm.DISTANCE_IN));
-  return line.GenPosition(arcmode, s12_a12, outmask);
-};
-
-
 /**
  * @param {!number} lat1
  * @param {!number} lon1
@@ -179,7 +288,7 @@ net.sf.geographiclib.Interface.prototype.envelope =
         this.geodesic_, lat1, lon1, azi1,
         gm.LATITUDE | gm.LONGITUDE | gm.DISTANCE_IN |
         gm.DISTANCE | gm.REDUCEDLENGTH | gm.GEODESICSCALE);
-    vals = line.GenPosition(true, 180 * ord,
+    vals = line.ArcPosition(180 * ord,
                             gm.DISTANCE | gm.REDUCEDLENGTH | gm.GEODESICSCALE);
     j = 0;
     while (true) {
@@ -187,11 +296,10 @@ net.sf.geographiclib.Interface.prototype.envelope =
       if (Math.abs(vals.m12) < line._a *
           net.sf.geographiclib.Accuracy.getInstance().tol2() * 0.1 || ++j > 10)
         break;
-      vals = line.GenPosition(false, s12,
-                              gm.DISTANCE | gm.REDUCEDLENGTH |
-                              gm.GEODESICSCALE);
+      vals = line.Position(s12,
+                           gm.DISTANCE | gm.REDUCEDLENGTH | gm.GEODESICSCALE);
     }
-    vals = line.GenPosition(false, s12, gm.LATITUDE | gm.LONGITUDE);
+    vals = line.Position(s12, gm.LATITUDE | gm.LONGITUDE);
     points[i] = {
       lat: vals.lat2,
       lon: vals.lon2
@@ -199,3 +307,786 @@ net.sf.geographiclib.Interface.prototype.envelope =
   }
   return points;
 };
+
+
+/**
+ * Waypoints evenly spaced along a geodesic line from point 1 to point 3, for
+ * drawing the track on a map.  The spacing is uniform in distance if the line
+ * has the DISTANCE_IN capability and uniform in arc length otherwise.
+ * @param {!net.sf.geographiclib.GeodesicLine} line Line whose point 3 has
+ *     been set with SetDistance or SetArc.
+ * @param {!number} n Number of waypoints, at least 2; the first and the last
+ *     are points 1 and 3.
+ * @return {!Array.<!ol.Coordinate>} Waypoints.
+ */
+net.sf.geographiclib.Interface.prototype.waypoints = function(line, n) {
+  goog.asserts.assert(n >= 2, 'n must be at least 2');
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var arcmode = !line.Capabilities(gm.DISTANCE_IN);
+  var s13_a13 = arcmode ? line.Arc() : line.Distance();
+  goog.asserts.assert(isFinite(s13_a13), 'point 3 must be set');
+  var points = new Array(n);
+  for (var i = 0; i < n; ++i)
+    points[i] = this.waypoint_(line, arcmode, i * s13_a13 / (n - 1));
+  return points;
+};
+
+
+/**
+ * Waypoints every <i>spacing</i> meters along a geodesic line from point 1,
+ * followed by point 3.
+ * @param {!net.sf.geographiclib.GeodesicLine} line Line with the DISTANCE_IN
+ *     capability whose point 3 has been set with SetDistance or SetArc.
+ * @param {!number} spacing Distance between waypoints (meters).
+ * @return {!Array.<!ol.Coordinate>} Waypoints.
+ */
+net.sf.geographiclib.Interface.prototype.waypointsEvery =
+    function(line, spacing) {
+  goog.asserts.assert(spacing > 0, 'spacing must be positive');
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  goog.asserts.assert(line.Capabilities(gm.DISTANCE_IN),
+      'line must have the DISTANCE_IN capability');
+  var s13 = line.Distance();
+  goog.asserts.assert(isFinite(s13), 'point 3 must be set');
+  var n = Math.ceil(Math.abs(s13) / spacing);
+  var points = new Array(n + 1);
+  for (var i = 0; i < n; ++i)
+    points[i] = this.waypoint_(line, false, (s13 < 0 ? -i : i) * spacing);
+  points[n] = this.waypoint_(line, false, s13);
+  return points;
+};
+
+
+/**
+ * The point a fraction t of the way along the geodesic from c1 to c2.
+ * Values of t outside [0, 1] extrapolate along the geodesic.
+ * @param {!ol.Coordinate} c1 Coordinate 1.
+ * @param {!ol.Coordinate} c2 Coordinate 2.
+ * @param {!number} t Fraction of the distance from c1 to c2.
+ * @return {!ol.Coordinate} The interpolated point.
+ */
+net.sf.geographiclib.Interface.prototype.interpolate = function(c1, c2, t) {
+  return this.interpolateAll(c1, c2, [t])[0];
+};
+
+
+/**
+ * The point halfway along the geodesic from c1 to c2.
+ * @param {!ol.Coordinate} c1 Coordinate 1.
+ * @param {!ol.Coordinate} c2 Coordinate 2.
+ * @return {!ol.Coordinate} The midpoint.
+ */
+net.sf.geographiclib.Interface.prototype.midpoint = function(c1, c2) {
+  return this.interpolate(c1, c2, 0.5);
+};
+
+
+/**
+ * The points at several fractions of the way along the geodesic from c1 to
+ * c2.  The inverse problem is solved only once, so this is cheaper than
+ * calling interpolate for each fraction.
+ * @param {!ol.Coordinate} c1 Coordinate 1.
+ * @param {!ol.Coordinate} c2 Coordinate 2.
+ * @param {!Array.<number>} fractions Fractions of the distance from c1 to
+ *     c2.
+ * @return {!Array.<!ol.Coordinate>} The interpolated points, one for each
+ *     fraction.
+ */
+net.sf.geographiclib.Interface.prototype.interpolateAll =
+    function(c1, c2, fractions) {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var line = this.geodesic_.InverseLine(c1[1], c1[0], c2[1], c2[0],
+                                        gm.LATITUDE | gm.LONGITUDE |
+                                        gm.DISTANCE_IN);
+  var s13 = line.Distance();
+  var points = new Array(fractions.length);
+  for (var i = 0; i < fractions.length; ++i)
+    points[i] = this.waypoint_(line, false, fractions[i] * s13);
+  return points;
+};
+
+
+/**
+ * Intersection of the geodesic segments a1-a2 and b1-b2.  If the segments
+ * cross, the crossing is returned; otherwise the intersection of the
+ * extended geodesics closest to the middles of the segments is returned.
+ * @param {!ol.Coordinate} a1 Start of segment a.
+ * @param {!ol.Coordinate} a2 End of segment a.
+ * @param {!ol.Coordinate} b1 Start of segment b.
+ * @param {!ol.Coordinate} b2 End of segment b.
+ * @return {!{coordinate: ol.Coordinate, withinA: boolean, withinB: boolean,
+ *     coincident: boolean}} The intersection, whether it lies within each
+ *     segment, and whether the segments lie on a common geodesic.
+ */
+net.sf.geographiclib.Interface.prototype.segmentIntersection =
+    function(a1, a2, b1, b2) {
+  var caps = net.sf.geographiclib.Intersect.LineCaps;
+  var lineA = this.geodesic_.InverseLine(a1[1], a1[0], a2[1], a2[0], caps),
+      lineB = this.geodesic_.InverseLine(b1[1], b1[0], b2[1], b2[0], caps),
+      r = this.intersect_.SegmentLines(lineA, lineB);
+  return {
+    coordinate: this.waypoint_(lineA, false, r.x),
+    withinA: r.kx == 0,
+    withinB: r.ky == 0,
+    coincident: r.c != 0
+  };
+};
+
+
+/**
+ * The point on the geodesic segment a1-a2 closest to c.  The cross-track
+ * distance is positive if c lies to the right of the segment (looking from
+ * a1 to a2) and negative if it lies to the left.  If the foot of the
+ * perpendicular from c lies beyond either end of the segment, the nearer
+ * end is returned, unless opt_extend is true, in which case the segment is
+ * treated as part of the full geodesic through a1 and a2.  If the foot
+ * cannot be found, the results are NaNs.
+ * @param {!ol.Coordinate} c The point.
+ * @param {!ol.Coordinate} a1 Start of the segment.
+ * @param {!ol.Coordinate} a2 End of the segment.
+ * @param {!boolean=} opt_extend Extend the segment to the full geodesic
+ *     (default false).
+ * @return {!{coordinate: ol.Coordinate, alongTrack: number,
+ *     crossTrack: number}} The closest point, the distance to it from a1
+ *     along the segment and the signed distance from it to c (meters).
+ */
+net.sf.geographiclib.Interface.prototype.closestPoint =
+    function(c, a1, a2, opt_extend) {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var line = this.geodesic_.InverseLine(a1[1], a1[0], a2[1], a2[0],
+                                        gm.STANDARD | gm.DISTANCE_IN),
+      r = this.geodesic_.ClosestPoint(line, c[1], c[0], !opt_extend);
+  return {
+    coordinate: [r.lon, r.lat],
+    alongTrack: r.along,
+    crossTrack: r.cross
+  };
+};
+
+
+/**
+ * Signed distance from c to the geodesic through a1 and a2, positive if c
+ * lies to the right of the geodesic (looking from a1 to a2).
+ * @param {!ol.Coordinate} c The point.
+ * @param {!ol.Coordinate} a1 First point of the geodesic.
+ * @param {!ol.Coordinate} a2 Second point of the geodesic.
+ * @return {!number} The cross-track distance (meters).
+ */
+net.sf.geographiclib.Interface.prototype.crossTrackDistance =
+    function(c, a1, a2) {
+  return this.closestPoint(c, a1, a2, true).crossTrack;
+};
+
+
+/**
+ * Distance from a1 along the geodesic through a1 and a2 to the point on it
+ * closest to c; this is negative if that point lies behind a1.
+ * @param {!ol.Coordinate} c The point.
+ * @param {!ol.Coordinate} a1 First point of the geodesic.
+ * @param {!ol.Coordinate} a2 Second point of the geodesic.
+ * @return {!number} The along-track distance (meters).
+ */
+net.sf.geographiclib.Interface.prototype.alongTrackDistance =
+    function(c, a1, a2) {
+  return this.closestPoint(c, a1, a2, true).alongTrack;
+};
+
+
+/**
+ * @private
+ * @param {!net.sf.geographiclib.GeodesicLine} line
+ * @param {!boolean} arcmode
+ * @param {!number} s12_a12
+ * @return {!ol.Coordinate}
+ */
+net.sf.geographiclib.Interface.prototype.waypoint_ =
+    function(line, arcmode, s12_a12) {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var outmask = gm.LATITUDE | gm.LONGITUDE;
+  var vals = arcmode ? line.ArcPosition(s12_a12, outmask) :
+      line.Position(s12_a12, outmask);
+  return [vals.lon2, vals.lat2];
+};
+
+
+/**
+ * Convert a coordinate to UTM or UPS.  The grids are defined on the WGS84
+ * ellipsoid whatever the ellipsoid of this Interface.
+ * @param {!ol.Coordinate} c Coordinate.
+ * @param {!number=} opt_setzone Zone to use instead of the standard one, a
+ *     neighbouring UTM zone in [1, 60] or 0 for UPS (see {@link
+ *     net.sf.geographiclib.UTMUPS.StandardZone}).
+ * @return {!{zone: number, northp: boolean, easting: number,
+ *     northing: number}} The zone (0 for UPS), the hemisphere (true for
+ *     north) and the easting and northing (meters) including the false
+ *     easting and northing.
+ */
+net.sf.geographiclib.Interface.prototype.toUTMUPS = function(c, opt_setzone) {
+  var r = net.sf.geographiclib.UTMUPS.Forward(c[1], c[0], opt_setzone);
+  return {
+    zone: r.zone,
+    northp: r.northp,
+    easting: r.x,
+    northing: r.y
+  };
+};
+
+
+/**
+ * Convert UTM or UPS coordinates to a coordinate.
+ * @param {!number} zone UTM zone, or 0 for UPS.
+ * @param {!boolean} northp Hemisphere, true for north.
+ * @param {!number} easting Easting (meters).
+ * @param {!number} northing Northing (meters).
+ * @return {!ol.Coordinate}
+ */
+net.sf.geographiclib.Interface.prototype.fromUTMUPS =
+    function(zone, northp, easting, northing) {
+  var r = net.sf.geographiclib.UTMUPS.Reverse(zone, northp, easting,
+                                              northing);
+  return [r.lon, r.lat];
+};
+
+
+/**
+ * Convert a coordinate to an MGRS reference on the WGS84 ellipsoid.  An
+ * Error is thrown if the coordinate is outside the MGRS limits.
+ * @param {!ol.Coordinate} c Coordinate.
+ * @param {!number=} opt_prec Number of digits in each of the easting and
+ *     northing, from 0 (100 km) to 11 (1 &mu;m), or &minus;1 for just the
+ *     grid zone; default 5 (1 m).
+ * @return {!string} MGRS reference.
+ */
+net.sf.geographiclib.Interface.prototype.toMGRS = function(c, opt_prec) {
+  var prec = goog.isDef(opt_prec) ? opt_prec : 5;
+  var r = net.sf.geographiclib.UTMUPS.Forward(c[1], c[0]);
+  return net.sf.geographiclib.MGRS.Forward(r.zone, r.northp, r.x, r.y, prec,
+                                           c[1]);
+};
+
+
+/**
+ * Convert an MGRS reference to a coordinate.  An Error describing the
+ * problem is thrown if the reference is malformed.
+ * @param {!string} mgrs MGRS reference.
+ * @param {!boolean=} opt_centerp If true (the default) return the center of
+ *     the MGRS square, else its lower left corner.
+ * @return {!ol.Coordinate}
+ */
+net.sf.geographiclib.Interface.prototype.fromMGRS =
+    function(mgrs, opt_centerp) {
+  var r = net.sf.geographiclib.MGRS.Reverse(mgrs, opt_centerp);
+  return this.fromUTMUPS(r.zone, r.northp, r.x, r.y);
+};
+
+
+/**
+ * Convert a position in any of the notations accepted by {@link
+ * net.sf.geographiclib.GeoCoords} (decimal degrees, DMS, UTM/UPS or MGRS)
+ * to a coordinate.  An Error describing the problem is thrown if the
+ * position is malformed.
+ * @param {!string} s Position, e.g. "40d26'46\"N 79d58'56\"W",
+ *     "17n 586310 4477770" or "17TNE8630977770".
+ * @param {!boolean=} opt_longfirst If true a latitude and longitude without
+ *     hemisphere designators are taken to be in the order longitude,
+ *     latitude; default false.
+ * @return {!ol.Coordinate}
+ */
+net.sf.geographiclib.Interface.prototype.parseCoordinate =
+    function(s, opt_longfirst) {
+  var c = new net.sf.geographiclib.GeoCoords(s, true, opt_longfirst);
+  return [c.Longitude(), c.Latitude()];
+};
+
+
+/**
+ * Convert an azimuth in decimal degrees or DMS notation, e.g. "45d30'" or
+ * "45:30E", to degrees.  An Error describing the problem is thrown if the
+ * azimuth is malformed.
+ * @param {!string} s Azimuth.
+ * @return {!number} The azimuth (degrees).
+ */
+net.sf.geographiclib.Interface.prototype.parseAzimuth = function(s) {
+  return net.sf.geographiclib.DMS.DecodeAzimuth(s);
+};
+
+
+/**
+ * Convert a coordinate to geocentric (Earth-centered, Earth-fixed)
+ * coordinates.
+ * @param {!ol.Coordinate} c Coordinate, optionally with a third element
+ *     giving the height above the ellipsoid (meters), default 0.
+ * @return {!Array.<number>} X, Y, Z (meters).
+ */
+net.sf.geographiclib.Interface.prototype.toGeocentric = function(c) {
+  var r = this.geocentric_.Forward(c[1], c[0], c.length > 2 ? c[2] : 0);
+  return [r.X, r.Y, r.Z];
+};
+
+
+/**
+ * Convert geocentric (Earth-centered, Earth-fixed) coordinates to a
+ * coordinate.
+ * @param {!Array.<number>} xyz X, Y, Z (meters).
+ * @return {!ol.Coordinate} Longitude, latitude and height above the
+ *     ellipsoid (meters).
+ */
+net.sf.geographiclib.Interface.prototype.fromGeocentric = function(xyz) {
+  var r = this.geocentric_.Reverse(xyz[0], xyz[1], xyz[2]);
+  return [r.lon, r.lat, r.h];
+};
+
+
+/**
+ * Create a converter between coordinates and local east, north, up
+ * cartesian coordinates (meters) about an origin, using the ellipsoid of
+ * this Interface:
+ * <pre>
+ *   var enu = geoInterface.localCartesian([-0.1278, 51.5, 30]);
+ *   var r = enu.Forward(51.51, -0.13, 120);  // r.x, r.y, r.z
+ *   enu.Reset(52.2, 0.12, 15);               // move the origin
+ * </pre>
+ * @param {!ol.Coordinate} origin Origin, optionally with a third element
+ *     giving the height above the ellipsoid (meters), default 0.
+ * @return {!net.sf.geographiclib.LocalCartesian}
+ */
+net.sf.geographiclib.Interface.prototype.localCartesian = function(origin) {
+  return new net.sf.geographiclib.LocalCartesian(
+      origin[1], origin[0], origin.length > 2 ? origin[2] : 0,
+      this.geocentric_);
+};
+
+
+/**
+ * Project a coordinate with the azimuthal equidistant projection about a
+ * center.  The distance of the projected point from the origin is the
+ * geodesic distance from the center and its direction is the azimuth of
+ * the geodesic at the center, so circles about the origin are range rings.
+ * @param {!ol.Coordinate} center Center of the projection.
+ * @param {!ol.Coordinate} c Coordinate.
+ * @return {!Array.<number>} Easting and northing (meters).
+ */
+net.sf.geographiclib.Interface.prototype.toAzimuthalEquidistant =
+    function(center, c) {
+  var r = this.azimuthalEquidistant_.Forward(center[1], center[0], c[1], c[0]);
+  return [r.x, r.y];
+};
+
+
+/**
+ * Convert an azimuthal equidistant easting and northing about a center
+ * back to a coordinate.
+ * @param {!ol.Coordinate} center Center of the projection.
+ * @param {!Array.<number>} xy Easting and northing (meters).
+ * @return {!ol.Coordinate}
+ */
+net.sf.geographiclib.Interface.prototype.fromAzimuthalEquidistant =
+    function(center, xy) {
+  var r = this.azimuthalEquidistant_.Reverse(center[1], center[0],
+                                             xy[0], xy[1]);
+  return [r.lon, r.lat];
+};
+
+
+/**
+ * Project a coordinate with the gnomonic projection about a center.
+ * Geodesics near the center project to nearly straight lines.  NaNs are
+ * returned for a coordinate over the horizon, roughly a quarter meridian
+ * or more from the center.
+ * @param {!ol.Coordinate} center Center of the projection.
+ * @param {!ol.Coordinate} c Coordinate.
+ * @return {!Array.<number>} Easting and northing (meters).
+ */
+net.sf.geographiclib.Interface.prototype.toGnomonic = function(center, c) {
+  var r = this.gnomonic_.Forward(center[1], center[0], c[1], c[0]);
+  return [r.x, r.y];
+};
+
+
+/**
+ * Convert a gnomonic easting and northing about a center back to a
+ * coordinate.
+ * @param {!ol.Coordinate} center Center of the projection.
+ * @param {!Array.<number>} xy Easting and northing (meters).
+ * @return {!ol.Coordinate}
+ */
+net.sf.geographiclib.Interface.prototype.fromGnomonic = function(center, xy) {
+  var r = this.gnomonic_.Reverse(center[1], center[0], xy[0], xy[1]);
+  return [r.lon, r.lat];
+};
+
+
+/**
+ * Create a Cassini-Soldner projection about a center using the ellipsoid
+ * of this Interface:
+ * <pre>
+ *   var cass = geoInterface.cassiniSoldner([-61.3, 10.44]);
+ *   var r = cass.Forward(10.6, -61.1);  // r.x, r.y
+ * </pre>
+ * @param {!ol.Coordinate} center Center of the projection.
+ * @return {!net.sf.geographiclib.CassiniSoldner}
+ */
+net.sf.geographiclib.Interface.prototype.cassiniSoldner = function(center) {
+  return new net.sf.geographiclib.CassiniSoldner(center[1], center[0],
+                                                 this.geodesic_);
+};
+
+
+/**
+ * Length of a line along the geodesics joining its vertices.
+ * @param {!Array.<!ol.Coordinate>} coordinates Line vertices.
+ * @return {!number} Length (meters).
+ */
+net.sf.geographiclib.Interface.prototype.lineLength = function(coordinates) {
+  return this.measure_(coordinates, true, false, true).perimeter;
+};
+
+
+/**
+ * Area and perimeter of a ring whose edges are geodesics.  The ring may be
+ * closed (last vertex equal to the first) or not.  Edges crossing the
+ * antimeridian and rings encircling a pole are handled; every edge is taken
+ * to be the shorter of the two geodesics between its ends.
+ * <p>
+ * A ring divides the ellipsoid into two regions.  By default the
+ * orientation of the ring is ignored and the area of the smaller region is
+ * returned, so a ring enclosing more than half the ellipsoid reports the
+ * area outside it.  If opt_oriented is true, the area of the region to the
+ * left of the ring is returned instead, i.e., the region enclosed by a
+ * counter-clockwise ring, as in GeoJSON; this lies in [0, A), where A is
+ * the area of the ellipsoid, and a clockwise ring reports A minus the area
+ * it encloses.
+ * @param {!Array.<!ol.Coordinate>} ring Ring vertices.
+ * @param {!boolean=} opt_oriented Use the orientation of the ring (default
+ *     false).
+ * @return {!{area: number, perimeter: number}} Area (square meters) and
+ *     perimeter (meters).
+ */
+net.sf.geographiclib.Interface.prototype.ringArea =
+    function(ring, opt_oriented) {
+  var r = this.measure_(ring, false, false, !opt_oriented);
+  return {
+    area: Math.abs(r.area),
+    perimeter: r.perimeter
+  };
+};
+
+
+/**
+ * Area and perimeter of a polygon.  The first ring is the exterior and the
+ * following rings are holes, as in ol.geom.Polygon; the areas of the holes
+ * are subtracted.  By default the orientation of the rings is ignored and
+ * the area of each is that of the smaller region it bounds, as for
+ * {@link #ringArea}.  If opt_oriented is true, the exterior must be
+ * counter-clockwise and the holes clockwise, as in GeoJSON, and the area of
+ * each ring is that of the region it encloses in that sense, so exteriors
+ * enclosing more than half the ellipsoid are measured correctly.  The
+ * perimeter includes the boundaries of the holes.
+ * @param {!Array.<!Array.<!ol.Coordinate>>} rings Polygon rings.
+ * @param {!boolean=} opt_oriented Use the orientation of the rings (default
+ *     false).
+ * @return {!{area: number, perimeter: number}} Area (square meters) and
+ *     perimeter (meters).
+ */
+net.sf.geographiclib.Interface.prototype.polygonArea =
+    function(rings, opt_oriented) {
+  var area = 0, perimeter = 0;
+  for (var i = 0, ii = rings.length; i < ii; ++i) {
+    // A hole is oriented clockwise, so reverse the sense of its area
+    var r = this.measure_(rings[i], false, !!opt_oriented && i > 0,
+                          !opt_oriented);
+    area += i == 0 ? Math.abs(r.area) : -Math.abs(r.area);
+    perimeter += r.perimeter;
+  }
+  return {
+    area: area,
+    perimeter: perimeter
+  };
+};
+
+
+/**
+ * Area and perimeter of an ol.geom.Polygon or ol.geom.MultiPolygon whose
+ * coordinates are longitudes and latitudes (EPSG:4326).
+ * @param {!(ol.geom.Polygon|ol.geom.MultiPolygon)} geometry Geometry.
+ * @param {!boolean=} opt_oriented Use the orientation of the rings, as for
+ *     {@link #polygonArea} (default false).
+ * @return {!{area: number, perimeter: number}} Area (square meters) and
+ *     perimeter (meters).
+ */
+net.sf.geographiclib.Interface.prototype.geometryArea =
+    function(geometry, opt_oriented) {
+  if (geometry instanceof ol.geom.Polygon)
+    return this.polygonArea(/** @type {!Array.<!Array.<!ol.Coordinate>>} */ (
+        geometry.getCoordinates()), opt_oriented);
+  goog.asserts.assert(geometry instanceof ol.geom.MultiPolygon,
+      'geometry must be a Polygon or a MultiPolygon');
+  var polygons = /** @type {!Array.<!Array.<!Array.<!ol.Coordinate>>>} */ (
+      geometry.getCoordinates());
+  var area = 0, perimeter = 0;
+  for (var i = 0, ii = polygons.length; i < ii; ++i) {
+    var r = this.polygonArea(polygons[i], opt_oriented);
+    area += r.area;
+    perimeter += r.perimeter;
+  }
+  return {
+    area: area,
+    perimeter: perimeter
+  };
+};
+
+
+/**
+ * Length of an ol.geom.LineString or ol.geom.MultiLineString whose
+ * coordinates are longitudes and latitudes (EPSG:4326).
+ * @param {!(ol.geom.LineString|ol.geom.MultiLineString)} geometry Geometry.
+ * @return {!number} Length (meters).
+ */
+net.sf.geographiclib.Interface.prototype.geometryLength = function(geometry) {
+  if (geometry instanceof ol.geom.LineString)
+    return this.lineLength(/** @type {!Array.<!ol.Coordinate>} */ (
+        geometry.getCoordinates()));
+  goog.asserts.assert(geometry instanceof ol.geom.MultiLineString,
+      'geometry must be a LineString or a MultiLineString');
+  var lines = /** @type {!Array.<!Array.<!ol.Coordinate>>} */ (
+      geometry.getCoordinates());
+  var length = 0;
+  for (var i = 0, ii = lines.length; i < ii; ++i)
+    length += this.lineLength(lines[i]);
+  return length;
+};
+
+
+/**
+ * Densify a line of coordinates for drawing on a map.  Waypoints are
+ * inserted along the geodesics joining the coordinates so that no segment
+ * is longer than maxLength and the azimuth of the geodesic turns by no more
+ * than opt_maxAngle along any segment.  The result is split where it
+ * crosses the antimeridian, the pieces ending and starting at longitudes of
+ * exactly 180 and -180, so that each piece can be drawn with straight
+ * segments in any cylindrical projection.
+ * @param {!Array.<!ol.Coordinate>} coordinates Coordinates (longitude,
+ *     latitude).
+ * @param {!number} maxLength Maximum length of a segment (meters).
+ * @param {!number=} opt_maxAngle Maximum turn of the azimuth along a segment
+ *     (degrees), default 10; 180 removes the limit.
+ * @return {!Array.<!Array.<!ol.Coordinate>>} The pieces of the densified
+ *     line, with longitudes in [-180, 180].
+ */
+net.sf.geographiclib.Interface.prototype.densify =
+    function(coordinates, maxLength, opt_maxAngle) {
+  return this.splitAntimeridian_(
+      this.densify_(coordinates, maxLength, opt_maxAngle));
+};
+
+
+/**
+ * Densify an ol.geom.LineString, ol.geom.MultiLineString, ol.geom.Polygon
+ * or ol.geom.MultiPolygon whose coordinates are longitudes and latitudes
+ * (EPSG:4326), as for {@link #densify}.  Lines are split at the
+ * antimeridian and returned as an ol.geom.MultiLineString.
+ * <p>
+ * Splitting polygons at the antimeridian is not supported, since it needs
+ * the rings to be clipped (and is not possible for a ring enclosing a
+ * pole).  The rings of a polygon are densified without being split and
+ * their longitudes are made continuous, so a ring crossing the antimeridian
+ * has longitudes beyond [-180, 180], e.g., from 170 to 190.
+ * @param {!(ol.geom.LineString|ol.geom.MultiLineString|ol.geom.Polygon|
+ *     ol.geom.MultiPolygon)} geometry Geometry.
+ * @param {!number} maxLength Maximum length of a segment (meters).
+ * @param {!number=} opt_maxAngle Maximum turn of the azimuth along a segment
+ *     (degrees), default 10; 180 removes the limit.
+ * @return {!(ol.geom.MultiLineString|ol.geom.Polygon|ol.geom.MultiPolygon)}
+ *     The densified geometry.
+ */
+net.sf.geographiclib.Interface.prototype.densifyGeometry =
+    function(geometry, maxLength, opt_maxAngle) {
+  var i, ii, j, jj;
+  if (geometry instanceof ol.geom.LineString)
+    return new ol.geom.MultiLineString(this.densify(
+        /** @type {!Array.<!ol.Coordinate>} */ (geometry.getCoordinates()),
+        maxLength, opt_maxAngle));
+  if (geometry instanceof ol.geom.MultiLineString) {
+    var coordinates = /** @type {!Array.<!Array.<!ol.Coordinate>>} */ (
+        geometry.getCoordinates());
+    var lines = [];
+    for (i = 0, ii = coordinates.length; i < ii; ++i)
+      lines = lines.concat(
+          this.densify(coordinates[i], maxLength, opt_maxAngle));
+    return new ol.geom.MultiLineString(lines);
+  }
+  var multi = geometry instanceof ol.geom.MultiPolygon;
+  goog.asserts.assert(multi || geometry instanceof ol.geom.Polygon,
+      'geometry must be a LineString, MultiLineString, Polygon or ' +
+      'MultiPolygon');
+  var polygons = /** @type {!Array.<!Array.<!Array.<!ol.Coordinate>>>} */ (
+      multi ? geometry.getCoordinates() : [geometry.getCoordinates()]);
+  var densified = new Array(polygons.length);
+  for (i = 0, ii = polygons.length; i < ii; ++i) {
+    var rings = new Array(polygons[i].length);
+    for (j = 0, jj = rings.length; j < jj; ++j)
+      rings[j] = this.densify_(polygons[i][j], maxLength, opt_maxAngle);
+    densified[i] = rings;
+  }
+  return multi ? new ol.geom.MultiPolygon(densified) :
+      new ol.geom.Polygon(densified[0]);
+};
+
+
+/**
+ * The default limit on the turn of the azimuth along a segment in
+ * {@link #densify} (degrees).  Without this, a short edge passing over or
+ * near a pole, whose longitude changes by up to 180 degrees, would be drawn
+ * as a single straight segment.
+ * @private
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.Interface.defaultMaxAngle_ = 10;
+
+
+/**
+ * The maximum number of times a segment is bisected to satisfy the limit
+ * on the turn of the azimuth in {@link #densify}.  This only comes into
+ * play for geodesics passing very close to a pole.
+ * @private
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.Interface.maxBisections_ = 10;
+
+
+/**
+ * @private
+ * @param {!Array.<!ol.Coordinate>} coordinates
+ * @param {!number} maxLength
+ * @param {!number=} opt_maxAngle
+ * @return {!Array.<!ol.Coordinate>} The densified coordinates, with
+ *     continuous longitudes.
+ */
+net.sf.geographiclib.Interface.prototype.densify_ =
+    function(coordinates, maxLength, opt_maxAngle) {
+  goog.asserts.assert(maxLength > 0, 'maxLength must be positive');
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var maxAngle = goog.isDef(opt_maxAngle) ? opt_maxAngle :
+      net.sf.geographiclib.Interface.defaultMaxAngle_;
+  var caps = gm.LATITUDE | gm.LONGITUDE | gm.AZIMUTH | gm.DISTANCE_IN;
+  var n = coordinates.length;
+  var points = n ? [[coordinates[0][0], coordinates[0][1]]] : [];
+  for (var i = 1; i < n; ++i) {
+    var c1 = coordinates[i - 1], c2 = coordinates[i];
+    var line = this.geodesic_.InverseLine(c1[1], c1[0], c2[1], c2[0], caps),
+        s13 = line.Distance(),
+        k = Math.max(1, Math.ceil(s13 / maxLength)),
+        prev = line.Position(0, caps);
+    for (var j = 1; j <= k; ++j) {
+      var next = line.Position(j * s13 / k, caps);
+      this.bisect_(line, prev, next, maxAngle, 0, points);
+      prev = next;
+    }
+    // End exactly at c2, keeping the longitude continuous
+    var p = points[points.length - 1];
+    p[0] += GeoMath.angDiff(prev.lon2, c2[0]);
+    p[1] = c2[1];
+  }
+  return points;
+};
+
+
+/**
+ * Append the points of a geodesic line from position a (excluded) to
+ * position b, bisecting until the azimuth turns by no more than maxAngle.
+ * @private
+ * @param {!net.sf.geographiclib.GeodesicLine} line
+ * @param {!net.sf.geographiclib.GeodesicData} a
+ * @param {!net.sf.geographiclib.GeodesicData} b
+ * @param {!number} maxAngle
+ * @param {!number} depth
+ * @param {!Array.<!ol.Coordinate>} points
+ */
+net.sf.geographiclib.Interface.prototype.bisect_ =
+    function(line, a, b, maxAngle, depth, points) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  if (depth < net.sf.geographiclib.Interface.maxBisections_ &&
+      Math.abs(GeoMath.angDiff(a.azi2, b.azi2)) > maxAngle) {
+    var m = line.Position((a.s12 + b.s12) / 2,
+                          gm.LATITUDE | gm.LONGITUDE | gm.AZIMUTH);
+    this.bisect_(line, a, m, maxAngle, depth + 1, points);
+    this.bisect_(line, m, b, maxAngle, depth + 1, points);
+  } else {
+    var lon = points[points.length - 1][0];
+    points.push([lon + GeoMath.angDiff(a.lon2, b.lon2), b.lat2]);
+  }
+};
+
+
+/**
+ * @private
+ * @param {!Array.<!ol.Coordinate>} points Points with continuous
+ *     longitudes joined by short geodesics.
+ * @return {!Array.<!Array.<!ol.Coordinate>>} The points split into pieces
+ *     at the antimeridian, with longitudes in [-180, 180].
+ */
+net.sf.geographiclib.Interface.prototype.splitAntimeridian_ =
+    function(points) {
+  var n = points.length;
+  if (!n)
+    return [];
+  var caps = net.sf.geographiclib.Intersect.LineCaps;
+  var lon0 = net.sf.geographiclib.GeoMath.angNormalize(points[0][0]),
+      // The multiple of 360 to subtract from the longitudes of this piece
+      shift = points[0][0] - lon0,
+      piece = [[lon0, points[0][1]]],
+      pieces = [piece];
+  for (var i = 1; i < n; ++i) {
+    var a = piece[piece.length - 1],
+        lon = points[i][0] - shift;
+    if (Math.abs(lon) > 180) {
+      var edge = lon > 0 ? 180 : -180, lat = a[1];
+      if (a[0] != edge) {
+        var lineX = this.geodesic_.InverseLine(a[1], a[0],
+                                               points[i][1], lon, caps),
+            lineY = new net.sf.geographiclib.GeodesicLine(
+                this.geodesic_, a[1], edge, 0, caps);
+        lat = this.waypoint_(lineX, false,
+                             this.intersect_.ClosestLines(lineX, lineY).x)[1];
+        piece.push([edge, lat]);
+      }
+      if (piece.length < 2)
+        pieces.pop();
+      piece = [[-edge, lat]];
+      pieces.push(piece);
+      shift += 2 * edge;
+      lon -= 2 * edge;
+    }
+    piece.push([lon, points[i][1]]);
+  }
+  return pieces;
+};
+
+
+/**
+ * @private
+ * @param {!Array.<!ol.Coordinate>} coordinates
+ * @param {!boolean} polyline
+ * @param {!boolean} reverse
+ * @param {!boolean} sign
+ * @return {!net.sf.geographiclib.PolygonArea.Result} The area is as given
+ *     by PolygonArea.Compute(reverse, sign).
+ */
+net.sf.geographiclib.Interface.prototype.measure_ =
+    function(coordinates, polyline, reverse, sign) {
+  var n = coordinates.length;
+  if (!polyline && n > 1 &&
+      coordinates[0][0] == coordinates[n - 1][0] &&
+      coordinates[0][1] == coordinates[n - 1][1])
+    --n;
+  var poly = new net.sf.geographiclib.PolygonArea(this.geodesic_, polyline);
+  for (var i = 0; i < n; ++i)
+    poly.AddPoint(coordinates[i][1],
+                  net.sf.geographiclib.GeoMath.angNormalize2(
+                      coordinates[i][0]));
+  return poly.Compute(reverse, sign);
+};
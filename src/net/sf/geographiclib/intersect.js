@@ -0,0 +1,599 @@
+goog.provide('net.sf.geographiclib.Intersect');
+
+goog.require('goog.asserts');
+goog.require('net.sf.geographiclib.Ellipsoid');
+goog.require('net.sf.geographiclib.GeoMath');
+goog.require('net.sf.geographiclib.Geodesic');
+goog.require('net.sf.geographiclib.GeodesicLine');
+goog.require('net.sf.geographiclib.GeodesicMask');
+
+
+
+/**
+ * Geodesic intersections.
+ * <p>
+ * Find the intersections of two geodesics <i>X</i> and <i>Y</i>.  Each
+ * geodesic is given either by a starting point and an azimuth or by its two
+ * end points; in the latter case the geodesic is a segment of length
+ * <i>sx</i> (resp. <i>sy</i>).  An intersection is reported as the pair of
+ * signed displacements (<i>x</i>, <i>y</i>) along the geodesics from their
+ * starting points; the position of the intersection can be found with
+ * {@link net.sf.geographiclib.GeodesicLine#Position} on either geodesic.
+ * Intersections are ranked by the "L1" distance |<i>x</i>| + |<i>y</i>|
+ * (or |<i>x</i> &minus; <i>x0</i>| + |<i>y</i> &minus; <i>y0</i>| relative
+ * to an offset point).
+ * <p>
+ * Each intersection also carries a coincidence indicator <i>c</i>.  This is
+ * 0 for a normal intersection, +1 if the geodesics are coincident and
+ * parallel at the intersection, and &minus;1 if they are coincident and
+ * antiparallel.  For coincident geodesics every point on the common line is
+ * an intersection; the one reported is the one closest to the offset point
+ * (or, for segments, the middle of the overlap).
+ * <p>
+ * The intersections are found by an iterative method in which the triangle
+ * formed by the current estimates of the intersection on each geodesic and
+ * the geodesic joining them is solved as a spherical triangle on a sphere
+ * with the authalic radius.  This converges quadratically.  Starting points
+ * are chosen on a grid spaced so that no intersection is missed.  The
+ * method is described in
+ * <ul>
+ * <li>
+ *   C. F. F. Karney, Geodesic intersections, J. Surveying Eng. (2024).
+ * </ul>
+ * @constructor
+ * @param {!net.sf.geographiclib.Geodesic=} opt_geod the Geodesic object to
+ *     use for geodesic calculations, default one for WGS84.  Ellipsoids with
+ *     very large eccentricities are not supported.
+ */
+net.sf.geographiclib.Intersect = function(opt_geod) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  this._geod = opt_geod || new net.sf.geographiclib.Geodesic(
+      net.sf.geographiclib.Ellipsoid.WGS84.a,
+      net.sf.geographiclib.Ellipsoid.WGS84.f);
+  this._a = this._geod._a;
+  this._f = this._geod._f;
+  // The authalic radius is the radius of the sphere used to solve the
+  // triangles
+  this._rR = Math.sqrt(this._geod._c2);
+  this._d = this._rR * Math.PI;  // Used to normalize intersection points
+  this._eps = 3 * GeoMath.epsilon;
+  this._tol = this._d * Math.pow(GeoMath.epsilon, 3 / 4);
+  this._delta = this._d * Math.pow(GeoMath.epsilon, 1 / 5);
+  // _t1 is a lower bound on half the L1 distance between two intersections
+  // and _t4 on the size of the region around an intersection which can be
+  // searched starting at the intersection.  _t2 is twice the distance from
+  // the pole to the semi-conjugate point of a meridian.
+  var t1, t2, t4;
+  t1 = t4 = this._a * (1 - this._f) * Math.PI;
+  t2 = 2 * this.distpolar_(90);
+  if (this._f < 0) {
+    t4 = this.polarb_();
+    var t = t1; t1 = t2; t2 = t;
+  }
+  this._t1 = t1;
+  this._d1 = t2 / 2;            // Spacing of starting points for Closest
+  this._d3 = t4 - this._delta;  // Spacing of starting points for All
+  goog.asserts.assert(this._d1 < this._d3,
+                      'Ellipsoid too eccentric for Closest');
+};
+
+
+/**
+ * The capabilities a {@link net.sf.geographiclib.GeodesicLine} needs to be
+ * passed to the functions taking lines.
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.Intersect.LineCaps = (function() {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  return gm.LATITUDE | gm.LONGITUDE | gm.AZIMUTH |
+      gm.REDUCEDLENGTH | gm.GEODESICSCALE | gm.DISTANCE_IN;
+})();
+
+
+/**
+ * The maximum number of iterations when solving for an intersection.
+ * @private
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.Intersect.numit_ = 100;
+
+
+/**
+ * Find the closest intersection point, with each geodesic specified by
+ * position and azimuth.
+ * <p>
+ * The returned point is the intersection closest, in the L1 sense, to the
+ * point a distance <i>x0</i> along <i>X</i> and <i>y0</i> along <i>Y</i>
+ * (by default the starting points of the geodesics).
+ *
+ * @param {!number} latX latitude of starting point for geodesic X (degrees).
+ * @param {!number} lonX longitude of starting point for geodesic X
+ *     (degrees).
+ * @param {!number} aziX azimuth at starting point for geodesic X (degrees).
+ * @param {!number} latY latitude of starting point for geodesic Y (degrees).
+ * @param {!number} lonY longitude of starting point for geodesic Y
+ *     (degrees).
+ * @param {!number} aziY azimuth at starting point for geodesic Y (degrees).
+ * @param {!{x: number, y: number}=} opt_p0 the offset point (meters),
+ *     default {x: 0, y: 0}.
+ * @return {!{x: number, y: number, c: number}} The displacements (meters)
+ *     along X and Y to the intersection and the coincidence indicator.
+ */
+net.sf.geographiclib.Intersect.prototype.Closest =
+    function(latX, lonX, aziX, latY, lonY, aziY, opt_p0) {
+  var caps = net.sf.geographiclib.Intersect.LineCaps;
+  return this.ClosestLines(
+      new net.sf.geographiclib.GeodesicLine(this._geod, latX, lonX, aziX, caps),
+      new net.sf.geographiclib.GeodesicLine(this._geod, latY, lonY, aziY, caps),
+      opt_p0);
+};
+
+
+/**
+ * Find the closest intersection point, with each geodesic given as a
+ * {@link net.sf.geographiclib.GeodesicLine}.  The lines must have been
+ * created with the capabilities {@link
+ * net.sf.geographiclib.Intersect.LineCaps}.
+ *
+ * @param {!net.sf.geographiclib.GeodesicLine} lineX geodesic X.
+ * @param {!net.sf.geographiclib.GeodesicLine} lineY geodesic Y.
+ * @param {!{x: number, y: number}=} opt_p0 the offset point (meters),
+ *     default {x: 0, y: 0}.
+ * @return {!{x: number, y: number, c: number}} The displacements (meters)
+ *     along X and Y to the intersection and the coincidence indicator.
+ */
+net.sf.geographiclib.Intersect.prototype.ClosestLines =
+    function(lineX, lineY, opt_p0) {
+  var p0 = opt_p0 ? {x: opt_p0.x, y: opt_p0.y, c: 0} : {x: 0, y: 0, c: 0};
+  return this.closestInt_(lineX, lineY, p0);
+};
+
+
+/**
+ * Find the intersection of two geodesic segments, each specified by its
+ * end points.
+ * <p>
+ * If there is an intersection within both segments, it is returned and
+ * <i>segmode</i> is 0.  Otherwise the intersection closest to the midpoints
+ * of the segments is returned.  Whether the intersection lies within each
+ * segment is given by <i>kx</i> and <i>ky</i>; <i>kx</i> is &minus;1 if
+ * <i>x</i> &lt; 0, 0 if 0 &le; <i>x</i> &le; <i>sx</i>, and 1 if <i>sx</i>
+ * &lt; <i>x</i>, and similarly for <i>ky</i>.  <i>segmode</i> = 3
+ * <i>kx</i> + <i>ky</i>.
+ *
+ * @param {!number} latX1 latitude of starting point for segment X (degrees).
+ * @param {!number} lonX1 longitude of starting point for segment X
+ *     (degrees).
+ * @param {!number} latX2 latitude of ending point for segment X (degrees).
+ * @param {!number} lonX2 longitude of ending point for segment X (degrees).
+ * @param {!number} latY1 latitude of starting point for segment Y (degrees).
+ * @param {!number} lonY1 longitude of starting point for segment Y
+ *     (degrees).
+ * @param {!number} latY2 latitude of ending point for segment Y (degrees).
+ * @param {!number} lonY2 longitude of ending point for segment Y (degrees).
+ * @return {!{x: number, y: number, c: number, kx: number, ky: number,
+ *     segmode: number}} The displacements (meters) along X and Y to the
+ *     intersection, the coincidence indicator and where the intersection
+ *     lies relative to the segments.
+ */
+net.sf.geographiclib.Intersect.prototype.Segment =
+    function(latX1, lonX1, latX2, lonX2, latY1, lonY1, latY2, lonY2) {
+  var caps = net.sf.geographiclib.Intersect.LineCaps;
+  return this.SegmentLines(
+      this._geod.InverseLine(latX1, lonX1, latX2, lonX2, caps),
+      this._geod.InverseLine(latY1, lonY1, latY2, lonY2, caps));
+};
+
+
+/**
+ * Find the intersection of two geodesic segments, each given as a {@link
+ * net.sf.geographiclib.GeodesicLine} whose length is the distance to its
+ * point 3, e.g., as returned by {@link
+ * net.sf.geographiclib.Geodesic#InverseLine}.
+ *
+ * @param {!net.sf.geographiclib.GeodesicLine} lineX segment X.
+ * @param {!net.sf.geographiclib.GeodesicLine} lineY segment Y.
+ * @return {!{x: number, y: number, c: number, kx: number, ky: number,
+ *     segmode: number}} The displacements (meters) along X and Y to the
+ *     intersection, the coincidence indicator and where the intersection
+ *     lies relative to the segments.
+ */
+net.sf.geographiclib.Intersect.prototype.SegmentLines =
+    function(lineX, lineY) {
+  var Intersect = net.sf.geographiclib.Intersect;
+  var sx = lineX.Distance(), sy = lineY.Distance();
+  // p0 is center of [sx,sy] rectangle, q is intersection closest to p0
+  var p0 = {x: sx / 2, y: sy / 2, c: 0},
+      q = Intersect.fixSegment_(sx, sy, this.closestInt_(lineX, lineY, p0)),
+      segmode = Intersect.segmentMode_(sx, sy, q);
+  // Are corners of [sx,sy] rectangle further from p0 than q?  If so, there
+  // may be an intersection within the rectangle which is not the closest
+  // to p0.  (A coincident q has already been moved into the rectangle if
+  // possible.)
+  if (segmode != 0 && q.c == 0 &&
+      Intersect.dist_(p0, {x: 0, y: 0}) >= Intersect.dist_(p0, q)) {
+    var segmodex = 1, qx;
+    // Cycle through 0,0 sx,0 0,sy sx,sy
+    for (var ix = 0; ix < 2 && segmodex != 0; ++ix) {
+      for (var iy = 0; iy < 2 && segmodex != 0; ++iy) {
+        var t = {x: ix * sx, y: iy * sy, c: 0};  // corner point
+        // Is corner outside next intersection exclusion circle?
+        if (Intersect.dist_(q, t) >= 2 * this._t1) {
+          qx = this.basic_(lineX, lineY, t);
+          segmodex = Intersect.segmentMode_(sx, sy, qx);
+        }
+      }
+    }
+    if (segmodex == 0) {
+      segmode = 0;
+      q = qx;
+    }
+  }
+  return {
+    x: q.x,
+    y: q.y,
+    c: q.c,
+    kx: Intersect.side_(q.x, sx),
+    ky: Intersect.side_(q.y, sy),
+    segmode: segmode
+  };
+};
+
+
+/**
+ * Find all intersections within a certain distance, with each geodesic
+ * specified by position and azimuth.
+ * <p>
+ * The intersections returned are those within an L1 distance
+ * <i>maxdist</i> of the offset point, sorted by that distance.  If the
+ * geodesics are coincident, a single representative intersection, the
+ * point on the common line closest to the offset point, is returned.
+ *
+ * @param {!number} latX latitude of starting point for geodesic X (degrees).
+ * @param {!number} lonX longitude of starting point for geodesic X
+ *     (degrees).
+ * @param {!number} aziX azimuth at starting point for geodesic X (degrees).
+ * @param {!number} latY latitude of starting point for geodesic Y (degrees).
+ * @param {!number} lonY longitude of starting point for geodesic Y
+ *     (degrees).
+ * @param {!number} aziY azimuth at starting point for geodesic Y (degrees).
+ * @param {!number} maxdist the maximum distance for the returned
+ *     intersections (meters).
+ * @param {!{x: number, y: number}=} opt_p0 the offset point (meters),
+ *     default {x: 0, y: 0}.
+ * @return {!Array.<{x: number, y: number, c: number}>} The intersections.
+ */
+net.sf.geographiclib.Intersect.prototype.All =
+    function(latX, lonX, aziX, latY, lonY, aziY, maxdist, opt_p0) {
+  var caps = net.sf.geographiclib.Intersect.LineCaps;
+  return this.AllLines(
+      new net.sf.geographiclib.GeodesicLine(this._geod, latX, lonX, aziX, caps),
+      new net.sf.geographiclib.GeodesicLine(this._geod, latY, lonY, aziY, caps),
+      maxdist, opt_p0);
+};
+
+
+/**
+ * Find all intersections within a certain distance, with each geodesic
+ * given as a {@link net.sf.geographiclib.GeodesicLine}.
+ *
+ * @param {!net.sf.geographiclib.GeodesicLine} lineX geodesic X.
+ * @param {!net.sf.geographiclib.GeodesicLine} lineY geodesic Y.
+ * @param {!number} maxdist the maximum distance for the returned
+ *     intersections (meters).
+ * @param {!{x: number, y: number}=} opt_p0 the offset point (meters),
+ *     default {x: 0, y: 0}.
+ * @return {!Array.<{x: number, y: number, c: number}>} The intersections.
+ */
+net.sf.geographiclib.Intersect.prototype.AllLines =
+    function(lineX, lineY, maxdist, opt_p0) {
+  var Intersect = net.sf.geographiclib.Intersect;
+  var p0 = opt_p0 ? {x: opt_p0.x, y: opt_p0.y, c: 0} : {x: 0, y: 0, c: 0};
+  var
+      maxdistx = maxdist + this._delta,
+      m = Math.ceil(maxdistx / this._d3),  // process m x m set of tiles
+      n = m - 1,                           // Range of i, j = [-n:2:n]
+      d3 = maxdistx / m,                   // d3 <= _d3
+      start = [], skip = [], r = [], i, j, k;
+  // Each start point covers the L1 ball ("diamond") of radius d3 around it.
+  // These tile the L1 ball of radius maxdistx around p0 with the start
+  // points on a grid rotated by 45 degrees.  Add center tile if m is even.
+  if (m % 2 == 0)
+    start.push({x: p0.x, y: p0.y});
+  for (i = -n; i <= n; i += 2)
+    for (j = -n; j <= n; j += 2)
+      start.push({x: p0.x + (i + j) * d3 / 2, y: p0.y + (i - j) * d3 / 2});
+  for (k = 0; k < start.length; ++k) {
+    if (skip[k]) continue;
+    var q = Intersect.fixCoincident_(
+        p0, this.basic_(lineX, lineY, {x: start[k].x, y: start[k].y, c: 0}));
+    var found = false;
+    for (i = 0; i < r.length && !found; ++i)
+      found = this.equal_(r[i], q);
+    if (found) continue;
+    r.push(q);
+    for (var l = k + 1; l < start.length; ++l)
+      skip[l] = skip[l] ||
+          Intersect.dist_(q, start[l]) < 2 * this._t1 - d3 - this._delta;
+  }
+  // Trim intersections to maxdist, drop those which lie on a line of
+  // coincident intersections, and sort by distance from p0
+  var delta = this._delta;
+  return r.filter(function(p) {
+    return Intersect.dist_(p, p0) <= maxdist &&
+        (p.c != 0 || !r.some(function(q) {
+          return q.c != 0 && Math.abs(p.y - q.y - q.c * (p.x - q.x)) <= delta;
+        }));
+  }).sort(function(p, q) {
+    return Intersect.dist_(p, p0) - Intersect.dist_(q, p0);
+  });
+};
+
+
+/**
+ * The L1 distance between two points.
+ * @private
+ * @param {!{x: number, y: number}} p
+ * @param {!{x: number, y: number}} q
+ * @return {!number}
+ */
+net.sf.geographiclib.Intersect.dist_ = function(p, q) {
+  return Math.abs(p.x - q.x) + Math.abs(p.y - q.y);
+};
+
+
+/**
+ * Are two intersections the same (to within _delta)?
+ * @private
+ * @param {!{x: number, y: number}} p
+ * @param {!{x: number, y: number}} q
+ * @return {!boolean}
+ */
+net.sf.geographiclib.Intersect.prototype.equal_ = function(p, q) {
+  return Math.abs(p.x - q.x) <= this._delta &&
+      Math.abs(p.y - q.y) <= this._delta;
+};
+
+
+/**
+ * For a coincident intersection, move it along the common line to the point
+ * closest to p0.
+ * @private
+ * @param {!{x: number, y: number, c: number}} p0
+ * @param {!{x: number, y: number, c: number}} p
+ * @return {!{x: number, y: number, c: number}}
+ */
+net.sf.geographiclib.Intersect.fixCoincident_ = function(p0, p) {
+  if (p.c == 0) return p;
+  // The common line is p + [s, c*s]; minimize the distance to p0
+  var s = (p0.x - p.x + p.c * (p0.y - p.y)) / 2;
+  return {x: p.x + s, y: p.y + p.c * s, c: p.c};
+};
+
+
+/**
+ * For a coincident intersection of segments of lengths sx and sy, move it
+ * along the common line to the middle of the overlap of the segments (or
+ * midway between them if they don't overlap).
+ * @private
+ * @param {!number} sx
+ * @param {!number} sy
+ * @param {!{x: number, y: number, c: number}} p
+ * @return {!{x: number, y: number, c: number}}
+ */
+net.sf.geographiclib.Intersect.fixSegment_ = function(sx, sy, p) {
+  if (p.c == 0) return p;
+  // The common line is p + [s, c*s]; find the range of s for which this is
+  // in both segments
+  var
+      smin = Math.max(-p.x, p.c > 0 ? -p.y : p.y - sy),
+      smax = Math.min(sx - p.x, p.c > 0 ? sy - p.y : p.y),
+      s = (smin + smax) / 2;
+  return {x: p.x + s, y: p.y + p.c * s, c: p.c};
+};
+
+
+/**
+ * @private
+ * @param {!number} x displacement along a segment.
+ * @param {!number} sx length of the segment.
+ * @return {!number} -1, 0, or 1 if x is before, within, or after the
+ *     segment.
+ */
+net.sf.geographiclib.Intersect.side_ = function(x, sx) {
+  return x < 0 ? -1 : x <= sx ? 0 : 1;
+};
+
+
+/**
+ * @private
+ * @param {!number} sx
+ * @param {!number} sy
+ * @param {!{x: number, y: number}} p
+ * @return {!number} 3 kx + ky.
+ */
+net.sf.geographiclib.Intersect.segmentMode_ = function(sx, sy, p) {
+  var Intersect = net.sf.geographiclib.Intersect;
+  return 3 * Intersect.side_(p.x, sx) + Intersect.side_(p.y, sy);
+};
+
+
+/**
+ * Find the intersection closest to p0 by starting the iteration at p0 and
+ * at four points surrounding it.
+ * @private
+ * @param {!net.sf.geographiclib.GeodesicLine} lineX
+ * @param {!net.sf.geographiclib.GeodesicLine} lineY
+ * @param {!{x: number, y: number, c: number}} p0
+ * @return {!{x: number, y: number, c: number}}
+ */
+net.sf.geographiclib.Intersect.prototype.closestInt_ =
+    function(lineX, lineY, p0) {
+  var Intersect = net.sf.geographiclib.Intersect;
+  var
+      ix = [0, 1, -1, 0, 0],
+      iy = [0, 0, 0, 1, -1],
+      skip = [false, false, false, false, false],
+      q = {x: Number.NaN, y: Number.NaN, c: 0};  // Best intersection so far
+  for (var n = 0; n < ix.length; ++n) {
+    if (skip[n]) continue;
+    var qx = Intersect.fixCoincident_(p0, this.basic_(
+        lineX, lineY,
+        {x: p0.x + ix[n] * this._d1, y: p0.y + iy[n] * this._d1, c: 0}));
+    if (this.equal_(q, qx)) continue;
+    if (Intersect.dist_(qx, p0) < this._t1) {
+      q = qx;
+      break;
+    }
+    if (n == 0 || Intersect.dist_(qx, p0) < Intersect.dist_(q, p0))
+      q = qx;
+    for (var m = n + 1; m < ix.length; ++m)
+      skip[m] = skip[m] ||
+          Intersect.dist_(qx, {x: p0.x + ix[m] * this._d1,
+                               y: p0.y + iy[m] * this._d1}) <
+          2 * this._t1 - this._d1 - this._delta;
+  }
+  return q;
+};
+
+
+/**
+ * Iterate to an intersection starting at p0.
+ * @private
+ * @param {!net.sf.geographiclib.GeodesicLine} lineX
+ * @param {!net.sf.geographiclib.GeodesicLine} lineY
+ * @param {!{x: number, y: number, c: number}} p0
+ * @return {!{x: number, y: number, c: number}}
+ */
+net.sf.geographiclib.Intersect.prototype.basic_ = function(lineX, lineY, p0) {
+  var q = {x: p0.x, y: p0.y, c: p0.c};
+  for (var n = 0; n < net.sf.geographiclib.Intersect.numit_; ++n) {
+    var dq = this.spherical_(lineX, lineY, q);
+    q.x += dq.x;
+    q.y += dq.y;
+    q.c += dq.c;
+    // break if nan or converged
+    if (q.c || !(Math.abs(dq.x) + Math.abs(dq.y) > this._tol)) break;
+  }
+  return q;
+};
+
+
+/**
+ * Solve the spherical triangle formed by the points at p on the two lines
+ * and the geodesic joining them.
+ * @private
+ * @param {!net.sf.geographiclib.GeodesicLine} lineX
+ * @param {!net.sf.geographiclib.GeodesicLine} lineY
+ * @param {!{x: number, y: number}} p
+ * @return {!{x: number, y: number, c: number}} The correction to p.
+ */
+net.sf.geographiclib.Intersect.prototype.spherical_ =
+    function(lineX, lineY, p) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var outmask = gm.LATITUDE | gm.LONGITUDE | gm.AZIMUTH;
+  var rX = lineX.Position(p.x, outmask), rY = lineY.Position(p.y, outmask),
+      r = this._geod.Inverse(rX.lat2, rX.lon2, rY.lat2, rY.lon2,
+                             gm.DISTANCE | gm.AZIMUTH);
+  var
+      z = r.s12,
+      sinz = Math.sin(z / this._rR), cosz = Math.cos(z / this._rR),
+      // X = interior angle at X, Y = exterior angle at Y
+      X = GeoMath.angDiff(rX.azi2, r.azi1),
+      Y = GeoMath.angDiff(rY.azi2, r.azi2),
+      s = GeoMath.angDiff(X, Y) < 0 ? -1 : 1,  // inverted triangle
+      // For z small, sinz -> z, cosz -> 1
+      // ( sinY*cosX*cosz - cosY*sinX) =
+      // (-sinX*cosY*cosz + cosX*sinY) -> sin(Y-X)
+      // for z = pi, sinz -> 0, cosz -> -1
+      // ( sinY*cosX*cosz - cosY*sinX) -> -sin(Y+X)
+      // (-sinX*cosY*cosz + cosX*sinY) -> sin(Y+X)
+      sinX = Math.sin(s * X * GeoMath.degree),
+      cosX = Math.cos(s * X * GeoMath.degree),
+      sinY = Math.sin(s * Y * GeoMath.degree),
+      cosY = Math.cos(s * Y * GeoMath.degree),
+      eps = this._eps;
+  if (z <= eps * this._rR) {
+    // Already at intersection; determine whether lineX and lineY are
+    // parallel or antiparallel
+    return {
+      x: 0, y: 0,
+      c: Math.abs(sinX - sinY) <= eps && Math.abs(cosX - cosY) <= eps ? 1 :
+          (Math.abs(sinX + sinY) <= eps && Math.abs(cosX + cosY) <= eps ?
+           -1 : 0)
+    };
+  } else if (Math.abs(sinX) <= eps && Math.abs(sinY) <= eps) {
+    // Coincident geodesics, place intersection at midpoint
+    return {
+      x: cosX * z / 2,
+      y: -cosY * z / 2,
+      c: (cosX < 0) == (cosY < 0) ? 1 : -1
+    };
+  } else {
+    // General case.  Need to treat sinz < 0 (z > pi*R) correctly.  Without
+    // this we have some convergence failures in basic_.
+    return {
+      x: this._rR * Math.atan2(sinY * sinz, sinY * cosX * cosz - cosY * sinX),
+      y: this._rR * Math.atan2(sinX * sinz, -sinX * cosY * cosz + cosX * sinY),
+      c: 0
+    };
+  }
+};
+
+
+/**
+ * The distance from the semi-conjugate point of the meridian starting at
+ * latitude lat1 to its starting point.
+ * @private
+ * @param {!number} lat1
+ * @return {!number}
+ */
+net.sf.geographiclib.Intersect.prototype.distpolar_ = function(lat1) {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var line = new net.sf.geographiclib.GeodesicLine(
+      this._geod, lat1, 0, 0,
+      gm.REDUCEDLENGTH | gm.GEODESICSCALE | gm.DISTANCE_IN);
+  // Solve for M13 = 0 using dM13/ds3 = - (1 - M13*M31)/m13
+  var s = (1 + this._f / 2) * this._a * Math.PI / 2;
+  for (var i = 0; i < net.sf.geographiclib.Intersect.numit_; ++i) {
+    var r = line.Position(s, gm.REDUCEDLENGTH | gm.GEODESICSCALE),
+        ds = r.m12 * r.M12 / (1 - r.M12 * r.M21);
+    s += ds;
+    if (!(Math.abs(ds) > this._tol)) break;
+  }
+  return s;
+};
+
+
+/**
+ * For a prolate ellipsoid, the minimum over starting latitudes of twice
+ * the distance to the semi-conjugate point of a meridian.
+ * @private
+ * @return {!number}
+ */
+net.sf.geographiclib.Intersect.prototype.polarb_ = function() {
+  if (this._f == 0)
+    return this._d;
+  var
+      lat0 = 63, s0 = this.distpolar_(lat0),
+      lat1 = 65, s1 = this.distpolar_(lat1),
+      lat2 = 64, s2 = this.distpolar_(lat2),
+      sx = s2;
+  // Solve for ds(lat)/dlat = 0 with a quadratic fit
+  for (var i = 0; i < 10; ++i) {
+    var den = (lat1 - lat0) * s2 + (lat0 - lat2) * s1 + (lat2 - lat1) * s0;
+    if (!(den < 0 || den > 0)) break;  // Break if nan
+    var latn = ((lat1 - lat0) * (lat1 + lat0) * s2 +
+                (lat0 - lat2) * (lat0 + lat2) * s1 +
+                (lat2 - lat1) * (lat2 + lat1) * s0) / (2 * den);
+    lat0 = lat1; s0 = s1;
+    lat1 = lat2; s1 = s2;
+    lat2 = latn; s2 = this.distpolar_(lat2);
+    if (this._f < 0 ? (s2 < sx) : (s2 > sx))
+      sx = s2;
+  }
+  return 2 * sx;
+};
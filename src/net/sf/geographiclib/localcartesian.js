@@ -0,0 +1,167 @@
+goog.provide('net.sf.geographiclib.LocalCartesian');
+
+goog.require('net.sf.geographiclib.GeoMath');
+goog.require('net.sf.geographiclib.Geocentric');
+
+
+
+/**
+ * Local cartesian coordinates.
+ * <p>
+ * Convert between geodetic coordinates latitude = <i>lat</i>, longitude =
+ * <i>lon</i>, height = <i>h</i> (measured vertically from the surface of the
+ * ellipsoid) to local cartesian coordinates (<i>x</i>, <i>y</i>, <i>z</i>).
+ * The origin of local cartesian coordinate system is at <i>lat</i> =
+ * <i>lat0</i>, <i>lon</i> = <i>lon0</i>, <i>h</i> = <i>h0</i>.  The <i>z</i>
+ * axis is normal to the ellipsoid; the <i>y</i> axis points due north.  The
+ * plane <i>z</i> = &minus;<i>h0</i> is tangent to the ellipsoid.  These are
+ * sometimes called east, north, up (ENU) coordinates.
+ * <p>
+ * The conversions all take place via geocentric coordinates using a
+ * {@link net.sf.geographiclib.Geocentric} object.
+ * <p>
+ * The Forward and Reverse functions optionally return the rotation matrix
+ * <i>M</i> which expresses the vectors in the local east, north, up
+ * coordinate system at the point as vectors in the local cartesian
+ * coordinate system at the origin.  It is stored in row-major order as an
+ * array of 9 numbers, in the same way as for Geocentric.
+ * @constructor
+ * @param {!number} lat0 latitude at origin (degrees).
+ * @param {!number} lon0 longitude at origin (degrees).
+ * @param {!number=} opt_h0 height above ellipsoid at origin (meters),
+ *     default 0.
+ * @param {!net.sf.geographiclib.Geocentric=} opt_earth Geocentric object for
+ *     the transformation, default {@link
+ *     net.sf.geographiclib.Geocentric.WGS84}.
+ */
+net.sf.geographiclib.LocalCartesian = function(lat0, lon0, opt_h0, opt_earth) {
+  this._earth = opt_earth || net.sf.geographiclib.Geocentric.WGS84;
+  this.Reset(lat0, lon0, opt_h0);
+};
+
+
+/**
+ * Reset the origin.
+ * <p>
+ * <i>lat0</i> should be in the range [&minus;90&deg;, 90&deg;].
+ *
+ * @param {!number} lat0 latitude at origin (degrees).
+ * @param {!number} lon0 longitude at origin (degrees).
+ * @param {!number=} opt_h0 height above ellipsoid at origin (meters),
+ *     default 0.
+ */
+net.sf.geographiclib.LocalCartesian.prototype.Reset =
+    function(lat0, lon0, opt_h0) {
+  this._lat0 = lat0;
+  this._lon0 = net.sf.geographiclib.GeoMath.angNormalize(lon0);
+  this._h0 = goog.isDef(opt_h0) ? opt_h0 : 0;
+  var r = this._earth.Forward(this._lat0, this._lon0, this._h0, true);
+  this._x0 = r.X;
+  this._y0 = r.Y;
+  this._z0 = r.Z;
+  // The columns of _r are the east, north and up axes at the origin
+  this._r = /** @type {!Array.<number>} */ (r.M);
+};
+
+
+/**
+ * Convert from geodetic to local cartesian coordinates.
+ * <p>
+ * <i>lat</i> should be in the range [&minus;90&deg;, 90&deg;].
+ *
+ * @param {!number} lat latitude of point (degrees).
+ * @param {!number} lon longitude of point (degrees).
+ * @param {!number} h height of point above the ellipsoid (meters).
+ * @param {!boolean=} opt_rotation if true also return the rotation matrix
+ *     <i>M</i> (default false).
+ * @return {!{x: number, y: number, z: number, M: (Array.<number>|undefined)}}
+ *     The local cartesian coordinates (meters) and, if requested, the
+ *     rotation matrix from the local frame at the point to that at the
+ *     origin.
+ */
+net.sf.geographiclib.LocalCartesian.prototype.Forward =
+    function(lat, lon, h, opt_rotation) {
+  var g = this._earth.Forward(lat, lon, h, opt_rotation),
+      xc = g.X - this._x0,
+      yc = g.Y - this._y0,
+      zc = g.Z - this._z0,
+      r = this._r,
+      vals = {
+        x: r[0] * xc + r[3] * yc + r[6] * zc,
+        y: r[1] * xc + r[4] * yc + r[7] * zc,
+        z: r[2] * xc + r[5] * yc + r[8] * zc
+      };
+  if (opt_rotation)
+    vals.M = this.matrixMultiply_(/** @type {!Array.<number>} */ (g.M));
+  return vals;
+};
+
+
+/**
+ * Convert from local cartesian to geodetic coordinates.
+ * <p>
+ * The value of <i>lon</i> returned is in the range [&minus;180&deg;,
+ * 180&deg;].
+ *
+ * @param {!number} x local cartesian coordinate (meters).
+ * @param {!number} y local cartesian coordinate (meters).
+ * @param {!number} z local cartesian coordinate (meters).
+ * @param {!boolean=} opt_rotation if true also return the rotation matrix
+ *     <i>M</i> (default false).
+ * @return {!{lat: number, lon: number, h: number,
+ *     M: (Array.<number>|undefined)}} The latitude and longitude (degrees),
+ *     the height (meters) and, if requested, the rotation matrix from the
+ *     local frame at the point to that at the origin.
+ */
+net.sf.geographiclib.LocalCartesian.prototype.Reverse =
+    function(x, y, z, opt_rotation) {
+  var r = this._r,
+      xc = this._x0 + r[0] * x + r[1] * y + r[2] * z,
+      yc = this._y0 + r[3] * x + r[4] * y + r[5] * z,
+      zc = this._z0 + r[6] * x + r[7] * y + r[8] * z,
+      vals = this._earth.Reverse(xc, yc, zc, opt_rotation);
+  if (opt_rotation)
+    vals.M = this.matrixMultiply_(/** @type {!Array.<number>} */ (vals.M));
+  return vals;
+};
+
+
+/**
+ * @return {!number} the latitude of the origin (degrees).
+ */
+net.sf.geographiclib.LocalCartesian.prototype.LatitudeOrigin = function() {
+  return this._lat0;
+};
+
+
+/**
+ * @return {!number} the longitude of the origin (degrees).
+ */
+net.sf.geographiclib.LocalCartesian.prototype.LongitudeOrigin = function() {
+  return this._lon0;
+};
+
+
+/**
+ * @return {!number} the height of the origin (meters).
+ */
+net.sf.geographiclib.LocalCartesian.prototype.HeightOrigin = function() {
+  return this._h0;
+};
+
+
+/**
+ * Premultiply a geocentric rotation matrix by the transpose of the rotation
+ * matrix at the origin.
+ * @private
+ * @param {!Array.<number>} M
+ * @return {!Array.<number>}
+ */
+net.sf.geographiclib.LocalCartesian.prototype.matrixMultiply_ = function(M) {
+  var r = this._r, t = new Array(9);
+  for (var i = 0; i < 9; ++i) {
+    var row = Math.floor(i / 3), col = i % 3;
+    t[i] = r[row] * M[col] + r[row + 3] * M[col + 3] + r[row + 6] * M[col + 6];
+  }
+  return t;
+};
@@ -0,0 +1,631 @@
+goog.provide('net.sf.geographiclib.MGRS');
+
+goog.require('net.sf.geographiclib.GeoMath');
+goog.require('net.sf.geographiclib.UTMUPS');
+
+
+
+/**
+ * Convert between UTM/UPS and MGRS.
+ * <p>
+ * MGRS is defined in Chapter 3 of
+ * <ul>
+ * <li>
+ *   J. W. Hager, L. L. Fry, S. S. Jacks, D. R. Hill, Datums, Ellipsoids,
+ *   Grids, and Grid Reference Systems, Defense Mapping Agency, Technical
+ *   Manual TM8358.1 (1990).
+ * </ul>
+ * An MGRS reference consists of the UTM zone number (omitted for UPS), the
+ * latitude band letter, the two letters of the 100 km square and then equal
+ * numbers of easting and northing digits, e.g. 38SMB4488 or ZGC2380.  The
+ * precision <i>prec</i> is the number of digits in each of the easting and
+ * northing; <i>prec</i> = 0 gives the 100 km square, 5 gives 1 m and the
+ * maximum, 11, gives 1 &mu;m.  <i>prec</i> = &minus;1 gives just the grid
+ * zone, e.g. 38S.
+ * <p>
+ * MGRS references are truncated, not rounded, so that a reference denotes
+ * the square whose lower left corner it gives.  {@link
+ * net.sf.geographiclib.MGRS.Reverse} returns the center of the square by
+ * default, but it can also return the lower left corner.
+ * <p>
+ * Malformed references and coordinates outside the MGRS limits cause an
+ * Error to be thrown with a message describing the problem.
+ * @constructor
+ */
+net.sf.geographiclib.MGRS = function() {
+};
+
+
+/**
+ * The maximum precision, 1 &mu;m.
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.MGRS.MAXPREC = 11;
+
+
+/**
+ * @private
+ * @const
+ * @type {!string}
+ */
+net.sf.geographiclib.MGRS.hemispheres_ = 'SN';
+
+
+/**
+ * The column letters of the 100 km squares, cycling through three sets.
+ * @private
+ * @const
+ * @type {!Array.<!string>}
+ */
+net.sf.geographiclib.MGRS.utmcols_ = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+
+
+/**
+ * @private
+ * @const
+ * @type {!string}
+ */
+net.sf.geographiclib.MGRS.utmrow_ = 'ABCDEFGHJKLMNPQRSTUV';
+
+
+/**
+ * @private
+ * @const
+ * @type {!Array.<!string>}
+ */
+net.sf.geographiclib.MGRS.upscols_ =
+    ['JKLPQRSTUXYZ', 'ABCFGHJKLPQR', 'RSTUXYZ', 'ABCFGHJ'];
+
+
+/**
+ * @private
+ * @const
+ * @type {!Array.<!string>}
+ */
+net.sf.geographiclib.MGRS.upsrows_ =
+    ['ABCDEFGHJKLMNPQRSTUVWXYZ', 'ABCDEFGHJKLMNP'];
+
+
+/**
+ * @private
+ * @const
+ * @type {!string}
+ */
+net.sf.geographiclib.MGRS.latband_ = 'CDEFGHJKLMNPQRSTUVWX';
+
+
+/**
+ * @private
+ * @const
+ * @type {!string}
+ */
+net.sf.geographiclib.MGRS.upsband_ = 'ABYZ';
+
+
+/**
+ * @private
+ * @const
+ * @type {!string}
+ */
+net.sf.geographiclib.MGRS.digits_ = '0123456789';
+
+
+/**
+ * Size of the MGRS blocks.
+ * @private
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.MGRS.tile_ = 100000;
+
+
+/**
+ * Period of the UTM row letters.
+ * @private
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.MGRS.utmrowperiod_ = 20;
+
+
+/**
+ * Row letters are shifted by 5 for even zones.
+ * @private
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.MGRS.utmevenrowshift_ = 5;
+
+
+/**
+ * For generating digits at the maximum precision.
+ * @private
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.MGRS.mult_ = 1000000;
+
+
+// Limits in units of tile_: easting columns and northing rows of UTM, and
+// the indices of UPS (which apply to both easting and northing).
+/** @private @const @type {!number} */
+net.sf.geographiclib.MGRS.minutmcol_ = 1;
+/** @private @const @type {!number} */
+net.sf.geographiclib.MGRS.maxutmcol_ = 9;
+/** @private @const @type {!number} */
+net.sf.geographiclib.MGRS.minutmSrow_ = 10;
+/** @private @const @type {!number} */
+net.sf.geographiclib.MGRS.maxutmSrow_ = 100;  // UTM S false northing
+/** @private @const @type {!number} */
+net.sf.geographiclib.MGRS.minutmNrow_ = 0;    // UTM N false northing
+/** @private @const @type {!number} */
+net.sf.geographiclib.MGRS.maxutmNrow_ = 95;
+/** @private @const @type {!number} */
+net.sf.geographiclib.MGRS.minupsSind_ = 8;
+/** @private @const @type {!number} */
+net.sf.geographiclib.MGRS.maxupsSind_ = 32;
+/** @private @const @type {!number} */
+net.sf.geographiclib.MGRS.minupsNind_ = 13;
+/** @private @const @type {!number} */
+net.sf.geographiclib.MGRS.maxupsNind_ = 27;
+/** @private @const @type {!number} */
+net.sf.geographiclib.MGRS.upseasting_ = 20;   // UPS false easting/northing
+
+
+/**
+ * Difference between S hemisphere northing and N hemisphere northing.
+ * @private
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.MGRS.utmNshift_ = 10000000;
+
+
+// The tables below are indexed by (utmp ? 2 : 0) + (northp ? 1 : 0).
+
+
+/**
+ * @private
+ * @const
+ * @type {!Array.<!number>}
+ */
+net.sf.geographiclib.MGRS.mineasting_ = [8, 13, 1, 1];
+
+
+/**
+ * @private
+ * @const
+ * @type {!Array.<!number>}
+ */
+net.sf.geographiclib.MGRS.maxeasting_ = [32, 27, 9, 9];
+
+
+/**
+ * @private
+ * @const
+ * @type {!Array.<!number>}
+ */
+net.sf.geographiclib.MGRS.minnorthing_ = [8, 13, 10, -90];
+
+
+/**
+ * @private
+ * @const
+ * @type {!Array.<!number>}
+ */
+net.sf.geographiclib.MGRS.maxnorthing_ = [32, 27, 195, 95];
+
+
+/**
+ * The latitude band, from &minus;10 for C (80&deg;S) to 9 for X (72&deg;N).
+ * @private
+ * @param {!number} lat
+ * @return {!number}
+ */
+net.sf.geographiclib.MGRS.latitudeBand_ = function(lat) {
+  var ilat = Math.floor(lat);
+  return Math.max(-10, Math.min(9, Math.floor((ilat + 80) / 8) - 10));
+};
+
+
+/**
+ * Convert UTM or UPS coordinates to MGRS.
+ * <p>
+ * The latitude band is determined from <i>lat</i> if it is given and is
+ * otherwise found from the coordinates.  A latitude which is inconsistent
+ * with the coordinates is an error.
+ *
+ * @param {!number} zone the UTM zone (0 means UPS) or UTMUPS.INVALID.
+ * @param {!boolean} northp hemisphere (true means north, false means south).
+ * @param {!number} x easting of point (meters).
+ * @param {!number} y northing of point (meters).
+ * @param {!number} prec precision relative to 100 km, in [&minus;1, 11].
+ * @param {!number=} opt_lat latitude (degrees).
+ * @return {!string} the MGRS reference, or "INVALID" if <i>zone</i> is
+ *     UTMUPS.INVALID or a coordinate is NaN.
+ */
+net.sf.geographiclib.MGRS.Forward =
+    function(zone, northp, x, y, prec, opt_lat) {
+  var MGRS = net.sf.geographiclib.MGRS;
+  var UTMUPS = net.sf.geographiclib.UTMUPS;
+  var lat;
+  if (goog.isDef(opt_lat))
+    lat = opt_lat;
+  else if (zone > 0) {
+    // Does a rough estimate for latitude determine the latitude band?
+    var ys = (northp ? y : y - MGRS.utmNshift_) / MGRS.tile_;
+    if (Math.abs(ys) < 1)
+      lat = 0.9 * ys;         // accurate to about 0.5 deg
+    else {
+      var
+          // The poleward bound is a fit from above of lat(x,y)
+          // for x = 500km and y = [0km, 950km]
+          latp = 0.901 * ys + (ys > 0 ? 1 : -1) * 0.135,
+          // The equatorward bound is a fit from below of lat(x,y)
+          // for x = 900km and y = [0km, 950km]
+          late = 0.902 * ys * (1 - 1.85e-6 * ys * ys);
+      if (MGRS.latitudeBand_(latp) == MGRS.latitudeBand_(late))
+        lat = latp;
+      else
+        // bounds straddle a band boundary so need to compute lat accurately
+        lat = UTMUPS.Reverse(zone, northp, x, y).lat;
+    }
+  } else
+    // Latitude isn't needed for UPS specs or for INVALID
+    lat = 0;
+  return MGRS.forward_(zone, northp, x, y, lat, prec);
+};
+
+
+/**
+ * @private
+ * @param {!number} zone
+ * @param {!boolean} northp
+ * @param {!number} x
+ * @param {!number} y
+ * @param {!number} lat
+ * @param {!number} prec
+ * @return {!string}
+ */
+net.sf.geographiclib.MGRS.forward_ = function(zone, northp, x, y, lat, prec) {
+  var MGRS = net.sf.geographiclib.MGRS;
+  var UTMUPS = net.sf.geographiclib.UTMUPS;
+  // The smallest angle s.t., 90 - angeps < 90 (approx 50e-12 arcsec)
+  // 7 = ceil(log_2(90))
+  var angeps = Math.pow(2, -(net.sf.geographiclib.GeoMath.digits - 7));
+  if (zone == UTMUPS.INVALID || isNaN(x) || isNaN(y) || isNaN(lat))
+    return 'INVALID';
+  if (!(zone >= UTMUPS.MINZONE && zone <= UTMUPS.MAXZONE))
+    throw new Error('Zone ' + zone + ' not in [0,60]');
+  if (!(prec >= -1 && prec <= MGRS.MAXPREC))
+    throw new Error('MGRS precision ' + prec + ' not in [-1, ' +
+                    MGRS.MAXPREC + ']');
+  var utmp = zone != UTMUPS.UPS;
+  var c = MGRS.checkCoords_(utmp, northp, x, y);
+  northp = c.northp;
+  x = c.x;
+  y = c.y;
+  var
+      mgrs = utmp ? MGRS.digits_.charAt(Math.floor(zone / 10)) +
+          MGRS.digits_.charAt(zone % 10) : '',
+      ix = Math.floor(x * MGRS.mult_),
+      iy = Math.floor(y * MGRS.mult_),
+      m = MGRS.mult_ * MGRS.tile_,
+      xh = Math.floor(ix / m),
+      yh = Math.floor(iy / m),
+      iband;
+  if (utmp) {
+    // Correct fuzziness in latitude near equator
+    iband = Math.abs(lat) > angeps ? MGRS.latitudeBand_(lat) :
+        (northp ? 0 : -1);
+    var
+        icol = xh - MGRS.minutmcol_,
+        irow = MGRS.utmRow_(iband, icol, yh % MGRS.utmrowperiod_);
+    if (irow != yh - (northp ? MGRS.minutmNrow_ : MGRS.maxutmSrow_))
+      throw new Error('Latitude ' + lat +
+                      ' is inconsistent with UTM coordinates');
+    mgrs += MGRS.latband_.charAt(10 + iband) +
+        MGRS.utmcols_[(zone - 1) % 3].charAt(icol) +
+        MGRS.utmrow_.charAt((yh + ((zone - 1) & 1 ? MGRS.utmevenrowshift_ :
+                                   0)) % MGRS.utmrowperiod_);
+  } else {
+    var eastp = xh >= MGRS.upseasting_;
+    iband = (northp ? 2 : 0) + (eastp ? 1 : 0);
+    mgrs += MGRS.upsband_.charAt(iband) +
+        MGRS.upscols_[iband].charAt(
+            xh - (eastp ? MGRS.upseasting_ :
+                  (northp ? MGRS.minupsNind_ : MGRS.minupsSind_))) +
+        MGRS.upsrows_[northp ? 1 : 0].charAt(
+            yh - (northp ? MGRS.minupsNind_ : MGRS.minupsSind_));
+  }
+  if (prec < 0)
+    // Just the grid zone
+    return mgrs.substr(0, utmp ? 3 : 1);
+  if (prec > 0) {
+    var d = Math.pow(10, MGRS.MAXPREC - prec);
+    ix = Math.floor((ix - m * xh) / d);
+    iy = Math.floor((iy - m * yh) / d);
+    var xs = '', ys = '';
+    for (var i = prec; i--;) {
+      xs = MGRS.digits_.charAt(ix % 10) + xs; ix = Math.floor(ix / 10);
+      ys = MGRS.digits_.charAt(iy % 10) + ys; iy = Math.floor(iy / 10);
+    }
+    mgrs += xs + ys;
+  }
+  return mgrs;
+};
+
+
+/**
+ * Convert an MGRS reference to UTM or UPS coordinates.
+ * <p>
+ * Letters may be in either case.  A reference consisting of just the grid
+ * zone, e.g. 38S, gives a point near the middle of the zone and
+ * <i>prec</i> = &minus;1.  "INVALID" gives zone UTMUPS.INVALID, NaN
+ * coordinates and <i>prec</i> = &minus;2.
+ *
+ * @param {!string} mgrs the MGRS reference.
+ * @param {!boolean=} opt_centerp if true (the default) return the center of
+ *     the MGRS square, else return the lower left corner.
+ * @return {!{zone: number, northp: boolean, x: number, y: number,
+ *     prec: number}} The zone (0 means UPS), the hemisphere, the easting
+ *     <i>x</i> and northing <i>y</i> (meters) and the precision.
+ */
+net.sf.geographiclib.MGRS.Reverse = function(mgrs, opt_centerp) {
+  var MGRS = net.sf.geographiclib.MGRS;
+  var UTMUPS = net.sf.geographiclib.UTMUPS;
+  var centerp = goog.isDef(opt_centerp) ? opt_centerp : true;
+  var str = mgrs.toUpperCase(), p = 0, len = str.length;
+  if (str.substr(0, 3) == 'INV')
+    return {
+      zone: UTMUPS.INVALID,
+      northp: false,
+      x: Number.NaN,
+      y: Number.NaN,
+      prec: -2
+    };
+  var zone = 0;
+  while (p < len) {
+    var i = MGRS.digits_.indexOf(str.charAt(p));
+    if (i < 0)
+      break;
+    zone = 10 * zone + i;
+    ++p;
+  }
+  if (p > 0 && !(zone >= UTMUPS.MINUTMZONE && zone <= UTMUPS.MAXUTMZONE))
+    throw new Error('Zone ' + zone + ' not in [1,60]');
+  if (p > 2)
+    throw new Error('More than 2 digits at start of MGRS ' +
+                    mgrs.substr(0, p));
+  if (len - p < 1)
+    throw new Error('MGRS string too short ' + mgrs);
+  var
+      utmp = zone != UTMUPS.UPS,
+      band = utmp ? MGRS.latband_ : MGRS.upsband_,
+      iband = band.indexOf(str.charAt(p++));
+  if (iband < 0)
+    throw new Error('Band letter ' + mgrs.charAt(p - 1) + ' not in ' +
+                    (utmp ? 'UTM' : 'UPS') + ' set ' + band);
+  var northp = iband >= (utmp ? 10 : 2);
+  if (p == len) {             // Grid zone only (ignore centerp)
+    // Approx length of a degree of meridian arc in units of tile.
+    var deg = MGRS.utmNshift_ / (90 * MGRS.tile_), x, y;
+    if (utmp) {
+      // Pick central meridian except for 31V
+      x = ((zone == 31 && iband == 17) ? 4 : 5) * MGRS.tile_;
+      // Pick center of 8deg latitude bands
+      y = Math.floor(8 * (iband - 9.5) * deg + 0.5) * MGRS.tile_ +
+          (northp ? 0 : MGRS.utmNshift_);
+    } else {
+      // Pick point at lat 86N or 86S
+      x = ((iband & 1 ? 1 : -1) * Math.floor(4 * deg + 0.5) +
+           MGRS.upseasting_) * MGRS.tile_;
+      // Pick point at lon 90E or 90W.
+      y = MGRS.upseasting_ * MGRS.tile_;
+    }
+    return {zone: zone, northp: northp, x: x, y: y, prec: -1};
+  } else if (len - p < 2)
+    throw new Error('Missing row letter in ' + mgrs);
+  var
+      col = utmp ? MGRS.utmcols_[(zone - 1) % 3] : MGRS.upscols_[iband],
+      row = utmp ? MGRS.utmrow_ : MGRS.upsrows_[northp ? 1 : 0],
+      icol = col.indexOf(str.charAt(p++));
+  if (icol < 0)
+    throw new Error('Column letter ' + mgrs.charAt(p - 1) + ' not in ' +
+                    (utmp ? 'zone ' + mgrs.substr(0, p - 2) :
+                     'UPS band ' + mgrs.charAt(p - 2)) +
+                    ' set ' + col);
+  var irow = row.indexOf(str.charAt(p++));
+  if (irow < 0)
+    throw new Error('Row letter ' + mgrs.charAt(p - 1) + ' not in ' +
+                    (utmp ? 'UTM' :
+                     'UPS ' + MGRS.hemispheres_.charAt(northp ? 1 : 0)) +
+                    ' set ' + row);
+  if (utmp) {
+    if ((zone - 1) & 1)
+      irow = (irow + MGRS.utmrowperiod_ - MGRS.utmevenrowshift_) %
+          MGRS.utmrowperiod_;
+    iband -= 10;
+    irow = MGRS.utmRow_(iband, icol, irow);
+    if (irow == MGRS.maxutmSrow_)
+      throw new Error('Block ' + mgrs.substr(p - 2, 2) +
+                      ' not in zone/band ' + mgrs.substr(0, p - 2));
+    irow = northp ? irow : irow + 100;
+    icol = icol + MGRS.minutmcol_;
+  } else {
+    var eastp = iband & 1;
+    icol += eastp ? MGRS.upseasting_ :
+        (northp ? MGRS.minupsNind_ : MGRS.minupsSind_);
+    irow += northp ? MGRS.minupsNind_ : MGRS.minupsSind_;
+  }
+  var prec = Math.floor((len - p) / 2), unit = 1, x1 = icol, y1 = irow;
+  if ((len - p) % 2) {
+    if (MGRS.digits_.indexOf(str.charAt(len - 1)) < 0)
+      throw new Error('Encountered a non-digit in ' + mgrs.substr(p));
+    else
+      throw new Error('Not an even number of digits in ' + mgrs.substr(p));
+  }
+  if (prec > MGRS.MAXPREC)
+    throw new Error('More than ' + 2 * MGRS.MAXPREC + ' digits in ' +
+                    mgrs.substr(p));
+  for (var j = 0; j < prec; ++j) {
+    unit *= 10;
+    var
+        ix = MGRS.digits_.indexOf(str.charAt(p + j)),
+        iy = MGRS.digits_.indexOf(str.charAt(p + j + prec));
+    if (ix < 0 || iy < 0)
+      throw new Error('Encountered a non-digit in ' + mgrs.substr(p));
+    x1 = 10 * x1 + ix;
+    y1 = 10 * y1 + iy;
+  }
+  if (centerp) {
+    unit *= 2; x1 = 2 * x1 + 1; y1 = 2 * y1 + 1;
+  }
+  return {
+    zone: zone,
+    northp: northp,
+    x: (MGRS.tile_ * x1) / unit,
+    y: (MGRS.tile_ * y1) / unit,
+    prec: prec
+  };
+};
+
+
+/**
+ * Check that the coordinates are within the MGRS limits.  The limits are
+ * all multiples of 100 km and are closed on the lower end and open on the
+ * upper end.  However if a coordinate lies on the excluded upper end (e.g.,
+ * after rounding), it is shifted down by eps.  This also folds UTM northings
+ * to the correct N/S hemisphere.
+ * @private
+ * @param {!boolean} utmp
+ * @param {!boolean} northp
+ * @param {!number} x
+ * @param {!number} y
+ * @return {!{northp: boolean, x: number, y: number}}
+ */
+net.sf.geographiclib.MGRS.checkCoords_ = function(utmp, northp, x, y) {
+  var MGRS = net.sf.geographiclib.MGRS;
+  // The smallest length s.t., 1.0e7 - eps < 1.0e7 (approx 1.9 nm)
+  // 25 = ceil(log_2(2e7)) -- use half circumference here because
+  // northing 195e5 is a legal in the "southern" hemisphere.
+  var
+      eps = Math.pow(2, -(net.sf.geographiclib.GeoMath.digits - 25)),
+      ix = Math.floor(x / MGRS.tile_),
+      iy = Math.floor(y / MGRS.tile_),
+      ind = (utmp ? 2 : 0) + (northp ? 1 : 0),
+      range = ' range for ' + (northp ? 'N' : 'S') + ' hemisphere [';
+  if (!(ix >= MGRS.mineasting_[ind] && ix < MGRS.maxeasting_[ind])) {
+    if (ix == MGRS.maxeasting_[ind] &&
+        x == MGRS.maxeasting_[ind] * MGRS.tile_)
+      x -= eps;
+    else
+      throw new Error('Easting ' + Math.floor(x / 1000) + 'km not in MGRS/' +
+                      (utmp ? 'UTM' : 'UPS') + range +
+                      MGRS.mineasting_[ind] * MGRS.tile_ / 1000 + 'km, ' +
+                      MGRS.maxeasting_[ind] * MGRS.tile_ / 1000 + 'km)');
+  }
+  if (!(iy >= MGRS.minnorthing_[ind] && iy < MGRS.maxnorthing_[ind])) {
+    if (iy == MGRS.maxnorthing_[ind] &&
+        y == MGRS.maxnorthing_[ind] * MGRS.tile_)
+      y -= eps;
+    else
+      throw new Error('Northing ' + Math.floor(y / 1000) + 'km not in MGRS/' +
+                      (utmp ? 'UTM' : 'UPS') + range +
+                      MGRS.minnorthing_[ind] * MGRS.tile_ / 1000 + 'km, ' +
+                      MGRS.maxnorthing_[ind] * MGRS.tile_ / 1000 + 'km)');
+  }
+  // Correct the UTM northing and hemisphere if necessary
+  if (utmp) {
+    if (northp && iy < MGRS.minutmNrow_) {
+      northp = false;
+      y += MGRS.utmNshift_;
+    } else if (!northp && iy >= MGRS.maxutmSrow_) {
+      if (y == MGRS.maxutmSrow_ * MGRS.tile_)
+        // If on equator retain S hemisphere
+        y -= eps;
+      else {
+        northp = true;
+        y -= MGRS.utmNshift_;
+      }
+    }
+  }
+  return {northp: northp, x: x, y: y};
+};
+
+
+/**
+ * The true UTM row index.
+ * <p>
+ * Input is iband = band index in [-10, 10) (as returned by latitudeBand_),
+ * icol = column index in [0,8) with origin of easting = 100km, and irow =
+ * periodic row index in [0,20) with origin = equator.  Output is true row
+ * index in [-90, 95).  Returns maxutmSrow_ = 100, if irow and iband are
+ * incompatible.
+ * @private
+ * @param {!number} iband
+ * @param {!number} icol
+ * @param {!number} irow
+ * @return {!number}
+ */
+net.sf.geographiclib.MGRS.utmRow_ = function(iband, icol, irow) {
+  var MGRS = net.sf.geographiclib.MGRS;
+  // Estimate center row number for latitude band
+  // 90 deg = 100 tiles; 1 band = 8 deg = 100*8/90 tiles
+  var
+      c = 100 * (8 * iband + 4) / 90,
+      northp = iband >= 0 ? 1 : 0,
+      // These are safe bounds on the rows
+      //  iband minrow maxrow
+      //   -10    -90    -81
+      //    -9    -80    -72
+      //    -8    -71    -63
+      //    -7    -63    -54
+      //    -6    -54    -45
+      //    -5    -45    -36
+      //    -4    -36    -27
+      //    -3    -27    -18
+      //    -2    -18     -9
+      //    -1     -9     -1
+      //     0      0      8
+      //     1      8     17
+      //     2     17     26
+      //     3     26     35
+      //     4     35     44
+      //     5     44     53
+      //     6     53     62
+      //     7     62     70
+      //     8     71     79
+      //     9     79     94
+      minrow = iband > -10 ? Math.floor(c - 4.3 - 0.1 * northp) : -90,
+      maxrow = iband < 9 ? Math.floor(c + 4.4 - 0.1 * northp) : 94,
+      // Integer division truncating towards zero
+      baserow = ((minrow + maxrow) / 2 | 0) - MGRS.utmrowperiod_ / 2;
+  // Offset irow by the multiple of utmrowperiod_ which brings it as close as
+  // possible to the center of the latitude band, (minrow + maxrow) / 2.
+  // (Add maxutmSrow_ = 5 * utmrowperiod_ to ensure operand is positive.)
+  irow = (irow - baserow + MGRS.maxutmSrow_) % MGRS.utmrowperiod_ + baserow;
+  if (!(irow >= minrow && irow <= maxrow)) {
+    // Outside the safe bounds, so need to check...
+    // Northing = 71e5 and 80e5 intersect band boundaries
+    //   y = 71e5 in scol = 2 (x = [3e5,4e5] and x = [6e5,7e5])
+    //   y = 80e5 in scol = 1 (x = [2e5,3e5] and x = [7e5,8e5])
+    // The following deals with these special cases.
+    var
+        // Fold [-10,-1] -> [9,0]
+        sband = iband >= 0 ? iband : -iband - 1,
+        // Fold [-90,-1] -> [89,0]
+        srow = irow >= 0 ? irow : -irow - 1,
+        // Fold [4,7] -> [3,0]
+        scol = icol < 4 ? icol : -icol + 7;
+    // For example, the safe rows for band 8 are 71 - 79.  However row 70 is
+    // allowed if scol = [2,3] and row 80 is allowed if scol = [0,1].
+    if (!((srow == 70 && sband == 8 && scol >= 2) ||
+          (srow == 71 && sband == 7 && scol <= 2) ||
+          (srow == 79 && sband == 9 && scol >= 1) ||
+          (srow == 80 && sband == 8 && scol <= 1)))
+      irow = MGRS.maxutmSrow_;
+  }
+  return irow;
+};
@@ -0,0 +1,136 @@
+goog.provide('net.sf.geographiclib.PolarStereographic');
+
+goog.require('goog.asserts');
+goog.require('net.sf.geographiclib.Ellipsoid');
+goog.require('net.sf.geographiclib.GeoMath');
+
+
+
+/**
+ * Polar stereographic projection.
+ * <p>
+ * Implementation taken from the report,
+ * <ul>
+ * <li>
+ *   J. P. Snyder,
+ *   <a href="http://pubs.er.usgs.gov/publication/pp1395">Map Projections: A
+ *   Working Manual</a>, USGS Professional Paper 1395 (1987), pp. 160&ndash;163.
+ * </ul>
+ * This is a straightforward implementation of the equations in Snyder except
+ * that Newton's method is used to invert the projection.
+ * <p>
+ * The projection is centered on the north pole if <i>northp</i> is true and
+ * on the south pole otherwise.  The <i>y</i> axis points along the meridian
+ * <i>lon</i> = 180&deg; for the north pole and <i>lon</i> = 0&deg; for the
+ * south pole.  No false easting or northing is added.  {@link
+ * net.sf.geographiclib.PolarStereographic.UPS} is set up for the WGS84
+ * ellipsoid with the UPS scale factor.
+ * @constructor
+ * @param {!number} a Equatorial radius (meters).
+ * @param {!number} f Flattening (or its reciprocal when greater than 1).
+ * @param {!number} k0 Central scale factor.
+ */
+net.sf.geographiclib.PolarStereographic = function(a, f, k0) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  this._a = a;
+  this._f = f <= 1 ? f : 1 / f;
+  this._e2 = this._f * (2 - this._f);
+  this._es = (this._f < 0 ? -1 : 1) * Math.sqrt(Math.abs(this._e2));
+  this._e2m = 1 - this._e2;
+  this._c = (1 - this._f) * Math.exp(GeoMath.eatanhe(1, this._es));
+  this._k0 = k0;
+  goog.asserts.assert(isFinite(this._a) && this._a > 0,
+                      'Major radius is not positive');
+  goog.asserts.assert(isFinite(this._f) && this._f < 1,
+                      'Minor radius is not positive');
+  goog.asserts.assert(isFinite(this._k0) && this._k0 > 0,
+                      'Scale is not positive');
+};
+
+
+/**
+ * Forward projection, from geographic to polar stereographic.
+ * <p>
+ * <i>lat</i> should be in the range (&minus;90&deg;, 90&deg;] for
+ * <i>northp</i> true and [&minus;90&deg;, 90&deg;) for <i>northp</i> false.
+ *
+ * @param {!boolean} northp the pole which is the center of projection.
+ * @param {!number} lat latitude of point (degrees).
+ * @param {!number} lon longitude of point (degrees).
+ * @return {!{x: number, y: number, gamma: number, k: number}} The easting
+ *     <i>x</i> and northing <i>y</i> (meters), the meridian convergence
+ *     <i>gamma</i> (degrees) and the point scale <i>k</i>.
+ */
+net.sf.geographiclib.PolarStereographic.prototype.Forward =
+    function(northp, lat, lon) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  lat *= northp ? 1 : -1;
+  var
+      tau = Math.tan(lat * GeoMath.degree),
+      secphi = GeoMath.hypot(1, tau),
+      taup = GeoMath.taupf(tau, this._es),
+      rho = GeoMath.hypot(1, taup) + Math.abs(taup);
+  rho = taup >= 0 ? (lat != 90 ? 1 / rho : 0) : rho;
+  rho *= 2 * this._k0 * this._a / this._c;
+  var
+      lam = lon * GeoMath.degree,
+      // Make the cardinal directions exact
+      slam = lon % 180 == 0 ? 0 : Math.sin(lam),
+      clam = lon % 180 == 90 || lon % 180 == -90 ? 0 : Math.cos(lam);
+  return {
+    x: rho * slam,
+    y: (northp ? -rho : rho) * clam,
+    gamma: GeoMath.angNormalize2(northp ? lon : -lon),
+    k: lat != 90 ?
+        (rho / this._a) * secphi *
+        Math.sqrt(this._e2m + this._e2 / GeoMath.sq(secphi)) :
+        this._k0
+  };
+};
+
+
+/**
+ * Reverse projection, from polar stereographic to geographic.
+ * <p>
+ * The longitude is in the range [&minus;180&deg;, 180&deg;].
+ *
+ * @param {!boolean} northp the pole which is the center of projection.
+ * @param {!number} x easting of point (meters).
+ * @param {!number} y northing of point (meters).
+ * @return {!{lat: number, lon: number, gamma: number, k: number}} The
+ *     latitude <i>lat</i> and longitude <i>lon</i> (degrees), the meridian
+ *     convergence <i>gamma</i> (degrees) and the point scale <i>k</i>.
+ */
+net.sf.geographiclib.PolarStereographic.prototype.Reverse =
+    function(northp, x, y) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  var
+      rho = GeoMath.hypot(x, y),
+      t = rho != 0 ? rho / (2 * this._k0 * this._a / this._c) :
+          GeoMath.sq(GeoMath.epsilon),
+      taup = (1 / t - t) / 2,
+      tau = GeoMath.tauf(taup, this._es),
+      secphi = GeoMath.hypot(1, tau),
+      lon = Math.atan2(x, northp ? -y : y) / GeoMath.degree;
+  return {
+    lat: (northp ? 1 : -1) * Math.atan(tau) / GeoMath.degree,
+    lon: lon,
+    gamma: GeoMath.angNormalize2(northp ? lon : -lon),
+    k: rho != 0 ?
+        (rho / this._a) * secphi *
+        Math.sqrt(this._e2m + this._e2 / GeoMath.sq(secphi)) :
+        this._k0
+  };
+};
+
+
+/**
+ * A PolarStereographic object for the WGS84 ellipsoid with the UPS scale
+ * factor <i>k0</i> = 0.994.
+ * @const
+ * @type {!net.sf.geographiclib.PolarStereographic}
+ */
+net.sf.geographiclib.PolarStereographic.UPS =
+    new net.sf.geographiclib.PolarStereographic(
+        net.sf.geographiclib.Ellipsoid.WGS84.a,
+        net.sf.geographiclib.Ellipsoid.WGS84.f, 0.994);
@@ -0,0 +1,330 @@
+goog.provide('net.sf.geographiclib.PolygonArea');
+
+goog.require('net.sf.geographiclib.Accumulator');
+goog.require('net.sf.geographiclib.GeoMath');
+goog.require('net.sf.geographiclib.GeodesicMask');
+
+
+
+/**
+ * Polygon areas.
+ * <p>
+ * This computes the area of a geodesic polygon using the method given
+ * Section 6 of
+ * <ul>
+ * <li>C. F. F. Karney,
+ *   <a href="http://dx.doi.org/10.1007/s00190-012-0578-z">
+ *   Algorithms for geodesics</a>,
+ *   J. Geodesy <b>87</b>, 43&ndash;55 (2013).
+ * </ul>
+ * <p>
+ * This class lets you add vertices one at a time to the polygon.  The area
+ * and perimeter are accumulated in two times the standard floating point
+ * precision to guard against the loss of accuracy with many-sided polygons.
+ * At any point you can ask for the perimeter and area so far.  There's an
+ * option to treat the points as defining a polyline instead of a polygon; in
+ * that case, only the perimeter is computed.
+ * <p>
+ * Polygons which encircle a pole are handled by counting the number of times
+ * the edges cross the prime meridian.  The polygon should not otherwise
+ * self-intersect; the areas of the loops of a self-intersecting polygon are
+ * accumulated "algebraically".
+ * @constructor
+ * @param {!(net.sf.geographiclib.Geodesic|net.sf.geographiclib.GeodesicExact|
+ *     net.sf.geographiclib.Rhumb)} geod the object used to compute the edges;
+ *     a {@link net.sf.geographiclib.Rhumb} gives polygons whose edges are
+ *     rhumb lines.
+ * @param {!boolean=} opt_polyline if true then treat the points as defining a
+ *     polyline instead of a polygon (default = false).
+ */
+net.sf.geographiclib.PolygonArea = function(geod, opt_polyline) {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  this._geod = geod;
+  this._area0 = 4 * Math.PI * geod._c2;
+  /**
+   * @type {!boolean}
+   */
+  this.polyline = !!opt_polyline;
+  this._mask = gm.LATITUDE | gm.LONGITUDE | gm.DISTANCE |
+      (this.polyline ? gm.NONE : gm.AREA);
+  this._areasum = new net.sf.geographiclib.Accumulator(0);
+  this._perimetersum = new net.sf.geographiclib.Accumulator(0);
+  this.Clear();
+};
+
+
+/**
+ * @typedef {{number: !number, perimeter: !number, area: !number}}
+ */
+net.sf.geographiclib.PolygonArea.Result;
+
+
+/**
+ * Return 1 or -1 if crossing the prime meridian in the east or west
+ * direction, otherwise return zero.
+ * @private
+ * @param {!number} lon1
+ * @param {!number} lon2
+ * @return {!number}
+ */
+net.sf.geographiclib.PolygonArea.transit_ = function(lon1, lon2) {
+  // Compute lon12 the same way as Geodesic.GenInverse.
+  lon1 = net.sf.geographiclib.GeoMath.angNormalize(lon1);
+  lon2 = net.sf.geographiclib.GeoMath.angNormalize(lon2);
+  var lon12 = net.sf.geographiclib.GeoMath.angDiff(lon1, lon2);
+  return lon1 < 0 && lon2 >= 0 && lon12 > 0 ? 1 :
+      (lon2 < 0 && lon1 >= 0 && lon12 < 0 ? -1 : 0);
+};
+
+
+/**
+ * Reduce an accumulated area to the conventional range.
+ * @private
+ * @param {!number} area the clockwise area.
+ * @param {!number} crossings the number of crossings of the prime meridian.
+ * @param {!boolean} reverse
+ * @param {!boolean} sign
+ * @return {!number}
+ */
+net.sf.geographiclib.PolygonArea.prototype.reduceArea_ =
+    function(area, crossings, reverse, sign) {
+  var area0 = this._area0;
+  if (crossings & 1)
+    area += (area < 0 ? 1 : -1) * area0 / 2;
+  // area is with the clockwise sense.  If !reverse convert to
+  // counter-clockwise convention.
+  if (!reverse)
+    area *= -1;
+  // If sign put area in (-area0/2, area0/2], else put area in [0, area0)
+  if (sign) {
+    if (area > area0 / 2)
+      area -= area0;
+    else if (area <= -area0 / 2)
+      area += area0;
+  } else {
+    if (area >= area0)
+      area -= area0;
+    else if (area < 0)
+      area += area0;
+  }
+  return 0 + area;
+};
+
+
+/**
+ * Clear the PolygonArea, allowing a new polygon to be started.
+ */
+net.sf.geographiclib.PolygonArea.prototype.Clear = function() {
+  /**
+   * The number of vertices so far.
+   * @type {!number}
+   */
+  this.num = 0;
+  this._crossings = 0;
+  this._areasum.set(0);
+  this._perimetersum.set(0);
+  this._lat0 = this._lon0 = Number.NaN;
+  /**
+   * The latitude of the current vertex (degrees).
+   * @type {!number}
+   */
+  this.lat = Number.NaN;
+  /**
+   * The longitude of the current vertex (degrees).
+   * @type {!number}
+   */
+  this.lon = Number.NaN;
+};
+
+
+/**
+ * Add a point to the polygon or polyline.
+ * <p>
+ * <i>lat</i> should be in the range [&minus;90&deg;, 90&deg;] and <i>lon</i>
+ * should be in the range [&minus;540&deg;, 540&deg;).
+ *
+ * @param {!number} lat the latitude of the point (degrees).
+ * @param {!number} lon the longitude of the point (degrees).
+ */
+net.sf.geographiclib.PolygonArea.prototype.AddPoint = function(lat, lon) {
+  lon = net.sf.geographiclib.GeoMath.angNormalize(lon);
+  if (this.num == 0) {
+    this._lat0 = this.lat = lat;
+    this._lon0 = this.lon = lon;
+  } else {
+    var t = this._geod.Inverse(this.lat, this.lon, lat, lon, this._mask);
+    this._perimetersum.add(t.s12);
+    if (!this.polyline) {
+      this._areasum.add(t.S12);
+      this._crossings +=
+          net.sf.geographiclib.PolygonArea.transit_(this.lon, lon);
+    }
+    this.lat = lat;
+    this.lon = lon;
+  }
+  ++this.num;
+};
+
+
+/**
+ * Add an edge to the polygon or polyline.
+ * <p>
+ * <i>azi</i> should be in the range [&minus;540&deg;, 540&deg;).  This does
+ * nothing if no points have been added yet.  Use {@link
+ * net.sf.geographiclib.PolygonArea#lat} and {@link
+ * net.sf.geographiclib.PolygonArea#lon} to determine the position of the new
+ * vertex.
+ *
+ * @param {!number} azi azimuth at current point (degrees).
+ * @param {!number} s distance from current point to next point (meters).
+ */
+net.sf.geographiclib.PolygonArea.prototype.AddEdge = function(azi, s) {
+  if (this.num) {
+    var t = this._geod.Direct(this.lat, this.lon, azi, s, this._mask);
+    this._perimetersum.add(s);
+    if (!this.polyline) {
+      this._areasum.add(t.S12);
+      this._crossings +=
+          net.sf.geographiclib.PolygonArea.transit_(this.lon, t.lon2);
+    }
+    this.lat = t.lat2;
+    this.lon = t.lon2;
+    ++this.num;
+  }
+};
+
+
+/**
+ * Return the results so far.
+ * <p>
+ * More points can be added to the polygon after this call.  The perimeter
+ * of a polygon includes the closing edge back to the first vertex; the area
+ * of a polyline is NaN.
+ *
+ * @param {!boolean=} opt_reverse if true then clockwise (instead of
+ *     counter-clockwise) traversal counts as a positive area.
+ * @param {!boolean=} opt_sign if true then return a signed result for the
+ *     area if the polygon is traversed in the "wrong" direction instead of
+ *     returning the area for the rest of the earth.
+ * @return {!net.sf.geographiclib.PolygonArea.Result} the number of vertices,
+ *     the perimeter (meters) and the area (meters<sup>2</sup>).
+ */
+net.sf.geographiclib.PolygonArea.prototype.Compute =
+    function(opt_reverse, opt_sign) {
+  var vals = {
+    number: this.num,
+    perimeter: 0,
+    area: this.polyline ? Number.NaN : 0
+  };
+  if (this.num < 2)
+    return vals;
+  if (this.polyline) {
+    vals.perimeter = this._perimetersum.sum();
+    return vals;
+  }
+  var t = this._geod.Inverse(this.lat, this.lon, this._lat0, this._lon0,
+                             this._mask);
+  vals.perimeter = this._perimetersum.sum(t.s12);
+  var tempsum = this._areasum.clone();
+  tempsum.add(t.S12);
+  vals.area = this.reduceArea_(tempsum.sum(), this._crossings +
+      net.sf.geographiclib.PolygonArea.transit_(this.lon, this._lon0),
+      !!opt_reverse, !!opt_sign);
+  return vals;
+};
+
+
+/**
+ * Return the results assuming a tentative final test point is added;
+ * however, the data for the test point is not saved.  This lets you report
+ * a running result for the perimeter and area as the user moves the mouse
+ * cursor.  Ordinary floating point arithmetic is used to accumulate the data
+ * for the test point; thus the area and perimeter returned are less accurate
+ * than if AddPoint and Compute are used.
+ *
+ * @param {!number} lat the latitude of the test point (degrees).
+ * @param {!number} lon the longitude of the test point (degrees).
+ * @param {!boolean=} opt_reverse if true then clockwise (instead of
+ *     counter-clockwise) traversal counts as a positive area.
+ * @param {!boolean=} opt_sign if true then return a signed result for the
+ *     area if the polygon is traversed in the "wrong" direction instead of
+ *     returning the area for the rest of the earth.
+ * @return {!net.sf.geographiclib.PolygonArea.Result}
+ */
+net.sf.geographiclib.PolygonArea.prototype.TestPoint =
+    function(lat, lon, opt_reverse, opt_sign) {
+  var vals = {
+    number: this.num + 1,
+    perimeter: 0,
+    area: this.polyline ? Number.NaN : 0
+  };
+  if (this.num == 0)
+    return vals;
+  lon = net.sf.geographiclib.GeoMath.angNormalize(lon);
+  vals.perimeter = this._perimetersum.sum();
+  var tempsum = this.polyline ? 0 : this._areasum.sum();
+  var crossings = this._crossings;
+  for (var i = 0; i < (this.polyline ? 1 : 2); ++i) {
+    var
+        lat1 = i == 0 ? this.lat : lat,
+        lon1 = i == 0 ? this.lon : lon,
+        lat2 = i != 0 ? this._lat0 : lat,
+        lon2 = i != 0 ? this._lon0 : lon;
+    var t = this._geod.Inverse(lat1, lon1, lat2, lon2, this._mask);
+    vals.perimeter += t.s12;
+    if (!this.polyline) {
+      tempsum += t.S12;
+      crossings += net.sf.geographiclib.PolygonArea.transit_(lon1, lon2);
+    }
+  }
+  if (!this.polyline)
+    vals.area = this.reduceArea_(tempsum, crossings,
+                                 !!opt_reverse, !!opt_sign);
+  return vals;
+};
+
+
+/**
+ * Return the results assuming a tentative final test point is added via an
+ * azimuth and distance; however, the data for the test point is not saved.
+ * This lets you report a running result for the perimeter and area as the
+ * user moves the mouse cursor.  Ordinary floating point arithmetic is used
+ * to accumulate the data for the test point; thus the area and perimeter
+ * returned are less accurate than if AddEdge and Compute are used.
+ * <p>
+ * If no points have been added yet, the number of vertices returned is 0.
+ *
+ * @param {!number} azi azimuth at current point (degrees).
+ * @param {!number} s distance from current point to final test point
+ *     (meters).
+ * @param {!boolean=} opt_reverse if true then clockwise (instead of
+ *     counter-clockwise) traversal counts as a positive area.
+ * @param {!boolean=} opt_sign if true then return a signed result for the
+ *     area if the polygon is traversed in the "wrong" direction instead of
+ *     returning the area for the rest of the earth.
+ * @return {!net.sf.geographiclib.PolygonArea.Result}
+ */
+net.sf.geographiclib.PolygonArea.prototype.TestEdge =
+    function(azi, s, opt_reverse, opt_sign) {
+  var vals = {
+    number: this.num ? this.num + 1 : 0,
+    perimeter: 0,
+    area: this.polyline ? Number.NaN : 0
+  };
+  if (this.num == 0)
+    return vals;
+  vals.perimeter = this._perimetersum.sum() + s;
+  if (this.polyline)
+    return vals;
+  var tempsum = this._areasum.sum();
+  var crossings = this._crossings;
+  var t = this._geod.Direct(this.lat, this.lon, azi, s, this._mask);
+  tempsum += t.S12;
+  crossings += net.sf.geographiclib.PolygonArea.transit_(this.lon, t.lon2);
+  t = this._geod.Inverse(t.lat2, t.lon2, this._lat0, this._lon0, this._mask);
+  vals.perimeter += t.s12;
+  tempsum += t.S12;
+  crossings += net.sf.geographiclib.PolygonArea.transit_(t.lon1, this._lon0);
+  vals.area = this.reduceArea_(tempsum, crossings, !!opt_reverse, !!opt_sign);
+  return vals;
+};
@@ -0,0 +1,488 @@
+goog.provide('net.sf.geographiclib.Rhumb');
+
+goog.require('goog.asserts');
+goog.require('net.sf.geographiclib.EllipticFunction');
+goog.require('net.sf.geographiclib.GeoMath');
+goog.require('net.sf.geographiclib.GeodesicData');
+goog.require('net.sf.geographiclib.GeodesicMask');
+goog.require('net.sf.geographiclib.RhumbLine');
+
+
+
+/**
+ * Solve the direct and inverse rhumb problems.
+ * <p>
+ * The path of constant azimuth between two points on an ellipsoid at
+ * (<i>lat1</i>, <i>lon1</i>) and (<i>lat2</i>, <i>lon2</i>) is called the
+ * rhumb line (also called the loxodrome).  Its length is <i>s12</i> and its
+ * azimuth is <i>azi12</i>.  (The azimuth is the heading measured clockwise
+ * from north.)
+ * <p>
+ * Given <i>lat1</i>, <i>lon1</i>, <i>azi12</i>, and <i>s12</i>, we can
+ * determine <i>lat2</i>, and <i>lon2</i>.  This is the <i>direct</i> rhumb
+ * problem and its solution is given by {@link
+ * net.sf.geographiclib.Rhumb#Direct}.
+ * <p>
+ * Given <i>lat1</i>, <i>lon1</i>, <i>lat2</i>, and <i>lon2</i>, we can
+ * determine <i>azi12</i> and <i>s12</i>.  This is the <i>inverse</i> rhumb
+ * problem, whose solution is given by {@link
+ * net.sf.geographiclib.Rhumb#Inverse}.  This finds the shortest such rhumb
+ * line, i.e., the one that wraps no more than half way around the earth.  If
+ * the end points are on opposite meridians, there are two shortest rhumb
+ * lines and the east-going one is chosen.
+ * <p>
+ * These routines also optionally calculate the area under the rhumb line,
+ * <i>S12</i>.  This is the area, measured counter-clockwise, of the rhumb
+ * line quadrilateral with corners (<i>lat1</i>,<i>lon1</i>), (0,<i>lon1</i>),
+ * (0,<i>lon2</i>), and (<i>lat2</i>,<i>lon2</i>).  This is the same
+ * convention as {@link net.sf.geographiclib.Geodesic}, so a Rhumb object may
+ * be passed to {@link net.sf.geographiclib.PolygonArea} to compute the area
+ * of a polygon whose edges are rhumb lines.
+ * <p>
+ * The results are returned as {@link net.sf.geographiclib.GeodesicData}
+ * objects in which <i>azi1</i> and <i>azi2</i> are both equal to
+ * <i>azi12</i> and <i>a12</i> is not set.  The <i>outmask</i> arguments use
+ * the LATITUDE, LONGITUDE, AZIMUTH, DISTANCE and AREA values of {@link
+ * net.sf.geographiclib.GeodesicMask}.
+ * <p>
+ * The distances along meridians are computed with the elliptic integral of
+ * the second kind, and the area with Gaussian quadrature of the authalic
+ * latitude, so the results are accurate to round off for any flattening.
+ * @constructor
+ * @param {!number} a Equatorial radius (meters).
+ * @param {!number} f Flattening (or its reciprocal when greater than 1).
+ */
+net.sf.geographiclib.Rhumb = function(a, f) {
+  this._a = a;
+  this._f = f <= 1 ? f : 1 / f;
+  this._f1 = 1 - this._f;
+  this._e2 = this._f * (2 - this._f);
+  this._ep2 = this._e2 / net.sf.geographiclib.GeoMath.sq(this._f1);
+  this._es = (this._f < 0 ? -1 : 1) * Math.sqrt(Math.abs(this._e2));
+  this._b = this._a * this._f1;
+  this._c2 = (net.sf.geographiclib.GeoMath.sq(this._a) +
+              net.sf.geographiclib.GeoMath.sq(this._b) *
+              (this._e2 == 0 ? 1 :
+               (this._e2 > 0 ?
+                net.sf.geographiclib.GeoMath.atanh(Math.sqrt(this._e2)) :
+                Math.atan(Math.sqrt(-this._e2))) /
+               Math.sqrt(Math.abs(this._e2)))) / 2;
+  // authalic radius squared
+  goog.asserts.assert(isFinite(this._a) && this._a > 0,
+                      'Major radius is not positive');
+  goog.asserts.assert(isFinite(this._b) && this._b > 0,
+                      'Minor radius is not positive');
+  // The meridian distance is b * E(beta, i * ep), beta being the parametric
+  // latitude.
+  this._ell = new net.sf.geographiclib.EllipticFunction(-this._ep2);
+  this._qm = this._b * this._ell.E();  // quarter meridian
+  this._qp = this.q_(1);
+};
+
+
+/**
+ * Solve the direct rhumb problem.
+ *
+ * @param {!number} lat1 latitude of point 1 (degrees).
+ * @param {!number} lon1 longitude of point 1 (degrees).
+ * @param {!number} azi12 azimuth of the rhumb line (degrees).
+ * @param {!number} s12 distance between point 1 and point 2 (meters); it can
+ *     be negative.
+ * @param {!number=} opt_outmask a bitor'ed combination of {@link
+ *     net.sf.geographiclib.GeodesicMask} values specifying which results
+ *     should be returned (default STANDARD).
+ * @return {!net.sf.geographiclib.GeodesicData}
+ */
+net.sf.geographiclib.Rhumb.prototype.Direct =
+    function(lat1, lon1, azi12, s12, opt_outmask) {
+  return this.Line(lat1, lon1, azi12).Position(s12, opt_outmask);
+};
+
+
+/**
+ * Solve the inverse rhumb problem.
+ * <p>
+ * <i>lat1</i> and <i>lat2</i> should be in the range [&minus;90&deg;,
+ * 90&deg;]; <i>lon1</i> and <i>lon2</i> should be in the range
+ * [&minus;540&deg;, 540&deg;).  The value of <i>azi12</i> returned is in the
+ * range [&minus;180&deg;, 180&deg;).  If either point is a pole, the
+ * longitude difference is treated as a move along the pole, which is what
+ * {@link net.sf.geographiclib.PolygonArea} needs.
+ *
+ * @param {!number} lat1 latitude of point 1 (degrees).
+ * @param {!number} lon1 longitude of point 1 (degrees).
+ * @param {!number} lat2 latitude of point 2 (degrees).
+ * @param {!number} lon2 longitude of point 2 (degrees).
+ * @param {!number=} opt_outmask a bitor'ed combination of {@link
+ *     net.sf.geographiclib.GeodesicMask} values specifying which results
+ *     should be returned (default STANDARD).
+ * @return {!net.sf.geographiclib.GeodesicData}
+ */
+net.sf.geographiclib.Rhumb.prototype.Inverse =
+    function(lat1, lon1, lat2, lon2, opt_outmask) {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var outmask = (goog.isDef(opt_outmask) ? opt_outmask : gm.STANDARD) &
+      gm.OUT_ALL;
+  var r = new net.sf.geographiclib.GeodesicData();
+  r.lat1 = lat1;
+  r.lon1 = lon1;
+  r.lat2 = lat2;
+  r.lon2 = lon2;
+  var
+      lon12 = net.sf.geographiclib.GeoMath.angDiff(
+          net.sf.geographiclib.GeoMath.angNormalize(lon1),
+          net.sf.geographiclib.GeoMath.angNormalize(lon2)),
+      lam12 = lon12 * net.sf.geographiclib.GeoMath.degree,
+      psi1 = this.Isometric(lat1),
+      psi2 = this.Isometric(lat2),
+      psi12 = psi2 - psi1,
+      h = net.sf.geographiclib.GeoMath.hypot(lam12, psi12);
+  if (outmask & gm.AZIMUTH)
+    r.azi1 = r.azi2 = 0 - Math.atan2(-lam12, psi12) /
+        net.sf.geographiclib.GeoMath.degree;
+  if (outmask & gm.DISTANCE) {
+    var phi1 = lat1 * net.sf.geographiclib.GeoMath.degree,
+        phi2 = lat2 * net.sf.geographiclib.GeoMath.degree;
+    r.s12 = (isFinite(psi12) ?
+             h * this.DRectifying(phi1, phi2) / this.DIsometric(phi1, phi2) :
+             Math.abs(this.Rectifying(lat2) - this.Rectifying(lat1)) *
+             net.sf.geographiclib.GeoMath.degree) *
+        this._qm / (Math.PI / 2);
+  }
+  if (outmask & gm.AREA)
+    r.S12 = this._c2 * lam12 * this.MeanSinXi(psi1, psi2);
+  return r;
+};
+
+
+/**
+ * Set up to compute several points on a single rhumb line.
+ *
+ * @param {!number} lat1 latitude of point 1 (degrees).
+ * @param {!number} lon1 longitude of point 1 (degrees).
+ * @param {!number} azi12 azimuth of the rhumb line (degrees).
+ * @return {!net.sf.geographiclib.RhumbLine}
+ */
+net.sf.geographiclib.Rhumb.prototype.Line = function(lat1, lon1, azi12) {
+  return new net.sf.geographiclib.RhumbLine(this, lat1, lon1, azi12);
+};
+
+
+/**
+ * The isometric latitude.
+ *
+ * @param {!number} lat the latitude (degrees).
+ * @return {!number} <i>&psi;</i> (radians), infinite at the poles.
+ */
+net.sf.geographiclib.Rhumb.prototype.Isometric = function(lat) {
+  var tau = Math.abs(lat) == 90 ?
+      (lat > 0 ? Number.POSITIVE_INFINITY : Number.NEGATIVE_INFINITY) :
+      Math.tan(lat * net.sf.geographiclib.GeoMath.degree);
+  var taup = net.sf.geographiclib.GeoMath.taupf(tau, this._es);
+  return isFinite(taup) ? net.sf.geographiclib.GeoMath.asinh(taup) : taup;
+};
+
+
+/**
+ * The inverse of {@link net.sf.geographiclib.Rhumb#Isometric}.
+ *
+ * @param {!number} psi the isometric latitude (radians).
+ * @return {!number} the latitude (degrees).
+ */
+net.sf.geographiclib.Rhumb.prototype.InverseIsometric = function(psi) {
+  var tau = net.sf.geographiclib.GeoMath.tauf(Math.sinh(psi), this._es);
+  return Math.atan(tau) / net.sf.geographiclib.GeoMath.degree;
+};
+
+
+/**
+ * The rectifying latitude, the distance from the equator along a meridian
+ * scaled so that the quarter meridian is 90&deg;.
+ *
+ * @param {!number} lat the latitude (degrees).
+ * @return {!number} <i>&mu;</i> (degrees).
+ */
+net.sf.geographiclib.Rhumb.prototype.Rectifying = function(lat) {
+  var
+      phi = lat * net.sf.geographiclib.GeoMath.degree,
+      // The parametric latitude
+      sbet = this._f1 * Math.sin(phi),
+      cbet = Math.abs(lat) == 90 ? 0 : Math.cos(phi),
+      t = net.sf.geographiclib.GeoMath.hypot(sbet, cbet);
+  sbet /= t;
+  cbet /= t;
+  return this._ell.E(sbet, cbet, this._ell.Delta(sbet, cbet)) /
+      this._ell.E() * 90;
+};
+
+
+/**
+ * The inverse of {@link net.sf.geographiclib.Rhumb#Rectifying}.
+ *
+ * @param {!number} mu the rectifying latitude (degrees).
+ * @return {!number} the latitude (degrees).
+ */
+net.sf.geographiclib.Rhumb.prototype.InverseRectifying = function(mu) {
+  if (Math.abs(mu) == 90)
+    return mu;
+  var bet = this._ell.Einv(mu / 90 * this._ell.E());
+  return Math.atan2(Math.sin(bet), this._f1 * Math.cos(bet)) /
+      net.sf.geographiclib.GeoMath.degree;
+};
+
+
+/**
+ * The divided difference of the rectifying latitude,
+ * (<i>&mu;</i><sub>1</sub> &minus; <i>&mu;</i><sub>2</sub>) /
+ * (<i>&phi;</i><sub>1</sub> &minus; <i>&phi;</i><sub>2</sub>), evaluated
+ * without cancellation.
+ *
+ * @param {!number} phi1 latitude 1 (radians).
+ * @param {!number} phi2 latitude 2 (radians).
+ * @return {!number}
+ */
+net.sf.geographiclib.Rhumb.prototype.DRectifying = function(phi1, phi2) {
+  var Rhumb = net.sf.geographiclib.Rhumb;
+  var
+      tbet1 = this._f1 * Math.tan(phi1),
+      tbet2 = this._f1 * Math.tan(phi2);
+  return (Math.PI / 2) * this._b * this._f1 *
+      this.DE_(Math.atan(tbet1), Math.atan(tbet2)) *
+      Rhumb.Dtan_(phi1, phi2) * Rhumb.Datan_(tbet1, tbet2) / this._qm;
+};
+
+
+/**
+ * The divided difference of the isometric latitude,
+ * (<i>&psi;</i><sub>1</sub> &minus; <i>&psi;</i><sub>2</sub>) /
+ * (<i>&phi;</i><sub>1</sub> &minus; <i>&phi;</i><sub>2</sub>), evaluated
+ * without cancellation.
+ *
+ * @param {!number} phi1 latitude 1 (radians).
+ * @param {!number} phi2 latitude 2 (radians).
+ * @return {!number}
+ */
+net.sf.geographiclib.Rhumb.prototype.DIsometric = function(phi1, phi2) {
+  var Rhumb = net.sf.geographiclib.Rhumb;
+  return Rhumb.Dgdinv_(phi1, phi2) -
+      this.Deatanhe_(Math.sin(phi1), Math.sin(phi2)) *
+      Rhumb.Dsin_(phi1, phi2);
+};
+
+
+/**
+ * The mean value of sin<i>&xi;</i>, <i>&xi;</i> being the authalic
+ * latitude, over the isometric latitude interval [<i>psi1</i>,
+ * <i>psi2</i>].  The area under a rhumb line is <i>c</i><sup>2</sup>
+ * <i>&lambda;</i><sub>12</sub> times this mean.
+ *
+ * @param {!number} psi1 isometric latitude 1 (radians).
+ * @param {!number} psi2 isometric latitude 2 (radians).
+ * @return {!number}
+ */
+net.sf.geographiclib.Rhumb.prototype.MeanSinXi = function(psi1, psi2) {
+  var Rhumb = net.sf.geographiclib.Rhumb;
+  if (psi1 == psi2)
+    return this.SinXi_(psi1);
+  if (!isFinite(psi1) || !isFinite(psi2))
+    // The interval is infinite and dominated by the infinite end.
+    return isFinite(psi1) ? (psi2 > 0 ? 1 : -1) :
+        (isFinite(psi2) ? (psi1 > 0 ? 1 : -1) : 0);
+  // Composite Gauss-Legendre quadrature.  sin(xi) is analytic in a strip of
+  // half-width pi/2 about the real psi axis so panels of width 1/2 give full
+  // accuracy.
+  var
+      n = Math.ceil(Math.abs(psi2 - psi1) / Rhumb.panel_),
+      h = (psi2 - psi1) / n,
+      sum = 0;
+  for (var i = 0; i < n; ++i) {
+    var m = psi1 + (i + 0.5) * h;
+    for (var j = 0; j < Rhumb.glx_.length; ++j)
+      sum += Rhumb.glw_[j] * (this.SinXi_(m + Rhumb.glx_[j] * h / 2) +
+                              this.SinXi_(m - Rhumb.glx_[j] * h / 2));
+  }
+  return sum / (2 * n);
+};
+
+
+/**
+ * @private
+ * @param {!number} psi the isometric latitude (radians).
+ * @return {!number} sin<i>&xi;</i>.
+ */
+net.sf.geographiclib.Rhumb.prototype.SinXi_ = function(psi) {
+  if (!isFinite(psi))
+    return psi > 0 ? 1 : -1;
+  var tau = net.sf.geographiclib.GeoMath.tauf(Math.sinh(psi), this._es);
+  return this.q_(tau / net.sf.geographiclib.GeoMath.hypot(1, tau)) / this._qp;
+};
+
+
+/**
+ * The function <i>q</i> of Snyder (1987), Eq. (3-12), without its factor
+ * (1 &minus; <i>e</i><sup>2</sup>), so that sin<i>&xi;</i> =
+ * <i>q</i>(sin<i>&phi;</i>) / <i>q</i>(1).
+ * @private
+ * @param {!number} x sin<i>&phi;</i>.
+ * @return {!number}
+ */
+net.sf.geographiclib.Rhumb.prototype.q_ = function(x) {
+  return this._e2 == 0 ? 2 * x : x / (1 - this._e2 * x * x) +
+      net.sf.geographiclib.GeoMath.eatanhe(x, this._es) / this._e2;
+};
+
+
+/**
+ * The divided difference of eatanhe, (eatanhe(<i>x</i>) &minus;
+ * eatanhe(<i>y</i>)) / (<i>x</i> &minus; <i>y</i>).
+ * @private
+ * @param {!number} x
+ * @param {!number} y
+ * @return {!number}
+ */
+net.sf.geographiclib.Rhumb.prototype.Deatanhe_ = function(x, y) {
+  var t = x - y, d = 1 - this._e2 * x * y;
+  return t != 0 ?
+      net.sf.geographiclib.GeoMath.eatanhe(t / d, this._es) / t :
+      this._e2 / d;
+};
+
+
+/**
+ * The divided difference of the integral of the second kind, (<i>E</i>(x)
+ * &minus; <i>E</i>(y)) / (<i>x</i> &minus; <i>y</i>), for the meridian.  See
+ * <a href="http://dlmf.nist.gov/19.11.E2">DLMF 19.11.2</a> and
+ * <a href="http://dlmf.nist.gov/19.11.E4">DLMF 19.11.4</a>.
+ * @private
+ * @param {!number} x
+ * @param {!number} y
+ * @return {!number}
+ */
+net.sf.geographiclib.Rhumb.prototype.DE_ = function(x, y) {
+  var ei = this._ell;
+  var d = x - y;
+  if (x * y <= 0)
+    return d != 0 ? (ei.Ephi(x) - ei.Ephi(y)) / d : 1;
+  // Letting theta -> x, phi -> -y, psi -> z in the addition theorem,
+  //   (E(x) - E(y)) / d = E(z)/d - k2 * sin(x) * sin(y) * sin(z)/d
+  // with tan(z/2) = t = d * Dt.
+  var
+      sx = Math.sin(x), sy = Math.sin(y), cx = Math.cos(x), cy = Math.cos(y),
+      Dt = net.sf.geographiclib.Rhumb.Dsin_(x, y) * (sx + sy) /
+          ((cx + cy) * (sx * ei.Delta(sy, cy) + sy * ei.Delta(sx, cx))),
+      t = d * Dt,
+      Dsz = 2 * Dt / (1 + t * t),
+      sz = d * Dsz,
+      cz = (1 - t) * (1 + t) / (1 + t * t);
+  return ((sz != 0 ? ei.E(sz, cz, ei.Delta(sz, cz)) / sz : 1) -
+          ei.k2() * sx * sy) * Dsz;
+};
+
+
+/**
+ * @private
+ * @param {!number} x
+ * @param {!number} y
+ * @return {!number} (tan(<i>x</i>) &minus; tan(<i>y</i>)) / (<i>x</i>
+ *     &minus; <i>y</i>).
+ */
+net.sf.geographiclib.Rhumb.Dtan_ = function(x, y) {
+  var d = x - y, tx = Math.tan(x), ty = Math.tan(y), txy = tx * ty;
+  return d != 0 ?
+      (2 * txy > -1 ? (1 + txy) * Math.tan(d) : tx - ty) / d :
+      1 + txy;
+};
+
+
+/**
+ * @private
+ * @param {!number} x
+ * @param {!number} y
+ * @return {!number} (atan(<i>x</i>) &minus; atan(<i>y</i>)) / (<i>x</i>
+ *     &minus; <i>y</i>).
+ */
+net.sf.geographiclib.Rhumb.Datan_ = function(x, y) {
+  var d = x - y, xy = x * y;
+  return d != 0 ?
+      (2 * xy > -1 ? Math.atan(d / (1 + xy)) : Math.atan(x) - Math.atan(y)) /
+      d :
+      1 / (1 + xy);
+};
+
+
+/**
+ * @private
+ * @param {!number} x
+ * @param {!number} y
+ * @return {!number} (sin(<i>x</i>) &minus; sin(<i>y</i>)) / (<i>x</i>
+ *     &minus; <i>y</i>).
+ */
+net.sf.geographiclib.Rhumb.Dsin_ = function(x, y) {
+  var d = (x - y) / 2;
+  return Math.cos((x + y) / 2) * (d != 0 ? Math.sin(d) / d : 1);
+};
+
+
+/**
+ * @private
+ * @param {!number} x
+ * @param {!number} y
+ * @return {!number} (asinh(<i>x</i>) &minus; asinh(<i>y</i>)) / (<i>x</i>
+ *     &minus; <i>y</i>).
+ */
+net.sf.geographiclib.Rhumb.Dasinh_ = function(x, y) {
+  var
+      d = x - y,
+      hx = net.sf.geographiclib.GeoMath.hypot(1, x),
+      hy = net.sf.geographiclib.GeoMath.hypot(1, y);
+  return d != 0 ?
+      net.sf.geographiclib.GeoMath.asinh(
+          x * y > 0 ? d * (x + y) / (x * hy + y * hx) : x * hy - y * hx) / d :
+      1 / hx;
+};
+
+
+/**
+ * @private
+ * @param {!number} x
+ * @param {!number} y
+ * @return {!number} the divided difference of the inverse Gudermannian,
+ *     asinh(tan(<i>x</i>)).
+ */
+net.sf.geographiclib.Rhumb.Dgdinv_ = function(x, y) {
+  return net.sf.geographiclib.Rhumb.Dasinh_(Math.tan(x), Math.tan(y)) *
+      net.sf.geographiclib.Rhumb.Dtan_(x, y);
+};
+
+
+/**
+ * The width of the quadrature panels in isometric latitude.
+ * @private
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.Rhumb.panel_ = 0.5;
+
+
+/**
+ * The positive nodes of 8-point Gauss-Legendre quadrature.
+ * @private
+ * @const
+ * @type {!Array.<!number>}
+ */
+net.sf.geographiclib.Rhumb.glx_ = [
+  0.1834346424956498, 0.5255324099163290,
+  0.7966664774136267, 0.9602898564975363
+];
+
+
+/**
+ * The weights of 8-point Gauss-Legendre quadrature.
+ * @private
+ * @const
+ * @type {!Array.<!number>}
+ */
+net.sf.geographiclib.Rhumb.glw_ = [
+  0.3626837833783620, 0.3137066458778873,
+  0.2223810344533745, 0.1012285362903763
+];
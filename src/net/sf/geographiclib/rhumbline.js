@@ -0,0 +1,99 @@
+goog.provide('net.sf.geographiclib.RhumbLine');
+
+goog.require('net.sf.geographiclib.GeoMath');
+goog.require('net.sf.geographiclib.GeodesicData');
+goog.require('net.sf.geographiclib.GeodesicMask');
+// net.sf.geographiclib.Rhumb requires this file in order to build lines for
+// its direct method, so it cannot be required back here.
+
+
+
+/**
+ * A rhumb line, the path of constant azimuth <i>azi12</i> starting at
+ * (<i>lat1</i>, <i>lon1</i>).  Lines are normally obtained from {@link
+ * net.sf.geographiclib.Rhumb#Line}.
+ * @constructor
+ * @param {!net.sf.geographiclib.Rhumb} rh
+ * @param {!number} lat1 latitude of point 1 (degrees).
+ * @param {!number} lon1 longitude of point 1 (degrees).
+ * @param {!number} azi12 azimuth of the rhumb line (degrees).
+ */
+net.sf.geographiclib.RhumbLine = function(rh, lat1, lon1, azi12) {
+  this._rh = rh;
+  azi12 = net.sf.geographiclib.GeoMath.angNormalize(azi12);
+  this._lat1 = lat1;
+  this._lon1 = lon1;
+  this._azi12 = azi12;
+  var alp12 = azi12 * net.sf.geographiclib.GeoMath.degree;
+  this._salp = azi12 == -180 ? 0 : Math.sin(alp12);
+  this._calp = Math.abs(azi12) == 90 ? 0 : Math.cos(alp12);
+  this._mu1 = rh.Rectifying(lat1);
+  this._psi1 = rh.Isometric(lat1);
+};
+
+
+/**
+ * Compute the position of point 2 which is a distance <i>s12</i> (meters)
+ * from point 1.
+ * <p>
+ * The returned GeodesicData always includes lat1, lon1, azi1, azi2 and s12.
+ * If the line passes over a pole, lat2 is the latitude reached and lon2 and
+ * S12 are NaN.
+ *
+ * @param {!number} s12 distance between point 1 and point 2 (meters); it can
+ *     be negative.
+ * @param {!number=} opt_outmask a bitor'ed combination of {@link
+ *     net.sf.geographiclib.GeodesicMask} values specifying which results
+ *     should be returned (default STANDARD).
+ * @return {!net.sf.geographiclib.GeodesicData}
+ */
+net.sf.geographiclib.RhumbLine.prototype.Position = function(s12, opt_outmask) {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var outmask = (goog.isDef(opt_outmask) ? opt_outmask : gm.STANDARD) &
+      gm.OUT_ALL;
+  var rh = this._rh;
+  var r = new net.sf.geographiclib.GeodesicData();
+  r.lat1 = this._lat1;
+  r.lon1 = this._lon1;
+  r.azi1 = r.azi2 = this._azi12;
+  r.s12 = s12;
+  var
+      mu12 = s12 * this._calp * 90 / rh._qm,
+      mu2 = this._mu1 + mu12,
+      lat2, lon2, S12;
+  if (Math.abs(mu2) <= 90) {
+    lat2 = rh.InverseRectifying(mu2);
+    var psi2 = rh.Isometric(lat2), lam12;
+    if (!isFinite(this._psi1) || !isFinite(psi2)) {
+      // Only a meridian reaches a pole.
+      lam12 = this._salp == 0 ? 0 : Number.NaN;
+    } else {
+      var
+          phi1 = this._lat1 * net.sf.geographiclib.GeoMath.degree,
+          phi2 = lat2 * net.sf.geographiclib.GeoMath.degree;
+      // dpsi/dmu is well behaved even when mu12 = 0.
+      lam12 = s12 * this._salp * (Math.PI / 2) / rh._qm *
+          rh.DIsometric(phi1, phi2) / rh.DRectifying(phi1, phi2);
+    }
+    lon2 = net.sf.geographiclib.GeoMath.angNormalize(
+        net.sf.geographiclib.GeoMath.angNormalize(this._lon1) +
+        net.sf.geographiclib.GeoMath.angNormalize2(
+            lam12 / net.sf.geographiclib.GeoMath.degree));
+    S12 = rh._c2 * lam12 * rh.MeanSinXi(this._psi1, psi2);
+  } else {
+    // Reduce to the interval [-180, 180)
+    mu2 = net.sf.geographiclib.GeoMath.angNormalize2(mu2);
+    // Deal with points on the anti-meridian
+    if (Math.abs(mu2) > 90)
+      mu2 = net.sf.geographiclib.GeoMath.angNormalize(180 - mu2);
+    lat2 = rh.InverseRectifying(mu2);
+    lon2 = S12 = Number.NaN;
+  }
+  if (outmask & gm.LATITUDE)
+    r.lat2 = lat2;
+  if (outmask & gm.LONGITUDE)
+    r.lon2 = lon2;
+  if (outmask & gm.AREA)
+    r.S12 = S12;
+  return r;
+};
@@ -0,0 +1,391 @@
+goog.provide('net.sf.geographiclib.TransverseMercator');
+
+goog.require('goog.asserts');
+goog.require('net.sf.geographiclib.Ellipsoid');
+goog.require('net.sf.geographiclib.GeoMath');
+
+
+
+/**
+ * Transverse Mercator projection.
+ * <p>
+ * This uses Kr&uuml;ger's method which evaluates the projection and its
+ * inverse in terms of a series.  See
+ * <ul>
+ * <li>
+ *   L. Kr&uuml;ger,
+ *   <a href="http://dx.doi.org/10.2312/GFZ.b103-krueger28">Konforme
+ *   Abbildung des Erdellipsoids in der Ebene</a> (Conformal mapping of the
+ *   ellipsoidal earth to the plane), Royal Prussian Geodetic Institute, New
+ *   Series 52, 172 pp. (1912).
+ * <li>
+ *   C. F. F. Karney,
+ *   <a href="http://dx.doi.org/10.1007/s00190-011-0445-3">Transverse Mercator
+ *   with an accuracy of a few nanometers</a>, J. Geodesy <b>85</b>,
+ *   475&ndash;485 (2011).
+ * </ul>
+ * <p>
+ * Kr&uuml;ger's method has been extended from 4th to 6th order.  The maximum
+ * error is 5 nm (5 nanometers), ground distance, for all positions within 35
+ * degrees of the central meridian.  The error in the convergence is 2e-15"
+ * and the relative error in the scale is 6e-12%.
+ * <p>
+ * There's a singularity in the projection at &phi; = 0&deg;, &lambda;
+ * &minus; &lambda;<sub>0</sub> = &plusmn;(1 &minus; <i>e</i>)90&deg; (&asymp;
+ * &plusmn;82.6&deg; for the WGS84 ellipsoid), where <i>e</i> is the
+ * eccentricity.  Beyond this point, the series ceases to converge and the
+ * results from this method will be garbage.  To be on the safe side, don't
+ * use this method if the angular distance from the central meridian exceeds
+ * (1 &minus; 2<i>e</i>)90&deg; (&asymp; 75&deg; for the WGS84 ellipsoid);
+ * use {@link net.sf.geographiclib.TransverseMercatorExact} instead.
+ * <p>
+ * The central meridian is given as the first argument of Forward and Reverse
+ * and the central scale factor <i>k0</i> is fixed by the constructor.  The
+ * false easting and northing are left to the caller.  The origin of the
+ * northing is the equator.  {@link net.sf.geographiclib.TransverseMercator.UTM}
+ * is set up for the WGS84 ellipsoid with the UTM scale factor.
+ * @constructor
+ * @param {!number} a Equatorial radius (meters).
+ * @param {!number} f Flattening (or its reciprocal when greater than 1).
+ * @param {!number} k0 Central scale factor.
+ */
+net.sf.geographiclib.TransverseMercator = function(a, f, k0) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  var TransverseMercator = net.sf.geographiclib.TransverseMercator;
+  this._a = a;
+  this._f = f <= 1 ? f : 1 / f;
+  this._k0 = k0;
+  this._e2 = this._f * (2 - this._f);
+  this._es = (this._f < 0 ? -1 : 1) * Math.sqrt(Math.abs(this._e2));
+  this._e2m = 1 - this._e2;
+  // _c = sqrt(pow(1 + _e, 1 + _e) * pow(1 - _e, 1 - _e)), the scale at
+  // the pole.
+  this._c = Math.sqrt(this._e2m) * Math.exp(GeoMath.eatanhe(1, this._es));
+  this._n = this._f / (2 - this._f);
+  goog.asserts.assert(isFinite(this._a) && this._a > 0,
+                      'Major radius is not positive');
+  goog.asserts.assert(isFinite(this._f) && this._f < 1,
+                      'Minor radius is not positive');
+  goog.asserts.assert(isFinite(this._k0) && this._k0 > 0,
+                      'Scale is not positive');
+  var maxpow = TransverseMercator.maxpow_;
+  var m = maxpow / 2;
+  // _b1 is the ratio of the rectifying radius to a
+  this._b1 = GeoMath.polyval(m, TransverseMercator.b1coeff_, 0,
+                             GeoMath.sq(this._n)) /
+      (TransverseMercator.b1coeff_[m + 1] * (1 + this._n));
+  // _a1 is the equivalent radius for computing the circumference of
+  // ellipse.
+  this._a1 = this._b1 * this._a;
+  this._alp = new Array(maxpow + 1);
+  this._bet = new Array(maxpow + 1);
+  var o = 0, d = this._n;
+  for (var l = 1; l <= maxpow; ++l) {
+    m = maxpow - l;
+    this._alp[l] = d * GeoMath.polyval(m, TransverseMercator.alpcoeff_, o,
+                                       this._n) /
+        TransverseMercator.alpcoeff_[o + m + 1];
+    this._bet[l] = d * GeoMath.polyval(m, TransverseMercator.betcoeff_, o,
+                                       this._n) /
+        TransverseMercator.betcoeff_[o + m + 1];
+    o += m + 2;
+    d *= this._n;
+  }
+};
+
+
+/**
+ * The order of the Kr&uuml;ger series.
+ * @private
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.TransverseMercator.maxpow_ = 6;
+
+
+/**
+ * b1 * (n + 1), polynomial in n^2 of order 3.
+ * @private
+ * @const
+ * @type {!Array.<!number>}
+ */
+net.sf.geographiclib.TransverseMercator.b1coeff_ = [
+  1, 4, 64, 256, 256
+];
+
+
+/**
+ * Coefficients alp[l] / n^l, polynomials in n of order 6 - l, for the
+ * forward series.
+ * @private
+ * @const
+ * @type {!Array.<!number>}
+ */
+net.sf.geographiclib.TransverseMercator.alpcoeff_ = [
+  // alp[1]/n^1, polynomial in n of order 5
+  31564, -66675, 34440, 47250, -100800, 75600, 151200,
+  // alp[2]/n^2, polynomial in n of order 4
+  -1983433, 863232, 748608, -1161216, 524160, 1935360,
+  // alp[3]/n^3, polynomial in n of order 3
+  670412, 406647, -533952, 184464, 725760,
+  // alp[4]/n^4, polynomial in n of order 2
+  6601661, -7732800, 2230245, 7257600,
+  // alp[5]/n^5, polynomial in n of order 1
+  -13675556, 3438171, 7983360,
+  // alp[6]/n^6, polynomial in n of order 0
+  212378941, 319334400
+];
+
+
+/**
+ * Coefficients bet[l] / n^l, polynomials in n of order 6 - l, for the
+ * reverse series.
+ * @private
+ * @const
+ * @type {!Array.<!number>}
+ */
+net.sf.geographiclib.TransverseMercator.betcoeff_ = [
+  // bet[1]/n^1, polynomial in n of order 5
+  384796, -382725, -6720, 932400, -1612800, 1209600, 2419200,
+  // bet[2]/n^2, polynomial in n of order 4
+  -1118711, 1695744, -1174656, 258048, 80640, 3870720,
+  // bet[3]/n^3, polynomial in n of order 3
+  22276, -16929, -15984, 12852, 362880,
+  // bet[4]/n^4, polynomial in n of order 2
+  -830251, -158400, 197865, 7257600,
+  // bet[5]/n^5, polynomial in n of order 1
+  -435388, 453717, 15966720,
+  // bet[6]/n^6, polynomial in n of order 0
+  20648693, 638668800
+];
+
+
+/**
+ * Sum the Kr&uuml;ger series with Clenshaw summation in the complex
+ * variable &zeta; = &xi; + i&eta;.
+ * @private
+ * @param {!Array.<!number>} c The coefficients, c[1] through c[maxpow].
+ * @param {!number} sign The sign with which the coefficients are applied.
+ * @param {!number} xi
+ * @param {!number} eta
+ * @return {!{xi: number, eta: number, zr: number, zi: number}} The sum
+ *     &zeta; + sign &sum; c[l] sin(2l&zeta;) as xi + i eta and its
+ *     derivative with respect to &zeta; as zr + i zi.
+ */
+net.sf.geographiclib.TransverseMercator.clenshaw_ =
+    function(c, sign, xi, eta) {
+  var
+      c0 = Math.cos(2 * xi), ch0 = Math.cosh(2 * eta),
+      s0 = Math.sin(2 * xi), sh0 = Math.sinh(2 * eta),
+      // a = 2 * cos(2*zeta)
+      ar = 2 * c0 * ch0, ai = -2 * s0 * sh0,
+      n = net.sf.geographiclib.TransverseMercator.maxpow_,
+      y0r = n & 1 ? sign * c[n] : 0, y0i = 0, y1r = 0, y1i = 0,
+      z0r = n & 1 ? sign * 2 * n * c[n] : 0, z0i = 0, z1r = 0, z1i = 0,
+      t;
+  if (n & 1) --n;
+  while (n) {
+    // y1 = a * y0 - y1 + sign * c[n]
+    t = ar * y0r - ai * y0i - y1r + sign * c[n];
+    y1i = ar * y0i + ai * y0r - y1i;
+    y1r = t;
+    t = ar * z0r - ai * z0i - z1r + sign * 2 * n * c[n];
+    z1i = ar * z0i + ai * z0r - z1i;
+    z1r = t;
+    --n;
+    // y0 = a * y1 - y0 + sign * c[n]
+    t = ar * y1r - ai * y1i - y0r + sign * c[n];
+    y0i = ar * y1i + ai * y1r - y0i;
+    y0r = t;
+    t = ar * z1r - ai * z1i - z0r + sign * 2 * n * c[n];
+    z0i = ar * z1i + ai * z1r - z0i;
+    z0r = t;
+    --n;
+  }
+  // a = cos(2*zeta); z1 = 1 - z1 + a * z0
+  ar /= 2; ai /= 2;
+  z1r = 1 - z1r + ar * z0r - ai * z0i;
+  z1i = -z1i + ar * z0i + ai * z0r;
+  // a = sin(2*zeta); y1 = zeta + a * y0
+  ar = s0 * ch0; ai = c0 * sh0;
+  return {
+    xi: xi + ar * y0r - ai * y0i,
+    eta: eta + ar * y0i + ai * y0r,
+    zr: z1r,
+    zi: z1i
+  };
+};
+
+
+/**
+ * Forward projection, from geographic to transverse Mercator.
+ * <p>
+ * No false easting or northing is added.  <i>lat</i> should be in the range
+ * [&minus;90&deg;, 90&deg;].
+ *
+ * @param {!number} lon0 central meridian of the projection (degrees).
+ * @param {!number} lat latitude of point (degrees).
+ * @param {!number} lon longitude of point (degrees).
+ * @return {!{x: number, y: number, gamma: number, k: number}} The easting
+ *     <i>x</i> and northing <i>y</i> (meters), the meridian convergence
+ *     <i>gamma</i> (degrees) and the point scale <i>k</i>.
+ */
+net.sf.geographiclib.TransverseMercator.prototype.Forward =
+    function(lon0, lat, lon) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  lon = GeoMath.angDiff(GeoMath.angNormalize(lon0),
+                        GeoMath.angNormalize(lon));
+  // Explicitly enforce the parity
+  var
+      latsign = lat < 0 || (lat == 0 && 1 / lat < 0) ? -1 : 1,
+      lonsign = lon < 0 || (lon == 0 && 1 / lon < 0) ? -1 : 1;
+  lon *= lonsign;
+  lat *= latsign;
+  var backside = lon > 90;
+  if (backside) {
+    if (lat == 0)
+      latsign = -1;
+    lon = 180 - lon;
+  }
+  var
+      phi = lat * GeoMath.degree,
+      lam = lon * GeoMath.degree,
+      etap, xip, gamma, k;
+  if (lat != 90) {
+    var
+        cphi = Math.cos(phi),
+        clam = lon == 90 ? 0 : Math.cos(lam),
+        slam = Math.sin(lam),
+        tau = Math.sin(phi) / cphi,
+        taup = GeoMath.taupf(tau, this._es);
+    xip = Math.atan2(taup, clam);
+    // Used to be
+    //   etap = atanh(sin(lam) / cosh(psi))
+    etap = GeoMath.asinh(slam / GeoMath.hypot(taup, clam));
+    // convergence and scale for Gauss-Schreiber TM (xip, etap) -- gamma0 =
+    // atan(tan(xip) * tanh(etap)) = atan(tan(lam) * sin(phi'));
+    // sin(phi') = tau' / sqrt(1 + tau'^2)
+    gamma = Math.atan2(slam * taup, clam * GeoMath.hypot(1, taup)) /
+        GeoMath.degree;
+    // k0 = sqrt(1 - _e2 * sin(phi)^2) * (cos(phi') / cos(phi)) * cosh(etap)
+    // Note 1/cos(phi) = cosh(psip);
+    // and cos(phi') * cosh(etap) = 1/hypot(sinh(psi), cos(lam))
+    //
+    // This form has cancelling errors.  This property is lost if cosh(psip)
+    // is replaced by 1/cos(phi), even though it's using "primary" data (phi
+    // instead of psip).
+    k = Math.sqrt(this._e2m + this._e2 * GeoMath.sq(cphi)) *
+        GeoMath.hypot(1, tau) / GeoMath.hypot(taup, clam);
+  } else {
+    xip = Math.PI / 2;
+    etap = 0;
+    gamma = lon;
+    k = this._c;
+  }
+  var r = net.sf.geographiclib.TransverseMercator.clenshaw_(
+      this._alp, 1, xip, etap);
+  // Fold in change in convergence and scale for Gauss-Schreiber TM to
+  // Gauss-Krueger TM.
+  gamma -= Math.atan2(r.zi, r.zr) / GeoMath.degree;
+  k *= this._b1 * GeoMath.hypot(r.zr, r.zi);
+  if (backside)
+    gamma = 180 - gamma;
+  gamma *= latsign * lonsign;
+  return {
+    x: this._a1 * this._k0 * r.eta * lonsign,
+    y: this._a1 * this._k0 * (backside ? Math.PI - r.xi : r.xi) * latsign,
+    gamma: GeoMath.angNormalize(gamma),
+    k: k * this._k0
+  };
+};
+
+
+/**
+ * Reverse projection, from transverse Mercator to geographic.
+ * <p>
+ * No false easting or northing is added.  The longitude is in the range
+ * [&minus;180&deg;, 180&deg;).
+ *
+ * @param {!number} lon0 central meridian of the projection (degrees).
+ * @param {!number} x easting of point (meters).
+ * @param {!number} y northing of point (meters).
+ * @return {!{lat: number, lon: number, gamma: number, k: number}} The
+ *     latitude <i>lat</i> and longitude <i>lon</i> (degrees), the meridian
+ *     convergence <i>gamma</i> (degrees) and the point scale <i>k</i>.
+ */
+net.sf.geographiclib.TransverseMercator.prototype.Reverse =
+    function(lon0, x, y) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  // This undoes the steps in Forward.  The wrinkles are: (1) Use of the
+  // reverted series to express zeta' in terms of zeta. (2) Newton's method
+  // to solve for phi in terms of tan(phi).
+  var
+      xi = y / (this._a1 * this._k0),
+      eta = x / (this._a1 * this._k0),
+      // Explicitly enforce the parity
+      xisign = xi < 0 || (xi == 0 && 1 / xi < 0) ? -1 : 1,
+      etasign = eta < 0 || (eta == 0 && 1 / eta < 0) ? -1 : 1;
+  xi *= xisign;
+  eta *= etasign;
+  var backside = xi > Math.PI / 2;
+  if (backside)
+    xi = Math.PI - xi;
+  // The reverse series is summed with the coefficients negated.
+  var r = net.sf.geographiclib.TransverseMercator.clenshaw_(
+      this._bet, -1, xi, eta);
+  // Convergence and scale for Gauss-Schreiber TM to Gauss-Krueger TM.
+  var
+      gamma = Math.atan2(r.zi, r.zr) / GeoMath.degree,
+      k = this._b1 / GeoMath.hypot(r.zr, r.zi),
+      // JHS 154 has
+      //
+      //   phi' = asin(sin(xi') / cosh(eta')) (Krueger p 17 (25))
+      //   lam = asin(tanh(eta') / cos(phi')
+      //   psi = asinh(tan(phi'))
+      xip = r.xi, etap = r.eta,
+      s = Math.sinh(etap),
+      c = Math.max(0, Math.cos(xip)),
+      rr = GeoMath.hypot(s, c),
+      lat, lon;
+  if (rr != 0) {
+    lon = Math.atan2(s, c) / GeoMath.degree; // Krueger p 17 (25)
+    // Use Newton's method to solve for tau
+    var
+        sxip = Math.sin(xip),
+        tau = GeoMath.tauf(sxip / rr, this._es);
+    gamma += Math.atan2(sxip * Math.tanh(etap), c) / GeoMath.degree;
+    lat = Math.atan(tau) / GeoMath.degree;
+    // Note cos(phi') * cosh(eta') = r
+    k *= Math.sqrt(this._e2m + this._e2 / (1 + GeoMath.sq(tau))) *
+        GeoMath.hypot(1, tau) * rr;
+  } else {
+    lat = 90;
+    lon = 0;
+    k *= this._c;
+  }
+  lat *= xisign;
+  if (backside)
+    lon = 180 - lon;
+  lon *= etasign;
+  if (backside)
+    gamma = 180 - gamma;
+  gamma *= xisign * etasign;
+  return {
+    lat: lat,
+    lon: GeoMath.angNormalize2(lon + GeoMath.angNormalize(lon0)),
+    gamma: GeoMath.angNormalize(gamma),
+    k: k * this._k0
+  };
+};
+
+
+/**
+ * A TransverseMercator object for the WGS84 ellipsoid with the UTM scale
+ * factor <i>k0</i> = 0.9996.
+ * @const
+ * @type {!net.sf.geographiclib.TransverseMercator}
+ */
+net.sf.geographiclib.TransverseMercator.UTM =
+    new net.sf.geographiclib.TransverseMercator(
+        net.sf.geographiclib.Ellipsoid.WGS84.a,
+        net.sf.geographiclib.Ellipsoid.WGS84.f, 0.9996);
@@ -0,0 +1,641 @@
+goog.provide('net.sf.geographiclib.TransverseMercatorExact');
+
+goog.require('goog.asserts');
+goog.require('net.sf.geographiclib.EllipticFunction');
+goog.require('net.sf.geographiclib.Ellipsoid');
+goog.require('net.sf.geographiclib.GeoMath');
+
+
+
+/**
+ * An exact implementation of the transverse Mercator projection.
+ * <p>
+ * This uses the formulation of
+ * <ul>
+ * <li>
+ *   L. P. Lee, Conformal Projections Based On Jacobian Elliptic Functions,
+ *   Part V of Conformal Projections Based on Elliptic Functions (B. V.
+ *   Gutsell, Toronto, 1976), 128 pp.
+ * </ul>
+ * with the improvements described in
+ * <ul>
+ * <li>
+ *   C. F. F. Karney,
+ *   <a href="http://dx.doi.org/10.1007/s00190-011-0445-3">Transverse Mercator
+ *   with an accuracy of a few nanometers</a>, J. Geodesy <b>85</b>,
+ *   475&ndash;485 (2011).
+ * </ul>
+ * The Thompson transverse Mercator projection is used as an intermediate
+ * projection.  The projections from the intermediate coordinates to
+ * [<i>lat</i>, <i>lon</i>] and [<i>x</i>, <i>y</i>] are given by Jacobi
+ * elliptic functions and they are inverted by Newton's method with a suitable
+ * starting guess.
+ * <p>
+ * The maximum error is about 8 nm (8 nanometers), ground distance, for the
+ * forward and reverse transformations.  The error in the convergence is
+ * 2e-15" and the relative error in the scale is 7e-12%.  Unlike {@link
+ * net.sf.geographiclib.TransverseMercator}, the results stay accurate
+ * arbitrarily far from the central meridian, but the method is several times
+ * slower.
+ * <p>
+ * The projection has a branch point singularity at <i>lat</i> = 0 and
+ * <i>lon</i> &minus; <i>lon0</i> = 90 (1 &minus; <i>e</i>), where <i>e</i> is
+ * the eccentricity (<i>x</i> = 18381 km, <i>y</i> = 0 m for UTM).  The
+ * <i>extendp</i> argument of the constructor governs where the branch cut is
+ * placed.  By default, the "standard" convention is followed, namely the cut
+ * is placed along <i>x</i> &gt; 18381 km, <i>y</i> = 0 m.  Forward can be
+ * called with any <i>lat</i> and <i>lon</i> and Reverse analytically
+ * continues this in the &plusmn;<i>x</i> direction, so that Reverse may map
+ * several points to the same geographic location.
+ * <p>
+ * With <i>extendp</i> true, the branch cut is moved to the lower left
+ * quadrant and no symmetries are applied, which allows the projection to be
+ * explored on other sheets.  In this mode the domain of (<i>lat</i>,
+ * <i>lon</i> &minus; <i>lon0</i>) is restricted to the union of [0&deg;,
+ * 90&deg;] &times; [0&deg;, 90&deg;] and (&minus;90&deg;, 0&deg;] &times; [90
+ * (1 &minus; <i>e</i>)&deg;, 90&deg;], and the domain of (<i>x</i>,
+ * <i>y</i>) / (<i>k0</i> <i>a</i>) to the union of [0, &infin;) &times; [0,
+ * <i>E</i>(<i>e</i>)] and [<i>K</i>(<i>e'</i>) &minus; <i>E</i>(<i>e'</i>),
+ * &infin;) &times; (&minus;&infin;, 0], where <i>e'</i> = sqrt(1 &minus;
+ * <i>e</i><sup>2</sup>).  See Sec. 5 of Karney (2011) for a full
+ * discussion of the treatment of the branch cut.
+ * <p>
+ * The ellipsoid is specified in the same way as for {@link
+ * net.sf.geographiclib.Geodesic}; it must be oblate.  {@link
+ * net.sf.geographiclib.TransverseMercatorExact.UTM} is set up for the WGS84
+ * ellipsoid with the UTM scale factor.
+ * @constructor
+ * @param {!number} a Equatorial radius (meters).
+ * @param {!number} f Flattening (or its reciprocal when greater than 1).
+ * @param {!number} k0 Central scale factor.
+ * @param {!boolean=} opt_extendp if true then use the extended domain
+ *     (default = false).
+ */
+net.sf.geographiclib.TransverseMercatorExact =
+    function(a, f, k0, opt_extendp) {
+  this._a = a;
+  this._f = f <= 1 ? f : 1 / f;
+  this._k0 = k0;
+  this._mu = this._f * (2 - this._f);    // e^2
+  this._mv = 1 - this._mu;               // 1 - e^2
+  this._e = Math.sqrt(this._mu);
+  this._extendp = !!opt_extendp;
+  goog.asserts.assert(isFinite(this._a) && this._a > 0,
+                      'Major radius is not positive');
+  goog.asserts.assert(this._f > 0, 'Flattening is not positive');
+  goog.asserts.assert(this._f < 1, 'Minor radius is not positive');
+  goog.asserts.assert(isFinite(this._k0) && this._k0 > 0,
+                      'Scale is not positive');
+  this._Eu = new net.sf.geographiclib.EllipticFunction(
+      this._mu, 0, this._mv, 1);
+  this._Ev = new net.sf.geographiclib.EllipticFunction(
+      this._mv, 0, this._mu, 1);
+};
+
+
+/**
+ * The maximum number of Newton iterations.
+ * @private
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.TransverseMercatorExact.numit_ = 10;
+
+
+/**
+ * @private
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.TransverseMercatorExact.tol2_ =
+    0.1 * net.sf.geographiclib.GeoMath.epsilon;
+
+
+/**
+ * The threshold below which the Taylor series starting guesses are used
+ * without refinement.
+ * @private
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.TransverseMercatorExact.taytol_ =
+    Math.pow(net.sf.geographiclib.GeoMath.epsilon, 0.6);
+
+
+/**
+ * The Jacobi elliptic functions of <i>u</i> (modulus <i>e</i>) and of
+ * <i>v</i> (modulus sqrt(1 &minus; <i>e</i><sup>2</sup>)).
+ * @typedef {{sn: number, cn: number, dn: number}}
+ */
+net.sf.geographiclib.TransverseMercatorExact.SnCnDn;
+
+
+/**
+ * The geographic coordinates of the Thompson coordinates <i>w</i> = <i>u</i>
+ * + i<i>v</i>, Lee 54.17.
+ * @private
+ * @param {!net.sf.geographiclib.TransverseMercatorExact.SnCnDn} U
+ * @param {!net.sf.geographiclib.TransverseMercatorExact.SnCnDn} V
+ * @return {!{taup: number, lam: number}} sinh(&psi;) and the longitude
+ *     (radians).
+ */
+net.sf.geographiclib.TransverseMercatorExact.prototype.zeta_ =
+    function(U, V) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  // Lee 54.17 but write
+  // atanh(snu * dnv) = asinh(snu * dnv / sqrt(cnu^2 + _mv * snu^2 * snv^2))
+  // atanh(_e * snu / dnv) =
+  //         asinh(_e * snu / sqrt(_mu * cnu^2 + _mv * cnv^2))
+  // Overflow value s.t. atan(overflow) = pi/2
+  var
+      overflow = 1 / GeoMath.sq(GeoMath.epsilon),
+      d1 = Math.sqrt(GeoMath.sq(U.cn) + this._mv * GeoMath.sq(U.sn * V.sn)),
+      d2 = Math.sqrt(this._mu * GeoMath.sq(U.cn) +
+                     this._mv * GeoMath.sq(V.cn)),
+      t1 = d1 != 0 ? U.sn * V.dn / d1 : (U.sn < 0 ? -overflow : overflow),
+      t2 = d2 != 0 ?
+          Math.sinh(this._e * GeoMath.asinh(this._e * U.sn / d2)) :
+          (U.sn < 0 ? -overflow : overflow);
+  // psi = asinh(t1) - asinh(t2)
+  // taup = sinh(psi)
+  return {
+    taup: t1 * GeoMath.hypot(1, t2) - t2 * GeoMath.hypot(1, t1),
+    lam: d1 != 0 && d2 != 0 ?
+        Math.atan2(U.dn * V.sn, U.cn * V.cn) -
+        this._e * Math.atan2(this._e * U.cn * V.sn, U.dn * V.cn) : 0
+  };
+};
+
+
+/**
+ * The derivative of <i>w</i> with respect to &zeta;, Lee 54.21.
+ * @private
+ * @param {!net.sf.geographiclib.TransverseMercatorExact.SnCnDn} U
+ * @param {!net.sf.geographiclib.TransverseMercatorExact.SnCnDn} V
+ * @return {!{du: number, dv: number}}
+ */
+net.sf.geographiclib.TransverseMercatorExact.prototype.dwdzeta_ =
+    function(U, V) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  // Lee 54.21 but write (1 - dnu^2 * snv^2) = (cnv^2 + _mu * snu^2 * snv^2)
+  // (see A+S 16.21.4)
+  var d = this._mv * GeoMath.sq(GeoMath.sq(V.cn) +
+                                this._mu * GeoMath.sq(U.sn * V.sn));
+  return {
+    du: U.cn * U.dn * V.dn *
+        (GeoMath.sq(V.cn) - this._mu * GeoMath.sq(U.sn * V.sn)) / d,
+    dv: -U.sn * V.sn * V.cn *
+        (GeoMath.sq(U.dn * V.dn) + this._mu * GeoMath.sq(U.cn)) / d
+  };
+};
+
+
+/**
+ * The starting point for zetainv_.
+ * @private
+ * @param {!number} psi
+ * @param {!number} lam
+ * @return {!{u: number, v: number, done: boolean}} done is true if the
+ *     starting point is accurate enough to be used as is.
+ */
+net.sf.geographiclib.TransverseMercatorExact.prototype.zetainv0_ =
+    function(psi, lam) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  var u, v, done = false;
+  if (psi < -this._e * Math.PI / 4 &&
+      lam > (1 - 2 * this._e) * Math.PI / 2 &&
+      psi < lam - (1 - this._e) * Math.PI / 2) {
+    // N.B. this branch is normally not taken because psi < 0 is converted
+    // psi > 0 by Forward.
+    //
+    // There's a log singularity at w = w0 = Eu.K() + i * Ev.K(),
+    // corresponding to the south pole, where we have, approximately
+    //
+    //   psi = _e + i * pi/2 - _e * atanh(cos(i * (w - w0)/(1 + _mu/2)))
+    //
+    // Inverting this gives:
+    var
+        psix = 1 - psi / this._e,
+        lamx = (Math.PI / 2 - lam) / this._e;
+    u = GeoMath.asinh(Math.sin(lamx) /
+                      GeoMath.hypot(Math.cos(lamx), Math.sinh(psix))) *
+        (1 + this._mu / 2);
+    v = Math.atan2(Math.cos(lamx), Math.sinh(psix)) * (1 + this._mu / 2);
+    u = this._Eu.K() - u;
+    v = this._Ev.K() - v;
+  } else if (psi < this._e * Math.PI / 2 &&
+             lam > (1 - 2 * this._e) * Math.PI / 2) {
+    // At w = w0 = i * Ev.K(), we have
+    //
+    //     zeta = zeta0 = i * (1 - _e) * pi/2
+    //     zeta' = zeta'' = 0
+    //
+    // including the next term in the Taylor series gives:
+    //
+    // zeta = zeta0 - (_mv * _e) / 3 * (w - w0)^3
+    //
+    // When inverting this, we map arg(w - w0) = [-90, 0] to
+    // arg(zeta - zeta0) = [-90, 180]
+    var
+        dlam = lam - (1 - this._e) * Math.PI / 2,
+        rad = GeoMath.hypot(psi, dlam),
+        // atan2(dlam-psi, psi+dlam) + 45d gives arg(zeta - zeta0) in range
+        // [-135, 225).  Subtracting 180 (since multiplier is negative) makes
+        // range [-315, 45).  Multiplying by 1/3 (for cube root) gives range
+        // [-105, 15).  In particular the range [-90, 180] in zeta space maps
+        // to [-90, 0] in w space as required.
+        ang = Math.atan2(dlam - psi, psi + dlam) - 0.75 * Math.PI;
+    // Error using this guess is about 0.21 * (rad/e)^(5/3)
+    done = rad <
+        this._e * net.sf.geographiclib.TransverseMercatorExact.taytol_;
+    rad = GeoMath.cbrt(3 / (this._mv * this._e) * rad);
+    ang /= 3;
+    u = rad * Math.cos(ang);
+    v = rad * Math.sin(ang) + this._Ev.K();
+  } else {
+    // Use spherical TM, Lee 12.6 -- writing atanh(sin(lam) / cosh(psi)) =
+    // asinh(sin(lam) / hypot(cos(lam), sinh(psi))).  This takes care of the
+    // log singularity at zeta = Eu.K() (corresponding to the north pole)
+    v = GeoMath.asinh(Math.sin(lam) /
+                      GeoMath.hypot(Math.cos(lam), Math.sinh(psi)));
+    u = Math.atan2(Math.sinh(psi), Math.cos(lam));
+    // But scale to put 90,0 on the right place
+    u *= this._Eu.K() / (Math.PI / 2);
+    v *= this._Eu.K() / (Math.PI / 2);
+  }
+  return {u: u, v: v, done: done};
+};
+
+
+/**
+ * Invert zeta_ using Newton's method.
+ * @private
+ * @param {!number} taup sinh(&psi;).
+ * @param {!number} lam the longitude (radians).
+ * @return {!{u: number, v: number}}
+ */
+net.sf.geographiclib.TransverseMercatorExact.prototype.zetainv_ =
+    function(taup, lam) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  var TransverseMercatorExact = net.sf.geographiclib.TransverseMercatorExact;
+  var
+      psi = GeoMath.asinh(taup),
+      scal = 1 / GeoMath.hypot(1, taup),
+      w = this.zetainv0_(psi, lam);
+  if (w.done)
+    return w;
+  var
+      u = w.u, v = w.v,
+      stol2 = TransverseMercatorExact.tol2_ / GeoMath.sq(Math.max(psi, 1));
+  // min iterations = 2, max iterations = 6; mean = 4.0
+  for (var i = 0, trip = 0; i < TransverseMercatorExact.numit_; ++i) {
+    var
+        U = this._Eu.sncndn(u),
+        V = this._Ev.sncndn(v),
+        z = this.zeta_(U, V),
+        dw = this.dwdzeta_(U, V),
+        tau1 = (z.taup - taup) * scal,
+        lam1 = z.lam - lam,
+        delu = tau1 * dw.du - lam1 * dw.dv,
+        delv = tau1 * dw.dv + lam1 * dw.du;
+    u -= delu;
+    v -= delv;
+    if (trip)
+      break;
+    var delw2 = GeoMath.sq(delu) + GeoMath.sq(delv);
+    if (!(delw2 >= stol2))
+      ++trip;
+  }
+  return {u: u, v: v};
+};
+
+
+/**
+ * The projected coordinates of the Thompson coordinates <i>w</i> = <i>u</i>
+ * + i<i>v</i>, Lee 55.4.
+ * @private
+ * @param {!number} v
+ * @param {!net.sf.geographiclib.TransverseMercatorExact.SnCnDn} U
+ * @param {!net.sf.geographiclib.TransverseMercatorExact.SnCnDn} V
+ * @return {!{xi: number, eta: number}}
+ */
+net.sf.geographiclib.TransverseMercatorExact.prototype.sigma_ =
+    function(v, U, V) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  // Lee 55.4 writing
+  // dnu^2 + dnv^2 - 1 = _mu * cnu^2 + _mv * cnv^2
+  var d = this._mu * GeoMath.sq(U.cn) + this._mv * GeoMath.sq(V.cn);
+  return {
+    xi: this._Eu.E(U.sn, U.cn, U.dn) - this._mu * U.sn * U.cn * U.dn / d,
+    eta: v - this._Ev.E(V.sn, V.cn, V.dn) + this._mv * V.sn * V.cn * V.dn / d
+  };
+};
+
+
+/**
+ * The derivative of <i>w</i> with respect to &sigma;, the reciprocal of Lee
+ * 55.9.
+ * @private
+ * @param {!net.sf.geographiclib.TransverseMercatorExact.SnCnDn} U
+ * @param {!net.sf.geographiclib.TransverseMercatorExact.SnCnDn} V
+ * @return {!{du: number, dv: number}}
+ */
+net.sf.geographiclib.TransverseMercatorExact.prototype.dwdsigma_ =
+    function(U, V) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  // Reciprocal of 55.9: dw/ds = dn(w)^2/_mv, expanding complex dn(w) using
+  // A+S 16.21.4
+  var
+      d = this._mv * GeoMath.sq(GeoMath.sq(V.cn) +
+                                this._mu * GeoMath.sq(U.sn * V.sn)),
+      dnr = U.dn * V.cn * V.dn,
+      dni = -this._mu * U.sn * U.cn * V.sn;
+  return {
+    du: (GeoMath.sq(dnr) - GeoMath.sq(dni)) / d,
+    dv: 2 * dnr * dni / d
+  };
+};
+
+
+/**
+ * The starting point for sigmainv_.
+ * @private
+ * @param {!number} xi
+ * @param {!number} eta
+ * @return {!{u: number, v: number, done: boolean}} done is true if the
+ *     starting point is accurate enough to be used as is.
+ */
+net.sf.geographiclib.TransverseMercatorExact.prototype.sigmainv0_ =
+    function(xi, eta) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  var u, v, done = false;
+  if (eta > 1.25 * this._Ev.KE() ||
+      (xi < -0.25 * this._Eu.E() && xi < eta - this._Ev.KE())) {
+    // sigma as a simple pole at w = w0 = Eu.K() + i * Ev.K() and sigma is
+    // approximated by
+    //
+    // sigma = (Eu.E() + i * Ev.KE()) + 1/(w - w0)
+    var
+        x = xi - this._Eu.E(),
+        y = eta - this._Ev.KE(),
+        r2 = GeoMath.sq(x) + GeoMath.sq(y);
+    u = this._Eu.K() + x / r2;
+    v = this._Ev.K() - y / r2;
+  } else if ((eta > 0.75 * this._Ev.KE() && xi < 0.25 * this._Eu.E()) ||
+             eta > this._Ev.KE()) {
+    // At w = w0 = i * Ev.K(), we have
+    //
+    //     sigma = sigma0 = i * Ev.KE()
+    //     sigma' = sigma'' = 0
+    //
+    // including the next term in the Taylor series gives:
+    //
+    // sigma = sigma0 - _mv / 3 * (w - w0)^3
+    //
+    // When inverting this, we map arg(w - w0) = [-pi/2, -pi/6] to
+    // arg(sigma - sigma0) = [-pi/2, pi/2]
+    var
+        deta = eta - this._Ev.KE(),
+        rad = GeoMath.hypot(xi, deta),
+        // Map the range [-90, 180] in sigma space to [-90, 0] in w space.
+        // See discussion in zetainv0_ on the cut for ang.
+        ang = Math.atan2(deta - xi, xi + deta) - 0.75 * Math.PI;
+    // Error using this guess is about 0.068 * rad^(5/3)
+    done = rad < 2 * net.sf.geographiclib.TransverseMercatorExact.taytol_;
+    rad = GeoMath.cbrt(3 / this._mv * rad);
+    ang /= 3;
+    u = rad * Math.cos(ang);
+    v = rad * Math.sin(ang) + this._Ev.K();
+  } else {
+    // Else use w = sigma * Eu.K/Eu.E (which is correct in the limit _e -> 0)
+    u = xi * this._Eu.K() / this._Eu.E();
+    v = eta * this._Eu.K() / this._Eu.E();
+  }
+  return {u: u, v: v, done: done};
+};
+
+
+/**
+ * Invert sigma_ using Newton's method.
+ * @private
+ * @param {!number} xi
+ * @param {!number} eta
+ * @return {!{u: number, v: number}}
+ */
+net.sf.geographiclib.TransverseMercatorExact.prototype.sigmainv_ =
+    function(xi, eta) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  var TransverseMercatorExact = net.sf.geographiclib.TransverseMercatorExact;
+  var w = this.sigmainv0_(xi, eta);
+  if (w.done)
+    return w;
+  var u = w.u, v = w.v;
+  // min iterations = 2, max iterations = 7; mean = 3.9
+  for (var i = 0, trip = 0; i < TransverseMercatorExact.numit_; ++i) {
+    var
+        U = this._Eu.sncndn(u),
+        V = this._Ev.sncndn(v),
+        s = this.sigma_(v, U, V),
+        dw = this.dwdsigma_(U, V),
+        xi1 = s.xi - xi,
+        eta1 = s.eta - eta,
+        delu = xi1 * dw.du - eta1 * dw.dv,
+        delv = xi1 * dw.dv + eta1 * dw.du;
+    u -= delu;
+    v -= delv;
+    if (trip)
+      break;
+    var delw2 = GeoMath.sq(delu) + GeoMath.sq(delv);
+    if (!(delw2 >= TransverseMercatorExact.tol2_))
+      ++trip;
+  }
+  return {u: u, v: v};
+};
+
+
+/**
+ * The meridian convergence and scale, Lee 55.12 and 55.13.
+ * @private
+ * @param {!number} tau tan&phi;.
+ * @param {!net.sf.geographiclib.TransverseMercatorExact.SnCnDn} U
+ * @param {!net.sf.geographiclib.TransverseMercatorExact.SnCnDn} V
+ * @return {!{gamma: number, k: number}} The convergence (degrees) and the
+ *     scale (without the factor k0).
+ */
+net.sf.geographiclib.TransverseMercatorExact.prototype.scale_ =
+    function(tau, U, V) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  var sec2 = 1 + GeoMath.sq(tau);    // sec(phi)^2
+  // Lee 55.12 -- negated for our sign convention.  gamma gives the bearing
+  // (clockwise from true north) of grid north
+  var gamma = Math.atan2(this._mv * U.sn * V.sn * V.cn, U.cn * U.dn * V.dn);
+  // Lee 55.13 with nu given by Lee 9.1 -- in sqrt change the numerator
+  // from
+  //
+  //    (1 - snu^2 * dnv^2) to (_mv * snv^2 + cnu^2 * dnv^2)
+  //
+  // to maintain accuracy near phi = 90 and change the denomintor from
+  //
+  //    (dnu^2 + dnv^2 - 1) to (_mu * cnu^2 + _mv * cnv^2)
+  //
+  // to maintain accuracy near phi = 0, lam = 90 * (1 - e).  Similarly
+  // rewrite sqrt term in 9.1 as
+  //
+  //    _mv + _mu * c^2 instead of 1 - _mu * sin(phi)^2
+  var k = Math.sqrt(this._mv + this._mu / sec2) * Math.sqrt(sec2) *
+      Math.sqrt((this._mv * GeoMath.sq(V.sn) + GeoMath.sq(U.cn * V.dn)) /
+                (this._mu * GeoMath.sq(U.cn) + this._mv * GeoMath.sq(V.cn)));
+  return {gamma: gamma / GeoMath.degree, k: k};
+};
+
+
+/**
+ * Forward projection, from geographic to transverse Mercator.
+ * <p>
+ * No false easting or northing is added.  <i>lat</i> should be in the range
+ * [&minus;90&deg;, 90&deg;].
+ *
+ * @param {!number} lon0 central meridian of the projection (degrees).
+ * @param {!number} lat latitude of point (degrees).
+ * @param {!number} lon longitude of point (degrees).
+ * @return {!{x: number, y: number, gamma: number, k: number}} The easting
+ *     <i>x</i> and northing <i>y</i> (meters), the meridian convergence
+ *     <i>gamma</i> (degrees) and the point scale <i>k</i>.
+ */
+net.sf.geographiclib.TransverseMercatorExact.prototype.Forward =
+    function(lon0, lat, lon) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  lon = GeoMath.angDiff(GeoMath.angNormalize(lon0),
+                        GeoMath.angNormalize(lon));
+  // Explicitly enforce the parity
+  var
+      latsign = !this._extendp &&
+          (lat < 0 || (lat == 0 && 1 / lat < 0)) ? -1 : 1,
+      lonsign = !this._extendp &&
+          (lon < 0 || (lon == 0 && 1 / lon < 0)) ? -1 : 1;
+  lon *= lonsign;
+  lat *= latsign;
+  var backside = !this._extendp && lon > 90;
+  if (backside) {
+    if (lat == 0)
+      latsign = -1;
+    lon = 180 - lon;
+  }
+  var
+      lam = lon * GeoMath.degree,
+      tau = Math.tan(lat * GeoMath.degree),
+      w;
+  // u,v = coordinates for the Thompson TM, Lee 54
+  if (lat == 90)
+    w = {u: this._Eu.K(), v: 0};
+  else if (lat == 0 && lon == 90 * (1 - this._e))
+    w = {u: 0, v: this._Ev.K()};
+  else
+    // tau = tan(phi), taup = sinh(psi)
+    w = this.zetainv_(GeoMath.taupf(tau, this._e), lam);
+  var
+      U = this._Eu.sncndn(w.u),
+      V = this._Ev.sncndn(w.v),
+      s = this.sigma_(w.v, U, V),
+      xi = backside ? 2 * this._Eu.E() - s.xi : s.xi,
+      gamma, k;
+  if (lat == 90) {
+    gamma = lon;
+    k = 1;
+  } else {
+    // Recompute (tau, lam) from (u, v) to improve accuracy of the scale
+    var z = this.zeta_(U, V);
+    var sc = this.scale_(GeoMath.tauf(z.taup, this._e), U, V);
+    gamma = sc.gamma;
+    k = sc.k;
+  }
+  if (backside)
+    gamma = 180 - gamma;
+  gamma *= latsign * lonsign;
+  return {
+    x: s.eta * this._a * this._k0 * lonsign,
+    y: xi * this._a * this._k0 * latsign,
+    gamma: gamma,
+    k: k * this._k0
+  };
+};
+
+
+/**
+ * Reverse projection, from transverse Mercator to geographic.
+ * <p>
+ * No false easting or northing is added.  The longitude is in the range
+ * [&minus;180&deg;, 180&deg;).
+ *
+ * @param {!number} lon0 central meridian of the projection (degrees).
+ * @param {!number} x easting of point (meters).
+ * @param {!number} y northing of point (meters).
+ * @return {!{lat: number, lon: number, gamma: number, k: number}} The
+ *     latitude <i>lat</i> and longitude <i>lon</i> (degrees), the meridian
+ *     convergence <i>gamma</i> (degrees) and the point scale <i>k</i>.
+ */
+net.sf.geographiclib.TransverseMercatorExact.prototype.Reverse =
+    function(lon0, x, y) {
+  var GeoMath = net.sf.geographiclib.GeoMath;
+  // This undoes the steps in Forward.
+  var
+      xi = y / (this._a * this._k0),
+      eta = x / (this._a * this._k0),
+      // Explicitly enforce the parity
+      xisign = !this._extendp &&
+          (xi < 0 || (xi == 0 && 1 / xi < 0)) ? -1 : 1,
+      etasign = !this._extendp &&
+          (eta < 0 || (eta == 0 && 1 / eta < 0)) ? -1 : 1;
+  xi *= xisign;
+  eta *= etasign;
+  var backside = !this._extendp && xi > this._Eu.E();
+  if (backside)
+    xi = 2 * this._Eu.E() - xi;
+  // u,v = coordinates for the Thompson TM, Lee 54
+  var w = xi == 0 && eta == this._Ev.KE() ?
+      {u: 0, v: this._Ev.K()} :
+      this.sigmainv_(xi, eta);
+  var
+      U = this._Eu.sncndn(w.u),
+      V = this._Ev.sncndn(w.v),
+      lat, lon, gamma, k;
+  if (w.v != 0 || w.u != this._Eu.K()) {
+    var
+        z = this.zeta_(U, V),
+        tau = GeoMath.tauf(z.taup, this._e),
+        sc = this.scale_(tau, U, V);
+    lat = Math.atan(tau) / GeoMath.degree;
+    lon = z.lam / GeoMath.degree;
+    gamma = sc.gamma;
+    k = sc.k;
+  } else {
+    lat = 90;
+    lon = gamma = 0;
+    k = 1;
+  }
+  if (backside)
+    lon = 180 - lon;
+  lon *= etasign;
+  lat *= xisign;
+  if (backside)
+    gamma = 180 - gamma;
+  gamma *= xisign * etasign;
+  return {
+    lat: lat,
+    lon: GeoMath.angNormalize2(lon + GeoMath.angNormalize(lon0)),
+    gamma: gamma,
+    k: k * this._k0
+  };
+};
+
+
+/**
+ * A TransverseMercatorExact object for the WGS84 ellipsoid with the UTM
+ * scale factor <i>k0</i> = 0.9996.
+ * @const
+ * @type {!net.sf.geographiclib.TransverseMercatorExact}
+ */
+net.sf.geographiclib.TransverseMercatorExact.UTM =
+    new net.sf.geographiclib.TransverseMercatorExact(
+        net.sf.geographiclib.Ellipsoid.WGS84.a,
+        net.sf.geographiclib.Ellipsoid.WGS84.f, 0.9996);
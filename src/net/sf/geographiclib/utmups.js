@@ -0,0 +1,447 @@
+goog.provide('net.sf.geographiclib.UTMUPS');
+
+goog.require('goog.asserts');
+goog.require('net.sf.geographiclib.GeoMath');
+goog.require('net.sf.geographiclib.PolarStereographic');
+goog.require('net.sf.geographiclib.TransverseMercator');
+
+
+
+/**
+ * Convert between geographic coordinates and UTM/UPS.
+ * <p>
+ * UTM and UPS are defined
+ * <ul>
+ * <li>
+ *   J. W. Hager, J. F. Behensky, and B. W. Drew, The Universal Grids:
+ *   Universal Transverse Mercator (UTM) and Universal Polar Stereographic
+ *   (UPS), Defense Mapping Agency, Technical Manual TM8358.2 (1989).
+ * </ul>
+ * Section 2-3 defines UTM and section 3-2.4 defines UPS.  The UTM zones are
+ * 6&deg; wide and are numbered 1 through 60 starting at 180&deg;W; zone 32
+ * is widened to cover southern Norway and zones 31 through 37 are modified
+ * around Svalbard.  UPS, which is indicated by zone 0, covers the polar caps
+ * north of 84&deg;N and south of 80&deg;S.  The hemisphere is given by
+ * <i>northp</i>, which is true for the northern hemisphere.
+ * <p>
+ * UTM uses {@link net.sf.geographiclib.TransverseMercator.UTM} and UPS uses
+ * {@link net.sf.geographiclib.PolarStereographic.UPS}, so the coordinates
+ * are always on the WGS84 ellipsoid.  The false eastings and northings are
+ * included in <i>x</i> and <i>y</i>.
+ * <p>
+ * Forward and Reverse accept coordinates 100 km beyond the formal limits of
+ * the grids (this allows for the zones to overlap).  If <i>mgrslimits</i> is
+ * true, they are held to the tighter limits used by MGRS.
+ * @constructor
+ */
+net.sf.geographiclib.UTMUPS = function() {
+};
+
+
+/**
+ * The smallest pseudo-zone number.
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.UTMUPS.MINPSEUDOZONE = -4;
+
+
+/**
+ * A marker for an undefined or invalid zone.  Equivalent to NaN.
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.UTMUPS.INVALID = -4;
+
+
+/**
+ * If a coordinate already includes zone information (e.g., it is an MGRS
+ * coordinate), use that, otherwise apply the UTMUPS.STANDARD rules.
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.UTMUPS.MATCH = -3;
+
+
+/**
+ * Apply the standard rules for UTMUPS.StandardZone except that UTM is used
+ * everywhere, even at the poles.
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.UTMUPS.UTM = -2;
+
+
+/**
+ * Apply the standard rules for zone number, UPS for latitudes beyond
+ * 84&deg;N and 80&deg;S and UTM elsewhere with the Norway and Svalbard
+ * exceptions.
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.UTMUPS.STANDARD = -1;
+
+
+/**
+ * The zone number used for UPS.
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.UTMUPS.UPS = 0;
+
+
+/**
+ * The smallest physical zone number.
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.UTMUPS.MINZONE = 0;
+
+
+/**
+ * The smallest UTM zone number.
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.UTMUPS.MINUTMZONE = 1;
+
+
+/**
+ * The largest UTM zone number.
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.UTMUPS.MAXUTMZONE = 60;
+
+
+/**
+ * The largest physical zone number.
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.UTMUPS.MAXZONE = 60;
+
+
+// The tables below are indexed by (utmp ? 2 : 0) + (northp ? 1 : 0), i.e.,
+// UPS S, UPS N, UTM S, UTM N.  The limits are multiples of the 100 km MGRS
+// tile size.
+
+
+/**
+ * @private
+ * @const
+ * @type {!Array.<!number>}
+ */
+net.sf.geographiclib.UTMUPS.falseeasting_ =
+    [2000000, 2000000, 500000, 500000];
+
+
+/**
+ * @private
+ * @const
+ * @type {!Array.<!number>}
+ */
+net.sf.geographiclib.UTMUPS.falsenorthing_ =
+    [2000000, 2000000, 10000000, 0];
+
+
+/**
+ * @private
+ * @const
+ * @type {!Array.<!number>}
+ */
+net.sf.geographiclib.UTMUPS.mineasting_ =
+    [800000, 1300000, 100000, 100000];
+
+
+/**
+ * @private
+ * @const
+ * @type {!Array.<!number>}
+ */
+net.sf.geographiclib.UTMUPS.maxeasting_ =
+    [3200000, 2700000, 900000, 900000];
+
+
+/**
+ * @private
+ * @const
+ * @type {!Array.<!number>}
+ */
+net.sf.geographiclib.UTMUPS.minnorthing_ =
+    [800000, 1300000, 1000000, -9000000];
+
+
+/**
+ * @private
+ * @const
+ * @type {!Array.<!number>}
+ */
+net.sf.geographiclib.UTMUPS.maxnorthing_ =
+    [3200000, 2700000, 19500000, 9500000];
+
+
+/**
+ * The MGRS tile size, the slop allowed beyond the grid limits.
+ * @private
+ * @const
+ * @type {!number}
+ */
+net.sf.geographiclib.UTMUPS.tile_ = 100000;
+
+
+/**
+ * The latitude band, from &minus;10 for C (80&deg;S) to 9 for X (72&deg;N).
+ * @private
+ * @param {!number} lat
+ * @return {!number}
+ */
+net.sf.geographiclib.UTMUPS.latitudeBand_ = function(lat) {
+  var ilat = Math.floor(lat);
+  return Math.max(-10, Math.min(9, Math.floor((ilat + 80) / 8) - 10));
+};
+
+
+/**
+ * The standard zone.
+ * <p>
+ * This is exact.  If <i>setzone</i> is a physical zone (in [0, 60]) it is
+ * returned unchanged.  Otherwise the zone is chosen by the rules given by
+ * UTMUPS.STANDARD and UTMUPS.UTM; UTMUPS.MATCH is treated as
+ * UTMUPS.STANDARD.
+ *
+ * @param {!number} lat latitude (degrees).
+ * @param {!number} lon longitude (degrees).
+ * @param {!number=} opt_setzone zone override (default UTMUPS.STANDARD).
+ * @return {!number} the zone, or UTMUPS.INVALID if <i>lat</i> or <i>lon</i>
+ *     is NaN.
+ */
+net.sf.geographiclib.UTMUPS.StandardZone = function(lat, lon, opt_setzone) {
+  var UTMUPS = net.sf.geographiclib.UTMUPS;
+  var setzone = goog.isDef(opt_setzone) ? opt_setzone : UTMUPS.STANDARD;
+  goog.asserts.assert(setzone >= UTMUPS.MINPSEUDOZONE &&
+                      setzone <= UTMUPS.MAXZONE &&
+                      Math.floor(setzone) == setzone,
+                      'Illegal zone requested ' + setzone);
+  if (setzone >= UTMUPS.MINZONE || setzone == UTMUPS.INVALID)
+    return setzone;
+  if (isNaN(lat) || isNaN(lon))
+    return UTMUPS.INVALID;
+  if (setzone == UTMUPS.UTM || (lat >= -80 && lat < 84)) {
+    var ilon = Math.floor(net.sf.geographiclib.GeoMath.angNormalize2(lon));
+    if (ilon == 180) ilon = -180; // ilon now in [-180,180)
+    var
+        zone = Math.floor((ilon + 186) / 6),
+        band = UTMUPS.latitudeBand_(lat);
+    if (band == 7 && zone == 31 && ilon >= 3) // The Norway exception
+      zone = 32;
+    else if (band == 9 && ilon >= 0 && ilon < 42) // The Svalbard exception
+      zone = 2 * Math.floor((ilon + 183) / 12) + 1;
+    return zone;
+  } else
+    return UTMUPS.UPS;
+};
+
+
+/**
+ * The central meridian of a UTM zone.
+ *
+ * @param {!number} zone the UTM zone, in [1, 60].
+ * @return {!number} the central meridian (degrees).
+ */
+net.sf.geographiclib.UTMUPS.CentralMeridian = function(zone) {
+  return 6 * zone - 183;
+};
+
+
+/**
+ * Convert geographic coordinates to UTM or UPS.
+ * <p>
+ * The prescriptions for picking the zone are given by <i>setzone</i>; pass a
+ * zone number in [1, 60] to force the use of a particular (e.g. a
+ * neighbouring) UTM zone and 0 to force UPS.  The point must lie within
+ * 60&deg; of the central meridian of a forced UTM zone and within 20&deg; of
+ * the pole for UPS.
+ *
+ * @param {!number} lat latitude of point (degrees), in [&minus;90&deg;,
+ *     90&deg;].
+ * @param {!number} lon longitude of point (degrees).
+ * @param {!number=} opt_setzone zone override (default UTMUPS.STANDARD).
+ * @param {!boolean=} opt_mgrslimits if true enforce the stricter MGRS limits
+ *     on the coordinates (default = false).
+ * @return {!{zone: number, northp: boolean, x: number, y: number,
+ *     gamma: number, k: number}} The zone, the hemisphere, the easting
+ *     <i>x</i> and northing <i>y</i> (meters), the meridian convergence
+ *     <i>gamma</i> (degrees) and the point scale <i>k</i>.  The coordinates
+ *     are NaN if the zone is UTMUPS.INVALID.
+ */
+net.sf.geographiclib.UTMUPS.Forward =
+    function(lat, lon, opt_setzone, opt_mgrslimits) {
+  var UTMUPS = net.sf.geographiclib.UTMUPS;
+  goog.asserts.assert(!(Math.abs(lat) > 90),
+                      'Latitude ' + lat + 'd not in [-90d, 90d]');
+  var
+      northp = !(lat < 0 || (lat == 0 && 1 / lat < 0)),
+      zone = UTMUPS.StandardZone(lat, lon, opt_setzone);
+  if (zone == UTMUPS.INVALID)
+    return {
+      zone: zone,
+      northp: northp,
+      x: Number.NaN,
+      y: Number.NaN,
+      gamma: Number.NaN,
+      k: Number.NaN
+    };
+  var utmp = zone != UTMUPS.UPS, r;
+  if (utmp) {
+    var
+        lon0 = UTMUPS.CentralMeridian(zone),
+        dlon = net.sf.geographiclib.GeoMath.angDiff(
+            lon0, net.sf.geographiclib.GeoMath.angNormalize2(lon));
+    goog.asserts.assert(!(Math.abs(dlon) > 60),
+                        'Longitude ' + lon +
+                        'd more than 60d from center of UTM zone ' + zone);
+    r = net.sf.geographiclib.TransverseMercator.UTM.Forward(lon0, lat, lon);
+  } else {
+    goog.asserts.assert(!(Math.abs(lat) < 70),
+                        'Latitude ' + lat + 'd more than 20d from ' +
+                        (northp ? 'N' : 'S') + ' pole');
+    r = net.sf.geographiclib.PolarStereographic.UPS.Forward(northp, lat, lon);
+  }
+  var
+      ind = (utmp ? 2 : 0) + (northp ? 1 : 0),
+      x = r.x + UTMUPS.falseeasting_[ind],
+      y = r.y + UTMUPS.falsenorthing_[ind];
+  goog.asserts.assert(UTMUPS.CheckCoords(utmp, northp, x, y, opt_mgrslimits),
+                      'Latitude ' + lat + ', longitude ' + lon +
+                      ' out of legal range for ' +
+                      (utmp ? 'UTM zone ' + zone : 'UPS'));
+  return {
+    zone: zone,
+    northp: northp,
+    x: x,
+    y: y,
+    gamma: r.gamma,
+    k: r.k
+  };
+};
+
+
+/**
+ * Convert UTM or UPS coordinates to geographic.
+ *
+ * @param {!number} zone the UTM zone (0 means UPS).
+ * @param {!boolean} northp hemisphere (true means north, false means south).
+ * @param {!number} x easting of point (meters).
+ * @param {!number} y northing of point (meters).
+ * @param {!boolean=} opt_mgrslimits if true enforce the stricter MGRS limits
+ *     on the coordinates (default = false).
+ * @return {!{lat: number, lon: number, gamma: number, k: number}} The
+ *     latitude <i>lat</i> and longitude <i>lon</i> (degrees), the meridian
+ *     convergence <i>gamma</i> (degrees) and the point scale <i>k</i>.  These
+ *     are NaN if the zone is UTMUPS.INVALID or <i>x</i> or <i>y</i> is NaN.
+ */
+net.sf.geographiclib.UTMUPS.Reverse =
+    function(zone, northp, x, y, opt_mgrslimits) {
+  var UTMUPS = net.sf.geographiclib.UTMUPS;
+  if (zone == UTMUPS.INVALID || isNaN(x) || isNaN(y))
+    return {
+      lat: Number.NaN,
+      lon: Number.NaN,
+      gamma: Number.NaN,
+      k: Number.NaN
+    };
+  goog.asserts.assert(zone >= UTMUPS.MINZONE && zone <= UTMUPS.MAXZONE,
+                      'Zone ' + zone + ' not in range [0, 60]');
+  var utmp = zone != UTMUPS.UPS;
+  goog.asserts.assert(UTMUPS.CheckCoords(utmp, northp, x, y, opt_mgrslimits),
+                      'Easting ' + x + ' or northing ' + y +
+                      ' out of legal range for ' +
+                      (utmp ? 'UTM' : 'UPS') + ' ' +
+                      (northp ? 'N' : 'S') + ' hemisphere');
+  var ind = (utmp ? 2 : 0) + (northp ? 1 : 0);
+  x -= UTMUPS.falseeasting_[ind];
+  y -= UTMUPS.falsenorthing_[ind];
+  return utmp ?
+      net.sf.geographiclib.TransverseMercator.UTM.Reverse(
+          UTMUPS.CentralMeridian(zone), x, y) :
+      net.sf.geographiclib.PolarStereographic.UPS.Reverse(northp, x, y);
+};
+
+
+/**
+ * Check that UTM or UPS coordinates are in the legal range.  The limits are
+ * all multiples of 100 km and are closed on both ends; NaNs pass.
+ *
+ * @param {!boolean} utmp true for UTM, false for UPS.
+ * @param {!boolean} northp hemisphere (true means north, false means south).
+ * @param {!number} x easting of point (meters).
+ * @param {!number} y northing of point (meters).
+ * @param {!boolean=} opt_mgrslimits if true use the stricter MGRS limits
+ *     (default = false).
+ * @return {!boolean} whether the coordinates are in range.
+ */
+net.sf.geographiclib.UTMUPS.CheckCoords =
+    function(utmp, northp, x, y, opt_mgrslimits) {
+  var UTMUPS = net.sf.geographiclib.UTMUPS;
+  var
+      slop = opt_mgrslimits ? 0 : UTMUPS.tile_,
+      ind = (utmp ? 2 : 0) + (northp ? 1 : 0);
+  return !(x < UTMUPS.mineasting_[ind] - slop ||
+           x > UTMUPS.maxeasting_[ind] + slop ||
+           y < UTMUPS.minnorthing_[ind] - slop ||
+           y > UTMUPS.maxnorthing_[ind] + slop);
+};
+
+
+/**
+ * Encode a zone and hemisphere as a string, e.g. "38n" or "38north" for UTM
+ * and "n" or "north" for UPS.
+ *
+ * @param {!number} zone the UTM zone (0 means UPS) or UTMUPS.INVALID.
+ * @param {!boolean} northp hemisphere (true means north, false means south).
+ * @param {!boolean=} opt_abbrev if true (the default) use the abbreviated
+ *     forms n and s for the hemisphere.
+ * @return {!string}
+ */
+net.sf.geographiclib.UTMUPS.EncodeZone = function(zone, northp, opt_abbrev) {
+  var UTMUPS = net.sf.geographiclib.UTMUPS;
+  var abbrev = goog.isDef(opt_abbrev) ? opt_abbrev : true;
+  if (zone == UTMUPS.INVALID)
+    return abbrev ? 'inv' : 'invalid';
+  goog.asserts.assert(zone >= UTMUPS.MINZONE && zone <= UTMUPS.MAXZONE,
+                      'Zone ' + zone + ' not in range [0, 60]');
+  return (zone != UTMUPS.UPS ? (zone < 10 ? '0' : '') + zone : '') +
+      (abbrev ? (northp ? 'n' : 's') : (northp ? 'north' : 'south'));
+};
+
+
+/**
+ * Decode a zone string as written by UTMUPS.EncodeZone, e.g. "38n",
+ * "38North" or "s".  The zone is one or two digits followed by the
+ * hemisphere, n, north, s or south (case is ignored); UPS is given by the
+ * hemisphere alone and "inv" or "invalid" give UTMUPS.INVALID.
+ *
+ * @param {!string} zonestr the zone string.
+ * @return {?{zone: number, northp: boolean}} The zone and hemisphere, or
+ *     null if <i>zonestr</i> is not a legal zone.
+ */
+net.sf.geographiclib.UTMUPS.DecodeZone = function(zonestr) {
+  var UTMUPS = net.sf.geographiclib.UTMUPS;
+  var m = /^(\d{0,2})([a-z]*)$/.exec(zonestr.toLowerCase());
+  if (!m)
+    return null;
+  var
+      zone = m[1] == '' ? UTMUPS.UPS : parseInt(m[1], 10),
+      hemi = m[2];
+  if (m[1] == '' && (hemi == 'inv' || hemi == 'invalid'))
+    return {zone: UTMUPS.INVALID, northp: false};
+  // Don't allow 0n as an alternative to n for UPS coordinates
+  if (m[1] != '' &&
+      !(zone >= UTMUPS.MINUTMZONE && zone <= UTMUPS.MAXUTMZONE))
+    return null;
+  var northp = hemi == 'north' || hemi == 'n';
+  if (!(northp || hemi == 'south' || hemi == 's'))
+    return null;
+  return {zone: zone, northp: northp};
+};
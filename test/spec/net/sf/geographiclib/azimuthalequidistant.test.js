@@ -0,0 +1,59 @@
+goog.provide('net.sf.geographiclib.AzimuthalEquidistant.test');
+
+describe('net.sf.geographiclib.AzimuthalEquidistant', function() {
+  var proj = new net.sf.geographiclib.AzimuthalEquidistant();
+
+  describe('Forward', function() {
+    it('gives the distance and azimuth from the center', function() {
+      var r = proj.Forward(51.5, -0.1278, 40.6, -73.8);
+      expect(r.x).to.roughlyEqual(-5302641.524383877, 1e-6);
+      expect(r.y).to.roughlyEqual(1736550.0742784026, 1e-6);
+      expect(r.azi).to.roughlyEqual(-128.77046478859933, 1e-12);
+      expect(r.rk).to.roughlyEqual(0.8774032809082284, 1e-14);
+    });
+
+    it('puts the cardinal directions on the axes', function() {
+      var r = proj.Forward(0, 0, 0, 90);
+      expect(r.x).to.roughlyEqual(10018754.171394622, 1e-6);
+      expect(r.y).to.be(0);
+      expect(r.azi).to.be(90);
+      r = proj.Forward(0, 0, 10, 0);
+      expect(r.x).to.be(0);
+      expect(r.y).to.roughlyEqual(1105854.8332343725, 1e-6);
+    });
+
+    it('has unit scale at the center', function() {
+      var r = proj.Forward(10, 10, 10, 10);
+      expect(r.x).to.be(0);
+      expect(r.y).to.be(0);
+      expect(r.rk).to.be(1);
+    });
+
+    it('maps the antipodal region', function() {
+      var r = proj.Forward(0, 0, -30, 170);
+      expect(r.x).to.roughlyEqual(4711589.096236258, 1e-6);
+      expect(r.y).to.roughlyEqual(-15835320.13596332, 1e-6);
+      expect(r.rk).to.roughlyEqual(0.2034601854899165, 1e-14);
+    });
+  });
+
+  describe('Reverse', function() {
+    it('inverts Forward', function() {
+      var f = proj.Forward(51.5, -0.1278, 40.6, -73.8),
+          r = proj.Reverse(51.5, -0.1278, f.x, f.y);
+      expect(r.lat).to.roughlyEqual(40.6, 1e-12);
+      expect(r.lon).to.roughlyEqual(-73.8, 1e-12);
+      expect(r.azi).to.roughlyEqual(f.azi, 1e-12);
+      expect(r.rk).to.roughlyEqual(f.rk, 1e-14);
+    });
+
+    it('maps the origin to the center', function() {
+      var r = proj.Reverse(3, 4, 0, 0);
+      expect(r.lat).to.roughlyEqual(3, 1e-14);
+      expect(r.lon).to.roughlyEqual(4, 1e-14);
+      expect(r.rk).to.be(1);
+    });
+  });
+});
+
+goog.require('net.sf.geographiclib.AzimuthalEquidistant');
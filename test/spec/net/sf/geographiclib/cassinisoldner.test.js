@@ -0,0 +1,59 @@
+goog.provide('net.sf.geographiclib.CassiniSoldner.test');
+
+describe('net.sf.geographiclib.CassiniSoldner', function() {
+  var CassiniSoldner = net.sf.geographiclib.CassiniSoldner;
+
+  describe('Forward', function() {
+    it('converts to easting and northing', function() {
+      var r = new CassiniSoldner(1, 1).Forward(2, 2);
+      expect(r.x).to.roughlyEqual(111252.12463986682, 1e-7);
+      expect(r.y).to.roughlyEqual(110608.9515934759, 1e-7);
+      expect(r.azi).to.roughlyEqual(90.034903060312, 1e-12);
+      expect(r.rk).to.roughlyEqual(0.9998468567417236, 1e-14);
+    });
+
+    it('maps the center to the origin', function() {
+      var r = new CassiniSoldner(10.44, -61.3).Forward(10.44, -61.3);
+      expect(r.x).to.be(0);
+      expect(r.y).to.be(0);
+      expect(r.azi).to.be(90);
+      expect(r.rk).to.be(1);
+    });
+
+    it('agrees with the series for small distances', function() {
+      // Values from Snyder's series, accurate to about 10 micrometers here
+      var r = new CassiniSoldner(52, 5).Forward(51.7, 4.6);
+      expect(r.x).to.roughlyEqual(-27654.32322985, 1e-5);
+      expect(r.y).to.roughlyEqual(-33303.59361722, 2e-5);
+    });
+  });
+
+  describe('Reverse', function() {
+    it('inverts Forward', function() {
+      var cs = new CassiniSoldner(-35, 150),
+          pts = [[-35.5, 151.2], [-20, 140], [10, 155], [-89, 0]];
+      pts.forEach(function(p) {
+        var f = cs.Forward(p[0], p[1]),
+            r = cs.Reverse(f.x, f.y);
+        expect(r.lat).to.roughlyEqual(p[0], 1e-12);
+        expect(r.lon).to.roughlyEqual(p[1], 1e-11);
+        expect(r.azi).to.roughlyEqual(f.azi, 1e-11);
+        expect(r.rk).to.roughlyEqual(f.rk, 1e-14);
+      });
+    });
+  });
+
+  describe('Reset', function() {
+    it('moves the center', function() {
+      var cs = new CassiniSoldner(1, 1);
+      cs.Reset(52, 365);
+      expect(cs.LatitudeOrigin()).to.be(52);
+      expect(cs.LongitudeOrigin()).to.be(5);
+      var r = cs.Forward(52.3, 5);
+      expect(r.x).to.be(0);
+      expect(r.rk).to.roughlyEqual(1, 1e-15);
+    });
+  });
+});
+
+goog.require('net.sf.geographiclib.CassiniSoldner');
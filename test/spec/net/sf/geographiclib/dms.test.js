@@ -0,0 +1,130 @@
+goog.provide('net.sf.geographiclib.DMS.test');
+
+describe('net.sf.geographiclib.DMS', function() {
+  var DMS = net.sf.geographiclib.DMS;
+
+  describe('Decode', function() {
+    it('decodes degrees, minutes and seconds', function() {
+      var r = DMS.Decode('40\u00b026\'46"N');
+      expect(r.val).to.roughlyEqual(40.44611111111111, 1e-14);
+      expect(r.ind).to.be(DMS.LATITUDE);
+      expect(DMS.Decode('40d26m46s').val).to.roughlyEqual(
+          40.44611111111111, 1e-14);
+      expect(DMS.Decode('40\u00b0 26\u2032 46\u2033 N').val).to.roughlyEqual(
+          40.44611111111111, 1e-14);
+      expect(DMS.Decode('40:26.5').val).to.roughlyEqual(
+          40.44166666666667, 1e-14);
+    });
+
+    it('applies the hemisphere and sign', function() {
+      var r = DMS.Decode('40:26:46.3 W');
+      expect(r.val).to.roughlyEqual(-40.446194444444444, 1e-14);
+      expect(r.ind).to.be(DMS.LONGITUDE);
+      r = DMS.Decode('-40.446');
+      expect(r.val).to.be(-40.446);
+      expect(r.ind).to.be(DMS.NONE);
+      expect(DMS.Decode('S40.446').val).to.be(-40.446);
+      expect(DMS.Decode('\u221240.446').val).to.be(-40.446);
+    });
+
+    it('sums pieces', function() {
+      expect(DMS.Decode('4d0\'9"+3\'').val).to.roughlyEqual(4.0525, 1e-14);
+      expect(DMS.Decode('-4d0\'9"+3\'').val).to.roughlyEqual(-3.9525, 1e-14);
+    });
+
+    it('accepts NaN and inf', function() {
+      expect(isNaN(DMS.Decode('nan').val)).to.be(true);
+      expect(DMS.Decode('-inf').val).to.be(Number.NEGATIVE_INFINITY);
+    });
+
+    it('throws descriptive errors', function() {
+      var messages = {
+        '': /^Empty or incomplete DMS string $/,
+        'S40.5N': /^Contradictory hemisphere indicators S and N in S40.5N$/,
+        'N40.5N': /^Repeated hemisphere indicators N in N40.5N$/,
+        '40d60': /^Minutes 60 not in range \[0,60\)$/,
+        '1.2.3': /^Multiple decimal points in 1.2.3$/,
+        '40:': /^Illegal for colon to appear at the end of 40:$/,
+        '40"d': /^degrees component follows seconds component in 40"d$/,
+        '1e5': /^Illegal character e in DMS string 1e5$/
+      };
+      goog.object.forEach(messages, function(re, dms) {
+        expect(function() {
+          DMS.Decode(dms);
+        }).to.throwException(re);
+      });
+    });
+  });
+
+  describe('DecodeLatLon', function() {
+    it('uses the hemisphere designators to order the values', function() {
+      var r = DMS.DecodeLatLon('3d30W', '51.5N');
+      expect(r.lat).to.be(51.5);
+      expect(r.lon).to.be(-3.5);
+      r = DMS.DecodeLatLon('-3.5', '51.5', true);
+      expect(r.lat).to.be(51.5);
+      expect(r.lon).to.be(-3.5);
+      r = DMS.DecodeLatLon('51.5', '-3.5');
+      expect(r.lat).to.be(51.5);
+      expect(r.lon).to.be(-3.5);
+    });
+
+    it('rejects ambiguous or out of range values', function() {
+      expect(function() {
+        DMS.DecodeLatLon('10N', '20S');
+      }).to.throwException(/^Both 10N and 20S interpreted as latitudes$/);
+      expect(function() {
+        DMS.DecodeLatLon('91', '20');
+      }).to.throwException(/^Latitude 91 not in \[-90,90\]$/);
+    });
+  });
+
+  describe('DecodeAngle and DecodeAzimuth', function() {
+    it('checks the hemisphere designators', function() {
+      expect(DMS.DecodeAngle('30d15')).to.be(30.25);
+      expect(DMS.DecodeAzimuth('30W')).to.be(-30);
+      expect(function() {
+        DMS.DecodeAngle('30N');
+      }).to.throwException(/^Arc angle 30N includes a hemisphere/);
+      expect(function() {
+        DMS.DecodeAzimuth('30N');
+      }).to.throwException(/^Azimuth 30N has a latitude hemisphere/);
+    });
+  });
+
+  describe('Encode', function() {
+    it('formats each trailing component', function() {
+      expect(DMS.Encode(40.446195, DMS.DEGREE, 4)).to.be('40.4462\u00b0');
+      expect(DMS.Encode(40.446195, DMS.MINUTE, 2)).to.be(
+          '40\u00b026.77\'');
+      expect(DMS.Encode(40.446195, DMS.SECOND, 1)).to.be(
+          '40\u00b026\'46.3"');
+    });
+
+    it('formats latitudes, longitudes and azimuths', function() {
+      expect(DMS.Encode(-8.05, DMS.MINUTE, 0)).to.be('-8\u00b003\'');
+      expect(DMS.Encode(-8.05, DMS.MINUTE, 0, DMS.LATITUDE)).to.be(
+          '08\u00b003\'S');
+      expect(DMS.Encode(-8.05, DMS.MINUTE, 0, DMS.LONGITUDE)).to.be(
+          '008\u00b003\'W');
+      expect(DMS.Encode(-8.05, DMS.MINUTE, 0, DMS.AZIMUTH)).to.be(
+          '351\u00b057\'');
+    });
+
+    it('rounds ties to even and carries', function() {
+      expect(DMS.Encode(2.5, DMS.DEGREE, 0)).to.be('2\u00b0');
+      expect(DMS.Encode(3.5, DMS.DEGREE, 0)).to.be('4\u00b0');
+      expect(DMS.Encode(10.9999999, DMS.SECOND, 0)).to.be(
+          '11\u00b000\'00"');
+    });
+
+    it('inverts Decode', function() {
+      var s = DMS.Encode(-40.446195, DMS.SECOND, 3, DMS.LONGITUDE);
+      expect(s).to.be('040\u00b026\'46.302"W');
+      expect(DMS.Decode(s).val).to.roughlyEqual(-40.446195, 1e-9);
+    });
+  });
+});
+
+goog.require('goog.object');
+goog.require('net.sf.geographiclib.DMS');
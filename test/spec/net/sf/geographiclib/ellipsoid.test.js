@@ -0,0 +1,57 @@
+goog.provide('net.sf.geographiclib.Ellipsoid.test');
+
+describe('net.sf.geographiclib.Ellipsoid', function() {
+  it('accepts the flattening or its reciprocal', function() {
+    var e1 = new net.sf.geographiclib.Ellipsoid(6378137, 298.257223563);
+    var e2 = new net.sf.geographiclib.Ellipsoid(6378137, 1 / 298.257223563);
+    expect(e1.f).to.be(e2.f);
+    expect(new net.sf.geographiclib.Ellipsoid(1737400, 0).f).to.be(0);
+  });
+
+  it('rejects degenerate ellipsoids', function() {
+    expect(function() {
+      new net.sf.geographiclib.Ellipsoid(0, 0);
+    }).to.throwException();
+    expect(function() {
+      new net.sf.geographiclib.Ellipsoid(6378137, 1);
+    }).to.throwException();
+  });
+
+  it('looks up registered ellipsoids ignoring case', function() {
+    var grs80 = net.sf.geographiclib.Ellipsoid.get('grs80');
+    expect(grs80.a).to.be(6378137);
+    expect(grs80.f).to.be(1 / 298.257222101);
+    expect(net.sf.geographiclib.Ellipsoid.get('Tokyo')).to.be(
+        net.sf.geographiclib.Ellipsoid.get('Bessel1841'));
+    expect(net.sf.geographiclib.Ellipsoid.get('WGS84')).to.be(
+        net.sf.geographiclib.Ellipsoid.WGS84);
+  });
+
+  it('registers new ellipsoids', function() {
+    var names = net.sf.geographiclib.Ellipsoid.getNames();
+    expect(names).to.contain('CLARKE1866');
+    expect(names).to.contain('MARS');
+    var ellipsoid = new net.sf.geographiclib.Ellipsoid(6371000, 0);
+    net.sf.geographiclib.Ellipsoid.register('TestSphere', ellipsoid);
+    try {
+      expect(net.sf.geographiclib.Ellipsoid.get('testsphere')).to.be(
+          ellipsoid);
+    } finally {
+      net.sf.geographiclib.Ellipsoid.unregister('TestSphere');
+    }
+    expect(net.sf.geographiclib.Ellipsoid.getNames()).not.to.contain(
+        'TESTSPHERE');
+  });
+
+  it('rejects unknown names', function() {
+    expect(function() {
+      net.sf.geographiclib.Ellipsoid.get('GRS08');
+    }).to.throwException(/Unknown ellipsoid: GRS08/);
+    expect(function() {
+      new net.sf.geographiclib.Interface('GRS08');
+    }).to.throwException(/Unknown ellipsoid: GRS08/);
+  });
+});
+
+goog.require('net.sf.geographiclib.Ellipsoid');
+goog.require('net.sf.geographiclib.Interface');
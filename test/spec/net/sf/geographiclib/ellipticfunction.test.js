@@ -0,0 +1,127 @@
+goog.provide('net.sf.geographiclib.EllipticFunction.test');
+
+describe('net.sf.geographiclib.EllipticFunction', function() {
+  var EllipticFunction = net.sf.geographiclib.EllipticFunction;
+
+  describe('symmetric integrals', function() {
+    // Test values from Carlson (1995), Sec. 3.
+    it('computes RF', function() {
+      expect(EllipticFunction.RF(1, 2, 0)).to.roughlyEqual(1.3110287771461,
+                                                            1e-13);
+      expect(EllipticFunction.RF(1, 2)).to.roughlyEqual(1.3110287771461, 1e-13);
+      expect(EllipticFunction.RF(2, 3, 4)).to.roughlyEqual(0.58408284167715,
+                                                            1e-13);
+    });
+
+    it('computes RC', function() {
+      expect(EllipticFunction.RC(0, 1 / 4)).to.roughlyEqual(Math.PI, 1e-13);
+      expect(EllipticFunction.RC(9 / 4, 2)).to.roughlyEqual(Math.LN2, 1e-13);
+    });
+
+    it('computes RD', function() {
+      expect(EllipticFunction.RD(0, 2, 1)).to.roughlyEqual(1.7972103521034,
+                                                            1e-13);
+      expect(EllipticFunction.RD(2, 3, 4)).to.roughlyEqual(0.16510527294261,
+                                                            1e-13);
+    });
+
+    it('computes RJ', function() {
+      expect(EllipticFunction.RJ(0, 1, 2, 3)).to.roughlyEqual(0.77688623778582,
+                                                               1e-13);
+      expect(EllipticFunction.RJ(2, 3, 4, 5)).to.roughlyEqual(0.14297579667157,
+                                                               1e-13);
+    });
+
+    it('computes RG', function() {
+      expect(EllipticFunction.RG(0, 16, 16)).to.roughlyEqual(3.1415926535898,
+                                                              1e-13);
+      expect(EllipticFunction.RG(2, 3, 4)).to.roughlyEqual(1.7255030280692,
+                                                            1e-13);
+      expect(EllipticFunction.RG(0, 0.0796, 4)).to.roughlyEqual(
+          1.0284758090288, 1e-13);
+    });
+  });
+
+  describe('complete integrals', function() {
+    var ell = new EllipticFunction(0.5, 0.3);
+
+    it('computes K, E and D', function() {
+      expect(ell.K()).to.roughlyEqual(1.8540746773013719, 1e-15);
+      expect(ell.F()).to.be(ell.K());
+      expect(ell.E()).to.roughlyEqual(1.3506438810476755, 1e-15);
+      expect(ell.D()).to.roughlyEqual((ell.K() - ell.E()) / 0.5, 1e-15);
+      expect(ell.KE()).to.roughlyEqual(ell.K() - ell.E(), 1e-15);
+    });
+
+    it('computes Pi, G and H', function() {
+      expect(ell.Pi()).to.roughlyEqual(2.2503768219439464, 1e-14);
+      expect(ell.G()).to.roughlyEqual(1.589873247539655, 1e-14);
+      expect(ell.H()).to.roughlyEqual(0.9293696731353639, 1e-14);
+    });
+
+    it('reduces to pi/2 for a circle', function() {
+      var circle = new EllipticFunction(0);
+      expect(circle.K()).to.roughlyEqual(Math.PI / 2, 1e-15);
+      expect(circle.E()).to.roughlyEqual(Math.PI / 2, 1e-15);
+    });
+  });
+
+  describe('incomplete integrals', function() {
+    var ell = new EllipticFunction(0.5, 0.3);
+
+    it('computes F, E and Pi from the amplitude', function() {
+      expect(ell.Fphi(1)).to.roughlyEqual(1.0832167728451687, 1e-14);
+      expect(ell.Ephi(1)).to.roughlyEqual(0.9273298836244401, 1e-14);
+      expect(ell.Piphi(1)).to.roughlyEqual(1.1923254369345582, 1e-14);
+    });
+
+    it('is odd and quasi-periodic in the amplitude', function() {
+      expect(ell.Fphi(-1)).to.roughlyEqual(-ell.Fphi(1), 1e-15);
+      expect(ell.Fphi(1 + 2 * Math.PI)).to.roughlyEqual(
+          ell.Fphi(1) + 4 * ell.K(), 1e-13);
+      expect(ell.Ephi(1 + 2 * Math.PI)).to.roughlyEqual(
+          ell.Ephi(1) + 4 * ell.E(), 1e-13);
+    });
+
+    it('agrees with the sn, cn, dn forms', function() {
+      var sn = Math.sin(2), cn = Math.cos(2), dn = ell.Delta(sn, cn);
+      expect(ell.F(sn, cn, dn)).to.roughlyEqual(ell.Fphi(2), 1e-15);
+      expect(ell.E(sn, cn, dn)).to.roughlyEqual(ell.Ephi(2), 1e-15);
+      expect(ell.Pi(sn, cn, dn)).to.roughlyEqual(ell.Piphi(2), 1e-15);
+    });
+
+    it('inverts E', function() {
+      expect(ell.Einv(ell.Ephi(2.5))).to.roughlyEqual(2.5, 1e-14);
+    });
+  });
+
+  describe('Jacobi elliptic functions', function() {
+    it('computes sn, cn and dn', function() {
+      var r = new EllipticFunction(0.5).sncndn(0.8);
+      expect(r.sn).to.roughlyEqual(0.6909348508664388, 1e-15);
+      expect(r.cn).to.roughlyEqual(0.7229170297192977, 1e-15);
+      expect(r.dn).to.roughlyEqual(0.8725276591198047, 1e-15);
+    });
+
+    it('reduces to hyperbolic functions for k = 1', function() {
+      var r = new EllipticFunction(1).sncndn(0.8);
+      expect(r.sn).to.roughlyEqual(Math.tanh(0.8), 1e-15);
+      expect(r.cn).to.roughlyEqual(1 / Math.cosh(0.8), 1e-15);
+      expect(r.dn).to.be(r.cn);
+    });
+
+    it('gives the amplitude as the inverse of F', function() {
+      [0.5, -3].forEach(function(k2) {
+        var ell = new EllipticFunction(k2);
+        [0.8, -2, 9].forEach(function(x) {
+          var phi = ell.am(x), r = ell.sncndn(x);
+          expect(ell.Fphi(phi)).to.roughlyEqual(x, 1e-13);
+          expect(Math.sin(phi)).to.roughlyEqual(r.sn, 1e-14);
+          expect(ell.Delta(r.sn, r.cn)).to.roughlyEqual(r.dn, 1e-14);
+        });
+      });
+    });
+  });
+});
+
+goog.require('net.sf.geographiclib.EllipticFunction');
@@ -0,0 +1,96 @@
+goog.provide('net.sf.geographiclib.Geocentric.test');
+
+describe('net.sf.geographiclib.Geocentric', function() {
+  var earth = net.sf.geographiclib.Geocentric.WGS84;
+
+  describe('Forward', function() {
+    it('converts geodetic to geocentric coordinates', function() {
+      var r = earth.Forward(27.99, 86.93, 8820);
+      expect(r.X).to.roughlyEqual(302271.4327137992, 1e-8);
+      expect(r.Y).to.roughlyEqual(5635928.367498535, 1e-8);
+      expect(r.Z).to.roughlyEqual(2979666.1349025285, 1e-8);
+      expect(r.M).to.be(undefined);
+    });
+
+    it('puts the cardinal points exactly on the axes', function() {
+      var r = earth.Forward(90, 30, 0);
+      expect(r.X).to.be(0);
+      expect(r.Y).to.be(0);
+      expect(r.Z).to.roughlyEqual(6356752.314245179, 1e-8);
+      r = earth.Forward(0, 90, 0);
+      expect(r.X).to.be(0);
+      expect(r.Y).to.be(6378137);
+      expect(r.Z).to.be(0);
+    });
+  });
+
+  describe('Reverse', function() {
+    it('converts geocentric to geodetic coordinates', function() {
+      var r = earth.Reverse(302e3, 5636e3, 2980e3);
+      expect(r.lat).to.roughlyEqual(27.99241547519508, 1e-12);
+      expect(r.lon).to.roughlyEqual(86.93279043192761, 1e-12);
+      expect(r.h).to.roughlyEqual(9027.026651256827, 1e-8);
+    });
+
+    it('handles the center of the earth', function() {
+      var r = earth.Reverse(0, 0, 0);
+      expect(r.lat).to.be(90);
+      expect(r.lon).to.be(0);
+      expect(r.h).to.roughlyEqual(-6356752.314245179, 1e-8);
+    });
+
+    it('handles points on the polar axis', function() {
+      var r = earth.Reverse(0, 0, -7e6);
+      expect(r.lat).to.be(-90);
+      expect(r.h).to.roughlyEqual(7e6 - 6356752.314245179, 1e-8);
+    });
+
+    it('inverts Forward', function() {
+      var pts = [[0, 0, 0], [45, -120, 1000], [-89.9, 170, -5000],
+                 [10, 10, 1e7], [-33.3, -179.9, 42]];
+      pts.forEach(function(p) {
+        var g = earth.Forward(p[0], p[1], p[2]),
+            r = earth.Reverse(g.X, g.Y, g.Z);
+        expect(r.lat).to.roughlyEqual(p[0], 1e-12);
+        expect(r.lon).to.roughlyEqual(p[1], 1e-12);
+        expect(r.h).to.roughlyEqual(p[2], 1e-8);
+      });
+    });
+
+    it('works for a prolate ellipsoid', function() {
+      var prolate = new net.sf.geographiclib.Geocentric(6378137, -1 / 150),
+          g = prolate.Forward(-40, 60, 2000),
+          r = prolate.Reverse(g.X, g.Y, g.Z);
+      expect(r.lat).to.roughlyEqual(-40, 1e-12);
+      expect(r.lon).to.roughlyEqual(60, 1e-12);
+      expect(r.h).to.roughlyEqual(2000, 1e-8);
+    });
+  });
+
+  describe('rotation matrix', function() {
+    it('maps east, north and up to geocentric vectors', function() {
+      var M = earth.Forward(0, 90, 0, true).M;
+      // east = -X, north = Z, up = Y
+      [-1, 0, 0, 0, 0, 1, 0, 1, 0].forEach(function(v, i) {
+        expect(M[i]).to.roughlyEqual(v, 1e-15);
+      });
+    });
+
+    it('is orthonormal and agrees between Forward and Reverse', function() {
+      var M = earth.Forward(37, -122, 100, true).M,
+          g = earth.Forward(37, -122, 100),
+          N = earth.Reverse(g.X, g.Y, g.Z, true).M;
+      for (var i = 0; i < 3; ++i) {
+        for (var j = 0; j < 3; ++j) {
+          var s = 0;
+          for (var k = 0; k < 3; ++k)
+            s += M[3 * k + i] * M[3 * k + j];
+          expect(s).to.roughlyEqual(i == j ? 1 : 0, 1e-15);
+          expect(N[3 * i + j]).to.roughlyEqual(M[3 * i + j], 1e-14);
+        }
+      }
+    });
+  });
+});
+
+goog.require('net.sf.geographiclib.Geocentric');
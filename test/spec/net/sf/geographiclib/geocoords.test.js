@@ -0,0 +1,122 @@
+goog.provide('net.sf.geographiclib.GeoCoords.test');
+
+describe('net.sf.geographiclib.GeoCoords', function() {
+  var GeoCoords = net.sf.geographiclib.GeoCoords;
+  var UTMUPS = net.sf.geographiclib.UTMUPS;
+
+  describe('Reset', function() {
+    it('parses a latitude and longitude', function() {
+      var c = new GeoCoords('33d18\'N, 44d24\'E');
+      expect(c.Latitude()).to.roughlyEqual(33.3, 1e-14);
+      expect(c.Longitude()).to.roughlyEqual(44.4, 1e-14);
+      expect(c.Zone()).to.be(38);
+      expect(c.Hemisphere()).to.be('N');
+      expect(c.Easting()).to.roughlyEqual(444140.5449184255, 1e-8);
+      expect(c.Northing()).to.roughlyEqual(3684706.355549777, 1e-8);
+      c = new GeoCoords('44.4 33.3', true, true);
+      expect(c.Latitude()).to.be(33.3);
+      expect(c.Longitude()).to.be(44.4);
+    });
+
+    it('parses UTM/UPS with the zone first or last', function() {
+      var c = new GeoCoords('38n 444000 3688000');
+      expect(c.Latitude()).to.roughlyEqual(33.329699474122435, 1e-12);
+      expect(c.Longitude()).to.roughlyEqual(44.39828638628198, 1e-12);
+      c = new GeoCoords('444000 3688000 38N');
+      expect(c.Zone()).to.be(38);
+      expect(c.Northp()).to.be(true);
+      c = new GeoCoords('s 2000000 2000000');
+      expect(c.Zone()).to.be(UTMUPS.UPS);
+      expect(c.Latitude()).to.be(-90);
+    });
+
+    it('moves UTM northings to the correct hemisphere', function() {
+      var c = new GeoCoords('38n 444000 -1000');
+      expect(c.Northp()).to.be(false);
+      expect(c.Northing()).to.be(9999000);
+      expect(c.Latitude()).to.roughlyEqual(-0.009046962354369439, 1e-14);
+    });
+
+    it('parses MGRS', function() {
+      var c = new GeoCoords('38SMB4488');
+      expect(c.Easting()).to.be(444500);
+      expect(c.Northing()).to.be(3688500);
+      c = new GeoCoords('38SMB4488', false);
+      expect(c.Easting()).to.be(444000);
+      expect(c.Northing()).to.be(3688000);
+    });
+
+    it('is invalid until set', function() {
+      var c = new GeoCoords();
+      expect(c.Zone()).to.be(UTMUPS.INVALID);
+      expect(isNaN(c.Latitude())).to.be(true);
+      expect(c.MGRSRepresentation()).to.be('INVALID');
+    });
+
+    it('throws descriptive errors', function() {
+      var messages = {
+        '': /^Coordinate requires 1, 2, or 3 elements$/,
+        '1 2 3': /^Neither 1 nor 3 of the form UTM\/UPS Zone/,
+        '99n 1 1': /^Illegal UTM\/UPS zone 99n$/,
+        '38n abc 1': /^Cannot decode abc as a number$/,
+        '38n 444000 20000000': /^Easting 444000 or northing 20000000 out/,
+        '91 0': /^Latitude 91 not in \[-90,90\]$/,
+        '17n 586310': /^Longitude 586310 not in \[-540,540\)$/,
+        '38SMI': /^Row letter I not in UTM set/
+      };
+      goog.object.forEach(messages, function(re, s) {
+        expect(function() {
+          new GeoCoords(s);
+        }).to.throwException(re);
+      });
+    });
+  });
+
+  describe('representations', function() {
+    var c = new GeoCoords('33.3 44.4');
+
+    it('formats each notation', function() {
+      expect(c.GeoRepresentation()).to.be('33.30000 44.40000');
+      expect(c.GeoRepresentation(-3, true)).to.be('44.40 33.30');
+      expect(c.DMSRepresentation()).to.be(
+          '33\u00b018\'00.0"N 044\u00b024\'00.0"E');
+      expect(c.DMSRepresentation(-3)).to.be('33\u00b018\'N 044\u00b024\'E');
+      expect(c.MGRSRepresentation()).to.be('38SMB4414084706');
+      expect(c.MGRSRepresentation(-4)).to.be('38SMB48');
+      expect(c.UTMUPSRepresentation()).to.be('38n 444141 3684706');
+      expect(c.UTMUPSRepresentation(-3, false)).to.be(
+          '38north 444000 3685000');
+      expect(c.UTMUPSRepresentation(2)).to.be('38n 444140.54 3684706.36');
+    });
+
+    it('round trips', function() {
+      var reps = [c.GeoRepresentation(2), c.DMSRepresentation(2),
+                  c.MGRSRepresentation(2), c.UTMUPSRepresentation(2)];
+      for (var i = 0; i < reps.length; ++i) {
+        var d = new GeoCoords(reps[i]);
+        expect(d.Easting()).to.roughlyEqual(c.Easting(), 0.01);
+        expect(d.Northing()).to.roughlyEqual(c.Northing(), 0.01);
+      }
+    });
+  });
+
+  describe('SetAltZone', function() {
+    it('gives coordinates in a neighbouring zone', function() {
+      var c = new GeoCoords('33.3 42.1');
+      c.SetAltZone(37);
+      expect(c.Zone()).to.be(38);
+      expect(c.AltZone()).to.be(37);
+      expect(c.AltEasting()).to.roughlyEqual(788661.4310045976, 1e-8);
+      expect(c.AltNorthing()).to.roughlyEqual(3688835.650053233, 1e-8);
+      expect(c.AltUTMUPSRepresentation()).to.be('37n 788661 3688836');
+      expect(c.AltMGRSRepresentation()).to.be('37SGS8866188835');
+      c.SetAltZone();
+      expect(c.AltZone()).to.be(38);
+      expect(c.AltEasting()).to.be(c.Easting());
+    });
+  });
+});
+
+goog.require('goog.object');
+goog.require('net.sf.geographiclib.GeoCoords');
+goog.require('net.sf.geographiclib.UTMUPS');
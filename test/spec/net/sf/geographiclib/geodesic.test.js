@@ -0,0 +1,215 @@
+goog.provide('net.sf.geographiclib.Geodesic.test');
+
+describe('net.sf.geographiclib.Geodesic', function() {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var a = 6378137, f = 1 / 298.257223563;
+
+  describe('constructor', function() {
+    it('uses the sixth order series by default', function() {
+      var geod = new net.sf.geographiclib.Geodesic(a, f);
+      expect(geod.Order()).to.be(6);
+    });
+
+    it('accepts orders 3 to 8', function() {
+      for (var order = 3; order <= 8; ++order) {
+        var geod = new net.sf.geographiclib.Geodesic(a, f, order);
+        expect(geod.Order()).to.be(order);
+        expect(geod._A3x.length).to.be(order);
+        expect(geod._C3x.length).to.be(order * (order - 1) / 2);
+        expect(geod._C4x.length).to.be(order * (order + 1) / 2);
+      }
+    });
+
+    it('truncates the series at the given order', function() {
+      var s12 = function(order) {
+        return new net.sf.geographiclib.Geodesic(a, f, order).Inverse(
+            40.6, -73.8, 49.01666667, 2.55).s12;
+      };
+      expect(s12(6)).to.roughlyEqual(5853226.25561329, 1e-8);
+      expect(s12(3) - s12(6)).to.roughlyEqual(4.01e-6, 1e-8);
+    });
+
+    it('rejects unsupported orders', function() {
+      expect(function() {
+        new net.sf.geographiclib.Geodesic(a, f, 9);
+      }).to.throwException();
+    });
+  });
+
+  describe('GenInverse', function() {
+    it('solves JFK to CDG to the nanometer at order 6 and above', function() {
+      for (var order = 6; order <= 8; ++order) {
+        var geod = new net.sf.geographiclib.Geodesic(a, f, order);
+        var r = geod.GenInverse(40.6, -73.8, 49.01666667, 2.55, gm.ALL);
+        expect(r.s12).to.roughlyEqual(5853226.25561329, 1e-7);
+        expect(r.azi1).to.roughlyEqual(53.47021823943233, 1e-12);
+        expect(r.azi2).to.roughlyEqual(111.59366951402322, 1e-12);
+        expect(r.m12).to.roughlyEqual(5066468.543036131, 1e-7);
+        expect(r.M12).to.roughlyEqual(0.607871174866061, 1e-12);
+        expect(r.M21).to.roughlyEqual(0.6081402483187669, 1e-12);
+      }
+    });
+
+    it('loses accuracy at low orders', function() {
+      var geod = new net.sf.geographiclib.Geodesic(a, f, 3);
+      var r = geod.GenInverse(40.6, -73.8, 49.01666667, 2.55, gm.DISTANCE);
+      expect(Math.abs(r.s12 - 5853226.25561329)).to.be.greaterThan(1e-7);
+      expect(r.s12).to.roughlyEqual(5853226.25561329, 1e-3);
+    });
+  });
+
+  describe('Inverse', function() {
+    var geod = new net.sf.geographiclib.Geodesic(a, f);
+
+    it('returns the standard results in a GeodesicData', function() {
+      var r = geod.Inverse(40.6, -73.8, 49.01666667, 2.55);
+      expect(r).to.be.a(net.sf.geographiclib.GeodesicData);
+      expect(r.lat1).to.be(40.6);
+      expect(r.lon1).to.be(-73.8);
+      expect(r.lat2).to.be(49.01666667);
+      expect(r.lon2).to.be(2.55);
+      expect(r.s12).to.roughlyEqual(5853226.25561329, 1e-7);
+      expect(r.azi1).to.roughlyEqual(53.47021823943233, 1e-12);
+      expect(r.azi2).to.roughlyEqual(111.59366951402322, 1e-12);
+      expect(r.a12).to.roughlyEqual(52.6558339255279, 1e-12);
+      expect(isNaN(r.m12)).to.be(true);
+      expect(isNaN(r.S12)).to.be(true);
+    });
+
+    it('only fills the requested fields', function() {
+      var r = geod.Inverse(40.6, -73.8, 49.01666667, 2.55, gm.REDUCEDLENGTH);
+      expect(r.m12).to.roughlyEqual(5066468.543036131, 1e-7);
+      expect(isNaN(r.s12)).to.be(true);
+      expect(isNaN(r.azi1)).to.be(true);
+    });
+  });
+
+  describe('Direct', function() {
+    var geod = new net.sf.geographiclib.Geodesic(a, f);
+
+    it('inverts Inverse', function() {
+      var r = geod.Direct(40.6, -73.8, 53.47021823943233, 5853226.25561329,
+                          gm.ALL);
+      expect(r.lat1).to.be(40.6);
+      expect(r.lon1).to.be(-73.8);
+      expect(r.azi1).to.roughlyEqual(53.47021823943233, 1e-12);
+      expect(r.lat2).to.roughlyEqual(49.01666667, 1e-11);
+      expect(r.lon2).to.roughlyEqual(2.55, 1e-11);
+      expect(r.azi2).to.roughlyEqual(111.59366951402322, 1e-11);
+      expect(r.s12).to.be(5853226.25561329);
+      expect(r.a12).to.roughlyEqual(52.6558339255279, 1e-11);
+      expect(r.M12).to.roughlyEqual(0.607871174866061, 1e-11);
+      expect(r.S12).to.roughlyEqual(41099128304123.09, 10);
+    });
+
+    it('agrees with ArcDirect', function() {
+      var r = geod.ArcDirect(40.6, -73.8, 53.47021823943233,
+                             52.6558339255279);
+      expect(r.a12).to.be(52.6558339255279);
+      expect(r.s12).to.roughlyEqual(5853226.25561329, 1e-6);
+      expect(r.lat2).to.roughlyEqual(49.01666667, 1e-11);
+      expect(r.lon2).to.roughlyEqual(2.55, 1e-11);
+    });
+  });
+
+  describe('InverseLine', function() {
+    var geod = new net.sf.geographiclib.Geodesic(a, f);
+
+    it('ends the line at point 2', function() {
+      var line = geod.InverseLine(40.6, -73.8, 49.01666667, 2.55);
+      expect(line.Distance()).to.roughlyEqual(5853226.25561329, 1e-7);
+      expect(line.Arc()).to.roughlyEqual(52.6558339255279, 1e-12);
+      var r = line.Position(line.Distance() / 2);
+      expect(r.lat2).to.roughlyEqual(51.618239980215314, 1e-12);
+      expect(r.lon2).to.roughlyEqual(-38.903776348974155, 1e-12);
+      r = line.ArcPosition(line.Arc());
+      expect(r.lat2).to.roughlyEqual(49.01666667, 1e-12);
+      expect(r.lon2).to.roughlyEqual(2.55, 1e-12);
+    });
+
+    it('adds DISTANCE when asked for DISTANCE_IN', function() {
+      var line = geod.InverseLine(40.6, -73.8, 49.01666667, 2.55,
+                                  gm.LATITUDE | gm.DISTANCE_IN);
+      expect(line.Capabilities(gm.DISTANCE)).to.be(true);
+      expect(line.Distance()).to.roughlyEqual(5853226.25561329, 1e-7);
+    });
+  });
+
+  describe('DirectLine and ArcDirectLine', function() {
+    var geod = new net.sf.geographiclib.Geodesic(a, f);
+
+    it('end the line at point 2', function() {
+      var line = geod.DirectLine(40.6, -73.8, 53.47021823943233,
+                                 5853226.25561329, gm.LATITUDE);
+      expect(line.Capabilities(gm.DISTANCE_IN)).to.be(true);
+      expect(line.Arc()).to.roughlyEqual(52.6558339255279, 1e-12);
+      line = geod.ArcDirectLine(40.6, -73.8, 53.47021823943233,
+                                52.6558339255279);
+      expect(line.Distance()).to.roughlyEqual(5853226.25561329, 1e-7);
+      expect(line.Position(line.Distance()).lon2).to.roughlyEqual(2.55, 1e-11);
+    });
+  });
+
+  describe('ClosestPoint', function() {
+    var geod = new net.sf.geographiclib.Geodesic(a, f);
+    var line = geod.DirectLine(10, 20, 60, 1e6);
+
+    it('finds the foot of the perpendicular', function() {
+      var r = geod.ClosestPoint(line, 30, 25);
+      expect(r.along).to.roughlyEqual(1572688.139143037, 1e-6);
+      expect(r.cross).to.roughlyEqual(-1660148.8209762, 1e-6);
+      var inv = geod.Inverse(r.lat, r.lon, 30, 25);
+      expect(inv.s12).to.roughlyEqual(-r.cross, 1e-6);
+      expect(net.sf.geographiclib.GeoMath.angDiff(r.azi, inv.azi1))
+          .to.roughlyEqual(-90, 1e-9);
+      r = geod.ClosestPoint(line, -40, 100);
+      expect(r.along).to.roughlyEqual(9654171.1585715, 1e-6);
+      expect(r.cross).to.roughlyEqual(7864544.303173473, 1e-6);
+    });
+
+    it('clamps to the segment when asked', function() {
+      var r = geod.ClosestPoint(line, 30, 25, true);
+      expect(r.along).to.be(1e6);
+      expect(r.cross).to.roughlyEqual(-1754018.9873220036, 1e-6);
+      r = geod.ClosestPoint(line, 5, 20, true);
+      expect(r.along).to.be(0);
+      expect(r.lat).to.roughlyEqual(10, 1e-12);
+      expect(r.lon).to.roughlyEqual(20, 1e-12);
+      r = geod.ClosestPoint(line, 12, 25, true);
+      expect(r.along).to.roughlyEqual(584479.6597691202, 1e-6);
+      expect(r.cross).to.roughlyEqual(76788.40041673597, 1e-6);
+    });
+
+    it('does not depend on the position of point 1', function() {
+      var q = line.Position(3e6),
+          r = geod.ClosestPoint(line, -40, 100),
+          r2 = geod.ClosestPoint(geod.DirectLine(q.lat2, q.lon2, q.azi2, 1e6),
+                                 -40, 100);
+      expect(r2.lat).to.roughlyEqual(r.lat, 1e-12);
+      expect(r2.lon).to.roughlyEqual(r.lon, 1e-12);
+      expect(r2.along).to.roughlyEqual(r.along - 3e6, 1e-6);
+      expect(r2.cross).to.roughlyEqual(r.cross, 1e-6);
+    });
+
+    it('returns NaNs if it fails to converge', function() {
+      var geod6 = new net.sf.geographiclib.Geodesic(a, f, 6);
+      geod6._accuracy.maxit2 = function() { return 0; };
+      var r = geod6.ClosestPoint(geod6.DirectLine(10, 20, 60, 1e6), 30, 25);
+      expect(isNaN(r.lat) && isNaN(r.lon) && isNaN(r.azi)).to.be(true);
+      expect(isNaN(r.along) && isNaN(r.cross)).to.be(true);
+    });
+
+    it('is exact on a sphere', function() {
+      var sphere = new net.sf.geographiclib.Geodesic(6371000, 0);
+      var r = sphere.ClosestPoint(sphere.InverseLine(0, 0, 0, 10), 10, 5);
+      expect(r.lat).to.roughlyEqual(0, 1e-12);
+      expect(r.lon).to.roughlyEqual(5, 1e-12);
+      expect(r.cross).to.roughlyEqual(-Math.PI / 18 * 6371000, 1e-6);
+    });
+  });
+});
+
+goog.require('net.sf.geographiclib.GeoMath');
+goog.require('net.sf.geographiclib.Geodesic');
+goog.require('net.sf.geographiclib.GeodesicData');
+goog.require('net.sf.geographiclib.GeodesicMask');
@@ -0,0 +1,63 @@
+goog.provide('net.sf.geographiclib.GeodesicExact.test');
+
+describe('net.sf.geographiclib.GeodesicExact', function() {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+
+  describe('Inverse', function() {
+    it('agrees with the series solution for WGS84', function() {
+      var geod = new net.sf.geographiclib.GeodesicExact(
+          6378137, 298.257223563);
+      var r = geod.Inverse(40.6, -73.8, 49.01666667, 2.55, gm.ALL);
+      expect(r).to.be.a(net.sf.geographiclib.GeodesicData);
+      expect(r.s12).to.roughlyEqual(5853226.25561329, 1e-7);
+      expect(r.azi1).to.roughlyEqual(53.47021823943233, 1e-12);
+      expect(r.azi2).to.roughlyEqual(111.59366951402322, 1e-12);
+      expect(r.m12).to.roughlyEqual(5066468.543036131, 1e-7);
+      expect(r.M12).to.roughlyEqual(0.607871174866061, 1e-12);
+      expect(r.M21).to.roughlyEqual(0.6081402483187669, 1e-12);
+      expect(r.S12).to.roughlyEqual(41099128304123.09, 0.1);
+    });
+
+    it('handles a strongly prolate ellipsoid', function() {
+      var geod = new net.sf.geographiclib.GeodesicExact(6.4e6, -1 / 2);
+      var r = geod.Inverse(10, 20, -40, 150, gm.ALL);
+      expect(r.s12).to.roughlyEqual(16335172.517981373, 1e-7);
+      expect(r.azi1).to.roughlyEqual(140.12305305665936, 1e-12);
+      expect(r.azi2).to.roughlyEqual(94.8633222394248, 1e-12);
+      expect(r.m12).to.roughlyEqual(7736152.038943738, 1e-7);
+      expect(r.S12).to.roughlyEqual(-59994148381210.664, 0.1);
+    });
+  });
+
+  describe('Direct', function() {
+    it('inverts Inverse for large flattening', function() {
+      [1 / 5, -1 / 5, 1 / 2, -1].forEach(function(f) {
+        var geod = new net.sf.geographiclib.GeodesicExact(6.4e6, f);
+        var inv = geod.Inverse(-30, 0, 60, 100, gm.ALL);
+        var r = geod.Direct(-30, 0, inv.azi1, inv.s12, gm.ALL);
+        expect(r.lat2).to.roughlyEqual(60, 1e-11);
+        expect(r.lon2).to.roughlyEqual(100, 1e-11);
+        expect(r.azi2).to.roughlyEqual(inv.azi2, 1e-11);
+        expect(r.m12).to.roughlyEqual(inv.m12, 1e-6);
+        expect(r.S12).to.roughlyEqual(inv.S12, 1);
+      });
+    });
+  });
+
+  describe('InverseLine', function() {
+    it('returns a GeodesicLineExact ending at point 2', function() {
+      var geod = new net.sf.geographiclib.GeodesicExact(6.4e6, -1 / 2);
+      var line = geod.InverseLine(10, 20, -40, 150);
+      expect(line).to.be.a(net.sf.geographiclib.GeodesicLineExact);
+      expect(line.Distance()).to.roughlyEqual(16335172.517981373, 1e-7);
+      var r = line.Position(line.Distance());
+      expect(r.lat2).to.roughlyEqual(-40, 1e-11);
+      expect(r.lon2).to.roughlyEqual(150, 1e-11);
+    });
+  });
+});
+
+goog.require('net.sf.geographiclib.GeodesicData');
+goog.require('net.sf.geographiclib.GeodesicExact');
+goog.require('net.sf.geographiclib.GeodesicLineExact');
+goog.require('net.sf.geographiclib.GeodesicMask');
@@ -0,0 +1,66 @@
+goog.provide('net.sf.geographiclib.GeodesicLine.test');
+
+describe('net.sf.geographiclib.GeodesicLine', function() {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var geod = new net.sf.geographiclib.Geodesic(6378137, 1 / 298.257223563);
+  var line = new net.sf.geographiclib.GeodesicLine(
+      geod, 40.6, -73.8, 53.47021823943233, gm.ALL);
+
+  describe('Position', function() {
+    it('returns the point at a given distance', function() {
+      var r = line.Position(1e6);
+      expect(r).to.be.a(net.sf.geographiclib.GeodesicData);
+      expect(r.lat1).to.be(40.6);
+      expect(r.lon1).to.be(-73.8);
+      expect(r.s12).to.be(1e6);
+      expect(r.lat2).to.roughlyEqual(45.51965560175276, 1e-12);
+      expect(r.lon2).to.roughlyEqual(-63.502005231557845, 1e-12);
+      expect(r.azi2).to.roughlyEqual(60.51793777433326, 1e-12);
+      expect(r.a12).to.roughlyEqual(8.99925599042434, 1e-12);
+      expect(isNaN(r.m12)).to.be(true);
+    });
+
+    it('needs the DISTANCE_IN capability', function() {
+      var arcLine = new net.sf.geographiclib.GeodesicLine(
+          geod, 40.6, -73.8, 53.47021823943233, gm.LATITUDE | gm.LONGITUDE);
+      expect(arcLine.Capabilities(gm.DISTANCE_IN)).to.be(false);
+      var r = arcLine.Position(1e6);
+      expect(r.s12).to.be(1e6);
+      expect(isNaN(r.a12)).to.be(true);
+      expect(isNaN(r.lat2)).to.be(true);
+    });
+  });
+
+  describe('ArcPosition', function() {
+    it('returns the point at a given arc length', function() {
+      var r = line.ArcPosition(10);
+      expect(r.a12).to.be(10);
+      expect(r.s12).to.roughlyEqual(1111220.0655243872, 1e-7);
+      expect(r.lat2).to.roughlyEqual(46.005332814721314, 1e-12);
+      expect(r.lon2).to.roughlyEqual(-62.25199070776343, 1e-12);
+    });
+  });
+
+  describe('SetDistance and SetArc', function() {
+    it('start with point 3 unset', function() {
+      var l = new net.sf.geographiclib.GeodesicLine(geod, 0, 0, 90);
+      expect(isNaN(l.Distance())).to.be(true);
+      expect(isNaN(l.Arc())).to.be(true);
+    });
+
+    it('keep the distance and arc length consistent', function() {
+      var l = new net.sf.geographiclib.GeodesicLine(geod, 0, 0, 90);
+      l.SetDistance(10018754.171394622);
+      expect(l.Arc()).to.roughlyEqual(90.30276808388787, 1e-12);
+      l.GenSetDistance(true, 10);
+      expect(l.Arc()).to.be(10);
+      expect(l.Distance()).to.roughlyEqual(
+          l.ArcPosition(10, gm.DISTANCE).s12, 1e-9);
+    });
+  });
+});
+
+goog.require('net.sf.geographiclib.Geodesic');
+goog.require('net.sf.geographiclib.GeodesicData');
+goog.require('net.sf.geographiclib.GeodesicLine');
+goog.require('net.sf.geographiclib.GeodesicMask');
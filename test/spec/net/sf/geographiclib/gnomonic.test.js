@@ -0,0 +1,62 @@
+goog.provide('net.sf.geographiclib.Gnomonic.test');
+
+describe('net.sf.geographiclib.Gnomonic', function() {
+  var proj = new net.sf.geographiclib.Gnomonic();
+
+  describe('Forward', function() {
+    it('converts to gnomonic coordinates', function() {
+      var r = proj.Forward(48, 2, 51.5, -0.13);
+      expect(r.x).to.roughlyEqual(-148192.6409171128, 1e-7);
+      expect(r.y).to.roughlyEqual(391928.36485548015, 1e-7);
+      expect(r.azi).to.roughlyEqual(-22.338707631247715, 1e-12);
+      expect(r.rk).to.roughlyEqual(0.9978511303094495, 1e-14);
+    });
+
+    it('has unit scale at the center', function() {
+      var r = proj.Forward(10, 10, 10, 10);
+      expect(r.x).to.be(0);
+      expect(r.y).to.be(0);
+      expect(r.rk).to.roughlyEqual(1, 1e-15);
+    });
+
+    it('returns NaNs over the horizon', function() {
+      var r = proj.Forward(0, 0, 0, 100);
+      expect(isNaN(r.x)).to.be(true);
+      expect(isNaN(r.y)).to.be(true);
+      expect(r.azi).to.be(90);
+      expect(r.rk).to.roughlyEqual(-0.17942739522930862, 1e-14);
+    });
+
+    it('maps geodesics thru the center to straight lines', function() {
+      var geod = new net.sf.geographiclib.Geodesic(6378137, 1 / 298.257223563),
+          line = geod.InverseLine(40, -10, 44, 20),
+          p = line.Position(line.Distance() / 3),
+          a = proj.Forward(p.lat2, p.lon2, 40, -10),
+          b = proj.Forward(p.lat2, p.lon2, 44, 20);
+      // a and b are on opposite sides of the origin along a line thru it
+      expect(a.x * b.x).to.be.lessThan(0);
+      expect(Math.abs(a.x * b.y - a.y * b.x)).to.be.lessThan(
+          -1e-12 * a.x * b.x);
+    });
+  });
+
+  describe('Reverse', function() {
+    it('inverts Forward', function() {
+      var r = proj.Reverse(48, 2, -148192.6409171128, 391928.36485548015);
+      expect(r.lat).to.roughlyEqual(51.5, 1e-12);
+      expect(r.lon).to.roughlyEqual(-0.13, 1e-12);
+      expect(r.azi).to.roughlyEqual(-22.338707631247715, 1e-12);
+      expect(r.rk).to.roughlyEqual(0.9978511303094495, 1e-14);
+    });
+
+    it('converges for points far from the center', function() {
+      var r = proj.Reverse(0, 0, 1e9, 0);
+      expect(r.lat).to.be(0);
+      expect(r.lon).to.roughlyEqual(89.33525799456172, 1e-10);
+      expect(r.rk).to.roughlyEqual(0.006356623885360099, 1e-12);
+    });
+  });
+});
+
+goog.require('net.sf.geographiclib.Geodesic');
+goog.require('net.sf.geographiclib.Gnomonic');
@@ -29,6 +29,481 @@ describe('net.sf.geographiclib.Interface',function(){
     var dir = geoInterface.direct([0,0],1503.3296378372909,226.18592516570962);
     expect(dir).not.to.be(undefined);
   });
+
+  describe('constructor', function() {
+    it('uses WGS84 by default', function() {
+      expect(geoInterface.getEllipsoid()).to.be(
+          net.sf.geographiclib.Ellipsoid.WGS84);
+      expect(new net.sf.geographiclib.Interface().inverse(
+          tokyo, azerbaycan).distance).to.roughlyEqual(7539893.072284, 1e-6);
+    });
+
+    it('accepts a registered ellipsoid name', function() {
+      var bessel = new net.sf.geographiclib.Interface('bessel1841');
+      expect(bessel.getEllipsoid().a).to.be(6377397.155);
+      expect(bessel.inverse(tokyo, azerbaycan).distance).to.roughlyEqual(
+          7538990.846245, 1e-6);
+      expect(new net.sf.geographiclib.Interface('GRS80').inverse(
+          tokyo, azerbaycan).distance).to.roughlyEqual(7539893.072329, 1e-6);
+    });
+
+    it('accepts any ellipsoid', function() {
+      var mars = new net.sf.geographiclib.Interface(
+          new net.sf.geographiclib.Ellipsoid(3396190, 169.894447));
+      expect(mars.inverse([0, 0], [10, 10]).distance).to.roughlyEqual(
+          831311.9146, 1e-3);
+    });
+
+    it('rejects unknown ellipsoid names', function() {
+      expect(function() {
+        new net.sf.geographiclib.Interface('Pluto');
+      }).to.throwException();
+    });
+  });
+
+  describe('waypoints', function() {
+    var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+
+    it('spaces waypoints evenly in distance', function() {
+      var line = new net.sf.geographiclib.GeodesicLine(
+          geoInterface.getGeodesic(), 0, 0, 90, gm.ALL);
+      line.SetDistance(10018754.171394622);
+      var points = geoInterface.waypoints(line, 3);
+      expect(points.length).to.be(3);
+      expect(points[0]).to.eql([0, 0]);
+      expect(points[1][0]).to.roughlyEqual(45, 1e-12);
+      expect(points[1][1]).to.roughlyEqual(0, 1e-12);
+      expect(points[2][0]).to.roughlyEqual(90, 1e-12);
+    });
+
+    it('spaces waypoints evenly in arc length', function() {
+      var line = new net.sf.geographiclib.GeodesicLine(
+          geoInterface.getGeodesic(), 0, 0, 0, gm.LATITUDE | gm.LONGITUDE);
+      line.SetArc(90);
+      var points = geoInterface.waypoints(line, 4);
+      expect(points.length).to.be(4);
+      expect(points[3][1]).to.roughlyEqual(90, 1e-12);
+    });
+
+    it('places waypoints every so many meters', function() {
+      var line = new net.sf.geographiclib.GeodesicLine(
+          geoInterface.getGeodesic(), 0, 0, 90, gm.ALL);
+      line.SetDistance(250000);
+      var points = geoInterface.waypointsEvery(line, 100000);
+      expect(points.length).to.be(4);
+      expect(geoInterface.inverse(points[0], points[1]).distance)
+          .to.roughlyEqual(100000, 1e-6);
+      expect(geoInterface.inverse(points[2], points[3]).distance)
+          .to.roughlyEqual(50000, 1e-6);
+    });
+  });
+
+  describe('rhumb lines', function() {
+    it('solves the inverse problem', function() {
+      var r = geoInterface.rhumbInverse([-73.8, 40.6], [103.99, 1.36]);
+      expect(r.distance).to.roughlyEqual(18528106.915813796, 1e-6);
+      expect(r.bearing).to.roughlyEqual(103.56511261438504, 1e-12);
+    });
+
+    it('solves the direct problem', function() {
+      var c = geoInterface.rhumbDirect([-73.8, 40.6], 18528106.915813796,
+                                       103.56511261438504);
+      expect(c[0]).to.roughlyEqual(103.99, 1e-10);
+      expect(c[1]).to.roughlyEqual(1.36, 1e-10);
+    });
+  });
+
+  describe('interpolate', function() {
+    var c1 = [-73.8, 40.6], c2 = [2.55, 49.01666667];
+
+    it('finds the midpoint', function() {
+      var c = geoInterface.midpoint(c1, c2);
+      expect(c[0]).to.roughlyEqual(-38.903776348974155, 1e-12);
+      expect(c[1]).to.roughlyEqual(51.618239980215314, 1e-12);
+    });
+
+    it('interpolates at a fraction', function() {
+      var c = geoInterface.interpolate([0, 0], [10, 0], 0.3);
+      expect(c[0]).to.roughlyEqual(3, 1e-12);
+      expect(c[1]).to.roughlyEqual(0, 1e-12);
+    });
+
+    it('interpolates at several fractions', function() {
+      var points = geoInterface.interpolateAll(c1, c2, [0, 0.25, 1, 1.5]);
+      expect(points.length).to.be(4);
+      expect(points[0][0]).to.roughlyEqual(c1[0], 1e-12);
+      expect(points[0][1]).to.roughlyEqual(c1[1], 1e-12);
+      expect(points[1][0]).to.roughlyEqual(-58.15115318145227, 1e-12);
+      expect(points[1][1]).to.roughlyEqual(47.4485900788377, 1e-12);
+      expect(points[2][0]).to.roughlyEqual(c2[0], 1e-12);
+      expect(points[2][1]).to.roughlyEqual(c2[1], 1e-12);
+      expect(points[3][0]).to.roughlyEqual(32.585285623041415, 1e-12);
+      expect(points[3][1]).to.roughlyEqual(34.71941325623058, 1e-12);
+    });
+  });
+
+  describe('segmentIntersection', function() {
+    it('finds where two segments cross', function() {
+      var r = geoInterface.segmentIntersection([0, 0], [10, 10],
+                                               [0, 10], [10, 0]);
+      expect(r.coordinate[0]).to.roughlyEqual(5, 1e-12);
+      expect(r.coordinate[1]).to.roughlyEqual(5.05777094239977, 1e-10);
+      expect(r.withinA).to.be(true);
+      expect(r.withinB).to.be(true);
+      expect(r.coincident).to.be(false);
+    });
+
+    it('flags an intersection outside a segment', function() {
+      var r = geoInterface.segmentIntersection([0, 0], [1, 1],
+                                               [0, 10], [10, 0]);
+      expect(r.withinA).to.be(false);
+      expect(r.withinB).to.be(true);
+    });
+  });
+
+  describe('closestPoint', function() {
+    it('finds the closest point on a segment', function() {
+      var r = geoInterface.closestPoint([5, 1], [0, 0], [10, 0]);
+      expect(r.coordinate[0]).to.roughlyEqual(5, 1e-12);
+      expect(r.coordinate[1]).to.roughlyEqual(0, 1e-12);
+      expect(r.alongTrack).to.roughlyEqual(556597.4539663679, 1e-6);
+      expect(r.crossTrack).to.roughlyEqual(-110574.38855779878, 1e-6);
+    });
+
+    it('clamps to the ends of the segment', function() {
+      var r = geoInterface.closestPoint([-5, 1], [0, 0], [10, 0]);
+      expect(r.coordinate).to.eql([0, 0]);
+      expect(r.alongTrack).to.be(0);
+      r = geoInterface.closestPoint([-5, 1], [0, 0], [10, 0], true);
+      expect(r.coordinate[0]).to.roughlyEqual(-5, 1e-12);
+      expect(r.alongTrack).to.roughlyEqual(-556597.4539663679, 1e-6);
+    });
+
+    it('gives cross-track and along-track distances', function() {
+      expect(geoInterface.crossTrackDistance([5, -1], [0, 0], [10, 0]))
+          .to.roughlyEqual(110574.38855779878, 1e-6);
+      expect(geoInterface.alongTrackDistance([5, -1], [0, 0], [10, 0]))
+          .to.roughlyEqual(556597.4539663679, 1e-6);
+    });
+  });
+
+  describe('UTM/UPS', function() {
+    it('converts a coordinate to UTM', function() {
+      var r = geoInterface.toUTMUPS([-0.1278, 51.5]);
+      expect(r.zone).to.be(30);
+      expect(r.northp).to.be(true);
+      expect(r.easting).to.roughlyEqual(699348.5408202799, 1e-8);
+      expect(r.northing).to.roughlyEqual(5709341.011296548, 1e-8);
+      expect(geoInterface.toUTMUPS([-0.1278, 51.5], 31).zone).to.be(31);
+    });
+
+    it('converts UTM back to a coordinate', function() {
+      var c = geoInterface.fromUTMUPS(30, true, 699348.5408202799,
+                                      5709341.011296548);
+      expect(c[0]).to.roughlyEqual(-0.1278, 1e-12);
+      expect(c[1]).to.roughlyEqual(51.5, 1e-12);
+    });
+  });
+
+  describe('MGRS', function() {
+    it('converts a coordinate to MGRS', function() {
+      expect(geoInterface.toMGRS([-0.1278, 51.5])).to.be('30UXC9934809341');
+      expect(geoInterface.toMGRS([-0.1278, 51.5], 0)).to.be('30UXC');
+      expect(geoInterface.toMGRS([45, 89])).to.be('ZAG7850721492');
+    });
+
+    it('converts MGRS back to a coordinate', function() {
+      var c = geoInterface.fromMGRS('30UXC9934809341');
+      expect(c[0]).to.roughlyEqual(-0.1278003112442927, 1e-12);
+      expect(c[1]).to.roughlyEqual(51.50000440315645, 1e-12);
+      c = geoInterface.fromMGRS('30UXC9934809341', false);
+      expect(c[0]).to.roughlyEqual(-0.12780778795366832, 1e-12);
+      expect(c[1]).to.roughlyEqual(51.500000089252204, 1e-12);
+    });
+  });
+
+  describe('geocentric', function() {
+    it('converts a coordinate to geocentric coordinates', function() {
+      var xyz = geoInterface.toGeocentric([86.93, 27.99, 8820]);
+      expect(xyz[0]).to.roughlyEqual(302271.4327137992, 1e-8);
+      expect(xyz[1]).to.roughlyEqual(5635928.367498535, 1e-8);
+      expect(xyz[2]).to.roughlyEqual(2979666.1349025285, 1e-8);
+      xyz = geoInterface.toGeocentric([0, 0]);
+      expect(xyz).to.eql([6378137, 0, 0]);
+    });
+
+    it('converts geocentric coordinates back to a coordinate', function() {
+      var c = geoInterface.fromGeocentric([302e3, 5636e3, 2980e3]);
+      expect(c[0]).to.roughlyEqual(86.93279043192761, 1e-12);
+      expect(c[1]).to.roughlyEqual(27.99241547519508, 1e-12);
+      expect(c[2]).to.roughlyEqual(9027.026651256827, 1e-8);
+    });
+  });
+
+  describe('localCartesian', function() {
+    it('converts about an origin on the ellipsoid', function() {
+      var enu = geoInterface.localCartesian([44.4, 33.3, 100]),
+          r = enu.Forward(33.31, 44.42, 250);
+      expect(r.x).to.roughlyEqual(1862.5736043602515, 1e-8);
+      expect(r.y).to.roughlyEqual(1109.3210699993335, 1e-8);
+      expect(r.z).to.roughlyEqual(149.63150441288428, 1e-8);
+      expect(enu.HeightOrigin()).to.be(100);
+    });
+
+    it('uses the ellipsoid of the interface', function() {
+      var sphere = new net.sf.geographiclib.Interface(
+          new net.sf.geographiclib.Ellipsoid(6371000, 0)),
+          r = sphere.localCartesian([0, 0]).Forward(0, 0, -6371000);
+      expect(r.z).to.roughlyEqual(-6371000, 1e-8);
+    });
+  });
+
+  describe('azimuthal equidistant', function() {
+    it('projects about a center', function() {
+      var xy = geoInterface.toAzimuthalEquidistant([-0.1278, 51.5],
+                                                   [-73.8, 40.6]);
+      expect(xy[0]).to.roughlyEqual(-5302641.524383877, 1e-6);
+      expect(xy[1]).to.roughlyEqual(1736550.0742784026, 1e-6);
+      var c = geoInterface.fromAzimuthalEquidistant([-0.1278, 51.5], xy);
+      expect(c[0]).to.roughlyEqual(-73.8, 1e-12);
+      expect(c[1]).to.roughlyEqual(40.6, 1e-12);
+    });
+  });
+
+  describe('gnomonic', function() {
+    it('projects about a center', function() {
+      var xy = geoInterface.toGnomonic([2, 48], [-0.13, 51.5]);
+      expect(xy[0]).to.roughlyEqual(-148192.6409171128, 1e-7);
+      expect(xy[1]).to.roughlyEqual(391928.36485548015, 1e-7);
+      var c = geoInterface.fromGnomonic([2, 48], xy);
+      expect(c[0]).to.roughlyEqual(-0.13, 1e-12);
+      expect(c[1]).to.roughlyEqual(51.5, 1e-12);
+    });
+
+    it('returns NaNs over the horizon', function() {
+      var xy = geoInterface.toGnomonic([0, 0], [100, 0]);
+      expect(isNaN(xy[0])).to.be(true);
+      expect(isNaN(xy[1])).to.be(true);
+    });
+  });
+
+  describe('cassiniSoldner', function() {
+    it('projects about a center', function() {
+      var cass = geoInterface.cassiniSoldner([-61.3, 10.44]),
+          r = cass.Forward(10.6, -61.1);
+      expect(r.x).to.roughlyEqual(21886.45006167566, 1e-7);
+      expect(r.y).to.roughlyEqual(17704.834800533612, 1e-7);
+      expect(cass.LongitudeOrigin()).to.be(-61.3);
+    });
+  });
+
+  describe('parseCoordinate', function() {
+    it('accepts any notation', function() {
+      var c = geoInterface.parseCoordinate('40d26\'46"N 79d58\'56"W');
+      expect(c[0]).to.roughlyEqual(-79.98222222222222, 1e-12);
+      expect(c[1]).to.roughlyEqual(40.44611111111111, 1e-12);
+      c = geoInterface.parseCoordinate('17n 586310 4477770');
+      expect(c[0]).to.roughlyEqual(-79.98222, 1e-5);
+      expect(c[1]).to.roughlyEqual(40.44611, 1e-5);
+      c = geoInterface.parseCoordinate('17TNE8630977770');
+      expect(c[0]).to.roughlyEqual(-79.98222, 1e-5);
+      expect(c[1]).to.roughlyEqual(40.44611, 1e-5);
+      c = geoInterface.parseCoordinate('-79.98 40.45', true);
+      expect(c[0]).to.be(-79.98);
+      expect(c[1]).to.be(40.45);
+    });
+
+    it('rejects a truncated UTM coordinate', function() {
+      expect(function() {
+        geoInterface.parseCoordinate('17n 586310');
+      }).to.throwException(/^Longitude 586310 not in/);
+    });
+  });
+
+  describe('parseAzimuth', function() {
+    it('accepts DMS notation', function() {
+      expect(geoInterface.parseAzimuth('45d30\'')).to.be(45.5);
+      expect(geoInterface.parseAzimuth('45:30W')).to.be(-45.5);
+      expect(geoInterface.parseAzimuth('10')).to.be(10);
+    });
+
+    it('rejects malformed azimuths', function() {
+      expect(function() {
+        geoInterface.parseAzimuth('45x');
+      }).to.throwException(/^Illegal character x/);
+      expect(function() {
+        geoInterface.parseAzimuth('45N');
+      }).to.throwException(/^Azimuth 45N has a latitude hemisphere/);
+    });
+  });
+
+  describe('ringArea', function() {
+    var square = [[-1, 0], [1, 0], [1, 1], [-1, 1]];
+
+    it('measures a ring in either orientation', function() {
+      var r = geoInterface.ringArea(square);
+      expect(r.area).to.roughlyEqual(24619443759.28, 0.1);
+      expect(r.perimeter).to.roughlyEqual(666393.0548, 1e-4);
+      var reversed = square.slice().reverse();
+      expect(geoInterface.ringArea(reversed).area).to.roughlyEqual(
+          r.area, 0.1);
+    });
+
+    it('ignores the closing vertex', function() {
+      var closed = square.concat([square[0]]);
+      expect(geoInterface.ringArea(closed).perimeter).to.roughlyEqual(
+          666393.0548, 1e-4);
+    });
+
+    it('handles rings crossing the antimeridian', function() {
+      var wrapped = [[179, 0], [181, 0], [181, 1], [179, 1], [179, 0]];
+      var split = [[179, 1], [-179, 1], [-179, 0], [179, 0]];
+      expect(geoInterface.ringArea(wrapped).area).to.roughlyEqual(
+          24619443759.28, 0.1);
+      expect(geoInterface.ringArea(split).area).to.roughlyEqual(
+          24619443759.28, 0.1);
+    });
+
+    it('handles rings encircling a pole', function() {
+      var r = geoInterface.ringArea([[0, 89], [90, 89], [180, 89], [270, 89]]);
+      expect(r.area).to.roughlyEqual(24952305678.03, 0.1);
+    });
+
+    it('uses the orientation of the ring when asked', function() {
+      var earth = 510065621724088.44;
+      expect(geoInterface.ringArea(square, true).area).to.roughlyEqual(
+          24619443759.28, 0.1);
+      var clockwise = square.slice().reverse();
+      expect(geoInterface.ringArea(clockwise, true).area).to.roughlyEqual(
+          earth - 24619443759.28, 1);
+    });
+  });
+
+  describe('polygonArea', function() {
+    it('subtracts holes', function() {
+      var r = geoInterface.polygonArea([
+        [[-1, 0], [1, 0], [1, 1], [-1, 1]],
+        [[-0.5, 0.25], [0.5, 0.25], [0.5, 0.75], [-0.5, 0.75]]
+      ]);
+      expect(r.area).to.roughlyEqual(18464997551.94, 0.1);
+      expect(r.perimeter).to.roughlyEqual(999595.8778, 1e-4);
+    });
+
+    it('uses the orientation of the rings when asked', function() {
+      var exterior = [[-1, 0], [1, 0], [1, 1], [-1, 1]],
+          hole = [[-0.5, 0.75], [0.5, 0.75], [0.5, 0.25], [-0.5, 0.25]];
+      expect(geoInterface.polygonArea([exterior, hole], true).area)
+          .to.roughlyEqual(18464997551.94, 0.1);
+      // A clockwise exterior encloses the rest of the ellipsoid
+      var far = [[10, 1], [11, 1], [11, 0], [10, 0]];
+      var r = geoInterface.polygonArea([exterior.slice().reverse(), far],
+                                       true);
+      expect(r.area).to.roughlyEqual(
+          510065621724088.44 - 24619443759.28 -
+          geoInterface.ringArea(far).area, 1);
+    });
+  });
+
+  describe('geometryArea', function() {
+    it('sums the polygons of a MultiPolygon', function() {
+      var geometry = new ol.geom.MultiPolygon([
+        [[[-1, 0], [1, 0], [1, 1], [-1, 1], [-1, 0]]],
+        [[[10, 0], [11, 0], [11, 1], [10, 0]]]
+      ]);
+      var r = geoInterface.geometryArea(geometry);
+      expect(r.area).to.roughlyEqual(30774298546.00, 0.1);
+      expect(r.perimeter).to.roughlyEqual(1045186.5024, 1e-4);
+    });
+  });
+
+  describe('geometryLength', function() {
+    it('measures a LineString along geodesics', function() {
+      var geometry = new ol.geom.LineString([[0, 0], [1, 0], [1, 1]]);
+      expect(geoInterface.geometryLength(geometry)).to.roughlyEqual(
+          221893.8794, 1e-4);
+      expect(geoInterface.lineLength([[0, 0], [1, 0], [1, 1]])).to.roughlyEqual(
+          221893.8794, 1e-4);
+    });
+  });
+
+  describe('densify', function() {
+    it('splits a line at the antimeridian', function() {
+      var pieces = geoInterface.densify([[170, 10], [-170, 20]], 500e3);
+      expect(pieces.length).to.be(2);
+      expect(pieces[0].length).to.be(4);
+      expect(pieces[1].length).to.be(4);
+      expect(pieces[0][0]).to.eql([170, 10]);
+      expect(pieces[0][1][0]).to.roughlyEqual(173.85883911149406, 1e-12);
+      expect(pieces[0][1][1]).to.roughlyEqual(12.13176713804692, 1e-12);
+      expect(pieces[0][3][0]).to.be(180);
+      expect(pieces[0][3][1]).to.roughlyEqual(15.341593425491082, 1e-12);
+      expect(pieces[1][0]).to.eql([-180, pieces[0][3][1]]);
+      expect(pieces[1][3]).to.eql([-170, 20]);
+      for (var i = 0; i < 2; ++i)
+        for (var j = 1; j < 4; ++j)
+          expect(geoInterface.inverse(pieces[i][j - 1], pieces[i][j]).distance)
+              .to.be.lessThan(500e3);
+    });
+
+    it('splits at the pole for a line over the pole', function() {
+      var pieces = geoInterface.densify([[90, 80], [-90, 80]], 1e7);
+      expect(pieces.length).to.be(2);
+      expect(pieces[0][1]).to.eql([90, 90]);
+      expect(pieces[0][2][0]).to.be(180);
+      expect(pieces[0][2][1]).to.roughlyEqual(90, 1e-12);
+      expect(pieces[1][0][0]).to.be(-180);
+      expect(pieces[1][0][1]).to.roughlyEqual(90, 1e-12);
+    });
+
+    it('limits the turn of the azimuth', function() {
+      var c = [[-73.8, 40.6], [2.55, 49.01666667]];
+      expect(geoInterface.densify(c, 1e7, 180)[0].length).to.be(2);
+      expect(geoInterface.densify(c, 1e7)[0].length).to.be(9);
+      var points = geoInterface.densify(c, 1e7, 5)[0];
+      expect(points.length).to.be(16);
+      for (var i = 1; i < points.length; ++i) {
+        var r = geoInterface.inverse(points[i - 1], points[i]);
+        expect(Math.abs(r.finalBearing - r.initialBearing)).to.be.lessThan(5);
+      }
+    });
+
+    it('densifies a short edge over the pole', function() {
+      var c = [[0, 89.9], [180, 89.9]];
+      expect(geoInterface.inverse(c[0], c[1]).distance)
+          .to.be.lessThan(30e3);
+      var points = geoInterface.densify(c, 1e7)[0];
+      expect(points.length).to.be.greaterThan(2);
+      expect(points[1]).to.eql([0, 90]);
+      expect(points[2][0]).to.be(180);
+      expect(points[2][1]).to.roughlyEqual(90, 1e-3);
+      expect(points[points.length - 1]).to.eql([180, 89.9]);
+    });
+
+    it('densifies geometries', function() {
+      var lines = geoInterface.densifyGeometry(
+          new ol.geom.LineString([[170, 0], [-170, 0]]), 1e7);
+      expect(lines).to.be.an(ol.geom.MultiLineString);
+      expect(lines.getCoordinates()).to.eql(
+          [[[170, 0], [180, 0]], [[-180, 0], [-170, 0]]]);
+      var polygon = geoInterface.densifyGeometry(new ol.geom.Polygon(
+          [[[170, 0], [-170, 0], [-170, 10], [170, 10], [170, 0]]]), 600e3);
+      expect(polygon).to.be.an(ol.geom.Polygon);
+      var ring = polygon.getCoordinates()[0];
+      expect(ring.length).to.be(13);
+      expect(ring[2][0]).to.roughlyEqual(180, 1e-12);
+      expect(ring[4]).to.eql([190, 0]);
+      expect(ring[8][0]).to.roughlyEqual(180, 1e-12);
+      expect(ring[8][1]).to.roughlyEqual(10.152080893823797, 1e-12);
+      expect(ring[12]).to.eql([170, 0]);
+    });
+  });
 });
 
+goog.require('net.sf.geographiclib.Ellipsoid');
+goog.require('net.sf.geographiclib.GeodesicLine');
+goog.require('net.sf.geographiclib.GeodesicMask');
 goog.require('net.sf.geographiclib.Interface');
+goog.require('ol.geom.LineString');
+goog.require('ol.geom.MultiLineString');
+goog.require('ol.geom.MultiPolygon');
+goog.require('ol.geom.Polygon');
@@ -0,0 +1,110 @@
+goog.provide('net.sf.geographiclib.Intersect.test');
+
+describe('net.sf.geographiclib.Intersect', function() {
+  var Intersect = net.sf.geographiclib.Intersect,
+      geod = new net.sf.geographiclib.Geodesic(6378137, 1 / 298.257223563),
+      intersect = new Intersect(geod);
+
+  // Distance between the points at x along lineX and y along lineY
+  var miss = function(lineX, lineY, p) {
+    var a = lineX.Position(p.x), b = lineY.Position(p.y);
+    return geod.Inverse(a.lat2, a.lon2, b.lat2, b.lon2).s12;
+  };
+
+  describe('Closest', function() {
+    it('finds the intersection closest to the starting points', function() {
+      var p = intersect.Closest(0, 0, 45, 45, 10, 135);
+      expect(p.x).to.roughlyEqual(4225301.108897293, 1e-6);
+      expect(p.y).to.roughlyEqual(2709328.885610635, 1e-6);
+      expect(p.c).to.be(0);
+    });
+
+    it('finds an intersection on the far side of the earth', function() {
+      var caps = Intersect.LineCaps,
+          lineX = new net.sf.geographiclib.GeodesicLine(geod, 0, 0, 45, caps),
+          lineY = new net.sf.geographiclib.GeodesicLine(geod, 45, 10, 135,
+                                                        caps),
+          p = intersect.ClosestLines(lineX, lineY, {x: -15e6, y: -17e6});
+      expect(p.x).to.roughlyEqual(-15772234.622426111, 1e-6);
+      expect(p.y).to.roughlyEqual(-17278438.87125846, 1e-6);
+      expect(miss(lineX, lineY, p)).to.be.lessThan(1e-8);
+    });
+
+    it('agrees with spherical trigonometry on a sphere', function() {
+      var sphere = new Intersect(new net.sf.geographiclib.Geodesic(6371000, 0)),
+          p = sphere.Closest(0, 0, 90, 0, 30, 0);
+      expect(p.x).to.roughlyEqual(Math.PI / 6 * 6371000, 1e-8);
+      expect(p.y).to.roughlyEqual(0, 1e-8);
+    });
+
+    it('flags coincident geodesics', function() {
+      var p = intersect.Closest(0, 0, 30, 0, 0, 30);
+      expect(p).to.eql({x: 0, y: 0, c: 1});
+      p = intersect.Closest(0, 0, 30, 0, 0, -150);
+      expect(p).to.eql({x: 0, y: 0, c: -1});
+    });
+  });
+
+  describe('Segment', function() {
+    it('finds a crossing within both segments', function() {
+      var p = intersect.Segment(0, 0, 10, 10, 10, 0, 0, 10);
+      expect(p.x).to.roughlyEqual(788535.2751528719, 1e-6);
+      expect(p.y).to.roughlyEqual(776573.8240650179, 1e-6);
+      expect(p.kx).to.be(0);
+      expect(p.ky).to.be(0);
+      expect(p.segmode).to.be(0);
+    });
+
+    it('reports an intersection beyond the end of a segment', function() {
+      var p = intersect.Segment(0, 0, 1, 1, 10, 0, 0, 10);
+      expect(p.x).to.roughlyEqual(788552.2190638318, 1e-6);
+      expect(p.kx).to.be(1);
+      expect(p.ky).to.be(0);
+      expect(p.segmode).to.be(3);
+    });
+
+    it('puts coincident intersections in the overlap', function() {
+      var caps = Intersect.LineCaps,
+          lineX = geod.InverseLine(10, 10, 20, 20, caps),
+          mid = lineX.Position(lineX.Distance() / 2),
+          p = intersect.SegmentLines(
+              lineX, geod.InverseLine(20, 20, mid.lat2, mid.lon2, caps));
+      expect(p.c).to.be(-1);
+      expect(p.x).to.roughlyEqual(0.75 * lineX.Distance(), 1e-3);
+      expect(p.y).to.roughlyEqual(0.25 * lineX.Distance(), 1e-3);
+      expect(p.segmode).to.be(0);
+    });
+  });
+
+  describe('All', function() {
+    it('finds all the intersections within a distance', function() {
+      var caps = Intersect.LineCaps,
+          lineX = new net.sf.geographiclib.GeodesicLine(geod, 0, 0, 45, caps),
+          lineY = new net.sf.geographiclib.GeodesicLine(geod, 45, 10, 135,
+                                                        caps),
+          v = intersect.AllLines(lineX, lineY, 5e7);
+      expect(v.length).to.be(9);
+      expect(v[0].x).to.roughlyEqual(4225301.108897293, 1e-6);
+      expect(v[1].x).to.roughlyEqual(-15772234.622426111, 1e-6);
+      for (var i = 0; i < v.length; ++i) {
+        expect(miss(lineX, lineY, v[i])).to.be.lessThan(1e-8);
+        expect(Math.abs(v[i].x) + Math.abs(v[i].y)).to.be.lessThan(5e7);
+        if (i > 0)
+          expect(Math.abs(v[i].x) + Math.abs(v[i].y)).to.not.be.lessThan(
+              Math.abs(v[i - 1].x) + Math.abs(v[i - 1].y));
+      }
+    });
+
+    it('returns one point for coincident geodesics', function() {
+      var v = intersect.All(0, 0, 30, 0, 0, 30, 3e7, {x: 1000, y: 0});
+      expect(v.length).to.be(1);
+      expect(v[0].c).to.be(1);
+      expect(v[0].x).to.roughlyEqual(500, 1e-6);
+      expect(v[0].y).to.roughlyEqual(500, 1e-6);
+    });
+  });
+});
+
+goog.require('net.sf.geographiclib.Geodesic');
+goog.require('net.sf.geographiclib.GeodesicLine');
+goog.require('net.sf.geographiclib.Intersect');
@@ -0,0 +1,77 @@
+goog.provide('net.sf.geographiclib.LocalCartesian.test');
+
+describe('net.sf.geographiclib.LocalCartesian', function() {
+  var LocalCartesian = net.sf.geographiclib.LocalCartesian;
+
+  describe('Forward', function() {
+    it('converts to east, north, up', function() {
+      var lc = new LocalCartesian(33.3, 44.4, 100),
+          r = lc.Forward(33.31, 44.42, 250);
+      expect(r.x).to.roughlyEqual(1862.5736043602515, 1e-8);
+      expect(r.y).to.roughlyEqual(1109.3210699993335, 1e-8);
+      expect(r.z).to.roughlyEqual(149.63150441288428, 1e-8);
+      expect(r.M).to.be(undefined);
+      expect(lc.Forward(33.3, 44.4, 100)).to.eql({x: 0, y: 0, z: 0});
+    });
+
+    it('defaults to zero height on WGS84', function() {
+      var lc = new LocalCartesian(0, 0),
+          r = lc.Forward(0, 0.001, 0);
+      expect(r.x).to.roughlyEqual(111.31949078762194, 1e-9);
+      expect(r.y).to.be(0);
+      expect(r.z).to.roughlyEqual(-0.0009714458137750626, 1e-12);
+      r = lc.Forward(0.001, 0, 0);
+      expect(r.x).to.be(0);
+      expect(r.y).to.roughlyEqual(110.57427581609332, 1e-9);
+    });
+  });
+
+  describe('Reverse', function() {
+    it('inverts Forward', function() {
+      var lc = new LocalCartesian(-45, 170, 1000),
+          pts = [[-45.1, 169.8, 0], [-44, -179, 5e4], [30, 10, -100]];
+      pts.forEach(function(p) {
+        var f = lc.Forward(p[0], p[1], p[2]),
+            r = lc.Reverse(f.x, f.y, f.z);
+        expect(r.lat).to.roughlyEqual(p[0], 1e-12);
+        expect(r.lon).to.roughlyEqual(p[1], 1e-12);
+        expect(r.h).to.roughlyEqual(p[2], 1e-7);
+      });
+    });
+  });
+
+  describe('Reset', function() {
+    it('moves the origin', function() {
+      var lc = new LocalCartesian(33.3, 44.4, 100);
+      lc.Reset(-60, 200);
+      expect(lc.LatitudeOrigin()).to.be(-60);
+      expect(lc.LongitudeOrigin()).to.be(-160);
+      expect(lc.HeightOrigin()).to.be(0);
+      var r = lc.Forward(-60, -160, 0);
+      expect(r.x).to.roughlyEqual(0, 1e-9);
+      expect(r.y).to.roughlyEqual(0, 1e-9);
+      expect(r.z).to.roughlyEqual(0, 1e-9);
+    });
+  });
+
+  describe('rotation matrix', function() {
+    it('is the identity at the origin', function() {
+      var M = new LocalCartesian(12, 34, 56).Forward(12, 34, 56, true).M;
+      [1, 0, 0, 0, 1, 0, 0, 0, 1].forEach(function(v, i) {
+        expect(M[i]).to.roughlyEqual(v, 1e-15);
+      });
+    });
+
+    it('agrees between Forward and Reverse', function() {
+      var lc = new LocalCartesian(33.3, 44.4, 100),
+          f = lc.Forward(33.31, 44.42, 250, true),
+          r = lc.Reverse(f.x, f.y, f.z, true);
+      expect(f.M[2]).to.roughlyEqual(0.00029171834861513313, 1e-15);
+      expect(f.M[6]).to.roughlyEqual(-0.00029175180144075386, 1e-15);
+      for (var i = 0; i < 9; ++i)
+        expect(r.M[i]).to.roughlyEqual(f.M[i], 1e-14);
+    });
+  });
+});
+
+goog.require('net.sf.geographiclib.LocalCartesian');
@@ -0,0 +1,119 @@
+goog.provide('net.sf.geographiclib.MGRS.test');
+
+describe('net.sf.geographiclib.MGRS', function() {
+  var MGRS = net.sf.geographiclib.MGRS;
+  var UTMUPS = net.sf.geographiclib.UTMUPS;
+
+  describe('Forward', function() {
+    var x = 699348.54082028, y = 5709341.011296548;
+
+    it('formats UTM coordinates at each precision', function() {
+      expect(MGRS.Forward(30, true, x, y, -1)).to.be('30U');
+      expect(MGRS.Forward(30, true, x, y, 0)).to.be('30UXC');
+      expect(MGRS.Forward(30, true, x, y, 2)).to.be('30UXC9909');
+      expect(MGRS.Forward(30, true, x, y, 5)).to.be('30UXC9934809341');
+      expect(MGRS.Forward(30, true, x, y, 11)).to.be(
+          '30UXC9934854082009341011296');
+    });
+
+    it('formats UPS coordinates', function() {
+      expect(MGRS.Forward(UTMUPS.UPS, true, 2000000, 2000000, 2)).to.be(
+          'ZAH0000');
+      var r = UTMUPS.Forward(-85, -70);
+      expect(MGRS.Forward(r.zone, r.northp, r.x, r.y, 3)).to.be('ASP780899');
+    });
+
+    it('folds northings across the equator', function() {
+      expect(MGRS.Forward(30, false, 500000, 10000000, 2)).to.be('30MWE0099');
+      expect(MGRS.Forward(30, true, 500000, -1, 0)).to.be('30MWE');
+    });
+
+    it('returns INVALID for an invalid zone or NaNs', function() {
+      expect(MGRS.Forward(UTMUPS.INVALID, true, 0, 0, 2)).to.be('INVALID');
+      expect(MGRS.Forward(30, true, Number.NaN, y, 2)).to.be('INVALID');
+    });
+
+    it('throws on bad input', function() {
+      expect(function() {
+        MGRS.Forward(30, true, 50000, y, 5);
+      }).to.throwException(/^Easting 50km not in MGRS\/UTM range/);
+      expect(function() {
+        MGRS.Forward(30, true, x, y, 5, 40);
+      }).to.throwException(/^Latitude 40 is inconsistent/);
+      expect(function() {
+        MGRS.Forward(30, true, x, y, 12);
+      }).to.throwException(/^MGRS precision 12 not in/);
+    });
+  });
+
+  describe('Reverse', function() {
+    it('returns the center or the corner of the square', function() {
+      var r = MGRS.Reverse('38SMB4488');
+      expect(r.zone).to.be(38);
+      expect(r.northp).to.be(true);
+      expect(r.x).to.be(444500);
+      expect(r.y).to.be(3688500);
+      expect(r.prec).to.be(2);
+      r = MGRS.Reverse('38smb4488', false);
+      expect(r.x).to.be(444000);
+      expect(r.y).to.be(3688000);
+    });
+
+    it('parses UPS references', function() {
+      var r = MGRS.Reverse('ZGC2380');
+      expect(r.zone).to.be(UTMUPS.UPS);
+      expect(r.northp).to.be(true);
+      expect(r.x).to.be(2423500);
+      expect(r.y).to.be(1580500);
+    });
+
+    it('parses grid zones', function() {
+      var r = MGRS.Reverse('31V');
+      expect(r.x).to.be(400000);
+      expect(r.y).to.be(6700000);
+      expect(r.prec).to.be(-1);
+      r = MGRS.Reverse('A');
+      expect(r.northp).to.be(false);
+      expect(r.x).to.be(1600000);
+      expect(r.y).to.be(2000000);
+    });
+
+    it('parses INVALID', function() {
+      var r = MGRS.Reverse('INVALID');
+      expect(r.zone).to.be(UTMUPS.INVALID);
+      expect(isNaN(r.x)).to.be(true);
+      expect(r.prec).to.be(-2);
+    });
+
+    it('round trips with Forward', function() {
+      var s = '30UXC9934854082009341011296';
+      var r = MGRS.Reverse(s, false);
+      expect(MGRS.Forward(r.zone, r.northp, r.x, r.y, r.prec)).to.be(s);
+    });
+
+    it('throws descriptive errors', function() {
+      var messages = {
+        '61SMB': /^Zone 61 not in \[1,60\]$/,
+        '38': /^MGRS string too short 38$/,
+        '38IMB': /^Band letter I not in UTM set/,
+        'BAN1': /^Not an even number of digits in 1$/,
+        '38SIB': /^Column letter I not in zone 38 set JKLMNPQR$/,
+        '38SMI': /^Row letter I not in UTM set/,
+        'YZZ': /^Row letter Z not in UPS N set/,
+        '38SMB44A8': /^Encountered a non-digit in 44A8$/,
+        '38SMB448': /^Not an even number of digits in 448$/,
+        '38SMB123456789012345678901234': /^More than 22 digits in/,
+        '38SML': /^Block ML not in zone\/band 38S$/
+      };
+      goog.object.forEach(messages, function(re, mgrs) {
+        expect(function() {
+          MGRS.Reverse(mgrs);
+        }).to.throwException(re);
+      });
+    });
+  });
+});
+
+goog.require('goog.object');
+goog.require('net.sf.geographiclib.MGRS');
+goog.require('net.sf.geographiclib.UTMUPS');
@@ -0,0 +1,35 @@
+goog.provide('net.sf.geographiclib.PolarStereographic.test');
+
+describe('net.sf.geographiclib.PolarStereographic', function() {
+  var ups = net.sf.geographiclib.PolarStereographic.UPS;
+
+  it('maps the pole to the origin', function() {
+    var r = ups.Forward(true, 90, 30);
+    expect(r.x).to.be(0);
+    expect(r.y).to.be(-0);
+    expect(r.k).to.be(0.994);
+  });
+
+  it('points y along the 180 meridian in the north', function() {
+    var r = ups.Forward(true, 85, 180);
+    expect(r.x).to.be(0);
+    expect(r.y).to.roughlyEqual(555457.3913826778, 1e-8);
+    var s = ups.Forward(false, -85, 0);
+    expect(s.x).to.be(0);
+    expect(s.y).to.roughlyEqual(555457.3913826778, 1e-8);
+  });
+
+  it('inverts Forward', function() {
+    [[true, 85, 30], [true, 60, -120], [false, -70, 45]].forEach(
+        function(p) {
+          var f = ups.Forward(p[0], p[1], p[2]),
+              r = ups.Reverse(p[0], f.x, f.y);
+          expect(r.lat).to.roughlyEqual(p[1], 1e-12);
+          expect(r.lon).to.roughlyEqual(p[2], 1e-12);
+          expect(r.gamma).to.roughlyEqual(f.gamma, 1e-12);
+          expect(r.k).to.roughlyEqual(f.k, 1e-15);
+        });
+  });
+});
+
+goog.require('net.sf.geographiclib.PolarStereographic');
@@ -0,0 +1,89 @@
+goog.provide('net.sf.geographiclib.PolygonArea.test');
+
+describe('net.sf.geographiclib.PolygonArea', function() {
+  var geod = new net.sf.geographiclib.Geodesic(6378137, 1 / 298.257223563);
+
+  /**
+   * @param {Array.<Array.<number>>} points
+   * @param {boolean=} opt_polyline
+   * @return {net.sf.geographiclib.PolygonArea}
+   */
+  function polygon(points, opt_polyline) {
+    var poly = new net.sf.geographiclib.PolygonArea(geod, opt_polyline);
+    for (var i = 0; i < points.length; ++i)
+      poly.AddPoint(points[i][0], points[i][1]);
+    return poly;
+  }
+
+  it('computes the area of a small square', function() {
+    var r = polygon([[0, -1], [-1, 0], [0, 1], [1, 0]]).Compute(false, true);
+    expect(r.number).to.be(4);
+    expect(r.perimeter).to.roughlyEqual(627598.2732, 1e-4);
+    expect(r.area).to.roughlyEqual(24619419146.9, 0.1);
+  });
+
+  it('handles polygons encircling the north pole', function() {
+    var r = polygon([[89, 0], [89, 90], [89, 180], [89, 270]]).Compute(
+        false, true);
+    expect(r.perimeter).to.roughlyEqual(631819.8745, 1e-4);
+    expect(r.area).to.roughlyEqual(24952305678.0, 0.1);
+  });
+
+  it('handles polygons encircling the south pole', function() {
+    var r = polygon([[-89, 0], [-89, 90], [-89, 180], [-89, 270]]).Compute(
+        false, true);
+    expect(r.perimeter).to.roughlyEqual(631819.8745, 1e-4);
+    expect(r.area).to.roughlyEqual(-24952305678.0, 0.1);
+  });
+
+  it('includes a pole vertex', function() {
+    var r = polygon([[90, 0], [0, 0], [0, 90]]).Compute(false, true);
+    expect(r.perimeter).to.roughlyEqual(30022685.63, 1e-2);
+    expect(r.area).to.roughlyEqual(63758202715511.1, 1);
+  });
+
+  it('honors the reverse and sign options', function() {
+    var poly = polygon([[35, 139], [36, 141], [34, 142], [33, 140]]);
+    expect(poly.Compute(false, true).area).to.roughlyEqual(
+        -50940807344.6, 0.1);
+    expect(poly.Compute(true, true).area).to.roughlyEqual(
+        50940807344.6, 0.1);
+    expect(poly.Compute(false, false).area).to.roughlyEqual(
+        510014680916743.8, 1);
+  });
+
+  it('matches AddPoint when using AddEdge and the tests', function() {
+    var poly = polygon([[0, 0]]);
+    poly.AddEdge(90, 100000);
+    var test = poly.TestEdge(0, 100000, false, true);
+    poly.AddEdge(0, 100000);
+    var r = poly.Compute(false, true);
+    expect(test.number).to.be(3);
+    expect(test.perimeter).to.roughlyEqual(r.perimeter, 1e-6);
+    expect(test.area).to.roughlyEqual(r.area, 1);
+    var lat = poly.lat, lon = poly.lon;
+    test = polygon([[0, 0], [0, 0.8983152841195214]]).TestPoint(
+        lat, lon, false, true);
+    expect(test.area).to.roughlyEqual(r.area, 1);
+  });
+
+  it('only measures the length of a polyline', function() {
+    var r = polygon([[0, 0], [0, 1], [1, 1]], true).Compute();
+    expect(r.number).to.be(3);
+    expect(r.perimeter).to.roughlyEqual(
+        geod.Inverse(0, 0, 0, 1).s12 + geod.Inverse(0, 1, 1, 1).s12, 1e-6);
+    expect(isNaN(r.area)).to.be(true);
+  });
+
+  it('starts again after Clear', function() {
+    var poly = polygon([[0, 0], [0, 1], [1, 1]]);
+    poly.Clear();
+    var r = poly.Compute();
+    expect(r.number).to.be(0);
+    expect(r.perimeter).to.be(0);
+    expect(r.area).to.be(0);
+  });
+});
+
+goog.require('net.sf.geographiclib.Geodesic');
+goog.require('net.sf.geographiclib.PolygonArea');
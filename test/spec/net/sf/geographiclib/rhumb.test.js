@@ -0,0 +1,76 @@
+goog.provide('net.sf.geographiclib.Rhumb.test');
+
+describe('net.sf.geographiclib.Rhumb', function() {
+  var gm = net.sf.geographiclib.GeodesicMask.getInstance();
+  var rhumb = new net.sf.geographiclib.Rhumb(6378137, 1 / 298.257223563);
+
+  describe('Inverse', function() {
+    it('solves for the azimuth, distance and area', function() {
+      var r = rhumb.Inverse(40.6, -73.8, 1.36, 103.99, gm.ALL);
+      expect(r).to.be.a(net.sf.geographiclib.GeodesicData);
+      expect(r.azi1).to.roughlyEqual(103.56511261438504, 1e-12);
+      expect(r.azi2).to.be(r.azi1);
+      expect(r.s12).to.roughlyEqual(18528106.915813796, 1e-6);
+      expect(r.S12).to.roughlyEqual(45884509869731.73, 0.1);
+    });
+
+    it('measures parallels by the radius of the parallel', function() {
+      var r = rhumb.Inverse(45, 0, 45, 10, gm.ALL);
+      expect(r.azi1).to.be(90);
+      expect(r.s12).to.roughlyEqual(788468.3509397812, 1e-7);
+    });
+
+    it('measures meridians as geodesics', function() {
+      var geod = new net.sf.geographiclib.Geodesic(6378137,
+                                                   1 / 298.257223563);
+      expect(rhumb.Inverse(10, 5, 70, 5).s12).to.roughlyEqual(
+          geod.Inverse(10, 5, 70, 5).s12, 1e-6);
+    });
+  });
+
+  describe('Direct', function() {
+    it('inverts Inverse', function() {
+      var r = rhumb.Direct(40.6, -73.8, 103.56511261438504,
+                           18528106.915813796);
+      expect(r.lat2).to.roughlyEqual(1.36, 1e-10);
+      expect(r.lon2).to.roughlyEqual(103.99, 1e-10);
+    });
+
+    it('returns NaN longitudes for lines over a pole', function() {
+      var r = rhumb.Direct(80, 0, 10, 2e6, gm.ALL);
+      expect(r.lat2).to.roughlyEqual(82.36448996815055, 1e-10);
+      expect(isNaN(r.lon2)).to.be(true);
+      expect(isNaN(r.S12)).to.be(true);
+    });
+  });
+
+  describe('RhumbLine', function() {
+    it('gives the same points as Direct', function() {
+      var line = rhumb.Line(-20, 30, -135);
+      [-5e5, 1e6, 4e6].forEach(function(s12) {
+        var r = line.Position(s12), d = rhumb.Direct(-20, 30, -135, s12);
+        expect(r.lat2).to.be(d.lat2);
+        expect(r.lon2).to.be(d.lon2);
+      });
+    });
+  });
+
+  describe('PolygonArea', function() {
+    it('gives the area of a latitude-longitude box', function() {
+      var poly = new net.sf.geographiclib.PolygonArea(rhumb);
+      [[0, 0], [0, 10], [10, 10], [10, 0]].forEach(function(p) {
+        poly.AddPoint(p[0], p[1]);
+      });
+      var r = poly.Compute(false, true);
+      // The area between the equator and latitude 10 deg over 10 deg of
+      // longitude, from the authalic latitude.
+      expect(r.area).to.roughlyEqual(1224832293977.772, 1e-2);
+    });
+  });
+});
+
+goog.require('net.sf.geographiclib.Geodesic');
+goog.require('net.sf.geographiclib.GeodesicData');
+goog.require('net.sf.geographiclib.GeodesicMask');
+goog.require('net.sf.geographiclib.PolygonArea');
+goog.require('net.sf.geographiclib.Rhumb');
@@ -0,0 +1,61 @@
+goog.provide('net.sf.geographiclib.TransverseMercator.test');
+
+describe('net.sf.geographiclib.TransverseMercator', function() {
+  var utm = net.sf.geographiclib.TransverseMercator.UTM;
+
+  describe('Forward', function() {
+    it('projects onto a UTM zone', function() {
+      var r = utm.Forward(-3, 51.5, -0.1278);
+      expect(r.x).to.roughlyEqual(199348.54082027994, 1e-8);
+      expect(r.y).to.roughlyEqual(5709341.011296548, 1e-8);
+      expect(r.gamma).to.roughlyEqual(2.2485425920919306, 1e-13);
+      expect(r.k).to.roughlyEqual(1.0000879359697887, 1e-15);
+    });
+
+    it('is odd in latitude and longitude', function() {
+      var r = utm.Forward(-3, -51.5, -5.8722);
+      expect(r.x).to.roughlyEqual(-199348.54082027994, 1e-8);
+      expect(r.y).to.roughlyEqual(-5709341.011296548, 1e-8);
+      expect(r.gamma).to.roughlyEqual(2.2485425920919306, 1e-13);
+    });
+
+    it('maps the pole onto the central meridian', function() {
+      var r = utm.Forward(0, 90, 10);
+      expect(r.x).to.be(0);
+      expect(r.y).to.roughlyEqual(0.9996 * 10001965.729312724, 1e-7);
+      expect(r.gamma).to.be(10);
+    });
+
+    it('scales with k0', function() {
+      var tm = new net.sf.geographiclib.TransverseMercator(
+          6378137, 298.257223563, 1);
+      var r = tm.Forward(-3, 51.5, -0.1278);
+      expect(r.x).to.roughlyEqual(199348.54082027994 / 0.9996, 1e-8);
+      expect(r.k).to.roughlyEqual(1.0000879359697887 / 0.9996, 1e-15);
+    });
+  });
+
+  describe('Reverse', function() {
+    it('inverts Forward', function() {
+      var r = utm.Reverse(-3, 199348.54082027994, 5709341.011296548);
+      expect(r.lat).to.roughlyEqual(51.5, 1e-12);
+      expect(r.lon).to.roughlyEqual(-0.1278, 1e-12);
+      expect(r.gamma).to.roughlyEqual(2.2485425920919306, 1e-13);
+      expect(r.k).to.roughlyEqual(1.0000879359697887, 1e-15);
+    });
+
+    it('inverts Forward on other ellipsoids', function() {
+      var tm = new net.sf.geographiclib.TransverseMercator(6.4e6, 1 / 150, 1);
+      [[-60, 20], [0, -30], [35, 40]].forEach(function(p) {
+        var f = tm.Forward(170, p[0], 170 + p[1]);
+        var r = tm.Reverse(170, f.x, f.y);
+        expect(r.lat).to.roughlyEqual(p[0], 1e-11);
+        expect(r.lon).to.roughlyEqual(
+            net.sf.geographiclib.GeoMath.angNormalize(170 + p[1]), 1e-11);
+      });
+    });
+  });
+});
+
+goog.require('net.sf.geographiclib.GeoMath');
+goog.require('net.sf.geographiclib.TransverseMercator');
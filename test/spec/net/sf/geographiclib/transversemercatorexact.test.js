@@ -0,0 +1,68 @@
+goog.provide('net.sf.geographiclib.TransverseMercatorExact.test');
+
+describe('net.sf.geographiclib.TransverseMercatorExact', function() {
+  var utm = net.sf.geographiclib.TransverseMercatorExact.UTM;
+
+  describe('Forward', function() {
+    it('agrees with the series near the central meridian', function() {
+      var r = utm.Forward(-3, 51.5, -0.1278),
+          s = net.sf.geographiclib.TransverseMercator.UTM.Forward(
+              -3, 51.5, -0.1278);
+      expect(r.x).to.roughlyEqual(s.x, 1e-8);
+      expect(r.y).to.roughlyEqual(s.y, 1e-8);
+      expect(r.gamma).to.roughlyEqual(s.gamma, 1e-13);
+      expect(r.k).to.roughlyEqual(s.k, 1e-15);
+    });
+
+    it('projects points 90 degrees from the central meridian', function() {
+      var r = utm.Forward(0, 0, 90);
+      expect(r.x).to.roughlyEqual(25953592.845413588, 1e-7);
+      expect(r.y).to.roughlyEqual(9997964.943020985, 1e-7);
+      expect(r.gamma).to.roughlyEqual(90, 1e-12);
+    });
+
+    it('places the branch point on the equator', function() {
+      var e = Math.sqrt(net.sf.geographiclib.Ellipsoid.WGS84.f *
+                        (2 - net.sf.geographiclib.Ellipsoid.WGS84.f));
+      var r = utm.Forward(0, 0, 90 * (1 - e));
+      expect(r.x).to.roughlyEqual(18380953.13213905, 1e-7);
+      expect(r.y).to.be(0);
+    });
+
+    it('puts the branch cut along the equator', function() {
+      var r = utm.Forward(0, -2, 88);
+      expect(r.x).to.roughlyEqual(22051449.037348524, 1e-7);
+      expect(r.y).to.roughlyEqual(-7131237.022729381, 1e-7);
+    });
+  });
+
+  describe('Reverse', function() {
+    it('inverts Forward', function() {
+      [[51.5, -0.1278], [-2, 88], [40, 80], [-18.2, -153.6]].forEach(
+          function(p) {
+            var f = utm.Forward(0, p[0], p[1]), r = utm.Reverse(0, f.x, f.y);
+            expect(r.lat).to.roughlyEqual(p[0], 1e-12);
+            expect(r.lon).to.roughlyEqual(p[1], 1e-12);
+            expect(r.gamma).to.roughlyEqual(f.gamma, 1e-12);
+            expect(r.k).to.roughlyEqual(f.k, 1e-12);
+          });
+    });
+  });
+
+  describe('extended domain', function() {
+    it('moves the branch cut', function() {
+      var tm = new net.sf.geographiclib.TransverseMercatorExact(
+          6378137, 298.257223563, 0.9996, true);
+      var f = tm.Forward(0, -2, 88);
+      expect(f.x).to.roughlyEqual(29735142.378357314, 1e-6);
+      expect(f.y).to.roughlyEqual(4235043.607933166, 1e-6);
+      var r = tm.Reverse(0, f.x, f.y);
+      expect(r.lat).to.roughlyEqual(-2, 1e-12);
+      expect(r.lon).to.roughlyEqual(88, 1e-12);
+    });
+  });
+});
+
+goog.require('net.sf.geographiclib.Ellipsoid');
+goog.require('net.sf.geographiclib.TransverseMercator');
+goog.require('net.sf.geographiclib.TransverseMercatorExact');
@@ -0,0 +1,121 @@
+goog.provide('net.sf.geographiclib.UTMUPS.test');
+
+describe('net.sf.geographiclib.UTMUPS', function() {
+  var UTMUPS = net.sf.geographiclib.UTMUPS;
+
+  describe('StandardZone', function() {
+    it('picks the 6 degree zone', function() {
+      expect(UTMUPS.StandardZone(51.5, -0.1278)).to.be(30);
+      expect(UTMUPS.StandardZone(-33.9, 151.2)).to.be(56);
+      expect(UTMUPS.StandardZone(10, 180)).to.be(1);
+    });
+
+    it('applies the Norway and Svalbard exceptions', function() {
+      expect(UTMUPS.StandardZone(60, 5)).to.be(32);
+      expect(UTMUPS.StandardZone(55, 5)).to.be(31);
+      expect(UTMUPS.StandardZone(78, 10)).to.be(33);
+      expect(UTMUPS.StandardZone(78, 22)).to.be(35);
+    });
+
+    it('uses UPS beyond 84N and 80S unless UTM is requested', function() {
+      expect(UTMUPS.StandardZone(84, 30)).to.be(UTMUPS.UPS);
+      expect(UTMUPS.StandardZone(-80.5, 30)).to.be(UTMUPS.UPS);
+      expect(UTMUPS.StandardZone(84, 60, UTMUPS.UTM)).to.be(41);
+    });
+
+    it('returns INVALID for NaNs', function() {
+      expect(UTMUPS.StandardZone(Number.NaN, 0)).to.be(UTMUPS.INVALID);
+    });
+  });
+
+  describe('Forward', function() {
+    it('converts to UTM', function() {
+      var r = UTMUPS.Forward(51.5, -0.1278);
+      expect(r.zone).to.be(30);
+      expect(r.northp).to.be(true);
+      expect(r.x).to.roughlyEqual(699348.5408202799, 1e-8);
+      expect(r.y).to.roughlyEqual(5709341.011296548, 1e-8);
+    });
+
+    it('adds the false northing in the southern hemisphere', function() {
+      var r = UTMUPS.Forward(-51.5, -5.8722);
+      expect(r.northp).to.be(false);
+      expect(r.x).to.roughlyEqual(300651.4591797201, 1e-8);
+      expect(r.y).to.roughlyEqual(4290658.988703452, 1e-8);
+    });
+
+    it('allows a neighbouring zone to be forced', function() {
+      var r = UTMUPS.Forward(51.5, -0.1278, 31);
+      expect(r.zone).to.be(31);
+      expect(r.x).to.roughlyEqual(282915.0299844473, 1e-8);
+      expect(r.y).to.roughlyEqual(5710068.469567533, 1e-8);
+    });
+
+    it('converts to UPS', function() {
+      var r = UTMUPS.Forward(85, 30);
+      expect(r.zone).to.be(UTMUPS.UPS);
+      expect(r.x).to.roughlyEqual(2277728.6956913387, 1e-8);
+      expect(r.y).to.roughlyEqual(1518959.7883427655, 1e-8);
+      expect(r.gamma).to.be(30);
+      var s = UTMUPS.Forward(-85, 30);
+      expect(s.northp).to.be(false);
+      expect(s.y).to.roughlyEqual(2481040.2116572345, 1e-8);
+      var p = UTMUPS.Forward(90, 0);
+      expect(p.x).to.be(2000000);
+      expect(p.y).to.be(2000000);
+      expect(p.k).to.be(0.994);
+    });
+  });
+
+  describe('Reverse', function() {
+    it('inverts Forward', function() {
+      [[51.5, -0.1278], [-33.9, 151.2], [78, 22], [85, 30], [-87, -100]]
+          .forEach(function(p) {
+            var f = UTMUPS.Forward(p[0], p[1]),
+                r = UTMUPS.Reverse(f.zone, f.northp, f.x, f.y);
+            expect(r.lat).to.roughlyEqual(p[0], 1e-12);
+            expect(r.lon).to.roughlyEqual(p[1], 1e-12);
+            expect(r.gamma).to.roughlyEqual(f.gamma, 1e-12);
+            expect(r.k).to.roughlyEqual(f.k, 1e-15);
+          });
+    });
+
+    it('returns NaNs for an invalid zone', function() {
+      expect(isNaN(UTMUPS.Reverse(UTMUPS.INVALID, true, 0, 0).lat)).to.be(
+          true);
+    });
+  });
+
+  describe('CheckCoords', function() {
+    it('allows 100 km of slop except for MGRS', function() {
+      expect(UTMUPS.CheckCoords(true, true, 50000, 0)).to.be(true);
+      expect(UTMUPS.CheckCoords(true, true, 50000, 0, true)).to.be(false);
+      expect(UTMUPS.CheckCoords(false, false, 500000, 2000000)).to.be(false);
+    });
+  });
+
+  describe('zone strings', function() {
+    it('encodes zones', function() {
+      expect(UTMUPS.EncodeZone(5, false)).to.be('05s');
+      expect(UTMUPS.EncodeZone(38, true, false)).to.be('38north');
+      expect(UTMUPS.EncodeZone(UTMUPS.UPS, true)).to.be('n');
+      expect(UTMUPS.EncodeZone(UTMUPS.INVALID, true)).to.be('inv');
+    });
+
+    it('decodes zones', function() {
+      expect(UTMUPS.DecodeZone('38N')).to.eql({zone: 38, northp: true});
+      expect(UTMUPS.DecodeZone('5south')).to.eql({zone: 5, northp: false});
+      expect(UTMUPS.DecodeZone('s')).to.eql({zone: 0, northp: false});
+      expect(UTMUPS.DecodeZone('invalid').zone).to.be(UTMUPS.INVALID);
+    });
+
+    it('rejects illegal zones', function() {
+      expect(UTMUPS.DecodeZone('0n')).to.be(null);
+      expect(UTMUPS.DecodeZone('61s')).to.be(null);
+      expect(UTMUPS.DecodeZone('38x')).to.be(null);
+      expect(UTMUPS.DecodeZone('')).to.be(null);
+    });
+  });
+});
+
+goog.require('net.sf.geographiclib.UTMUPS');